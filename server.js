@@ -12,24 +12,42 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const axios = require('axios');
+const crypto = require('crypto');
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || 'dental-ultra-secret-key-change-in-production-2024';
+// Access token curto + refresh token persistido (tabela sessoes) permitem revogar acesso
+const ACCESS_TOKEN_EXPIRA = process.env.ACCESS_TOKEN_EXPIRA || '15m';
+const REFRESH_TOKEN_DIAS = parseInt(process.env.REFRESH_TOKEN_DIAS) || 30;
+// Token temporário da etapa de 2FA é assinado com outra chave para nunca valer como access token
+const JWT_SECRET_2FA = JWT_SECRET + ':2fa';
+const TOTP_EMISSOR = process.env.TOTP_EMISSOR || 'Dental Ultra';
 
 // ==============================================================================
 // MIDDLEWARES
 // ==============================================================================
 
+// Railway fica atrás de 1 proxy: o IP do cliente é o último salto adicionado por ele
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_SALTOS) || 1);
+
 app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Webhooks assinados (WhatsApp) precisam do corpo original para conferir o HMAC
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+    }
+}));
 
 app.use((req, res, next) => {
     const timestamp = new Date().toISOString();
@@ -46,6 +64,68 @@ const pool = new Pool({
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// ==============================================================================
+// ISOLAMENTO POR CLÍNICA (ROW LEVEL SECURITY - OPCIONAL)
+// ==============================================================================
+
+// Com RLS_ATIVO=true, as queries de uma requisição autenticada rodam numa transação
+// com app.dentista_id definido, e as políticas do Postgres filtram as tabelas clínicas.
+// Sem contexto (login, rotas públicas, inicialização) as políticas não restringem.
+const RLS_ATIVO = process.env.RLS_ATIVO === 'true';
+const contextoTenant = new AsyncLocalStorage();
+
+if (RLS_ATIVO) {
+    const queryOriginal = pool.query.bind(pool);
+    const connectOriginal = pool.connect.bind(pool);
+
+    pool.query = async function (...args) {
+        const contexto = contextoTenant.getStore();
+        if (!contexto || typeof args[args.length - 1] === 'function') {
+            return queryOriginal(...args);
+        }
+
+        const client = await connectOriginal();
+        try {
+            await client.query('BEGIN');
+            await client.query("SELECT set_config('app.dentista_id', $1, true)", [String(contexto.dentistaId)]);
+            const result = await client.query(...args);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    };
+
+    // Transações das rotas (pool.connect + BEGIN) recebem o mesmo app.dentista_id, local à transação,
+    // então não vaza para quem pegar a conexão depois
+    pool.connect = async function (...args) {
+        const contexto = contextoTenant.getStore();
+        if (!contexto || args.length > 0) {
+            return connectOriginal(...args);
+        }
+
+        const client = await connectOriginal();
+        const queryCliente = client.query;
+        const releaseCliente = client.release;
+        client.query = async function (...q) {
+            const result = await queryCliente.apply(client, q);
+            if (typeof q[0] === 'string' && /^\s*BEGIN\b/i.test(q[0])) {
+                await queryCliente.call(client, "SELECT set_config('app.dentista_id', $1, true)", [String(contexto.dentistaId)]);
+            }
+            return result;
+        };
+        client.release = function (...r) {
+            delete client.query;
+            client.release = releaseCliente;
+            return releaseCliente.apply(client, r);
+        };
+        return client;
+    };
+}
+
 pool.query('SELECT NOW()', (err, res) => {
     if (err) {
         console.error('Erro PostgreSQL:', err.message);
@@ -209,6 +289,32 @@ async function initDatabase() {
             )
         `);
 
+        // Séries de agendamentos recorrentes (manutenção ortodôntica, periodontia...)
+        // A regra fica aqui; cada ocorrência é uma linha normal em agendamentos com serie_id
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS series_agendamento (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                paciente_id INTEGER REFERENCES pacientes(id) ON DELETE SET NULL,
+                paciente_nome VARCHAR(255),
+                profissional_id INTEGER,
+                horario TIME NOT NULL,
+                duracao INTEGER DEFAULT 60,
+                procedimento VARCHAR(255),
+                valor DECIMAL(10,2),
+                observacoes TEXT,
+                rotulo VARCHAR(50),
+                frequencia VARCHAR(20) NOT NULL,
+                intervalo INTEGER DEFAULT 1,
+                data_inicio DATE NOT NULL,
+                data_fim DATE,
+                quantidade INTEGER,
+                cancelada_em TIMESTAMP,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
         // Tabela de fila de encaixe
         await pool.query(`
             CREATE TABLE IF NOT EXISTS fila_encaixe (
@@ -236,6 +342,7 @@ async function initDatabase() {
             'ALTER TABLE agendamentos ADD COLUMN IF NOT EXISTS hora TIME',
             'ALTER TABLE agendamentos ADD COLUMN IF NOT EXISTS duracao INTEGER DEFAULT 30',
             'ALTER TABLE agendamentos ADD COLUMN IF NOT EXISTS atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+            'ALTER TABLE agendamentos ADD COLUMN IF NOT EXISTS serie_id INTEGER',
             'ALTER TABLE pacientes ADD COLUMN IF NOT EXISTS ativo BOOLEAN DEFAULT true',
             'ALTER TABLE pacientes ADD COLUMN IF NOT EXISTS rg VARCHAR(20)',
             'ALTER TABLE pacientes ADD COLUMN IF NOT EXISTS data_nascimento DATE',
@@ -560,6 +667,101 @@ async function initDatabase() {
             await pool.query('CREATE INDEX IF NOT EXISTS idx_usuarios_vinc_dentista ON usuarios_vinculados(dentista_id)');
         } catch (e) {}
 
+        // Sessões de login (refresh tokens) - permitem listar e revogar acessos
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS sessoes (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER NOT NULL REFERENCES dentistas(id) ON DELETE CASCADE,
+                usuario_id INTEGER REFERENCES usuarios_vinculados(id) ON DELETE CASCADE,
+                tipo_usuario VARCHAR(20) NOT NULL,
+                refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+                ip VARCHAR(50),
+                user_agent TEXT,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                ultimo_uso_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expira_em TIMESTAMP NOT NULL,
+                revogado_em TIMESTAMP,
+                motivo_revogacao VARCHAR(100)
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_sessoes_dentista ON sessoes(dentista_id)');
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_sessoes_usuario ON sessoes(usuario_id)');
+        } catch (e) {}
+
+        // ============ TENTATIVAS DE ACESSO (proteção contra força bruta) ============
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tentativas_acesso (
+                chave VARCHAR(255) PRIMARY KEY,
+                escopo VARCHAR(30) NOT NULL,
+                falhas INTEGER DEFAULT 0,
+                janela_inicio TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                nivel INTEGER DEFAULT 0,
+                bloqueado_ate TIMESTAMP,
+                ultimo_bloqueio_em TIMESTAMP,
+                atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS eventos_bloqueio (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                usuario_id INTEGER REFERENCES usuarios_vinculados(id) ON DELETE SET NULL,
+                escopo VARCHAR(30) NOT NULL,
+                identificador VARCHAR(255),
+                ip VARCHAR(50),
+                nivel INTEGER,
+                falhas INTEGER,
+                bloqueado_ate TIMESTAMP,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_eventos_bloqueio_dentista ON eventos_bloqueio(dentista_id, criado_em DESC)');
+        } catch (e) {}
+
+        // ============ MIGRAÇÕES - RECUPERAÇÃO DE SENHA ============
+        const migracoesResetSenha = [
+            "ALTER TABLE dentistas ADD COLUMN IF NOT EXISTS token_reset_senha VARCHAR(64)",
+            "ALTER TABLE dentistas ADD COLUMN IF NOT EXISTS token_reset_expira TIMESTAMP",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS token_reset_senha VARCHAR(64)",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS token_reset_expira TIMESTAMP"
+        ];
+        for (const mig of migracoesResetSenha) {
+            try { await pool.query(mig); } catch (e) {}
+        }
+
+        // ============ MIGRAÇÕES - CONVITE DE USUÁRIOS VINCULADOS ============
+        // Usuário convidado fica sem senha até aceitar o convite
+        const migracoesConvite = [
+            "ALTER TABLE usuarios_vinculados ALTER COLUMN senha DROP NOT NULL",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS status_convite VARCHAR(20) DEFAULT 'aceito'",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS token_convite VARCHAR(64)",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS convite_expira TIMESTAMP",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS convite_enviado_em TIMESTAMP",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS convite_aceito_em TIMESTAMP"
+        ];
+        for (const mig of migracoesConvite) {
+            try { await pool.query(mig); } catch (e) {}
+        }
+
+        // ============ MIGRAÇÕES - AUTENTICAÇÃO EM DOIS FATORES (TOTP) ============
+        const migracoes2fa = [
+            "ALTER TABLE dentistas ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)",
+            "ALTER TABLE dentistas ADD COLUMN IF NOT EXISTS totp_ativo BOOLEAN DEFAULT false",
+            "ALTER TABLE dentistas ADD COLUMN IF NOT EXISTS totp_ultimo_passo BIGINT",
+            "ALTER TABLE dentistas ADD COLUMN IF NOT EXISTS totp_codigos_recuperacao JSONB DEFAULT '[]'",
+            "ALTER TABLE dentistas ADD COLUMN IF NOT EXISTS exigir_2fa_usuarios BOOLEAN DEFAULT false",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS totp_ativo BOOLEAN DEFAULT false",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS totp_ultimo_passo BIGINT",
+            "ALTER TABLE usuarios_vinculados ADD COLUMN IF NOT EXISTS totp_codigos_recuperacao JSONB DEFAULT '[]'"
+        ];
+        for (const mig of migracoes2fa) {
+            try { await pool.query(mig); } catch (e) {}
+        }
+
         // ====== TABELAS DO PRONTUÁRIO ======
 
         await pool.query(`
@@ -692,6 +894,425 @@ async function initDatabase() {
             )
         `);
 
+        // ============ AUDITORIA (somente inserção) ============
+        // Sem FK para dentistas: o histórico precisa sobreviver à exclusão de contas
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS auditoria (
+                id BIGSERIAL PRIMARY KEY,
+                dentista_id INTEGER NOT NULL,
+                usuario_id INTEGER,
+                tipo_usuario VARCHAR(20),
+                ator_nome VARCHAR(255),
+                acao VARCHAR(30) NOT NULL,
+                entidade VARCHAR(50) NOT NULL,
+                entidade_id INTEGER,
+                paciente_id INTEGER,
+                dados_antes JSONB,
+                dados_depois JSONB,
+                ip VARCHAR(50),
+                user_agent TEXT,
+                rota VARCHAR(255),
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_auditoria_dentista ON auditoria(dentista_id, criado_em DESC)');
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_auditoria_paciente ON auditoria(paciente_id, criado_em DESC)');
+        } catch (e) {}
+        try {
+            await pool.query(`
+                CREATE OR REPLACE FUNCTION auditoria_somente_insercao() RETURNS trigger AS $$
+                BEGIN
+                    -- Única exceção: a anonimização LGPD pode redigir os snapshots, sem tocar no resto da linha
+                    IF TG_OP = 'UPDATE' AND current_setting('app.auditoria_anonimizar', true) = 'on'
+                       AND (to_jsonb(NEW) - 'dados_antes' - 'dados_depois') = (to_jsonb(OLD) - 'dados_antes' - 'dados_depois') THEN
+                        RETURN NEW;
+                    END IF;
+                    RAISE EXCEPTION 'Registros de auditoria não podem ser alterados ou excluídos';
+                END;
+                $$ LANGUAGE plpgsql
+            `);
+            await pool.query('DROP TRIGGER IF EXISTS auditoria_imutavel ON auditoria');
+            await pool.query(`
+                CREATE TRIGGER auditoria_imutavel BEFORE UPDATE OR DELETE ON auditoria
+                FOR EACH ROW EXECUTE PROCEDURE auditoria_somente_insercao()
+            `);
+            await pool.query('DROP TRIGGER IF EXISTS auditoria_sem_truncate ON auditoria');
+            await pool.query(`
+                CREATE TRIGGER auditoria_sem_truncate BEFORE TRUNCATE ON auditoria
+                FOR EACH STATEMENT EXECUTE PROCEDURE auditoria_somente_insercao()
+            `);
+        } catch (e) {
+            console.error('Erro trigger auditoria:', e.message);
+        }
+
+        // ============ CHAVES DE API (integrações de terceiros) ============
+        // Só o hash da chave é guardado; o texto completo é exibido uma única vez na criação
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER NOT NULL REFERENCES dentistas(id) ON DELETE CASCADE,
+                nome VARCHAR(100) NOT NULL,
+                prefixo VARCHAR(20) NOT NULL,
+                chave_hash VARCHAR(64) NOT NULL UNIQUE,
+                escopos JSONB DEFAULT '[]',
+                expira_em TIMESTAMP,
+                ultimo_uso_em TIMESTAMP,
+                ultimo_ip VARCHAR(50),
+                total_usos INTEGER DEFAULT 0,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                revogada_em TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys_uso (
+                id BIGSERIAL PRIMARY KEY,
+                api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+                dentista_id INTEGER NOT NULL,
+                metodo VARCHAR(10),
+                rota VARCHAR(255),
+                status_http INTEGER,
+                ip VARCHAR(50),
+                user_agent TEXT,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_api_keys_dentista ON api_keys(dentista_id)');
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_api_keys_uso_chave ON api_keys_uso(api_key_id, criado_em DESC)');
+            await pool.query('ALTER TABLE auditoria ADD COLUMN IF NOT EXISTS api_key_id INTEGER');
+        } catch (e) {}
+
+        // ============ LGPD ============
+        try {
+            await pool.query('ALTER TABLE pacientes ADD COLUMN IF NOT EXISTS anonimizado_em TIMESTAMP');
+        } catch (e) {}
+
+        // ============ AGENDAMENTO ONLINE (portal público por slug) ============
+        const migracoesAgendamentoOnline = [
+            "ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS slug VARCHAR(60) UNIQUE",
+            "ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS online_ativo BOOLEAN DEFAULT false",
+            "ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS online_exigir_aprovacao BOOLEAN DEFAULT true",
+            "ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS online_antecedencia_horas INTEGER DEFAULT 2",
+            "ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS online_dias_maximo INTEGER DEFAULT 30",
+            "ALTER TABLE tabela_precos ADD COLUMN IF NOT EXISTS agendamento_online BOOLEAN DEFAULT false",
+            "ALTER TABLE tabela_precos ADD COLUMN IF NOT EXISTS duracao_minutos INTEGER",
+            "ALTER TABLE profissionais ADD COLUMN IF NOT EXISTS agendamento_online BOOLEAN DEFAULT true",
+            "ALTER TABLE agendamentos ADD COLUMN IF NOT EXISTS origem VARCHAR(20)"
+        ];
+        for (const mig of migracoesAgendamentoOnline) {
+            try { await pool.query(mig); } catch (e) {}
+        }
+
+        // ============ HISTÓRICO DE REMARCAÇÕES ============
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS agendamentos_remarcacoes (
+                id SERIAL PRIMARY KEY,
+                agendamento_id INTEGER REFERENCES agendamentos(id) ON DELETE CASCADE,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                data_anterior DATE NOT NULL,
+                horario_anterior TIME NOT NULL,
+                data_nova DATE NOT NULL,
+                horario_novo TIME NOT NULL,
+                profissional_id INTEGER,
+                origem VARCHAR(20) DEFAULT 'paciente',
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_remarcacoes_agendamento ON agendamentos_remarcacoes(agendamento_id)');
+        } catch (e) {}
+
+        // ============ VAGAS LIBERADAS E OFERTAS PARA A FILA DE ENCAIXE ============
+        // agendamento_id sem FK: a vaga continua existindo quando o agendamento é excluído
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS vagas_liberadas (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                agendamento_id INTEGER,
+                profissional_id INTEGER,
+                data DATE NOT NULL,
+                horario TIME NOT NULL,
+                duracao INTEGER DEFAULT 60,
+                procedimento VARCHAR(255),
+                motivo VARCHAR(30),
+                status VARCHAR(20) DEFAULT 'aberta',
+                agendamento_novo_id INTEGER,
+                fila_id INTEGER,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                fechada_em TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ofertas_vaga (
+                id SERIAL PRIMARY KEY,
+                vaga_id INTEGER REFERENCES vagas_liberadas(id) ON DELETE CASCADE,
+                fila_id INTEGER REFERENCES fila_encaixe(id) ON DELETE CASCADE,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                status VARCHAR(20) DEFAULT 'enviada',
+                expira_em TIMESTAMP NOT NULL,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                respondida_em TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_vagas_liberadas_dentista ON vagas_liberadas(dentista_id, status, data)');
+            await pool.query('ALTER TABLE fila_encaixe ADD COLUMN IF NOT EXISTS agendamento_id INTEGER');
+        } catch (e) {}
+
+        // ============ HISTÓRICO DE STATUS DOS AGENDAMENTOS ============
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS agendamentos_status_historico (
+                id SERIAL PRIMARY KEY,
+                agendamento_id INTEGER NOT NULL REFERENCES agendamentos(id) ON DELETE CASCADE,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                status_anterior VARCHAR(30),
+                status_novo VARCHAR(30) NOT NULL,
+                canal VARCHAR(20) NOT NULL,
+                alterado_por VARCHAR(255),
+                usuario_id INTEGER,
+                tipo_usuario VARCHAR(20),
+                observacao TEXT,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_agend_status_hist ON agendamentos_status_historico(agendamento_id, criado_em)');
+        } catch (e) {}
+
+        // ============ FERIADOS, FECHAMENTOS E AUSÊNCIAS ============
+        // profissional_id NULL = vale para a clínica toda. Sem hora_inicio/hora_fim = dia inteiro.
+        // recorrente_anual repete dia/mês todo ano (feriado municipal)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS bloqueios_agenda (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                profissional_id INTEGER REFERENCES profissionais(id) ON DELETE CASCADE,
+                tipo VARCHAR(30) NOT NULL,
+                descricao VARCHAR(255) NOT NULL,
+                data_inicio DATE NOT NULL,
+                data_fim DATE NOT NULL,
+                hora_inicio TIME,
+                hora_fim TIME,
+                recorrente_anual BOOLEAN DEFAULT false,
+                criado_por VARCHAR(255),
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        const migracoesBloqueios = [
+            'CREATE INDEX IF NOT EXISTS idx_bloqueios_agenda_dentista ON bloqueios_agenda(dentista_id, data_inicio, data_fim)',
+            'ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS feriados_nacionais BOOLEAN DEFAULT true',
+            'ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS bloquear_pontos_facultativos BOOLEAN DEFAULT false'
+        ];
+        for (const mig of migracoesBloqueios) {
+            try { await pool.query(mig); } catch (e) {}
+        }
+
+        // ============ FEEDS DE CALENDÁRIO (ICS) ============
+        // profissional_id NULL = agenda da clínica inteira. O token só aparece na criação; aqui fica o hash
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS feeds_calendario (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                profissional_id INTEGER REFERENCES profissionais(id) ON DELETE CASCADE,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                privacidade VARCHAR(20) DEFAULT 'iniciais',
+                criado_por VARCHAR(255),
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                ultimo_acesso_em TIMESTAMP,
+                revogado_em TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_feeds_calendario_dentista ON feeds_calendario(dentista_id)');
+        } catch (e) {}
+
+        // ============ FILA DE JOBS E MENSAGENS AO PACIENTE ============
+        // chave_unica evita enfileirar o mesmo trabalho duas vezes (ex: lembrete:<agendamento>:<data>:<hora>)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id SERIAL PRIMARY KEY,
+                tipo VARCHAR(50) NOT NULL,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                payload JSONB DEFAULT '{}',
+                status VARCHAR(20) DEFAULT 'pendente',
+                tentativas INTEGER DEFAULT 0,
+                max_tentativas INTEGER DEFAULT 5,
+                executar_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                travado_em TIMESTAMP,
+                travado_por VARCHAR(100),
+                ultimo_erro TEXT,
+                chave_unica VARCHAR(255) UNIQUE,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                concluido_em TIMESTAMP
+            )
+        `);
+        // Uma linha por tentativa de envio: é o status de entrega que a recepção consulta por agendamento
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS mensagens_enviadas (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                agendamento_id INTEGER REFERENCES agendamentos(id) ON DELETE SET NULL,
+                paciente_id INTEGER REFERENCES pacientes(id) ON DELETE SET NULL,
+                job_id INTEGER,
+                tipo VARCHAR(50) NOT NULL,
+                canal VARCHAR(20) NOT NULL,
+                destino VARCHAR(255),
+                provedor VARCHAR(30),
+                provedor_id VARCHAR(255),
+                status VARCHAR(20) DEFAULT 'pendente',
+                erro TEXT,
+                conteudo TEXT,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                enviado_em TIMESTAMP,
+                atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        const migracoesJobs = [
+            'CREATE INDEX IF NOT EXISTS idx_jobs_fila ON jobs(status, executar_em)',
+            'CREATE INDEX IF NOT EXISTS idx_mensagens_agendamento ON mensagens_enviadas(agendamento_id, criado_em)',
+            'CREATE INDEX IF NOT EXISTS idx_mensagens_provedor ON mensagens_enviadas(provedor, provedor_id)',
+            'ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS lembretes_ativos BOOLEAN DEFAULT false',
+            `ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS lembrete_canais JSONB DEFAULT '["whatsapp", "email"]'`,
+            `ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS silencio_inicio TIME DEFAULT '21:00'`,
+            `ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS silencio_fim TIME DEFAULT '08:00'`,
+            'ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS aniversario_ativo BOOLEAN DEFAULT false',
+            `ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS aniversario_hora TIME DEFAULT '09:00'`,
+            'ALTER TABLE pacientes ADD COLUMN IF NOT EXISTS recebe_aniversario BOOLEAN DEFAULT true'
+        ];
+        for (const mig of migracoesJobs) {
+            try { await pool.query(mig); } catch (e) {}
+        }
+
+        // ============ CONVERSAS DE WHATSAPP ============
+        // Entrada e saída na mesma tabela: é a conversa completa com o paciente. provedor_id = wamid da Meta
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS conversas_whatsapp (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                paciente_id INTEGER REFERENCES pacientes(id) ON DELETE SET NULL,
+                agendamento_id INTEGER REFERENCES agendamentos(id) ON DELETE SET NULL,
+                telefone VARCHAR(20) NOT NULL,
+                direcao VARCHAR(10) NOT NULL,
+                tipo VARCHAR(30) DEFAULT 'texto',
+                conteudo TEXT,
+                provedor_id VARCHAR(255) UNIQUE,
+                status VARCHAR(20),
+                enviado_por VARCHAR(255),
+                lida_em TIMESTAMP,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        // ============ MODELOS DE MENSAGEM ============
+        // variantes: { email: { assunto, corpo }, whatsapp: { corpo, template: { nome, parametros } }, sms: { corpo, limite } }
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS modelos_mensagem (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                chave VARCHAR(50) NOT NULL,
+                nome VARCHAR(255) NOT NULL,
+                contexto VARCHAR(30) NOT NULL,
+                variantes JSONB NOT NULL DEFAULT '{}',
+                ativo BOOLEAN DEFAULT true,
+                criado_por VARCHAR(255),
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (dentista_id, chave)
+            )
+        `);
+
+        // ============ CONSENTIMENTOS DE COMUNICAÇÃO (LGPD) ============
+        // Somente inserção: o estado atual é a linha mais recente de cada paciente/canal/finalidade
+        // e o histórico inteiro é a prova de quando e por onde o paciente consentiu ou saiu
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS consentimentos (
+                id SERIAL PRIMARY KEY,
+                dentista_id INTEGER REFERENCES dentistas(id) ON DELETE CASCADE,
+                paciente_id INTEGER NOT NULL REFERENCES pacientes(id) ON DELETE CASCADE,
+                canal VARCHAR(20) NOT NULL,
+                finalidade VARCHAR(30) NOT NULL,
+                consentido BOOLEAN NOT NULL,
+                origem VARCHAR(30) NOT NULL,
+                registrado_por VARCHAR(255),
+                ip VARCHAR(50),
+                observacao TEXT,
+                criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query('CREATE INDEX IF NOT EXISTS idx_consentimentos_paciente ON consentimentos(paciente_id, canal, finalidade, criado_em DESC)');
+            // Quem já tinha desmarcado a mensagem de aniversário vira opt-out registrado em todos os canais
+            await pool.query(`
+                INSERT INTO consentimentos (dentista_id, paciente_id, canal, finalidade, consentido, origem, observacao)
+                SELECT p.dentista_id, p.id, c.canal, 'aniversario', false, 'cadastro', 'Migrado de pacientes.recebe_aniversario'
+                FROM pacientes p CROSS JOIN (VALUES ('email'), ('whatsapp'), ('sms')) AS c(canal)
+                WHERE p.recebe_aniversario = false
+                  AND NOT EXISTS (SELECT 1 FROM consentimentos x WHERE x.paciente_id = p.id AND x.finalidade = 'aniversario')
+            `);
+        } catch (e) {
+            console.error('Erro migrar recebe_aniversario para consentimentos:', e.message);
+        }
+
+        const migracoesWhatsapp = [
+            'CREATE INDEX IF NOT EXISTS idx_conversas_whatsapp_telefone ON conversas_whatsapp(dentista_id, telefone, criado_em)',
+            'CREATE INDEX IF NOT EXISTS idx_conversas_whatsapp_paciente ON conversas_whatsapp(paciente_id, criado_em)',
+            'ALTER TABLE config_clinica ADD COLUMN IF NOT EXISTS whatsapp_phone_id VARCHAR(50)',
+            'ALTER TABLE conversas_whatsapp ADD COLUMN IF NOT EXISTS processado_em TIMESTAMP',
+            `UPDATE conversas_whatsapp SET processado_em = criado_em WHERE direcao = 'entrada' AND processado_em IS NULL`
+        ];
+        for (const mig of migracoesWhatsapp) {
+            try { await pool.query(mig); } catch (e) {}
+        }
+
+        // ============ ISOLAMENTO POR CLÍNICA ============
+        // odontograma_geral não tinha dono direto; preenche a partir do paciente
+        try {
+            await pool.query('ALTER TABLE odontograma_geral ADD COLUMN IF NOT EXISTS dentista_id INTEGER REFERENCES dentistas(id)');
+            await pool.query(`
+                UPDATE odontograma_geral og SET dentista_id = p.dentista_id
+                FROM pacientes p
+                WHERE og.paciente_id = p.id AND og.dentista_id IS NULL
+            `);
+        } catch (e) {}
+
+        if (RLS_ATIVO) {
+            const filtroTenant = `(NULLIF(current_setting('app.dentista_id', true), '') IS NULL
+                OR dentista_id = NULLIF(current_setting('app.dentista_id', true), '')::int)`;
+            const tabelasTenant = [
+                'pacientes', 'agendamentos', 'prontuarios', 'financeiro', 'notas_fiscais', 'anamnese',
+                'odontograma_geral', 'plano_tratamento', 'receitas', 'atestados', 'orcamentos',
+                'orcamentos_pendentes', 'retornos', 'series_agendamento', 'agendamentos_remarcacoes',
+                'agendamentos_status_historico', 'bloqueios_agenda', 'mensagens_enviadas', 'conversas_whatsapp',
+                'modelos_mensagem', 'consentimentos'
+            ];
+            for (const tabela of tabelasTenant) {
+                try {
+                    await pool.query(`ALTER TABLE ${tabela} ENABLE ROW LEVEL SECURITY`);
+                    await pool.query(`ALTER TABLE ${tabela} FORCE ROW LEVEL SECURITY`);
+                    await pool.query(`DROP POLICY IF EXISTS isolamento_tenant ON ${tabela}`);
+                    await pool.query(`CREATE POLICY isolamento_tenant ON ${tabela} USING ${filtroTenant} WITH CHECK ${filtroTenant}`);
+                } catch (e) {
+                    console.error(`RLS ${tabela}:`, e.message);
+                }
+            }
+            // Itens do plano não têm dentista_id: herdam do plano
+            try {
+                await pool.query('ALTER TABLE plano_tratamento_itens ENABLE ROW LEVEL SECURITY');
+                await pool.query('ALTER TABLE plano_tratamento_itens FORCE ROW LEVEL SECURITY');
+                await pool.query('DROP POLICY IF EXISTS isolamento_tenant ON plano_tratamento_itens');
+                await pool.query(`
+                    CREATE POLICY isolamento_tenant ON plano_tratamento_itens
+                    USING (EXISTS (SELECT 1 FROM plano_tratamento pt WHERE pt.id = plano_id))
+                    WITH CHECK (EXISTS (SELECT 1 FROM plano_tratamento pt WHERE pt.id = plano_id))
+                `);
+            } catch (e) {
+                console.error('RLS plano_tratamento_itens:', e.message);
+            }
+            console.log('Row level security ativo nas tabelas clínicas');
+        }
+
         console.log('Banco de dados inicializado!');
     } catch (error) {
         console.error('Erro ao inicializar banco:', error.message);
@@ -707,25 +1328,195 @@ function validarId(valor) {
     return !isNaN(id) && id > 0 ? id : null;
 }
 
+// Data AAAA-MM-DD que existe no calendário. 2026-02-30 passa no formato, mas o Date "rola" para março
+// e o Postgres recusa: só vale a data que volta igual
+function dataValida(valor) {
+    if (typeof valor !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(valor)) return false;
+    const data = new Date(valor + 'T00:00:00Z');
+    return !isNaN(data) && data.toISOString().slice(0, 10) === valor;
+}
+
 // ==============================================================================
-// FUNÇÃO PARA GERAR CÓDIGO ÚNICO DE CONFIRMAÇÃO
+// ESCAPE DE HTML PARA EMAILS
 // ==============================================================================
 
-function gerarCodigoConfirmacao() {
-    // Gera código de 6 caracteres (letras maiúsculas + números)
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Sem 0, O, 1, I para evitar confusão
-    let codigo = '';
-    for (let i = 0; i < 6; i++) {
-        codigo += chars.charAt(Math.floor(Math.random() * chars.length));
+// Valores digitados por pacientes entram no HTML dos emails da clínica
+function escapeHtml(valor) {
+    return String(valor ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ==============================================================================
+// FUSO HORÁRIO DA CLÍNICA
+// ==============================================================================
+
+// Servidor e banco rodam em UTC; "hoje", "agora", horário de silêncio e horários da agenda são de Brasília
+const FUSO_CLINICA = 'America/Sao_Paulo';
+const AGORA_CLINICA_SQL = `(NOW() AT TIME ZONE '${FUSO_CLINICA}')`;
+const HOJE_CLINICA_SQL = `${AGORA_CLINICA_SQL}::date`;
+const formatoHoraClinica = new Intl.DateTimeFormat('pt-BR', {
+    timeZone: FUSO_CLINICA, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+});
+
+// Data (AAAA-MM-DD) e minuto do dia de um instante no fuso da clínica
+function dataEMinutoLocal(instante) {
+    const p = {};
+    for (const parte of formatoHoraClinica.formatToParts(instante)) p[parte.type] = parte.value;
+    return { data: `${p.year}-${p.month}-${p.day}`, minuto: parseInt(p.hour) * 60 + parseInt(p.minute) };
+}
+
+// Instante de uma data (AAAA-MM-DD) e hora da agenda, lidas no fuso da clínica
+function instanteLocalClinica(data, hora) {
+    const [ano, mes, dia] = dataParaTexto(data).split('-').map(Number);
+    const alvo = Date.UTC(ano, mes - 1, dia, 0, horaParaMinutos(hora || '00:00'));
+    let instante = alvo;
+    // Corrige pela diferença do relógio da clínica; a segunda volta acerta a virada de horário de verão
+    for (let i = 0; i < 2; i++) {
+        const local = dataEMinutoLocal(new Date(instante));
+        const [la, lm, ld] = local.data.split('-').map(Number);
+        instante += alvo - Date.UTC(la, lm - 1, ld, 0, local.minuto);
     }
-    return codigo;
+    return new Date(instante);
 }
 
-async function gerarCodigoUnico() {
-    // Tenta até 10 vezes gerar um código que não existe
+// ==============================================================================
+// PROPRIEDADE DOS REGISTROS (ISOLAMENTO ENTRE CLÍNICAS)
+// ==============================================================================
+
+// Como descobrir o dentista dono de cada tipo de registro
+const CONSULTAS_DONO = {
+    paciente: 'SELECT dentista_id FROM pacientes WHERE id = $1',
+    profissional: 'SELECT dentista_id FROM profissionais WHERE id = $1',
+    bloqueio_agenda: 'SELECT dentista_id FROM bloqueios_agenda WHERE id = $1',
+    feed_calendario: 'SELECT dentista_id FROM feeds_calendario WHERE id = $1',
+    modelo_mensagem: 'SELECT dentista_id FROM modelos_mensagem WHERE id = $1',
+    receita: 'SELECT dentista_id FROM receitas WHERE id = $1',
+    atestado: 'SELECT dentista_id FROM atestados WHERE id = $1',
+    orcamento: 'SELECT dentista_id FROM orcamentos WHERE id = $1',
+    orcamento_pendente: 'SELECT dentista_id FROM orcamentos_pendentes WHERE id = $1',
+    plano: 'SELECT dentista_id FROM plano_tratamento WHERE id = $1',
+    plano_item: `SELECT pt.dentista_id FROM plano_tratamento_itens i
+                 JOIN plano_tratamento pt ON pt.id = i.plano_id WHERE i.id = $1`
+};
+
+async function pertenceAoDentista(tipo, id, dentistaId) {
+    const result = await pool.query(CONSULTAS_DONO[tipo], [id]);
+    return result.rows.length > 0 && parseInt(result.rows[0].dentista_id) === parseInt(dentistaId);
+}
+
+// Middleware: o registro indicado em req.params (ou req.body) tem que ser da clínica logada.
+// Registro de outra clínica responde 404, igual a inexistente, para não revelar ids.
+function verificarPropriedade(tipo, campo) {
+    return async (req, res, next) => {
+        const valor = req.params[campo] !== undefined ? req.params[campo] : (req.body || {})[campo];
+        if (valor === undefined || valor === null || valor === '') {
+            return next(); // campo ausente: a própria rota valida se é obrigatório
+        }
+
+        const id = validarId(valor);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        try {
+            if (!(await pertenceAoDentista(tipo, id, req.dentistaId))) {
+                return res.status(404).json({ success: false, erro: 'Registro não encontrado' });
+            }
+            next();
+        } catch (error) {
+            console.error('Erro verificar propriedade:', error);
+            res.status(500).json({ success: false, erro: 'Erro interno' });
+        }
+    };
+}
+
+// ==============================================================================
+// AUDITORIA (quem viu e quem alterou dados de pacientes)
+// ==============================================================================
+
+// Dados de identificação do paciente não entram nos snapshots (a auditoria é imutável e sobreviveria
+// à anonimização). paciente_* vale para qualquer entidade; o resto só no snapshot do próprio paciente.
+const CAMPOS_PII_AUDITORIA = [
+    'nome', 'cpf', 'rg', 'data_nascimento', 'telefone', 'celular', 'email', 'endereco', 'numero', 'complemento',
+    'bairro', 'cep', 'passaporte', 'tel_recados', 'nome_recado', 'whatsapp', 'observacoes',
+    'responsavel_nome', 'responsavel_cpf', 'responsavel_rg', 'responsavel_telefone', 'responsavel_email', 'responsavel_endereco'
+];
+const CAMPOS_PII_AGENDA = ['paciente_nome', 'paciente_telefone', 'paciente_email', 'paciente_cpf'];
+
+// No "depois" o campo mostra só se mudou em relação ao "antes"
+function redigirSnapshotAuditoria(entidade, dados, referencia) {
+    if (!dados || typeof dados !== 'object' || Array.isArray(dados)) return dados;
+    const campos = entidade === 'paciente' ? CAMPOS_PII_AUDITORIA.concat(CAMPOS_PII_AGENDA) : CAMPOS_PII_AGENDA;
+    const copia = { ...dados };
+    for (const campo of campos) {
+        if (copia[campo] === undefined || copia[campo] === null) continue;
+        const alterado = referencia && JSON.stringify(referencia[campo]) !== JSON.stringify(dados[campo]);
+        copia[campo] = alterado ? '[alterado]' : '[redigido]';
+    }
+    return copia;
+}
+
+// Grava um evento na trilha de auditoria (tabela somente inserção).
+// Falha de auditoria é logada mas não derruba a operação do usuário.
+async function registrarAuditoria(req, evento) {
+    try {
+        const antes = redigirSnapshotAuditoria(evento.entidade, evento.antes, null);
+        const depois = redigirSnapshotAuditoria(evento.entidade, evento.depois, evento.antes || null);
+        await pool.query(`
+            INSERT INTO auditoria (dentista_id, usuario_id, tipo_usuario, ator_nome, acao, entidade, entidade_id,
+                                   paciente_id, dados_antes, dados_depois, ip, user_agent, rota, api_key_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        `, [
+            req.dentistaId,
+            req.usuarioId || null,
+            req.tipoUsuario,
+            req.nomeUsuario || null,
+            evento.acao,
+            evento.entidade,
+            evento.entidadeId ? parseInt(evento.entidadeId) : null,
+            evento.pacienteId ? parseInt(evento.pacienteId) : null,
+            antes ? JSON.stringify(antes) : null,
+            depois ? JSON.stringify(depois) : null,
+            obterIp(req),
+            (req.headers['user-agent'] || '').substring(0, 500),
+            `${req.method} ${req.originalUrl}`.substring(0, 255),
+            req.apiKeyId || null
+        ]);
+    } catch (error) {
+        console.error('Erro registrar auditoria:', error.message);
+    }
+}
+
+// Estado atual do registro da clínica (o "antes" de uma alteração)
+async function registroAtual(tabela, id, dentistaId) {
+    const result = await pool.query(`SELECT * FROM ${tabela} WHERE id = $1 AND dentista_id = $2`, [id, dentistaId]);
+    return result.rows[0] || null;
+}
+
+// ==============================================================================
+// FUNÇÃO PARA GERAR CÓDIGO ÚNICO DE CONFIRMAÇÃO
+// ==============================================================================
+
+function gerarCodigoConfirmacao() {
+    // Gera código de 6 caracteres (letras maiúsculas + números)
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Sem 0, O, 1, I para evitar confusão
+    let codigo = '';
+    for (let i = 0; i < 6; i++) {
+        codigo += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return codigo;
+}
+
+// db = pool ou client de transação
+async function gerarCodigoUnico(db = pool) {
+    // Tenta até 10 vezes gerar um código que não existe
     for (let tentativa = 0; tentativa < 10; tentativa++) {
         const codigo = gerarCodigoConfirmacao();
-        const existe = await pool.query(
+        const existe = await db.query(
             'SELECT id FROM agendamentos WHERE codigo_confirmacao = $1',
             [codigo]
         );
@@ -745,179 +1536,940 @@ function authMiddleware(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
+    // Integrações: chave de API no header X-API-Key ou como Bearer
+    const chaveApi = req.headers['x-api-key'] || (token && token.startsWith(PREFIXO_API_KEY) ? token : null);
+    if (chaveApi) {
+        return autenticarApiKey(req, res, next, chaveApi);
+    }
+
     if (!token) {
         console.log('Auth: Token não fornecido');
         return res.status(401).json({ success: false, erro: 'Token não fornecido' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
+    jwt.verify(token, JWT_SECRET, async (err, decoded) => {
         if (err) {
             console.log('Auth: Token inválido -', err.message);
             if (err.name === 'TokenExpiredError') {
-                return res.status(403).json({ success: false, erro: 'Sessão expirada. Faça login novamente.' });
+                return res.status(403).json({ success: false, erro: 'Sessão expirada. Faça login novamente.', tokenExpirado: true });
             }
             return res.status(403).json({ success: false, erro: 'Token inválido' });
         }
-        
+
         // Compatibilidade: se não tem tipo, é dentista (tokens antigos)
         if (!decoded.tipo) {
             decoded.tipo = 'dentista';
             decoded.permissoes = ['*']; // Acesso total
         }
-        
-        // Para usuários vinculados, o dentistaId vem do token
-        if (decoded.tipo === 'usuario') {
-            req.dentistaId = decoded.dentista_id;
-            req.usuarioId = decoded.id;
-            req.tipoUsuario = 'usuario';
-            req.permissoes = decoded.permissoes || [];
-            req.nomeUsuario = decoded.nome;
-        } else {
-            // Dentista normal
-            req.dentistaId = decoded.id;
-            req.usuarioId = null;
-            req.tipoUsuario = 'dentista';
-            req.permissoes = ['*']; // Acesso total
-            req.nomeUsuario = decoded.nome;
+
+        try {
+            // Sessão revogada ou conta desativada invalidam o token na hora
+            const situacao = await verificarSessaoAtiva(decoded);
+            if (!situacao.ativa) {
+                console.log('Auth: Sessão inválida -', situacao.motivo);
+                return res.status(401).json({ success: false, erro: situacao.motivo, sessaoEncerrada: true });
+            }
+
+            // req.dentistaId é o tenant (clínica) de todas as consultas; para usuários vinculados vem do token
+            if (decoded.tipo === 'usuario') {
+                req.dentistaId = parseInt(decoded.dentista_id);
+                req.usuarioId = parseInt(decoded.id);
+                req.tipoUsuario = 'usuario';
+                // Permissões vêm do banco para refletir alterações imediatamente
+                req.permissoes = situacao.permissoes || decoded.permissoes || [];
+                req.nomeUsuario = decoded.nome;
+            } else {
+                // Dentista normal
+                req.dentistaId = parseInt(decoded.id);
+                req.usuarioId = null;
+                req.tipoUsuario = 'dentista';
+                req.permissoes = ['*']; // Acesso total
+                req.nomeUsuario = decoded.nome;
+            }
+
+            req.sessaoId = decoded.sid || null;
+            req.user = decoded;
+            if (RLS_ATIVO) {
+                return contextoTenant.run({ dentistaId: req.dentistaId }, next);
+            }
+            next();
+        } catch (error) {
+            console.error('Auth: Erro ao verificar sessão -', error.message);
+            res.status(500).json({ success: false, erro: 'Erro interno' });
         }
-        
-        req.user = decoded;
-        next();
     });
 }
 
-// Middleware para verificar permissão específica
-function verificarPermissao(permissaoNecessaria) {
-    return (req, res, next) => {
-        // Dentista tem acesso total
-        if (req.tipoUsuario === 'dentista' || req.permissoes.includes('*')) {
-            return next();
+// Converte o campo JSONB de permissões (pode vir como string) em array
+function parsePermissoes(valor) {
+    try {
+        return typeof valor === 'string' ? JSON.parse(valor) : (valor || []);
+    } catch (e) {
+        return [];
+    }
+}
+
+// Verifica no banco se a sessão do token continua válida e se a conta está ativa.
+// Tokens antigos (sem "sid") não têm sessão, mas ainda passam pela checagem da conta.
+async function verificarSessaoAtiva(decoded) {
+    if (decoded.sid) {
+        const sessao = await pool.query(
+            'SELECT revogado_em, expira_em FROM sessoes WHERE id = $1',
+            [decoded.sid]
+        );
+        if (sessao.rows.length === 0 || sessao.rows[0].revogado_em || new Date(sessao.rows[0].expira_em) < new Date()) {
+            return { ativa: false, motivo: 'Sessão encerrada. Faça login novamente.' };
         }
-        
-        // Verifica se usuário tem a permissão
-        if (req.permissoes.includes(permissaoNecessaria)) {
+    }
+
+    if (decoded.tipo === 'usuario') {
+        const usuario = await pool.query(`
+            SELECT u.ativo, u.permissoes, d.ativo AS dentista_ativo
+            FROM usuarios_vinculados u
+            JOIN dentistas d ON u.dentista_id = d.id
+            WHERE u.id = $1
+        `, [parseInt(decoded.id)]);
+        if (usuario.rows.length === 0 || usuario.rows[0].ativo === false || usuario.rows[0].dentista_ativo === false) {
+            return { ativa: false, motivo: 'Conta desativada' };
+        }
+        return { ativa: true, permissoes: parsePermissoes(usuario.rows[0].permissoes) };
+    }
+
+    const dentista = await pool.query('SELECT * FROM dentistas WHERE id = $1', [parseInt(decoded.id)]);
+    if (dentista.rows.length === 0 || dentista.rows[0].ativo === false || dentista.rows[0].subscription_active === false) {
+        return { ativa: false, motivo: 'Conta desativada' };
+    }
+    return { ativa: true };
+}
+
+// ==============================================================================
+// CHAVES DE API (credencial alternativa ao JWT para integrações)
+// ==============================================================================
+
+const PREFIXO_API_KEY = 'du_';
+const API_KEY_DIAS_PADRAO = parseInt(process.env.API_KEY_DIAS_PADRAO) || 365;
+
+// Rotas de conta e de gestão de acessos nunca aceitam chave de API
+const ROTAS_SEM_API_KEY = ['/api/auth', '/api/sessoes', '/api/usuarios', '/api/api-keys', '/api/seguranca', '/api/auditoria'];
+
+// Formato: du_<prefixo>_<segredo>. O prefixo identifica a chave na listagem sem expor o segredo.
+function gerarApiKey() {
+    const prefixo = crypto.randomBytes(4).toString('hex');
+    const chave = `${PREFIXO_API_KEY}${prefixo}_${crypto.randomBytes(24).toString('hex')}`;
+    return { chave, prefixo: PREFIXO_API_KEY + prefixo, hash: hashToken(chave) };
+}
+
+async function autenticarApiKey(req, res, next, chave) {
+    try {
+        const result = await pool.query(
+            'SELECT id, dentista_id, nome, escopos, expira_em, revogada_em FROM api_keys WHERE chave_hash = $1',
+            [hashToken(String(chave))]
+        );
+        const apiKey = result.rows[0];
+        if (!apiKey || apiKey.revogada_em) {
+            console.log('Auth: Chave de API inválida');
+            return res.status(401).json({ success: false, erro: 'Chave de API inválida' });
+        }
+        if (apiKey.expira_em && new Date(apiKey.expira_em) < new Date()) {
+            return res.status(401).json({ success: false, erro: 'Chave de API expirada' });
+        }
+
+        // O Express casa rotas sem diferenciar maiúsculas: a comparação precisa fazer o mesmo
+        const rota = req.originalUrl.split('?')[0];
+        const caminho = (req.baseUrl + req.path).toLowerCase();
+        if (ROTAS_SEM_API_KEY.some(p => caminho === p || caminho.startsWith(p + '/'))) {
+            return res.status(403).json({ success: false, erro: 'Esta rota não aceita chave de API' });
+        }
+
+        // A chave perde o efeito junto com a conta da clínica
+        const situacao = await verificarSessaoAtiva({ tipo: 'dentista', id: apiKey.dentista_id });
+        if (!situacao.ativa) {
+            return res.status(401).json({ success: false, erro: situacao.motivo });
+        }
+
+        req.dentistaId = parseInt(apiKey.dentista_id);
+        req.usuarioId = null;
+        req.tipoUsuario = 'api_key';
+        req.permissoes = filtrarPermissoes(parsePermissoes(apiKey.escopos));
+        req.nomeUsuario = 'API: ' + apiKey.nome;
+        req.apiKeyId = apiKey.id;
+        req.sessaoId = null;
+        req.user = { id: req.dentistaId, tipo: 'api_key', nome: req.nomeUsuario, apiKeyId: apiKey.id };
+
+        // Toda chamada feita com a chave fica registrada, com o status da resposta
+        const ip = obterIp(req);
+        res.on('finish', () => {
+            pool.query(`
+                INSERT INTO api_keys_uso (api_key_id, dentista_id, metodo, rota, status_http, ip, user_agent)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [apiKey.id, req.dentistaId, req.method, rota.substring(0, 255), res.statusCode, ip,
+                (req.headers['user-agent'] || '').substring(0, 500)]
+            ).catch(e => console.error('Erro registrar uso da chave de API:', e.message));
+            pool.query(
+                'UPDATE api_keys SET ultimo_uso_em = CURRENT_TIMESTAMP, ultimo_ip = $1, total_usos = total_usos + 1 WHERE id = $2',
+                [ip, apiKey.id]
+            ).catch(e => console.error('Erro atualizar uso da chave de API:', e.message));
+        });
+
+        if (RLS_ATIVO) {
+            return contextoTenant.run({ dentistaId: req.dentistaId }, next);
+        }
+        next();
+    } catch (error) {
+        console.error('Auth: Erro ao verificar chave de API -', error.message);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+}
+
+// Quem edita também visualiza
+const PERMISSOES_IMPLICITAS = {
+    agenda_editar: ['agenda'],
+    pacientes_editar: ['pacientes_visualizar'],
+    financeiro_editar: ['financeiro_visualizar']
+};
+
+// Recurso -> permissões que liberam cada ação (qualquer uma basta).
+// [] = qualquer usuário logado; null = apenas o dentista. É o mesmo mapa aplicado nas rotas.
+const MATRIZ_PERMISSOES = {
+    agenda: { visualizar: ['agenda'], editar: ['agenda_editar'] },
+    pacientes: { visualizar: ['pacientes_visualizar'], editar: ['pacientes_editar'] },
+    prontuario: { visualizar: ['prontuario'], editar: ['prontuario'] },
+    odontograma: { visualizar: ['odontograma'], editar: ['odontograma'] },
+    plano_tratamento: { visualizar: ['plano_tratamento'], editar: ['plano_tratamento'] },
+    orcamentos: { visualizar: ['plano_tratamento', 'financeiro_visualizar'], editar: ['plano_tratamento', 'financeiro_editar'] },
+    tabela_precos: { visualizar: ['agenda', 'plano_tratamento', 'financeiro_visualizar'], editar: ['financeiro_editar'] },
+    financeiro: { visualizar: ['financeiro_visualizar'], editar: ['financeiro_editar'] },
+    laboratorio: { visualizar: ['laboratorio'], editar: ['laboratorio'] },
+    nfse: { visualizar: ['nfse'], editar: ['nfse'] },
+    relatorios: { visualizar: ['relatorios'], editar: null },
+    profissionais: { visualizar: ['agenda', 'configuracoes'], editar: ['configuracoes'] },
+    configuracoes: { visualizar: [], editar: ['configuracoes'] },
+    // Gestão de acessos (usuários, chaves de API) é sempre do dentista: não existe permissão que libere
+    usuarios: { visualizar: null, editar: null }
+};
+
+// Permissões do usuário já com as implícitas
+function permissoesEfetivas(permissoes) {
+    const efetivas = new Set(permissoes || []);
+    for (const permissao of permissoes || []) {
+        for (const implicita of PERMISSOES_IMPLICITAS[permissao] || []) {
+            efetivas.add(implicita);
+        }
+    }
+    return [...efetivas];
+}
+
+function possuiPermissao(req, permissoesAceitas) {
+    // Dentista tem acesso total
+    if (req.tipoUsuario === 'dentista' || req.permissoes.includes('*')) {
+        return true;
+    }
+    if (permissoesAceitas === null) {
+        return false;
+    }
+    if (permissoesAceitas.length === 0) {
+        return true;
+    }
+    const efetivas = permissoesEfetivas(req.permissoes);
+    return permissoesAceitas.some(p => efetivas.includes(p));
+}
+
+function middlewarePermissao(permissoesAceitas) {
+    return (req, res, next) => {
+        if (possuiPermissao(req, permissoesAceitas)) {
             return next();
         }
         
-        return res.status(403).json({ 
-            success: false, 
-            erro: 'Você não tem permissão para acessar este recurso' 
+        return res.status(403).json({
+            success: false,
+            erro: 'Você não tem permissão para acessar este recurso'
         });
     };
 }
 
+// Middleware para verificar permissão específica (aceita várias: basta ter uma)
+function verificarPermissao(...permissoesAceitas) {
+    return middlewarePermissao(permissoesAceitas);
+}
+
+// Usado nas rotas: verificarAcesso('financeiro', 'editar')
+function verificarAcesso(recurso, acao) {
+    return middlewarePermissao(MATRIZ_PERMISSOES[recurso][acao]);
+}
+
 // ==============================================================================
-// ROTAS DE AUTENTICAÇÃO
+// SESSÕES (ACCESS TOKEN + REFRESH TOKEN)
 // ==============================================================================
 
-// Configuração do envio de email via PHP (Hostinger)
-const EMAIL_PHP_URL = process.env.EMAIL_PHP_URL || 'https://dentalultra.com.br/api/enviar-email.php';
-const EMAIL_CHAVE_SECRETA = process.env.EMAIL_CHAVE_SECRETA || 'DENTAL_ULTRA_EMAIL_2024_SECRETKEY';
-const FRONTEND_URL = process.env.FRONTEND_URL || 'https://dentalultra.com.br';
+// Hash SHA-256 usado para guardar tokens sem armazenar o valor original
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-// Função para gerar token aleatório
-function gerarToken(tamanho = 32) {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let token = '';
-    for (let i = 0; i < tamanho; i++) {
-        token += chars.charAt(Math.floor(Math.random() * chars.length));
+// IP real do cliente (req.ip respeita o "trust proxy"; o X-Forwarded-For cru pode ser forjado)
+function obterIp(req) {
+    return req.ip || (req.socket ? req.socket.remoteAddress : null);
+}
+
+// Dados que vão no JWT de um dentista
+function montarPayloadDentista(dentista) {
+    return {
+        id: dentista.id.toString(),
+        email: dentista.email,
+        nome: dentista.nome || dentista.name,
+        tipo: 'dentista',
+        permissoes: ['*']
+    };
+}
+
+// Dados que vão no JWT de um usuário vinculado
+function montarPayloadUsuario(usuario) {
+    return {
+        id: usuario.id.toString(),
+        dentista_id: usuario.dentista_id.toString(),
+        email: usuario.email,
+        nome: usuario.nome,
+        tipo: 'usuario',
+        cargo: usuario.cargo,
+        permissoes: parsePermissoes(usuario.permissoes)
+    };
+}
+
+// Cria a sessão no banco e emite o par access token (curto) + refresh token (persistido)
+async function criarSessao(req, payload) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expira = new Date(Date.now() + REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000);
+    const ehUsuario = payload.tipo === 'usuario';
+
+    const sessao = await pool.query(`
+        INSERT INTO sessoes (dentista_id, usuario_id, tipo_usuario, refresh_token_hash, ip, user_agent, expira_em)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+    `, [
+        parseInt(ehUsuario ? payload.dentista_id : payload.id),
+        ehUsuario ? parseInt(payload.id) : null,
+        payload.tipo,
+        hashToken(refreshToken),
+        obterIp(req),
+        (req.headers['user-agent'] || '').substring(0, 500),
+        expira
+    ]);
+
+    const sessaoId = sessao.rows[0].id;
+    const token = jwt.sign({ ...payload, sid: sessaoId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRA });
+
+    return { token, refreshToken, sessaoId, refreshExpiraEm: expira };
+}
+
+// Revoga sessões ativas conforme o filtro (ex: todas de um usuário vinculado)
+async function revogarSessoes(filtro, motivo) {
+    // Sem clínica ou usuário no filtro o UPDATE pegaria as sessões de todas as clínicas
+    if (!filtro.dentistaId && !filtro.usuarioId) {
+        throw new Error('revogarSessoes exige dentistaId ou usuarioId no filtro');
     }
-    return token;
+    const condicoes = ['revogado_em IS NULL'];
+    const params = [motivo];
+
+    if (filtro.sessaoId) {
+        params.push(filtro.sessaoId);
+        condicoes.push(`id = $${params.length}`);
+    }
+    if (filtro.dentistaId) {
+        params.push(parseInt(filtro.dentistaId));
+        condicoes.push(`dentista_id = $${params.length}`);
+    }
+    if (filtro.usuarioId) {
+        params.push(parseInt(filtro.usuarioId));
+        condicoes.push(`usuario_id = $${params.length}`);
+    }
+    if (filtro.apenasDentista) {
+        condicoes.push(`usuario_id IS NULL`);
+    }
+    if (filtro.excetoSessaoId) {
+        params.push(filtro.excetoSessaoId);
+        condicoes.push(`id != $${params.length}`);
+    }
+
+    const result = await pool.query(
+        `UPDATE sessoes SET revogado_em = CURRENT_TIMESTAMP, motivo_revogacao = $1 WHERE ${condicoes.join(' AND ')}`,
+        params
+    );
+    return result.rowCount;
 }
 
-// Função para enviar email via PHP
-async function enviarEmail(para, assunto, mensagemHtml) {
+// ==============================================================================
+// PROTEÇÃO CONTRA FORÇA BRUTA (TENTATIVAS + BLOQUEIO PROGRESSIVO)
+// ==============================================================================
+
+// Política por escopo. Cada valor pode ser sobrescrito por variável de ambiente,
+// ex: BLOQUEIO_LOGIN_CONTA_MAX=5, BLOQUEIO_LOGIN_CONTA_JANELA_MIN=15, BLOQUEIO_LOGIN_CONTA_MIN=15
+function lerPoliticaBloqueio(escopo, padrao) {
+    const prefixo = `BLOQUEIO_${escopo.toUpperCase()}_`;
+    return {
+        maxFalhas: parseInt(process.env[prefixo + 'MAX']) || padrao.maxFalhas,
+        janelaMinutos: parseInt(process.env[prefixo + 'JANELA_MIN']) || padrao.janelaMinutos,
+        bloqueioMinutos: parseInt(process.env[prefixo + 'MIN']) || padrao.bloqueioMinutos
+    };
+}
+
+const POLITICA_BLOQUEIO = {
+    login_conta: lerPoliticaBloqueio('login_conta', { maxFalhas: 5, janelaMinutos: 15, bloqueioMinutos: 15 }),
+    login_ip: lerPoliticaBloqueio('login_ip', { maxFalhas: 20, janelaMinutos: 15, bloqueioMinutos: 15 }),
+    dois_fatores: lerPoliticaBloqueio('dois_fatores', { maxFalhas: 5, janelaMinutos: 15, bloqueioMinutos: 15 }),
+    codigo_ip: lerPoliticaBloqueio('codigo_ip', { maxFalhas: 10, janelaMinutos: 15, bloqueioMinutos: 30 }),
+    recuperacao_ip: lerPoliticaBloqueio('recuperacao_ip', { maxFalhas: 10, janelaMinutos: 60, bloqueioMinutos: 60 })
+};
+// Cada novo bloqueio dobra a duração, até este teto; o nível zera após 24h sem bloqueio
+const BLOQUEIO_MAX_MINUTOS = parseInt(process.env.BLOQUEIO_MAX_MINUTOS) || 24 * 60;
+
+function chaveTentativa(escopo, identificador) {
+    return `${escopo}:${String(identificador || '').toLowerCase()}`.substring(0, 255);
+}
+
+// Retorna null ou { segundosRestantes } se o identificador estiver bloqueado no escopo
+async function verificarBloqueio(escopo, identificador) {
+    const result = await pool.query(`
+        SELECT CEIL(EXTRACT(EPOCH FROM (bloqueado_ate - CURRENT_TIMESTAMP))) AS segundos
+        FROM tentativas_acesso
+        WHERE chave = $1 AND bloqueado_ate > CURRENT_TIMESTAMP
+    `, [chaveTentativa(escopo, identificador)]);
+    if (result.rows.length === 0) return null;
+    return { segundosRestantes: parseInt(result.rows[0].segundos) };
+}
+
+// Conta uma falha; ao atingir o limite da janela aplica bloqueio progressivo e registra o evento
+async function registrarFalha(escopo, identificador, contexto = {}) {
+    const politica = POLITICA_BLOQUEIO[escopo];
+    const chave = chaveTentativa(escopo, identificador);
+
+    const result = await pool.query(`
+        INSERT INTO tentativas_acesso (chave, escopo, falhas, janela_inicio)
+        VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (chave) DO UPDATE SET
+            falhas = CASE WHEN tentativas_acesso.janela_inicio < CURRENT_TIMESTAMP - make_interval(mins => $3)
+                          THEN 1 ELSE tentativas_acesso.falhas + 1 END,
+            janela_inicio = CASE WHEN tentativas_acesso.janela_inicio < CURRENT_TIMESTAMP - make_interval(mins => $3)
+                          THEN CURRENT_TIMESTAMP ELSE tentativas_acesso.janela_inicio END,
+            nivel = CASE WHEN tentativas_acesso.ultimo_bloqueio_em < CURRENT_TIMESTAMP - INTERVAL '24 hours'
+                          THEN 0 ELSE tentativas_acesso.nivel END,
+            atualizado_em = CURRENT_TIMESTAMP
+        RETURNING falhas, nivel
+    `, [chave, escopo, politica.janelaMinutos]);
+
+    const { falhas, nivel } = result.rows[0];
+    if (falhas < politica.maxFalhas) return null;
+
+    const minutos = Math.min(politica.bloqueioMinutos * Math.pow(2, nivel), BLOQUEIO_MAX_MINUTOS);
+    const bloqueio = await pool.query(`
+        UPDATE tentativas_acesso
+        SET falhas = 0, nivel = nivel + 1, janela_inicio = CURRENT_TIMESTAMP,
+            bloqueado_ate = CURRENT_TIMESTAMP + make_interval(mins => $2), ultimo_bloqueio_em = CURRENT_TIMESTAMP
+        WHERE chave = $1
+        RETURNING nivel, bloqueado_ate
+    `, [chave, minutos]);
+
+    await pool.query(`
+        INSERT INTO eventos_bloqueio (dentista_id, usuario_id, escopo, identificador, ip, nivel, falhas, bloqueado_ate)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+        contexto.dentistaId ? parseInt(contexto.dentistaId) : null,
+        contexto.usuarioId ? parseInt(contexto.usuarioId) : null,
+        escopo,
+        String(identificador || '').substring(0, 255),
+        contexto.req ? obterIp(contexto.req) : null,
+        bloqueio.rows[0].nivel,
+        falhas,
+        bloqueio.rows[0].bloqueado_ate
+    ]);
+
+    console.warn(`Bloqueio ${escopo} para ${identificador} por ${minutos} min (nível ${bloqueio.rows[0].nivel})`);
+    return { segundosRestantes: minutos * 60 };
+}
+
+// Sucesso zera o contador (usado só em escopos por conta; contadores por IP expiram sozinhos)
+async function limparTentativas(escopo, identificador) {
+    await pool.query('DELETE FROM tentativas_acesso WHERE chave = $1', [chaveTentativa(escopo, identificador)]);
+}
+
+// Contadores sem bloqueio ativo, com a janela vencida e sem bloqueio nas últimas 24h (o nível já zeraria)
+// não mudam mais nada: apagados de hora em hora para a tabela não crescer com cada IP que passou
+const LIMPEZA_TENTATIVAS_MINUTOS = 60;
+
+async function limparTentativasExpiradas() {
     try {
-        const response = await fetch(EMAIL_PHP_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chave: EMAIL_CHAVE_SECRETA,
-                para: para,
-                assunto: assunto,
-                mensagem: mensagemHtml,
-                tipo: 'html'
-            })
-        });
-        const data = await response.json();
-        return data.success;
+        await pool.query(`
+            DELETE FROM tentativas_acesso
+            WHERE (bloqueado_ate IS NULL OR bloqueado_ate < CURRENT_TIMESTAMP)
+              AND (ultimo_bloqueio_em IS NULL OR ultimo_bloqueio_em < CURRENT_TIMESTAMP - INTERVAL '24 hours')
+              AND janela_inicio < CURRENT_TIMESTAMP - INTERVAL '24 hours'
+        `);
     } catch (error) {
-        console.error('Erro ao enviar email:', error);
-        return false;
+        console.error('Erro limpar tentativas de acesso:', error.message);
     }
 }
 
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { name, cro, email, password, clinic, specialty } = req.body;
+// Roda em toda instância, independente do worker de jobs (JOBS_ATIVOS)
+function iniciarLimpezaTentativas() {
+    setInterval(limparTentativasExpiradas, LIMPEZA_TENTATIVAS_MINUTOS * 60 * 1000);
+}
 
-        if (!name || !cro || !email || !password) {
-            return res.status(400).json({ success: false, erro: 'Campos obrigatórios faltando' });
-        }
+// Contexto do evento para que o bloqueio apareça para o dentista dono da conta
+function contextoBloqueioConta(req, tipo, conta) {
+    if (tipo === 'usuario') {
+        return { req, dentistaId: conta.dentista_id, usuarioId: conta.id };
+    }
+    return { req, dentistaId: conta.id };
+}
 
-        if (password.length < 6) {
-            return res.status(400).json({ success: false, erro: 'Senha deve ter no mínimo 6 caracteres' });
-        }
+function responderBloqueado(res, bloqueio) {
+    const minutos = Math.max(1, Math.ceil(bloqueio.segundosRestantes / 60));
+    res.set('Retry-After', String(bloqueio.segundosRestantes));
+    return res.status(429).json({
+        success: false,
+        erro: `Muitas tentativas. Tente novamente em ${minutos} minuto(s).`,
+        bloqueado: true,
+        tentarNovamenteEm: bloqueio.segundosRestantes
+    });
+}
 
-        // Verificar se email já existe (SELECT * para pegar todas as colunas disponíveis)
-        const existing = await pool.query('SELECT * FROM dentistas WHERE email = $1', [email.toLowerCase()]);
-        if (existing.rows.length > 0) {
-            const existingUser = existing.rows[0];
-            // Verificar se email_confirmado existe e é false (se a coluna não existir, considera como null)
-            const emailConfirmado = existingUser.email_confirmado;
-            
-            // Se já existe mas não confirmou (ou coluna não existe ainda), permite reenviar
-            if (emailConfirmado === false) {
-                const token = gerarToken();
-                const expira = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 horas
-                
-                await pool.query(
-                    'UPDATE dentistas SET token_confirmacao = $1, token_expira = $2 WHERE id = $3',
-                    [token, expira, existingUser.id]
-                );
-                
-                // Enviar email
-                const linkConfirmacao = `${FRONTEND_URL}/area-dentistas/confirmar-email.html?token=${token}`;
-                const emailHtml = `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-                        <div style="text-align: center; margin-bottom: 30px;">
-                            <h1 style="color: #1FA2FF;">[dente] Dental Ultra</h1>
-                        </div>
-                        <h2 style="color: #333;">Confirme seu email</h2>
-                        <p>Olá <strong>${name}</strong>,</p>
-                        <p>Você já iniciou um cadastro anteriormente. Clique no botão abaixo para confirmar seu email:</p>
-                        <div style="text-align: center; margin: 30px 0;">
-                            <a href="${linkConfirmacao}" style="background: linear-gradient(135deg, #1FA2FF, #12D8FA); color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
-                                [OK] Confirmar Email
-                            </a>
-                        </div>
-                        <p style="color: #666; font-size: 14px;">Este link expira em 24 horas.</p>
-                        <p style="color: #666; font-size: 14px;">Se você não solicitou este cadastro, ignore este email.</p>
-                        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-                        <p style="color: #999; font-size: 12px; text-align: center;">
-                            Dental Ultra - Sistema de Gestão Odontológica<br>
-                            suporte@dentalultra.com.br
-                        </p>
-                    </div>
-                `;
-                
-                await enviarEmail(email.toLowerCase(), '[dente] Confirme seu email - Dental Ultra', emailHtml);
-                
-                return res.status(200).json({
-                    success: true,
-                    message: 'Email de confirmação reenviado! Verifique sua caixa de entrada.',
-                    aguardandoConfirmacao: true
-                });
+// Middleware para rotas públicas: recusa o IP enquanto estiver bloqueado no escopo
+function limitarPorIp(escopo) {
+    return async (req, res, next) => {
+        try {
+            const bloqueio = await verificarBloqueio(escopo, obterIp(req));
+            if (bloqueio) {
+                return responderBloqueado(res, bloqueio);
             }
-            return res.status(400).json({ success: false, erro: 'Email já cadastrado' });
+        } catch (error) {
+            console.error('Erro verificar bloqueio:', error);
         }
+        next();
+    };
+}
 
-        // Gerar token e data de expiração
-        const token = gerarToken();
-        const expira = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 horas
+// Limite de taxa das rotas públicas abertas (portal): janela fixa em memória, sem ir ao banco.
+// Passou do limite, 429 até a janela virar - sem bloqueio progressivo nem evento de segurança,
+// porque excesso de uso do portal não é tentativa de invasão.
+const LIMITES_TAXA = {
+    portal_ip: { max: parseInt(process.env.TAXA_PORTAL_IP_MAX) || 120, janelaMinutos: 10 },
+    // Só agendamento criado gasta a cota: 409 de horário recém-ocupado deixa o paciente tentar outro
+    agendamento_online_ip: { max: parseInt(process.env.TAXA_AGENDAMENTO_ONLINE_IP_MAX) || 5, janelaMinutos: 60, apenasSucesso: true },
+    // Link de descadastro é assinado (não dá para adivinhar): o limite só segura varredura
+    descadastro_ip: { max: 30, janelaMinutos: 10 }
+};
+const contadoresTaxa = new Map();
+
+function contarRequisicaoPorIp(escopo) {
+    const limite = LIMITES_TAXA[escopo];
+    const janelaMs = limite.janelaMinutos * 60 * 1000;
+    return (req, res, next) => {
+        const agora = Date.now();
+        const inicioJanela = Math.floor(agora / janelaMs) * janelaMs;
 
-        const senhaHash = await bcrypt.hash(password, 10);
-        
+        // Descarta janelas vencidas de vez em quando para o mapa não crescer sem limite
+        if (contadoresTaxa.size > 10000) {
+            for (const [chave, c] of contadoresTaxa) {
+                if (c.fim <= agora) contadoresTaxa.delete(chave);
+            }
+        }
+
+        const chave = `${escopo}:${obterIp(req)}`;
+        let contador = contadoresTaxa.get(chave);
+        if (!contador || contador.fim <= agora) {
+            contador = { fim: inicioJanela + janelaMs, total: 0 };
+            contadoresTaxa.set(chave, contador);
+        }
+        if (contador.total >= limite.max) {
+            return responderBloqueado(res, { segundosRestantes: Math.ceil((contador.fim - agora) / 1000) });
+        }
+
+        if (limite.apenasSucesso) {
+            res.on('finish', () => {
+                if (res.statusCode < 300) contador.total++;
+            });
+        } else {
+            contador.total++;
+        }
+        next();
+    };
+}
+
+// ==============================================================================
+// AUTENTICAÇÃO EM DOIS FATORES (TOTP - RFC 6238)
+// ==============================================================================
+
+const BASE32_ALFABETO = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIODO = 30;
+const TOTP_JANELA = 1; // aceita 1 passo antes/depois (tolerância de relógio)
+
+function base32Codificar(buffer) {
+    let saida = '';
+    let bits = 0;
+    let valor = 0;
+    for (const byte of buffer) {
+        valor = (valor << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            saida += BASE32_ALFABETO[(valor >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        valor &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+        saida += BASE32_ALFABETO[(valor << (5 - bits)) & 31];
+    }
+    return saida;
+}
+
+function base32Decodificar(texto) {
+    const limpo = String(texto).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let valor = 0;
+    for (const caractere of limpo) {
+        const indice = BASE32_ALFABETO.indexOf(caractere);
+        if (indice === -1) continue;
+        valor = (valor << 5) | indice;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((valor >>> (bits - 8)) & 255);
+            bits -= 8;
+            valor &= (1 << bits) - 1;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// Código de 6 dígitos para um passo de tempo (HMAC-SHA1 + truncamento dinâmico)
+function gerarCodigoTotp(segredo, passo) {
+    const contador = Buffer.alloc(8);
+    contador.writeBigUInt64BE(BigInt(passo));
+    const hmac = crypto.createHmac('sha1', base32Decodificar(segredo)).update(contador).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binario = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+    return String(binario % 1000000).padStart(6, '0');
+}
+
+// Retorna o passo validado ou null. Passos já usados (ultimoPasso) são recusados para evitar replay
+function verificarCodigoTotp(segredo, codigo, ultimoPasso) {
+    if (!segredo || !/^\d{6}$/.test(codigo)) return null;
+    const passoAtual = Math.floor(Date.now() / 1000 / TOTP_PERIODO);
+    for (let desvio = -TOTP_JANELA; desvio <= TOTP_JANELA; desvio++) {
+        const passo = passoAtual + desvio;
+        if (ultimoPasso && passo <= parseInt(ultimoPasso)) continue;
+        const esperado = gerarCodigoTotp(segredo, passo);
+        if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(codigo))) {
+            return passo;
+        }
+    }
+    return null;
+}
+
+function montarUriTotp(segredo, email) {
+    const rotulo = encodeURIComponent(`${TOTP_EMISSOR}:${email}`);
+    return `otpauth://totp/${rotulo}?secret=${segredo}&issuer=${encodeURIComponent(TOTP_EMISSOR)}&algorithm=SHA1&digits=6&period=${TOTP_PERIODO}`;
+}
+
+function normalizarCodigoRecuperacao(codigo) {
+    return String(codigo || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Códigos de uso único (exibidos uma vez; no banco ficam só os hashes)
+function gerarCodigosRecuperacao(quantidade = 10) {
+    const codigos = [];
+    for (let i = 0; i < quantidade; i++) {
+        const bruto = base32Codificar(crypto.randomBytes(5));
+        codigos.push(`${bruto.substring(0, 4)}-${bruto.substring(4, 8)}`);
+    }
+    return {
+        codigos,
+        hashes: codigos.map(c => hashToken(normalizarCodigoRecuperacao(c)))
+    };
+}
+
+function tabelaConta(tipo) {
+    return tipo === 'usuario' ? 'usuarios_vinculados' : 'dentistas';
+}
+
+function parseCodigosRecuperacao(valor) {
+    if (!valor) return [];
+    if (typeof valor === 'string') {
+        try { return JSON.parse(valor); } catch (e) { return []; }
+    }
+    return valor;
+}
+
+// Carrega a conta com os mesmos dados usados no login
+async function buscarContaLogin(tipo, id) {
+    if (tipo === 'usuario') {
+        const result = await pool.query(`
+            SELECT u.*, d.nome as dentista_nome, d.clinica, d.cro, d.exigir_2fa_usuarios
+            FROM usuarios_vinculados u
+            JOIN dentistas d ON u.dentista_id = d.id
+            WHERE u.id = $1 AND u.ativo = true AND d.ativo = true
+              AND COALESCE(u.status_convite, 'aceito') = 'aceito'
+        `, [parseInt(id)]);
+        return result.rows[0] || null;
+    }
+
+    const result = await pool.query('SELECT * FROM dentistas WHERE id = $1', [parseInt(id)]);
+    const dentista = result.rows[0];
+    if (!dentista || dentista.subscription_active === false || dentista.ativo === false) {
+        return null;
+    }
+    return dentista;
+}
+
+// Token de curta duração que liga a etapa de senha à etapa do segundo fator
+function gerarTokenTemporario2fa(tipo, id, etapa) {
+    return jwt.sign({ conta: tipo, id: id.toString(), etapa }, JWT_SECRET_2FA, { expiresIn: '5m' });
+}
+
+function lerTokenTemporario2fa(token, etapa) {
+    if (!token) return null;
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET_2FA);
+        return decoded.etapa === etapa ? decoded : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Após a senha: decide se o login exige o código ou a configuração do 2FA
+function etapa2faPendente(tipo, conta) {
+    if (conta.totp_ativo) {
+        return {
+            success: true,
+            requer2fa: true,
+            message: 'Informe o código do aplicativo autenticador',
+            tokenTemporario: gerarTokenTemporario2fa(tipo, conta.id, 'verificar')
+        };
+    }
+    if (tipo === 'usuario' && conta.exigir_2fa_usuarios) {
+        return {
+            success: true,
+            requerConfiguracao2fa: true,
+            message: 'A clínica exige autenticação em dois fatores. Configure o aplicativo autenticador para continuar.',
+            tokenTemporario: gerarTokenTemporario2fa(tipo, conta.id, 'configurar')
+        };
+    }
+    return null;
+}
+
+// Valida código TOTP ou código de recuperação (consumindo-o)
+async function validarSegundoFator(tipo, conta, codigo) {
+    const tabela = tabelaConta(tipo);
+    const limpo = String(codigo || '').replace(/\s/g, '');
+
+    const passo = verificarCodigoTotp(conta.totp_secret, limpo, conta.totp_ultimo_passo);
+    if (passo !== null) {
+        // Condicional no passo: duas requisições com o mesmo código não passam ambas
+        const result = await pool.query(
+            `UPDATE ${tabela} SET totp_ultimo_passo = $1 WHERE id = $2 AND (totp_ultimo_passo IS NULL OR totp_ultimo_passo < $1)`,
+            [passo, conta.id]
+        );
+        return { valido: result.rowCount > 0, usouRecuperacao: false };
+    }
+
+    const hash = hashToken(normalizarCodigoRecuperacao(limpo));
+    const codigos = parseCodigosRecuperacao(conta.totp_codigos_recuperacao);
+    if (!codigos.includes(hash)) {
+        return { valido: false };
+    }
+    const restantes = codigos.filter(c => c !== hash);
+    const result = await pool.query(
+        `UPDATE ${tabela} SET totp_codigos_recuperacao = $1 WHERE id = $2 AND totp_codigos_recuperacao @> $3::jsonb`,
+        [JSON.stringify(restantes), conta.id, JSON.stringify([hash])]
+    );
+    return { valido: result.rowCount > 0, usouRecuperacao: true, restantes: restantes.length };
+}
+
+// Gera e guarda um novo segredo (ainda inativo até a confirmação com um código)
+async function iniciarConfiguracao2fa(tipo, conta) {
+    const segredo = base32Codificar(crypto.randomBytes(20));
+    await pool.query(
+        `UPDATE ${tabelaConta(tipo)} SET totp_secret = $1, totp_ultimo_passo = NULL WHERE id = $2 AND totp_ativo IS NOT TRUE`,
+        [segredo, conta.id]
+    );
+    return { segredo, otpauthUri: montarUriTotp(segredo, conta.email) };
+}
+
+// Confirma o segredo pendente com um código válido; retorna os códigos de recuperação ou null
+async function ativar2fa(tipo, conta, codigo) {
+    const passo = verificarCodigoTotp(conta.totp_secret, String(codigo || '').replace(/\s/g, ''), null);
+    if (passo === null) return null;
+
+    const recuperacao = gerarCodigosRecuperacao();
+    const result = await pool.query(`
+        UPDATE ${tabelaConta(tipo)}
+        SET totp_ativo = true, totp_ultimo_passo = $1, totp_codigos_recuperacao = $2
+        WHERE id = $3 AND totp_secret = $4 AND totp_ativo IS NOT TRUE
+    `, [passo, JSON.stringify(recuperacao.hashes), conta.id, conta.totp_secret]);
+
+    return result.rowCount > 0 ? recuperacao.codigos : null;
+}
+
+// Corpo da resposta de login bem-sucedido (mesmo formato com ou sem 2FA)
+function montarRespostaLogin(tipo, conta, sessao) {
+    if (tipo === 'usuario') {
+        return {
+            success: true,
+            message: 'Login realizado!',
+            token: sessao.token,
+            refreshToken: sessao.refreshToken,
+            tipo: 'usuario',
+            usuario: {
+                id: conta.id.toString(),
+                nome: conta.nome,
+                email: conta.email,
+                cargo: conta.cargo,
+                permissoes: parsePermissoes(conta.permissoes),
+                dentista_id: conta.dentista_id.toString(),
+                dentista_nome: conta.dentista_nome,
+                clinica: conta.clinica
+            }
+        };
+    }
+
+    return {
+        success: true,
+        message: 'Login realizado!',
+        token: sessao.token,
+        refreshToken: sessao.refreshToken,
+        tipo: 'dentista',
+        dentista: {
+            id: conta.id.toString(),
+            nome: conta.nome || conta.name,
+            cro: conta.cro,
+            email: conta.email,
+            clinica: conta.clinica || conta.clinic,
+            especialidade: conta.especialidade || conta.specialty,
+            plano: conta.subscription_plan || conta.plano || 'premium'
+        }
+    };
+}
+
+async function concluirLogin(req, tipo, conta) {
+    const payload = tipo === 'usuario' ? montarPayloadUsuario(conta) : montarPayloadDentista(conta);
+    const sessao = await criarSessao(req, payload);
+    return montarRespostaLogin(tipo, conta, sessao);
+}
+
+// ==============================================================================
+// ROTAS DE AUTENTICAÇÃO
+// ==============================================================================
+
+// Configuração do envio de email via PHP (Hostinger)
+const EMAIL_PHP_URL = process.env.EMAIL_PHP_URL || 'https://dentalultra.com.br/api/enviar-email.php';
+const EMAIL_CHAVE_SECRETA = process.env.EMAIL_CHAVE_SECRETA || 'DENTAL_ULTRA_EMAIL_2024_SECRETKEY';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://dentalultra.com.br';
+
+// Função para gerar token aleatório
+function gerarToken(tamanho = 32) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let token = '';
+    for (let i = 0; i < tamanho; i++) {
+        token += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return token;
+}
+
+// Função para enviar email via PHP
+async function enviarEmail(para, assunto, mensagemHtml) {
+    try {
+        const response = await fetch(EMAIL_PHP_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                chave: EMAIL_CHAVE_SECRETA,
+                para: para,
+                assunto: assunto,
+                mensagem: mensagemHtml,
+                tipo: 'html'
+            })
+        });
+        const data = await response.json();
+        return data.success;
+    } catch (error) {
+        console.error('Erro ao enviar email:', error);
+        return false;
+    }
+}
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { name, cro, email, password, clinic, specialty } = req.body;
+
+        if (!name || !cro || !email || !password) {
+            return res.status(400).json({ success: false, erro: 'Campos obrigatórios faltando' });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({ success: false, erro: 'Senha deve ter no mínimo 6 caracteres' });
+        }
+
+        // Verificar se email já existe (SELECT * para pegar todas as colunas disponíveis)
+        const existing = await pool.query('SELECT * FROM dentistas WHERE email = $1', [email.toLowerCase()]);
+        if (existing.rows.length > 0) {
+            const existingUser = existing.rows[0];
+            // Verificar se email_confirmado existe e é false (se a coluna não existir, considera como null)
+            const emailConfirmado = existingUser.email_confirmado;
+            
+            // Se já existe mas não confirmou (ou coluna não existe ainda), permite reenviar
+            if (emailConfirmado === false) {
+                const token = gerarToken();
+                const expira = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 horas
+                
+                await pool.query(
+                    'UPDATE dentistas SET token_confirmacao = $1, token_expira = $2 WHERE id = $3',
+                    [token, expira, existingUser.id]
+                );
+                
+                // Enviar email
+                const linkConfirmacao = `${FRONTEND_URL}/area-dentistas/confirmar-email.html?token=${token}`;
+                const emailHtml = `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                        <div style="text-align: center; margin-bottom: 30px;">
+                            <h1 style="color: #1FA2FF;">[dente] Dental Ultra</h1>
+                        </div>
+                        <h2 style="color: #333;">Confirme seu email</h2>
+                        <p>Olá <strong>${name}</strong>,</p>
+                        <p>Você já iniciou um cadastro anteriormente. Clique no botão abaixo para confirmar seu email:</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${linkConfirmacao}" style="background: linear-gradient(135deg, #1FA2FF, #12D8FA); color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+                                [OK] Confirmar Email
+                            </a>
+                        </div>
+                        <p style="color: #666; font-size: 14px;">Este link expira em 24 horas.</p>
+                        <p style="color: #666; font-size: 14px;">Se você não solicitou este cadastro, ignore este email.</p>
+                        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+                        <p style="color: #999; font-size: 12px; text-align: center;">
+                            Dental Ultra - Sistema de Gestão Odontológica<br>
+                            suporte@dentalultra.com.br
+                        </p>
+                    </div>
+                `;
+                
+                await enviarEmail(email.toLowerCase(), '[dente] Confirme seu email - Dental Ultra', emailHtml);
+                
+                return res.status(200).json({
+                    success: true,
+                    message: 'Email de confirmação reenviado! Verifique sua caixa de entrada.',
+                    aguardandoConfirmacao: true
+                });
+            }
+            return res.status(400).json({ success: false, erro: 'Email já cadastrado' });
+        }
+
+        // Gerar token e data de expiração
+        const token = gerarToken();
+        const expira = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 horas
+
+        const senhaHash = await bcrypt.hash(password, 10);
+        
         // Inserir usando nomes das colunas existentes no banco (inglês)
         const result = await pool.query(
             `INSERT INTO dentistas (name, cro, email, password, clinic, specialty, email_confirmado, token_confirmacao, token_expira)
@@ -1009,13 +2561,16 @@ app.get('/api/auth/confirmar-email', async (req, res) => {
 });
 
 // Rota para reenviar email de confirmação
-app.post('/api/auth/reenviar-confirmacao', async (req, res) => {
+app.post('/api/auth/reenviar-confirmacao', limitarPorIp('recuperacao_ip'), async (req, res) => {
     try {
         const { email } = req.body;
         
         if (!email) {
             return res.status(400).json({ success: false, erro: 'Email obrigatório' });
         }
+
+        // Cada pedido dispara um email, então todos contam para o limite do IP
+        await registrarFalha('recuperacao_ip', obterIp(req), { req });
         
         const result = await pool.query(
             'SELECT id, name, email_confirmado FROM dentistas WHERE email = $1',
@@ -1070,83 +2625,241 @@ app.post('/api/auth/reenviar-confirmacao', async (req, res) => {
     }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// Solicitar redefinição de senha (dentista ou usuário vinculado)
+app.post('/api/auth/forgot-password', limitarPorIp('recuperacao_ip'), async (req, res) => {
     try {
-        const { email, password } = req.body;
-        if (!email || !password) {
-            return res.status(400).json({ success: false, erro: 'Email e senha obrigatórios' });
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ success: false, erro: 'Email obrigatório' });
         }
 
+        // Cada pedido dispara um email, então todos contam para o limite do IP
+        await registrarFalha('recuperacao_ip', obterIp(req), { req });
+
         const emailLower = email.toLowerCase();
-        
-        // 1. Primeiro tenta como dentista
+
+        // Resposta sempre igual para não revelar quais emails estão cadastrados
+        const respostaPadrao = {
+            success: true,
+            message: 'Se o email estiver cadastrado, você receberá um link para redefinir sua senha.'
+        };
+
+        let conta = null;
+
         const resultDentista = await pool.query('SELECT * FROM dentistas WHERE email = $1', [emailLower]);
-        
         if (resultDentista.rows.length > 0) {
             const dentista = resultDentista.rows[0];
-            
-            // Verificar se email foi confirmado
-            if (dentista.email_confirmado === false) {
-                return res.status(403).json({ 
-                    success: false, 
-                    erro: 'Email não confirmado. Verifique sua caixa de entrada.',
-                    emailNaoConfirmado: true,
-                    email: dentista.email
-                });
-            }
-            
-            // Verificar senha
-            const senhaHash = dentista.senha || dentista.password;
-            if (!senhaHash) {
-                return res.status(401).json({ success: false, erro: 'Email ou senha incorretos' });
+            if (dentista.ativo !== false) {
+                conta = { tabela: 'dentistas', id: dentista.id, nome: dentista.nome || dentista.name };
             }
-            const senhaValida = await bcrypt.compare(password, senhaHash);
-            if (!senhaValida) {
-                return res.status(401).json({ success: false, erro: 'Email ou senha incorretos' });
+        } else {
+            const resultUsuario = await pool.query(`
+                SELECT u.id, u.nome
+                FROM usuarios_vinculados u
+                JOIN dentistas d ON u.dentista_id = d.id
+                WHERE u.email = $1 AND u.ativo = true AND d.ativo = true
+                  AND COALESCE(u.status_convite, 'aceito') = 'aceito'
+            `, [emailLower]);
+            if (resultUsuario.rows.length > 0) {
+                conta = { tabela: 'usuarios_vinculados', id: resultUsuario.rows[0].id, nome: resultUsuario.rows[0].nome };
             }
+        }
 
-            // Verificar se conta está desativada
-            if (dentista.subscription_active === false || dentista.ativo === false) {
-                return res.status(403).json({ success: false, erro: 'Conta desativada' });
-            }
+        if (!conta) {
+            return res.json(respostaPadrao);
+        }
 
-            const nome = dentista.nome || dentista.name;
+        // Só o hash vai para o banco, como nas sessões: quem lê a tabela não consegue usar o link
+        const token = crypto.randomBytes(32).toString('hex');
+        const expira = new Date(Date.now() + 60 * 60 * 1000); // 1 hora
 
-            const token = jwt.sign(
-                { 
-                    id: dentista.id.toString(), 
-                    email: dentista.email, 
-                    nome: nome,
-                    tipo: 'dentista',
-                    permissoes: ['*']
-                },
-                JWT_SECRET,
-                { expiresIn: '30d' }
-            );
+        await pool.query(
+            `UPDATE ${conta.tabela} SET token_reset_senha = $1, token_reset_expira = $2 WHERE id = $3`,
+            [hashToken(token), expira, conta.id]
+        );
 
-            return res.json({
-                success: true,
-                message: 'Login realizado!',
-                token,
-                tipo: 'dentista',
-                dentista: {
-                    id: dentista.id.toString(),
-                    nome: nome,
-                    cro: dentista.cro,
-                    email: dentista.email,
-                    clinica: dentista.clinica || dentista.clinic,
-                    especialidade: dentista.especialidade || dentista.specialty,
-                    plano: dentista.subscription_plan || dentista.plano || 'premium'
-                }
-            });
-        }
-        
-        // 2. Se não encontrou como dentista, tenta como usuário vinculado
-        const resultUsuario = await pool.query(`
-            SELECT u.*, d.nome as dentista_nome, d.clinica, d.cro
-            FROM usuarios_vinculados u
-            JOIN dentistas d ON u.dentista_id = d.id
+        const linkRedefinicao = `${FRONTEND_URL}/area-dentistas/redefinir-senha.html?token=${token}`;
+        const emailHtml = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <div style="text-align: center; margin-bottom: 30px;">
+                    <h1 style="color: #1FA2FF;">[dente] Dental Ultra</h1>
+                </div>
+                <h2 style="color: #333;">Redefinição de senha</h2>
+                <p>Olá <strong>${conta.nome}</strong>,</p>
+                <p>Recebemos um pedido para redefinir a sua senha. Clique no botão abaixo para criar uma nova senha:</p>
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${linkRedefinicao}" style="background: linear-gradient(135deg, #1FA2FF, #12D8FA); color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+                        Redefinir Senha
+                    </a>
+                </div>
+                <p style="color: #666; font-size: 14px;">Este link expira em 1 hora e só pode ser usado uma vez.</p>
+                <p style="color: #666; font-size: 14px;">Se você não solicitou a redefinição, ignore este email. Sua senha atual continua válida.</p>
+                <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+                <p style="color: #999; font-size: 12px; text-align: center;">
+                    Dental Ultra - Sistema de Gestão Odontológica<br>
+                    suporte@dentalultra.com.br
+                </p>
+            </div>
+        `;
+
+        await enviarEmail(emailLower, '[dente] Redefinição de senha - Dental Ultra', emailHtml);
+
+        res.json(respostaPadrao);
+    } catch (error) {
+        console.error('Erro solicitar redefinição de senha:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Redefinir senha usando o token recebido por email (uso único)
+app.post('/api/auth/reset-password', limitarPorIp('recuperacao_ip'), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ success: false, erro: 'Token e nova senha obrigatórios' });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({ success: false, erro: 'Senha deve ter no mínimo 6 caracteres' });
+        }
+
+        // Token pode ser de dentista ou de usuário vinculado
+        const tokenHash = hashToken(String(token));
+        let tabela = 'dentistas';
+        let result = await pool.query('SELECT * FROM dentistas WHERE token_reset_senha = $1', [tokenHash]);
+        if (result.rows.length === 0) {
+            tabela = 'usuarios_vinculados';
+            result = await pool.query('SELECT * FROM usuarios_vinculados WHERE token_reset_senha = $1', [tokenHash]);
+        }
+
+        if (result.rows.length === 0) {
+            const bloqueio = await registrarFalha('recuperacao_ip', obterIp(req), { req });
+            if (bloqueio) {
+                return responderBloqueado(res, bloqueio);
+            }
+            return res.status(400).json({ success: false, erro: 'Token inválido ou já utilizado' });
+        }
+
+        const conta = result.rows[0];
+
+        if (!conta.token_reset_expira || new Date() > new Date(conta.token_reset_expira)) {
+            await pool.query(
+                `UPDATE ${tabela} SET token_reset_senha = NULL, token_reset_expira = NULL WHERE id = $1`,
+                [conta.id]
+            );
+            return res.status(400).json({ success: false, erro: 'Token expirado. Solicite uma nova redefinição de senha.' });
+        }
+
+        const senhaHash = await bcrypt.hash(password, 10);
+
+        // Banco de produção de dentistas usa a coluna "password"; o schema novo usa "senha"
+        let campos = 'senha = $1, atualizado_em = CURRENT_TIMESTAMP';
+        if (tabela === 'dentistas') {
+            const colunaSenha = Object.prototype.hasOwnProperty.call(conta, 'password') ? 'password' : 'senha';
+            // O link chegou no email, então o email está confirmado
+            campos = `${colunaSenha} = $1, email_confirmado = true`;
+        }
+
+        // Condição no token garante uso único mesmo com requisições simultâneas
+        const update = await pool.query(
+            `UPDATE ${tabela}
+             SET ${campos}, token_reset_senha = NULL, token_reset_expira = NULL
+             WHERE id = $2 AND token_reset_senha = $3`,
+            [senhaHash, conta.id, tokenHash]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(400).json({ success: false, erro: 'Token inválido ou já utilizado' });
+        }
+
+        // Senha nova encerra todas as sessões abertas da conta
+        await revogarSessoes(
+            tabela === 'dentistas' ? { dentistaId: conta.id, apenasDentista: true } : { usuarioId: conta.id },
+            'senha_redefinida'
+        );
+
+        console.log(`Senha redefinida (${tabela} ${conta.id})`);
+        res.json({ success: true, message: 'Senha redefinida com sucesso! Você já pode fazer login.' });
+    } catch (error) {
+        console.error('Erro redefinir senha:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ success: false, erro: 'Email e senha obrigatórios' });
+        }
+
+        const emailLower = email.toLowerCase();
+        const ip = obterIp(req);
+
+        const bloqueio = await verificarBloqueio('login_ip', ip) || await verificarBloqueio('login_conta', emailLower);
+        if (bloqueio) {
+            return responderBloqueado(res, bloqueio);
+        }
+
+        // Falha conta para o email e para o IP; ao atingir o limite já responde com o bloqueio
+        const falhaLogin = async (contexto = {}) => {
+            const bloqueioConta = await registrarFalha('login_conta', emailLower, { req, ...contexto });
+            const bloqueioIp = await registrarFalha('login_ip', ip, { req, ...contexto });
+            if (bloqueioConta || bloqueioIp) {
+                return responderBloqueado(res, bloqueioConta || bloqueioIp);
+            }
+            return res.status(401).json({ success: false, erro: 'Email ou senha incorretos' });
+        };
+        
+        // 1. Primeiro tenta como dentista
+        const resultDentista = await pool.query('SELECT * FROM dentistas WHERE email = $1', [emailLower]);
+        
+        if (resultDentista.rows.length > 0) {
+            const dentista = resultDentista.rows[0];
+            
+            // Verificar se email foi confirmado
+            if (dentista.email_confirmado === false) {
+                return res.status(403).json({ 
+                    success: false, 
+                    erro: 'Email não confirmado. Verifique sua caixa de entrada.',
+                    emailNaoConfirmado: true,
+                    email: dentista.email
+                });
+            }
+            
+            // Verificar senha
+            const senhaHash = dentista.senha || dentista.password;
+            if (!senhaHash) {
+                return falhaLogin({ dentistaId: dentista.id });
+            }
+            const senhaValida = await bcrypt.compare(password, senhaHash);
+            if (!senhaValida) {
+                return falhaLogin({ dentistaId: dentista.id });
+            }
+            await limparTentativas('login_conta', emailLower);
+
+            // Verificar se conta está desativada
+            if (dentista.subscription_active === false || dentista.ativo === false) {
+                return res.status(403).json({ success: false, erro: 'Conta desativada' });
+            }
+
+            const pendente2fa = etapa2faPendente('dentista', dentista);
+            if (pendente2fa) {
+                return res.json(pendente2fa);
+            }
+
+            return res.json(await concluirLogin(req, 'dentista', dentista));
+        }
+        
+        // 2. Se não encontrou como dentista, tenta como usuário vinculado
+        const resultUsuario = await pool.query(`
+            SELECT u.*, d.nome as dentista_nome, d.clinica, d.cro, d.exigir_2fa_usuarios
+            FROM usuarios_vinculados u
+            JOIN dentistas d ON u.dentista_id = d.id
             WHERE u.email = $1 AND u.ativo = true AND d.ativo = true
+              AND COALESCE(u.status_convite, 'aceito') = 'aceito'
         `, [emailLower]);
         
         if (resultUsuario.rows.length > 0) {
@@ -1155,53 +2868,20 @@ app.post('/api/auth/login', async (req, res) => {
             // Verificar senha
             const senhaValida = await bcrypt.compare(password, usuario.senha);
             if (!senhaValida) {
-                return res.status(401).json({ success: false, erro: 'Email ou senha incorretos' });
+                return falhaLogin({ dentistaId: usuario.dentista_id, usuarioId: usuario.id });
             }
+            await limparTentativas('login_conta', emailLower);
             
-            // Parse permissões
-            let permissoes = [];
-            try {
-                permissoes = typeof usuario.permissoes === 'string' 
-                    ? JSON.parse(usuario.permissoes) 
-                    : usuario.permissoes || [];
-            } catch (e) {
-                permissoes = [];
+            const pendente2fa = etapa2faPendente('usuario', usuario);
+            if (pendente2fa) {
+                return res.json(pendente2fa);
             }
 
-            const token = jwt.sign(
-                { 
-                    id: usuario.id.toString(),
-                    dentista_id: usuario.dentista_id.toString(),
-                    email: usuario.email, 
-                    nome: usuario.nome,
-                    tipo: 'usuario',
-                    cargo: usuario.cargo,
-                    permissoes: permissoes
-                },
-                JWT_SECRET,
-                { expiresIn: '30d' }
-            );
-
-            return res.json({
-                success: true,
-                message: 'Login realizado!',
-                token,
-                tipo: 'usuario',
-                usuario: {
-                    id: usuario.id.toString(),
-                    nome: usuario.nome,
-                    email: usuario.email,
-                    cargo: usuario.cargo,
-                    permissoes: permissoes,
-                    dentista_id: usuario.dentista_id.toString(),
-                    dentista_nome: usuario.dentista_nome,
-                    clinica: usuario.clinica
-                }
-            });
+            return res.json(await concluirLogin(req, 'usuario', usuario));
         }
         
         // Não encontrou em nenhuma tabela
-        return res.status(401).json({ success: false, erro: 'Email ou senha incorretos' });
+        return falhaLogin();
 
     } catch (error) {
         console.error('Erro login:', error);
@@ -1209,11 +2889,94 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+// Renovar o access token usando o refresh token (o refresh token é rotacionado)
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ success: false, erro: 'Refresh token obrigatório' });
+        }
+
+        const result = await pool.query(
+            'SELECT * FROM sessoes WHERE refresh_token_hash = $1',
+            [hashToken(refreshToken)]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(401).json({ success: false, erro: 'Sessão inválida. Faça login novamente.', sessaoEncerrada: true });
+        }
+
+        const sessao = result.rows[0];
+
+        if (sessao.revogado_em || new Date(sessao.expira_em) < new Date()) {
+            return res.status(401).json({ success: false, erro: 'Sessão encerrada. Faça login novamente.', sessaoEncerrada: true });
+        }
+
+        // Recarrega a conta para refletir nome/permissões atuais e barrar contas desativadas
+        let payload = null;
+        if (sessao.tipo_usuario === 'usuario') {
+            const resultUsuario = await pool.query(`
+                SELECT u.*
+                FROM usuarios_vinculados u
+                JOIN dentistas d ON u.dentista_id = d.id
+                WHERE u.id = $1 AND u.ativo = true AND d.ativo = true
+            `, [sessao.usuario_id]);
+            if (resultUsuario.rows.length > 0) {
+                payload = montarPayloadUsuario(resultUsuario.rows[0]);
+            }
+        } else {
+            const resultDentista = await pool.query('SELECT * FROM dentistas WHERE id = $1', [sessao.dentista_id]);
+            const dentista = resultDentista.rows[0];
+            if (dentista && dentista.ativo !== false && dentista.subscription_active !== false) {
+                payload = montarPayloadDentista(dentista);
+            }
+        }
+
+        if (!payload) {
+            await revogarSessoes({ sessaoId: sessao.id, dentistaId: sessao.dentista_id }, 'conta_desativada');
+            return res.status(401).json({ success: false, erro: 'Conta desativada', sessaoEncerrada: true });
+        }
+
+        const novoRefreshToken = crypto.randomBytes(48).toString('hex');
+
+        // Condição no hash antigo impede que o mesmo refresh token seja usado duas vezes
+        const rotacao = await pool.query(`
+            UPDATE sessoes SET refresh_token_hash = $1, ultimo_uso_em = CURRENT_TIMESTAMP, ip = $2
+            WHERE id = $3 AND refresh_token_hash = $4 AND revogado_em IS NULL
+        `, [hashToken(novoRefreshToken), obterIp(req), sessao.id, sessao.refresh_token_hash]);
+
+        if (rotacao.rowCount === 0) {
+            return res.status(401).json({ success: false, erro: 'Sessão inválida. Faça login novamente.', sessaoEncerrada: true });
+        }
+
+        const token = jwt.sign({ ...payload, sid: sessao.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRA });
+
+        res.json({ success: true, token, refreshToken: novoRefreshToken });
+    } catch (error) {
+        console.error('Erro refresh token:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Encerrar a sessão atual
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+    try {
+        if (req.sessaoId) {
+            await revogarSessoes({ sessaoId: req.sessaoId, dentistaId: req.dentistaId }, 'logout');
+        }
+        res.json({ success: true, message: 'Sessão encerrada' });
+    } catch (error) {
+        console.error('Erro logout:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
 app.get('/api/auth/verify', authMiddleware, async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT id, name, cro, email, clinic, specialty, subscription_plan, subscription_active FROM dentistas WHERE id = $1',
-            [parseInt(req.user.id)]
+            [req.dentistaId]
         );
         if (result.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Usuário não encontrado' });
@@ -1237,93 +3000,400 @@ app.get('/api/auth/verify', authMiddleware, async (req, res) => {
     }
 });
 
+// Matriz de permissões efetiva do usuário logado (o frontend usa para esconder menus/botões)
+app.get('/api/auth/permissoes', authMiddleware, (req, res) => {
+    const ehDentista = req.tipoUsuario === 'dentista' || req.permissoes.includes('*');
+    const efetivas = ehDentista ? PERMISSOES_DISPONIVEIS.map(p => p.id) : permissoesEfetivas(req.permissoes);
+
+    const matriz = {};
+    for (const [recurso, acoes] of Object.entries(MATRIZ_PERMISSOES)) {
+        matriz[recurso] = {
+            visualizar: possuiPermissao(req, acoes.visualizar),
+            editar: possuiPermissao(req, acoes.editar)
+        };
+    }
+
+    res.json({
+        success: true,
+        tipo: req.tipoUsuario,
+        permissoes: efetivas,
+        matriz,
+        disponiveis: PERMISSOES_DISPONIVEIS.map(p => ({
+            ...p,
+            concedida: efetivas.includes(p.id),
+            implicita: !ehDentista && efetivas.includes(p.id) && !req.permissoes.includes(p.id)
+        }))
+    });
+});
+
 // ==============================================================================
-// ROTAS DE PROFISSIONAIS DA CLÍNICA (DENTISTAS DA AGENDA)
+// ROTAS DE AUTENTICAÇÃO EM DOIS FATORES
 // ==============================================================================
 
-// Listar profissionais
-app.get('/api/dentistas', authMiddleware, async (req, res) => {
+// Segunda etapa do login: código do autenticador ou código de recuperação
+app.post('/api/auth/login/2fa', async (req, res) => {
     try {
-        const result = await pool.query(
-            'SELECT * FROM profissionais WHERE dentista_id = $1 AND ativo = true ORDER BY nome',
-            [parseInt(req.user.id)]
-        );
-        
-        const profissionais = result.rows.map(p => ({
-            id: p.id,
-            nome: p.nome,
-            cro: p.cro,
-            especialidade: p.especialidade,
-            icone: p.icone,
-            foto: p.foto,
-            cor: p.cor,
-            intervalo_minutos: p.intervalo_minutos || 30,
-            hora_entrada: p.hora_entrada ? p.hora_entrada.substring(0, 5) : '08:00',
-            hora_saida: p.hora_saida ? p.hora_saida.substring(0, 5) : '18:00',
-            almoco_inicio: p.almoco_inicio ? p.almoco_inicio.substring(0, 5) : '12:00',
-            almoco_fim: p.almoco_fim ? p.almoco_fim.substring(0, 5) : '13:00'
-        }));
-        
-        res.json(profissionais);
+        const { tokenTemporario, codigo } = req.body;
+        if (!tokenTemporario || !codigo) {
+            return res.status(400).json({ success: false, erro: 'Token temporário e código obrigatórios' });
+        }
+
+        const pendente = lerTokenTemporario2fa(tokenTemporario, 'verificar');
+        if (!pendente) {
+            return res.status(401).json({ success: false, erro: 'Etapa de verificação expirada. Faça login novamente.' });
+        }
+
+        const chave2fa = `${pendente.conta}:${pendente.id}`;
+        const bloqueio = await verificarBloqueio('dois_fatores', chave2fa);
+        if (bloqueio) {
+            return responderBloqueado(res, bloqueio);
+        }
+
+        const conta = await buscarContaLogin(pendente.conta, pendente.id);
+        if (!conta || !conta.totp_ativo) {
+            return res.status(401).json({ success: false, erro: 'Etapa de verificação expirada. Faça login novamente.' });
+        }
+
+        const resultado = await validarSegundoFator(pendente.conta, conta, codigo);
+        if (!resultado.valido) {
+            const novoBloqueio = await registrarFalha('dois_fatores', chave2fa, contextoBloqueioConta(req, pendente.conta, conta));
+            if (novoBloqueio) {
+                return responderBloqueado(res, novoBloqueio);
+            }
+            return res.status(401).json({ success: false, erro: 'Código inválido' });
+        }
+        await limparTentativas('dois_fatores', chave2fa);
+
+        const resposta = await concluirLogin(req, pendente.conta, conta);
+        if (resultado.usouRecuperacao) {
+            resposta.codigosRecuperacaoRestantes = resultado.restantes;
+        }
+        res.json(resposta);
     } catch (error) {
-        console.error('Erro ao buscar profissionais:', error);
-        res.status(500).json({ erro: 'Erro ao buscar profissionais' });
+        console.error('Erro login 2FA:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
     }
 });
 
-// Buscar dados do dentista logado
-app.get('/api/dentistas/me', authMiddleware, async (req, res) => {
+// Configuração obrigatória durante o login (clínica exige 2FA e o usuário ainda não configurou)
+app.post('/api/auth/login/2fa/configurar', async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM dentistas WHERE id = $1', [req.dentistaId]);
-        if (result.rows.length === 0) return res.status(404).json({ success: false, erro: 'Não encontrado' });
-        const d = result.rows[0];
-        res.json({ success: true, dentista: { id: d.id, nome: d.nome, email: d.email, clinica: d.clinica_nome, cro: d.cro, telefone: d.telefone } });
+        const pendente = lerTokenTemporario2fa(req.body.tokenTemporario, 'configurar');
+        if (!pendente) {
+            return res.status(401).json({ success: false, erro: 'Etapa de configuração expirada. Faça login novamente.' });
+        }
+
+        const conta = await buscarContaLogin(pendente.conta, pendente.id);
+        if (!conta || conta.totp_ativo) {
+            return res.status(401).json({ success: false, erro: 'Etapa de configuração expirada. Faça login novamente.' });
+        }
+
+        const configuracao = await iniciarConfiguracao2fa(pendente.conta, conta);
+        res.json({ success: true, ...configuracao });
     } catch (error) {
-        res.status(500).json({ success: false, erro: error.message });
+        console.error('Erro configurar 2FA no login:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
     }
 });
 
-// Buscar profissional por ID
-app.get('/api/dentistas/:id', authMiddleware, async (req, res) => {
+app.post('/api/auth/login/2fa/ativar', async (req, res) => {
     try {
-        const { id } = req.params;
-        const result = await pool.query(
-            'SELECT * FROM profissionais WHERE id = $1 AND dentista_id = $2 AND ativo = true',
-            [parseInt(id), parseInt(req.user.id)]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ erro: 'Profissional não encontrado' });
+        const { tokenTemporario, codigo } = req.body;
+        const pendente = lerTokenTemporario2fa(tokenTemporario, 'configurar');
+        if (!pendente) {
+            return res.status(401).json({ success: false, erro: 'Etapa de configuração expirada. Faça login novamente.' });
         }
-        
-        const p = result.rows[0];
-        res.json({
-            id: p.id,
-            nome: p.nome,
-            cro: p.cro,
-            especialidade: p.especialidade,
-            icone: p.icone,
-            foto: p.foto,
-            cor: p.cor,
-            intervalo_minutos: p.intervalo_minutos || 30,
-            hora_entrada: p.hora_entrada ? p.hora_entrada.substring(0, 5) : '08:00',
-            hora_saida: p.hora_saida ? p.hora_saida.substring(0, 5) : '18:00',
-            almoco_inicio: p.almoco_inicio ? p.almoco_inicio.substring(0, 5) : '12:00',
-            almoco_fim: p.almoco_fim ? p.almoco_fim.substring(0, 5) : '13:00'
-        });
+        if (!codigo) {
+            return res.status(400).json({ success: false, erro: 'Código obrigatório' });
+        }
+
+        const chave2fa = `${pendente.conta}:${pendente.id}`;
+        const bloqueio = await verificarBloqueio('dois_fatores', chave2fa);
+        if (bloqueio) {
+            return responderBloqueado(res, bloqueio);
+        }
+
+        const conta = await buscarContaLogin(pendente.conta, pendente.id);
+        if (!conta || conta.totp_ativo || !conta.totp_secret) {
+            return res.status(400).json({ success: false, erro: 'Nenhuma configuração de 2FA pendente' });
+        }
+
+        const codigosRecuperacao = await ativar2fa(pendente.conta, conta, codigo);
+        if (!codigosRecuperacao) {
+            const novoBloqueio = await registrarFalha('dois_fatores', chave2fa, contextoBloqueioConta(req, pendente.conta, conta));
+            if (novoBloqueio) {
+                return responderBloqueado(res, novoBloqueio);
+            }
+            return res.status(401).json({ success: false, erro: 'Código inválido' });
+        }
+        await limparTentativas('dois_fatores', chave2fa);
+
+        const resposta = await concluirLogin(req, pendente.conta, conta);
+        resposta.codigosRecuperacao = codigosRecuperacao;
+        res.json(resposta);
     } catch (error) {
-        console.error('Erro ao buscar profissional:', error);
-        res.status(500).json({ erro: 'Erro ao buscar profissional' });
+        console.error('Erro ativar 2FA no login:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
     }
 });
 
-// Criar profissional
-app.post('/api/dentistas', authMiddleware, async (req, res) => {
+// Status do 2FA da conta logada
+app.get('/api/auth/2fa', authMiddleware, async (req, res) => {
     try {
-        const { nome, cro, especialidade, icone, foto, intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim } = req.body;
-        
-        if (!nome) {
-            return res.status(400).json({ erro: 'Nome é obrigatório' });
+        const conta = await buscarContaLogin(req.tipoUsuario, req.user.id);
+        if (!conta) {
+            return res.status(404).json({ success: false, erro: 'Conta não encontrada' });
+        }
+
+        res.json({
+            success: true,
+            ativo: conta.totp_ativo === true,
+            exigidoPelaClinica: req.tipoUsuario === 'usuario' && conta.exigir_2fa_usuarios === true,
+            codigosRecuperacaoRestantes: conta.totp_ativo ? parseCodigosRecuperacao(conta.totp_codigos_recuperacao).length : 0
+        });
+    } catch (error) {
+        console.error('Erro status 2FA:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Gera o segredo e a URI otpauth:// (o frontend transforma em QR code)
+app.post('/api/auth/2fa/configurar', authMiddleware, async (req, res) => {
+    try {
+        const conta = await buscarContaLogin(req.tipoUsuario, req.user.id);
+        if (!conta) {
+            return res.status(404).json({ success: false, erro: 'Conta não encontrada' });
+        }
+        if (conta.totp_ativo) {
+            return res.status(400).json({ success: false, erro: '2FA já está ativo. Desative antes de configurar novamente.' });
+        }
+
+        const configuracao = await iniciarConfiguracao2fa(req.tipoUsuario, conta);
+        res.json({ success: true, ...configuracao });
+    } catch (error) {
+        console.error('Erro configurar 2FA:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Confirma o primeiro código e ativa; os códigos de recuperação só aparecem nesta resposta
+app.post('/api/auth/2fa/ativar', authMiddleware, async (req, res) => {
+    try {
+        const { codigo } = req.body;
+        if (!codigo) {
+            return res.status(400).json({ success: false, erro: 'Código obrigatório' });
+        }
+
+        const conta = await buscarContaLogin(req.tipoUsuario, req.user.id);
+        if (!conta) {
+            return res.status(404).json({ success: false, erro: 'Conta não encontrada' });
+        }
+        if (conta.totp_ativo) {
+            return res.status(400).json({ success: false, erro: '2FA já está ativo' });
+        }
+        if (!conta.totp_secret) {
+            return res.status(400).json({ success: false, erro: 'Inicie a configuração do 2FA primeiro' });
+        }
+
+        const codigosRecuperacao = await ativar2fa(req.tipoUsuario, conta, codigo);
+        if (!codigosRecuperacao) {
+            return res.status(401).json({ success: false, erro: 'Código inválido' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Autenticação em dois fatores ativada! Guarde os códigos de recuperação em local seguro.',
+            codigosRecuperacao
+        });
+    } catch (error) {
+        console.error('Erro ativar 2FA:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Desativar exige senha + código atual
+app.post('/api/auth/2fa/desativar', authMiddleware, async (req, res) => {
+    try {
+        const { senha, codigo } = req.body;
+        if (!senha || !codigo) {
+            return res.status(400).json({ success: false, erro: 'Senha e código obrigatórios' });
+        }
+
+        const conta = await buscarContaLogin(req.tipoUsuario, req.user.id);
+        if (!conta) {
+            return res.status(404).json({ success: false, erro: 'Conta não encontrada' });
+        }
+        if (!conta.totp_ativo) {
+            return res.status(400).json({ success: false, erro: '2FA não está ativo' });
+        }
+        if (req.tipoUsuario === 'usuario' && conta.exigir_2fa_usuarios) {
+            return res.status(403).json({ success: false, erro: 'A clínica exige autenticação em dois fatores para esta conta' });
+        }
+
+        const chave2fa = `${req.tipoUsuario}:${conta.id}`;
+        const bloqueio = await verificarBloqueio('dois_fatores', chave2fa);
+        if (bloqueio) {
+            return responderBloqueado(res, bloqueio);
+        }
+
+        const senhaHash = conta.senha || conta.password;
+        const senhaValida = senhaHash && await bcrypt.compare(senha, senhaHash);
+        const resultado = senhaValida ? await validarSegundoFator(req.tipoUsuario, conta, codigo) : { valido: false };
+        if (!resultado.valido) {
+            const novoBloqueio = await registrarFalha('dois_fatores', chave2fa, contextoBloqueioConta(req, req.tipoUsuario, conta));
+            if (novoBloqueio) {
+                return responderBloqueado(res, novoBloqueio);
+            }
+            return res.status(401).json({ success: false, erro: senhaValida ? 'Código inválido' : 'Senha incorreta' });
+        }
+        await limparTentativas('dois_fatores', chave2fa);
+
+        await pool.query(`
+            UPDATE ${tabelaConta(req.tipoUsuario)}
+            SET totp_ativo = false, totp_secret = NULL, totp_ultimo_passo = NULL, totp_codigos_recuperacao = '[]'
+            WHERE id = $1
+        `, [conta.id]);
+
+        res.json({ success: true, message: 'Autenticação em dois fatores desativada' });
+    } catch (error) {
+        console.error('Erro desativar 2FA:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Gera um novo conjunto de códigos de recuperação (invalida os anteriores)
+app.post('/api/auth/2fa/codigos-recuperacao', authMiddleware, async (req, res) => {
+    try {
+        const { codigo } = req.body;
+        if (!codigo) {
+            return res.status(400).json({ success: false, erro: 'Código obrigatório' });
+        }
+
+        const conta = await buscarContaLogin(req.tipoUsuario, req.user.id);
+        if (!conta || !conta.totp_ativo) {
+            return res.status(400).json({ success: false, erro: '2FA não está ativo' });
+        }
+
+        const chave2fa = `${req.tipoUsuario}:${conta.id}`;
+        const bloqueio = await verificarBloqueio('dois_fatores', chave2fa);
+        if (bloqueio) {
+            return responderBloqueado(res, bloqueio);
+        }
+
+        // Só aceita código do aplicativo (não consome código de recuperação)
+        if (!/^\d{6}$/.test(String(codigo).replace(/\s/g, ''))) {
+            return res.status(401).json({ success: false, erro: 'Informe um código válido do aplicativo autenticador' });
+        }
+        const resultado = await validarSegundoFator(req.tipoUsuario, conta, codigo);
+        if (!resultado.valido) {
+            const novoBloqueio = await registrarFalha('dois_fatores', chave2fa, contextoBloqueioConta(req, req.tipoUsuario, conta));
+            if (novoBloqueio) {
+                return responderBloqueado(res, novoBloqueio);
+            }
+            return res.status(401).json({ success: false, erro: 'Informe um código válido do aplicativo autenticador' });
+        }
+        await limparTentativas('dois_fatores', chave2fa);
+
+        const recuperacao = gerarCodigosRecuperacao();
+        await pool.query(
+            `UPDATE ${tabelaConta(req.tipoUsuario)} SET totp_codigos_recuperacao = $1 WHERE id = $2`,
+            [JSON.stringify(recuperacao.hashes), conta.id]
+        );
+
+        res.json({ success: true, codigosRecuperacao: recuperacao.codigos });
+    } catch (error) {
+        console.error('Erro gerar códigos de recuperação:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE PROFISSIONAIS DA CLÍNICA (DENTISTAS DA AGENDA)
+// ==============================================================================
+
+// Listar profissionais
+app.get('/api/dentistas', authMiddleware, verificarAcesso('profissionais', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM profissionais WHERE dentista_id = $1 AND ativo = true ORDER BY nome',
+            [req.dentistaId]
+        );
+        
+        const profissionais = result.rows.map(p => ({
+            id: p.id,
+            nome: p.nome,
+            cro: p.cro,
+            especialidade: p.especialidade,
+            icone: p.icone,
+            foto: p.foto,
+            cor: p.cor,
+            intervalo_minutos: p.intervalo_minutos || 30,
+            hora_entrada: p.hora_entrada ? p.hora_entrada.substring(0, 5) : '08:00',
+            hora_saida: p.hora_saida ? p.hora_saida.substring(0, 5) : '18:00',
+            almoco_inicio: p.almoco_inicio ? p.almoco_inicio.substring(0, 5) : '12:00',
+            almoco_fim: p.almoco_fim ? p.almoco_fim.substring(0, 5) : '13:00'
+        }));
+        
+        res.json(profissionais);
+    } catch (error) {
+        console.error('Erro ao buscar profissionais:', error);
+        res.status(500).json({ erro: 'Erro ao buscar profissionais' });
+    }
+});
+
+// Buscar dados do dentista logado
+app.get('/api/dentistas/me', authMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM dentistas WHERE id = $1', [req.dentistaId]);
+        if (result.rows.length === 0) return res.status(404).json({ success: false, erro: 'Não encontrado' });
+        const d = result.rows[0];
+        res.json({ success: true, dentista: { id: d.id, nome: d.nome, email: d.email, clinica: d.clinica_nome, cro: d.cro, telefone: d.telefone } });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: error.message });
+    }
+});
+
+// Buscar profissional por ID
+app.get('/api/dentistas/:id', authMiddleware, verificarAcesso('profissionais', 'visualizar'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await pool.query(
+            'SELECT * FROM profissionais WHERE id = $1 AND dentista_id = $2 AND ativo = true',
+            [parseInt(id), req.dentistaId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ erro: 'Profissional não encontrado' });
+        }
+        
+        const p = result.rows[0];
+        res.json({
+            id: p.id,
+            nome: p.nome,
+            cro: p.cro,
+            especialidade: p.especialidade,
+            icone: p.icone,
+            foto: p.foto,
+            cor: p.cor,
+            intervalo_minutos: p.intervalo_minutos || 30,
+            hora_entrada: p.hora_entrada ? p.hora_entrada.substring(0, 5) : '08:00',
+            hora_saida: p.hora_saida ? p.hora_saida.substring(0, 5) : '18:00',
+            almoco_inicio: p.almoco_inicio ? p.almoco_inicio.substring(0, 5) : '12:00',
+            almoco_fim: p.almoco_fim ? p.almoco_fim.substring(0, 5) : '13:00'
+        });
+    } catch (error) {
+        console.error('Erro ao buscar profissional:', error);
+        res.status(500).json({ erro: 'Erro ao buscar profissional' });
+    }
+});
+
+// Criar profissional
+app.post('/api/dentistas', authMiddleware, verificarAcesso('profissionais', 'editar'), async (req, res) => {
+    try {
+        const { nome, cro, especialidade, icone, foto, intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim } = req.body;
+        
+        if (!nome) {
+            return res.status(400).json({ erro: 'Nome é obrigatório' });
         }
         
         const result = await pool.query(
@@ -1331,7 +3401,7 @@ app.post('/api/dentistas', authMiddleware, async (req, res) => {
              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
              RETURNING *`,
             [
-                parseInt(req.user.id), 
+                req.dentistaId, 
                 nome, 
                 cro || null, 
                 especialidade || 'Clínico Geral', 
@@ -1366,7 +3436,7 @@ app.post('/api/dentistas', authMiddleware, async (req, res) => {
 });
 
 // Atualizar profissional
-app.put('/api/dentistas/:id', authMiddleware, async (req, res) => {
+app.put('/api/dentistas/:id', authMiddleware, verificarAcesso('profissionais', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { nome, cro, especialidade, icone, foto, intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim } = req.body;
@@ -1386,7 +3456,7 @@ app.put('/api/dentistas/:id', authMiddleware, async (req, res) => {
                  atualizado_em = NOW()
              WHERE id = $11 AND dentista_id = $12 AND ativo = true
              RETURNING *`,
-            [nome, cro, especialidade, icone, foto, intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim, parseInt(id), parseInt(req.user.id)]
+            [nome, cro, especialidade, icone, foto, intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim, parseInt(id), req.dentistaId]
         );
         
         if (result.rows.length === 0) {
@@ -1414,7 +3484,7 @@ app.put('/api/dentistas/:id', authMiddleware, async (req, res) => {
 });
 
 // Atualizar só as configurações de horário do profissional
-app.patch('/api/dentistas/:id/config', authMiddleware, async (req, res) => {
+app.patch('/api/dentistas/:id/config', authMiddleware, verificarAcesso('profissionais', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim } = req.body;
@@ -1429,7 +3499,7 @@ app.patch('/api/dentistas/:id/config', authMiddleware, async (req, res) => {
                  atualizado_em = NOW()
              WHERE id = $6 AND dentista_id = $7 AND ativo = true
              RETURNING *`,
-            [intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim, parseInt(id), parseInt(req.user.id)]
+            [intervalo_minutos, hora_entrada, hora_saida, almoco_inicio, almoco_fim, parseInt(id), req.dentistaId]
         );
         
         if (result.rows.length === 0) {
@@ -1455,7 +3525,7 @@ app.patch('/api/dentistas/:id/config', authMiddleware, async (req, res) => {
 });
 
 // Excluir profissional (COM VALIDAÇÃO DE SENHA)
-app.delete('/api/dentistas/:id', authMiddleware, async (req, res) => {
+app.delete('/api/dentistas/:id', authMiddleware, verificarAcesso('profissionais', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { senha } = req.query;
@@ -1466,7 +3536,7 @@ app.delete('/api/dentistas/:id', authMiddleware, async (req, res) => {
         
         const userResult = await pool.query(
             'SELECT password FROM dentistas WHERE id = $1',
-            [parseInt(req.user.id)]
+            [req.dentistaId]
         );
         
         if (userResult.rows.length === 0) {
@@ -1480,7 +3550,7 @@ app.delete('/api/dentistas/:id', authMiddleware, async (req, res) => {
         
         await pool.query(
             'UPDATE profissionais SET ativo = false, atualizado_em = NOW() WHERE id = $1 AND dentista_id = $2',
-            [parseInt(id), parseInt(req.user.id)]
+            [parseInt(id), req.dentistaId]
         );
         
         res.json({ message: 'Profissional removido com sucesso' });
@@ -1495,7 +3565,7 @@ app.delete('/api/dentistas/:id', authMiddleware, async (req, res) => {
 // ==============================================================================
 
 // Listar fila de encaixe
-app.get('/api/fila-encaixe', authMiddleware, async (req, res) => {
+app.get('/api/fila-encaixe', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
     try {
         const { incluir_resolvidos } = req.query;
         
@@ -1505,7 +3575,7 @@ app.get('/api/fila-encaixe', authMiddleware, async (req, res) => {
         }
         query += ' ORDER BY urgente DESC, criado_em ASC';
         
-        const result = await pool.query(query, [parseInt(req.user.id)]);
+        const result = await pool.query(query, [req.dentistaId]);
         
         const fila = result.rows.map(f => ({
             id: f.id,
@@ -1525,7 +3595,7 @@ app.get('/api/fila-encaixe', authMiddleware, async (req, res) => {
 });
 
 // Adicionar à fila de encaixe
-app.post('/api/fila-encaixe', authMiddleware, async (req, res) => {
+app.post('/api/fila-encaixe', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
     try {
         const { nome, telefone, motivo, urgente } = req.body;
         
@@ -1537,7 +3607,7 @@ app.post('/api/fila-encaixe', authMiddleware, async (req, res) => {
             `INSERT INTO fila_encaixe (dentista_id, nome, telefone, motivo, urgente)
              VALUES ($1, $2, $3, $4, $5)
              RETURNING *`,
-            [parseInt(req.user.id), nome, telefone, motivo || null, urgente || false]
+            [req.dentistaId, nome, telefone, motivo || null, urgente || false]
         );
         
         const f = result.rows[0];
@@ -1556,7 +3626,7 @@ app.post('/api/fila-encaixe', authMiddleware, async (req, res) => {
 });
 
 // Marcar como resolvido
-app.patch('/api/fila-encaixe/:id/resolver', authMiddleware, async (req, res) => {
+app.patch('/api/fila-encaixe/:id/resolver', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -1565,7 +3635,7 @@ app.patch('/api/fila-encaixe/:id/resolver', authMiddleware, async (req, res) =>
              SET resolvido = true, resolvido_em = NOW() 
              WHERE id = $1 AND dentista_id = $2
              RETURNING *`,
-            [parseInt(id), parseInt(req.user.id)]
+            [parseInt(id), req.dentistaId]
         );
         
         if (result.rows.length === 0) {
@@ -1580,13 +3650,13 @@ app.patch('/api/fila-encaixe/:id/resolver', authMiddleware, async (req, res) =>
 });
 
 // Remover da fila
-app.delete('/api/fila-encaixe/:id', authMiddleware, async (req, res) => {
+app.delete('/api/fila-encaixe/:id', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         
         const result = await pool.query(
             'DELETE FROM fila_encaixe WHERE id = $1 AND dentista_id = $2 RETURNING id',
-            [parseInt(id), parseInt(req.user.id)]
+            [parseInt(id), req.dentistaId]
         );
         
         if (result.rows.length === 0) {
@@ -1601,73 +3671,472 @@ app.delete('/api/fila-encaixe/:id', authMiddleware, async (req, res) => {
 });
 
 // ==============================================================================
-// ROTAS DE CONFIGURAÇÕES DA CLÍNICA
+// VAGAS LIBERADAS (CANCELAMENTOS) E OFERTA PARA A FILA DE ENCAIXE
 // ==============================================================================
 
-// Buscar configurações da clínica
-app.get('/api/config-clinica', authMiddleware, async (req, res) => {
+const OFERTA_VAGA_HORAS = parseInt(process.env.OFERTA_VAGA_HORAS) || 4;
+
+// Horário que ficou livre por cancelamento/exclusão. Só vale para horários futuros; não bloqueia quem chamou.
+async function registrarVagaLiberada(agendamento, motivo) {
     try {
-        const result = await pool.query(
-            'SELECT * FROM config_clinica WHERE dentista_id = $1',
-            [parseInt(req.user.id)]
-        );
-        
-        if (result.rows.length === 0) {
-            // Retorna config vazia se não existir
-            return res.json({ 
-                success: true, 
-                config: {
-                    nome_clinica: '',
-                    nome_dentista: '',
-                    telefone: '',
-                    whatsapp: '',
-                    endereco: '',
-                    assinatura: '',
-                    hora_abre: '08:00',
-                    hora_fecha: '18:00',
-                    intervalo_padrao: 30,
-                    dias_atendimento: 'Segunda a Sexta',
-                    periodo_confirmacao: 48,
-                    msg_aniversario: ''
-                }
+        const agora = dataEMinutoLocal(new Date());
+        const data = dataParaTexto(agendamento.data);
+        if (data < agora.data || (data === agora.data && horaParaMinutos(agendamento.horario) <= agora.minuto)) {
+            return;
+        }
+
+        await pool.query(`
+            INSERT INTO vagas_liberadas (dentista_id, agendamento_id, profissional_id, data, horario, duracao, procedimento, motivo)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [agendamento.dentista_id, agendamento.id, agendamento.profissional_id || null, data, agendamento.horario,
+            agendamento.duracao || 60, agendamento.procedimento || null, motivo]);
+    } catch (error) {
+        console.error('Erro registrar vaga liberada:', error.message);
+    }
+}
+
+// Fila ainda não resolvida, na ordem de prioridade: urgentes primeiro, depois os mais antigos.
+// Quem já tem oferta em aberto para esta vaga vem marcado.
+async function rankearFilaParaVaga(dentistaId, vagaId) {
+    const result = await pool.query(`
+        SELECT f.*,
+               EXISTS (SELECT 1 FROM ofertas_vaga o
+                       WHERE o.fila_id = f.id AND o.vaga_id = $2 AND o.status = 'enviada' AND o.expira_em > NOW()) as oferta_em_aberto,
+               EXISTS (SELECT 1 FROM ofertas_vaga o
+                       WHERE o.fila_id = f.id AND o.vaga_id = $2 AND o.status = 'recusada') as recusou
+        FROM fila_encaixe f
+        WHERE f.dentista_id = $1 AND f.resolvido = false
+        ORDER BY f.urgente DESC, f.criado_em ASC
+    `, [dentistaId, vagaId]);
+
+    return result.rows.filter(f => !f.recusou).map((f, i) => ({
+        posicao: i + 1,
+        id: f.id,
+        nome: f.nome,
+        telefone: f.telefone,
+        motivo: f.motivo,
+        urgente: f.urgente,
+        aguardandoDesde: f.criado_em,
+        ofertaEmAberto: f.oferta_em_aberto
+    }));
+}
+
+// Cria o agendamento de quem saiu da fila e fecha vaga, item da fila e ofertas (dentro da transação de quem chama)
+async function preencherVaga(client, vaga, fila, statusAgendamento, origem) {
+    const codigoConfirmacao = await gerarCodigoUnico();
+    const novo = await client.query(
+        `INSERT INTO agendamentos (dentista_id, paciente_nome, paciente_telefone, data, horario, duracao, procedimento, status,
+                                   encaixe, observacoes, codigo_confirmacao, profissional_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, false, $9, $10, $11) RETURNING *`,
+        [vaga.dentista_id, fila.nome, fila.telefone, vaga.data, vaga.horario, vaga.duracao, vaga.procedimento, statusAgendamento,
+            fila.motivo ? 'Fila de encaixe: ' + fila.motivo : 'Fila de encaixe', codigoConfirmacao, vaga.profissional_id]
+    );
+    const agendamentoId = novo.rows[0].id;
+    await registrarHistoricoStatus(client, {
+        agendamentoId, dentistaId: vaga.dentista_id, anterior: null, novo: statusAgendamento,
+        canal: origem.canal, req: origem.req, ator: origem.ator, observacao: 'Encaixe da fila'
+    });
+
+    await client.query(
+        `UPDATE vagas_liberadas SET status = 'preenchida', agendamento_novo_id = $1, fila_id = $2, fechada_em = NOW() WHERE id = $3`,
+        [agendamentoId, fila.id, vaga.id]
+    );
+    await client.query(
+        'UPDATE fila_encaixe SET resolvido = true, resolvido_em = NOW(), agendamento_id = $1 WHERE id = $2',
+        [agendamentoId, fila.id]
+    );
+    await client.query(
+        `UPDATE ofertas_vaga SET status = CASE WHEN fila_id = $2 THEN 'aceita' ELSE 'expirada' END, respondida_em = NOW()
+         WHERE vaga_id = $1 AND status = 'enviada'`,
+        [vaga.id, fila.id]
+    );
+    return novo.rows[0];
+}
+
+// Trava a vaga e confere se o horário continua livre; retorna a vaga ou { erro, status }
+async function travarVagaDisponivel(client, vagaId, dentistaId) {
+    const result = await client.query(
+        `SELECT * FROM vagas_liberadas WHERE id = $1 AND dentista_id = $2 FOR UPDATE`,
+        [vagaId, dentistaId]
+    );
+    const vaga = result.rows[0];
+    if (!vaga) return { erro: 'Vaga não encontrada', status: 404 };
+    if (!['aberta', 'ofertada'].includes(vaga.status)) return { erro: 'Esta vaga já foi preenchida ou encerrada', status: 409 };
+
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [vaga.dentista_id, vaga.profissional_id || 0]);
+    const validacao = await validarHorarioAgendamento(vaga.dentista_id, {
+        profissionalId: vaga.profissional_id, data: vaga.data, horario: vaga.horario, duracao: vaga.duracao
+    });
+    if (validacao.conflitos.length > 0) {
+        await client.query(`UPDATE vagas_liberadas SET status = 'ocupada', fechada_em = NOW() WHERE id = $1`, [vaga.id]);
+        return { erro: 'O horário já foi ocupado por outro agendamento', status: 409, encerrar: true };
+    }
+    if (validacao.bloqueios.length > 0) {
+        await client.query(`UPDATE vagas_liberadas SET status = 'descartada', fechada_em = NOW() WHERE id = $1`, [vaga.id]);
+        return { erro: 'A agenda foi bloqueada neste horário', status: 409, encerrar: true };
+    }
+    return { vaga };
+}
+
+// Vagas abertas (futuras) com os primeiros candidatos da fila
+app.get('/api/vagas-liberadas', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT v.*, prof.nome as profissional_nome
+            FROM vagas_liberadas v
+            LEFT JOIN profissionais prof ON v.profissional_id = prof.id
+            WHERE v.dentista_id = $1 AND v.status IN ('aberta', 'ofertada') AND v.data >= ${HOJE_CLINICA_SQL}
+            ORDER BY v.data, v.horario
+        `, [req.dentistaId]);
+
+        const vagas = [];
+        for (const v of result.rows) {
+            const candidatos = await rankearFilaParaVaga(req.dentistaId, v.id);
+            vagas.push({
+                id: v.id,
+                data: v.data,
+                hora: v.horario,
+                duracao: v.duracao,
+                procedimento: v.procedimento,
+                profissional_id: v.profissional_id,
+                profissional_nome: v.profissional_nome,
+                motivo: v.motivo,
+                status: v.status,
+                criadoEm: v.criado_em,
+                candidatos: candidatos.slice(0, 5),
+                totalCandidatos: candidatos.length
             });
         }
-        
-        const c = result.rows[0];
-        res.json({
+
+        res.json({ success: true, vagas });
+    } catch (error) {
+        console.error('Erro listar vagas liberadas:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar vagas liberadas' });
+    }
+});
+
+// Ranking completo da fila para a vaga
+app.get('/api/vagas-liberadas/:id/candidatos', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const vagaId = validarId(req.params.id);
+        if (!vagaId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        const vaga = await pool.query('SELECT id FROM vagas_liberadas WHERE id = $1 AND dentista_id = $2', [vagaId, req.dentistaId]);
+        if (vaga.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Vaga não encontrada' });
+        }
+
+        res.json({ success: true, candidatos: await rankearFilaParaVaga(req.dentistaId, vagaId) });
+    } catch (error) {
+        console.error('Erro ranking fila:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar candidatos' });
+    }
+});
+
+// Oferecer a vaga a alguém da fila: gera o link para o paciente aceitar (enviado pela recepção)
+app.post('/api/vagas-liberadas/:id/ofertar', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    try {
+        const vagaId = validarId(req.params.id);
+        const filaId = validarId(req.body.fila_id);
+        if (!vagaId || !filaId) {
+            return res.status(400).json({ success: false, erro: 'Vaga e item da fila obrigatórios' });
+        }
+
+        const vaga = await pool.query(
+            `SELECT * FROM vagas_liberadas WHERE id = $1 AND dentista_id = $2 AND status IN ('aberta', 'ofertada')`,
+            [vagaId, req.dentistaId]
+        );
+        if (vaga.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Vaga não encontrada ou já encerrada' });
+        }
+        const fila = await pool.query(
+            'SELECT * FROM fila_encaixe WHERE id = $1 AND dentista_id = $2 AND resolvido = false',
+            [filaId, req.dentistaId]
+        );
+        if (fila.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Item da fila não encontrado' });
+        }
+
+        const horas = Math.min(Math.max(parseInt(req.body.validadeHoras) || OFERTA_VAGA_HORAS, 1), 72);
+        const token = crypto.randomBytes(24).toString('hex');
+        const oferta = await pool.query(`
+            INSERT INTO ofertas_vaga (vaga_id, fila_id, dentista_id, token_hash, expira_em)
+            VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+            RETURNING id, expira_em
+        `, [vagaId, filaId, req.dentistaId, hashToken(token), horas]);
+        await pool.query(`UPDATE vagas_liberadas SET status = 'ofertada' WHERE id = $1`, [vagaId]);
+
+        const v = vaga.rows[0];
+        const link = `${FRONTEND_URL}/encaixe.html?token=${token}`;
+        const dataBr = dataParaTexto(v.data).split('-').reverse().join('/');
+        res.status(201).json({
             success: true,
-            config: {
-                nome_clinica: c.nome_clinica || '',
-                nome_dentista: c.nome_dentista || '',
-                telefone: c.telefone || '',
-                whatsapp: c.whatsapp || '',
-                endereco: c.endereco || '',
-                assinatura: c.assinatura || '',
-                hora_abre: c.hora_abre || '08:00',
-                hora_fecha: c.hora_fecha || '18:00',
-                intervalo_padrao: c.intervalo_padrao || 30,
-                dias_atendimento: c.dias_atendimento || 'Segunda a Sexta',
-                periodo_confirmacao: c.periodo_confirmacao || 48,
-                msg_aniversario: c.msg_aniversario || ''
-            }
+            ofertaId: oferta.rows[0].id,
+            expiraEm: oferta.rows[0].expira_em,
+            link,
+            telefone: fila.rows[0].telefone,
+            mensagem: `Olá ${fila.rows[0].nome}! Abriu um horário em ${dataBr} às ${String(v.horario).substring(0, 5)}. ` +
+                `Para ficar com ele, confirme pelo link: ${link}`
         });
     } catch (error) {
-        console.error('Erro buscar config:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao buscar configurações' });
+        console.error('Erro ofertar vaga:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao ofertar vaga' });
     }
 });
 
-// Salvar configurações da clínica
-app.put('/api/config-clinica', authMiddleware, async (req, res) => {
+// Recepção encaixa direto (ex: paciente aceitou por telefone)
+app.post('/api/vagas-liberadas/:id/preencher', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    const vagaId = validarId(req.params.id);
+    const filaId = validarId(req.body.fila_id);
+    if (!vagaId || !filaId) {
+        return res.status(400).json({ success: false, erro: 'Vaga e item da fila obrigatórios' });
+    }
+
+    let client;
     try {
-        const {
-            nome_clinica, nome_dentista, telefone, whatsapp, endereco, assinatura,
-            hora_abre, hora_fecha, intervalo_padrao, dias_atendimento,
-            periodo_confirmacao, msg_aniversario
-        } = req.body;
-        
-        // Usar UPSERT (INSERT ... ON CONFLICT UPDATE)
-        const result = await pool.query(
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const fila = await client.query(
+            'SELECT * FROM fila_encaixe WHERE id = $1 AND dentista_id = $2 AND resolvido = false FOR UPDATE',
+            [filaId, req.dentistaId]
+        );
+        if (fila.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, erro: 'Item da fila não encontrado' });
+        }
+
+        const trava = await travarVagaDisponivel(client, vagaId, req.dentistaId);
+        if (trava.erro) {
+            await client.query(trava.encerrar ? 'COMMIT' : 'ROLLBACK');
+            return res.status(trava.status).json({ success: false, erro: trava.erro });
+        }
+
+        const agendamento = await preencherVaga(client, trava.vaga, fila.rows[0], 'agendado', { canal: canalDaRequisicao(req), req });
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: 'Encaixe agendado!',
+            agendamento: { id: agendamento.id.toString(), data: agendamento.data, hora: agendamento.horario, codigoConfirmacao: agendamento.codigo_confirmacao }
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro preencher vaga:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao preencher vaga' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// Descartar a vaga (ex: dentista vai usar o horário para outra coisa)
+app.post('/api/vagas-liberadas/:id/descartar', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    try {
+        const vagaId = validarId(req.params.id);
+        if (!vagaId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const result = await pool.query(`
+            UPDATE vagas_liberadas SET status = 'descartada', fechada_em = NOW()
+            WHERE id = $1 AND dentista_id = $2 AND status IN ('aberta', 'ofertada')
+            RETURNING id
+        `, [vagaId, req.dentistaId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Vaga não encontrada ou já encerrada' });
+        }
+        await pool.query(`UPDATE ofertas_vaga SET status = 'expirada', respondida_em = NOW() WHERE vaga_id = $1 AND status = 'enviada'`, [vagaId]);
+
+        res.json({ success: true, message: 'Vaga descartada' });
+    } catch (error) {
+        console.error('Erro descartar vaga:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao descartar vaga' });
+    }
+});
+
+// ---------- Link de oferta (público, paciente da fila) ----------
+
+async function buscarOfertaValida(token) {
+    const result = await pool.query(`
+        SELECT o.*, v.data, v.horario, v.duracao, v.procedimento, v.status as vaga_status, v.profissional_id,
+               f.nome, prof.nome as profissional_nome, c.nome_clinica
+        FROM ofertas_vaga o
+        JOIN vagas_liberadas v ON o.vaga_id = v.id
+        JOIN fila_encaixe f ON o.fila_id = f.id
+        LEFT JOIN profissionais prof ON v.profissional_id = prof.id
+        LEFT JOIN config_clinica c ON c.dentista_id = o.dentista_id
+        WHERE o.token_hash = $1
+    `, [hashToken(String(token || ''))]);
+    return result.rows[0] || null;
+}
+
+async function tokenOfertaInvalido(req, res) {
+    const bloqueio = await registrarFalha('codigo_ip', obterIp(req), { req });
+    if (bloqueio) {
+        return responderBloqueado(res, bloqueio);
+    }
+    return res.status(404).json({ success: false, erro: 'Oferta não encontrada' });
+}
+
+function ofertaDisponivel(oferta) {
+    return oferta.status === 'enviada' && new Date(oferta.expira_em) > new Date() && ['aberta', 'ofertada'].includes(oferta.vaga_status);
+}
+
+app.get('/api/encaixe/oferta/:token', limitarPorIp('codigo_ip'), async (req, res) => {
+    try {
+        const oferta = await buscarOfertaValida(req.params.token);
+        if (!oferta) {
+            return await tokenOfertaInvalido(req, res);
+        }
+
+        res.json({
+            success: true,
+            oferta: {
+                nome: oferta.nome,
+                data: oferta.data,
+                horario: oferta.horario,
+                duracao: oferta.duracao,
+                procedimento: oferta.procedimento,
+                profissional: oferta.profissional_nome,
+                clinica: oferta.nome_clinica,
+                expiraEm: oferta.expira_em,
+                disponivel: ofertaDisponivel(oferta)
+            }
+        });
+    } catch (error) {
+        console.error('Erro buscar oferta:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Paciente aceita (quem aceitar primeiro fica com o horário) ou recusa
+app.post('/api/encaixe/oferta/:token/:resposta', limitarPorIp('codigo_ip'), async (req, res) => {
+    const resposta = req.params.resposta;
+    if (!['aceitar', 'recusar'].includes(resposta)) {
+        return res.status(404).json({ success: false, erro: 'Ação inválida' });
+    }
+
+    let client;
+    try {
+        const oferta = await buscarOfertaValida(req.params.token);
+        if (!oferta) {
+            return await tokenOfertaInvalido(req, res);
+        }
+        if (!ofertaDisponivel(oferta)) {
+            return res.status(410).json({ success: false, erro: 'Esta oferta expirou ou o horário já foi preenchido' });
+        }
+
+        if (resposta === 'recusar') {
+            await pool.query(`UPDATE ofertas_vaga SET status = 'recusada', respondida_em = NOW() WHERE id = $1`, [oferta.id]);
+            return res.json({ success: true, message: 'Tudo bem! Você continua na fila de encaixe.' });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const fila = await client.query('SELECT * FROM fila_encaixe WHERE id = $1 AND resolvido = false FOR UPDATE', [oferta.fila_id]);
+        const trava = fila.rows.length > 0
+            ? await travarVagaDisponivel(client, oferta.vaga_id, oferta.dentista_id)
+            : { erro: 'Seu pedido de encaixe já foi resolvido', status: 409 };
+        if (trava.erro) {
+            await client.query(trava.encerrar ? 'COMMIT' : 'ROLLBACK');
+            return res.status(trava.status === 404 ? 410 : trava.status).json({ success: false, erro: trava.erro });
+        }
+
+        // Paciente escolheu o horário: já entra confirmado
+        const agendamento = await preencherVaga(client, trava.vaga, fila.rows[0], 'confirmado', { canal: 'link_paciente', ator: fila.rows[0].nome });
+        await client.query('COMMIT');
+
+        console.log(`Vaga ${oferta.vaga_id} preenchida pela fila de encaixe (item ${oferta.fila_id})`);
+        res.json({
+            success: true,
+            message: 'Horário reservado para você!',
+            agendamento: {
+                data: agendamento.data,
+                horario: agendamento.horario,
+                procedimento: agendamento.procedimento,
+                profissional: oferta.profissional_nome,
+                codigoConfirmacao: agendamento.codigo_confirmacao
+            }
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro responder oferta:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// ==============================================================================
+// ROTAS DE CONFIGURAÇÕES DA CLÍNICA
+// ==============================================================================
+
+// Buscar configurações da clínica
+app.get('/api/config-clinica', authMiddleware, verificarAcesso('configuracoes', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM config_clinica WHERE dentista_id = $1',
+            [req.dentistaId]
+        );
+        
+        if (result.rows.length === 0) {
+            // Retorna config vazia se não existir
+            return res.json({ 
+                success: true, 
+                config: {
+                    nome_clinica: '',
+                    nome_dentista: '',
+                    telefone: '',
+                    whatsapp: '',
+                    endereco: '',
+                    assinatura: '',
+                    hora_abre: '08:00',
+                    hora_fecha: '18:00',
+                    intervalo_padrao: 30,
+                    dias_atendimento: 'Segunda a Sexta',
+                    periodo_confirmacao: 48,
+                    msg_aniversario: ''
+                }
+            });
+        }
+        
+        const c = result.rows[0];
+        res.json({
+            success: true,
+            config: {
+                nome_clinica: c.nome_clinica || '',
+                nome_dentista: c.nome_dentista || '',
+                telefone: c.telefone || '',
+                whatsapp: c.whatsapp || '',
+                endereco: c.endereco || '',
+                assinatura: c.assinatura || '',
+                hora_abre: c.hora_abre || '08:00',
+                hora_fecha: c.hora_fecha || '18:00',
+                intervalo_padrao: c.intervalo_padrao || 30,
+                dias_atendimento: c.dias_atendimento || 'Segunda a Sexta',
+                periodo_confirmacao: c.periodo_confirmacao || 48,
+                msg_aniversario: c.msg_aniversario || ''
+            }
+        });
+    } catch (error) {
+        console.error('Erro buscar config:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar configurações' });
+    }
+});
+
+// Salvar configurações da clínica
+app.put('/api/config-clinica', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
+    try {
+        const {
+            nome_clinica, nome_dentista, telefone, whatsapp, endereco, assinatura,
+            hora_abre, hora_fecha, intervalo_padrao, dias_atendimento,
+            periodo_confirmacao, msg_aniversario
+        } = req.body;
+        
+        // Usar UPSERT (INSERT ... ON CONFLICT UPDATE)
+        const result = await pool.query(
             `INSERT INTO config_clinica (
                 dentista_id, nome_clinica, nome_dentista, telefone, whatsapp, endereco, assinatura,
                 hora_abre, hora_fecha, intervalo_padrao, dias_atendimento, periodo_confirmacao, msg_aniversario,
@@ -1689,7 +4158,7 @@ app.put('/api/config-clinica', authMiddleware, async (req, res) => {
                 atualizado_em = NOW()
             RETURNING *`,
             [
-                parseInt(req.user.id),
+                req.dentistaId,
                 nome_clinica || null,
                 nome_dentista || null,
                 telefone || null,
@@ -1705,7 +4174,7 @@ app.put('/api/config-clinica', authMiddleware, async (req, res) => {
             ]
         );
         
-        console.log(`Config clínica salva para dentista ${req.user.id}`);
+        console.log(`Config clínica salva para dentista ${req.dentistaId}`);
         res.json({ success: true, message: 'Configurações salvas!', config: result.rows[0] });
     } catch (error) {
         console.error('Erro salvar config:', error);
@@ -1731,10 +4200,66 @@ const PERMISSOES_DISPONIVEIS = [
     { id: 'laboratorio', nome: 'Laboratório', descricao: 'Gerenciar casos protéticos' },
     { id: 'nfse', nome: 'Notas Fiscais', descricao: 'Emitir e gerenciar NFS-e' },
     { id: 'relatorios', nome: 'Relatórios', descricao: 'Acessar relatórios e dashboard' },
-    { id: 'configuracoes', nome: 'Configurações', descricao: 'Alterar configurações do sistema' },
-    { id: 'usuarios', nome: 'Gerenciar Usuários', descricao: 'Criar e gerenciar usuários vinculados' }
+    { id: 'configuracoes', nome: 'Configurações', descricao: 'Alterar configurações do sistema' }
 ];
 
+// Validade do link de convite de usuário vinculado
+const CONVITE_DIAS = parseInt(process.env.CONVITE_DIAS) || 7;
+
+// Gera um novo token de convite (invalida o anterior) e envia o email
+async function enviarConviteUsuario(usuarioId, dentistaId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expira = new Date(Date.now() + CONVITE_DIAS * 24 * 60 * 60 * 1000);
+
+    const result = await pool.query(`
+        UPDATE usuarios_vinculados
+        SET token_convite = $1, convite_expira = $2, convite_enviado_em = CURRENT_TIMESTAMP,
+            status_convite = 'pendente', atualizado_em = CURRENT_TIMESTAMP
+        WHERE id = $3 AND dentista_id = $4
+        RETURNING nome, email, cargo
+    `, [hashToken(token), expira, usuarioId, dentistaId]);
+    const usuario = result.rows[0];
+
+    const dentista = await pool.query('SELECT * FROM dentistas WHERE id = $1', [dentistaId]);
+    const d = dentista.rows[0] || {};
+    const nomeDentista = d.nome || d.name || 'o dentista';
+    const clinica = d.clinica || d.clinic || nomeDentista;
+
+    const linkConvite = `${FRONTEND_URL}/area-dentistas/aceitar-convite.html?token=${token}`;
+    const emailHtml = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <div style="text-align: center; margin-bottom: 30px;">
+                <h1 style="color: #1FA2FF;">[dente] Dental Ultra</h1>
+            </div>
+            <h2 style="color: #333;">Você foi convidado(a)!</h2>
+            <p>Olá <strong>${usuario.nome}</strong>,</p>
+            <p><strong>${nomeDentista}</strong> convidou você para acessar o sistema da clínica <strong>${clinica}</strong> como <strong>${usuario.cargo || 'colaborador(a)'}</strong>.</p>
+            <p>Clique no botão abaixo para criar a sua senha e ativar o acesso:</p>
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${linkConvite}" style="background: linear-gradient(135deg, #1FA2FF, #12D8FA); color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+                    Aceitar Convite
+                </a>
+            </div>
+            <p style="color: #666; font-size: 14px;">Este convite expira em ${CONVITE_DIAS} dia(s).</p>
+            <p style="color: #666; font-size: 14px;">Se você não conhece esta clínica, ignore este email.</p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px; text-align: center;">
+                Dental Ultra - Sistema de Gestão Odontológica<br>
+                suporte@dentalultra.com.br
+            </p>
+        </div>
+    `;
+
+    const enviado = await enviarEmail(usuario.email, '[dente] Convite para acessar o Dental Ultra', emailHtml);
+    return { enviado, expira };
+}
+
+// Só grava permissões conhecidas (ex: '*' é exclusivo do dentista)
+function filtrarPermissoes(permissoes) {
+    if (!Array.isArray(permissoes)) return [];
+    return permissoes.filter(p => PERMISSOES_DISPONIVEIS.some(d => d.id === p));
+}
+
 // Listar permissões disponíveis
 app.get('/api/usuarios/permissoes-disponiveis', authMiddleware, (req, res) => {
     res.json({ success: true, permissoes: PERMISSOES_DISPONIVEIS });
@@ -1748,10 +4273,13 @@ app.get('/api/usuarios', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar usuários' });
         }
         
-        const dentistaId = req.user.id;
+        const dentistaId = req.dentistaId;
         
         const result = await pool.query(`
-            SELECT id, nome, email, cargo, ativo, permissoes, criado_em, atualizado_em
+            SELECT id, nome, email, cargo, ativo, permissoes, totp_ativo, criado_em, atualizado_em,
+                   CASE WHEN status_convite = 'pendente' AND convite_expira < CURRENT_TIMESTAMP THEN 'expirado'
+                        ELSE COALESCE(status_convite, 'aceito') END as status_convite,
+                   convite_enviado_em, convite_expira, convite_aceito_em
             FROM usuarios_vinculados
             WHERE dentista_id = $1
             ORDER BY nome
@@ -1762,8 +4290,11 @@ app.get('/api/usuarios', authMiddleware, async (req, res) => {
             ...u,
             permissoes: typeof u.permissoes === 'string' ? JSON.parse(u.permissoes) : u.permissoes
         }));
+
+        const politica = await pool.query('SELECT exigir_2fa_usuarios FROM dentistas WHERE id = $1', [dentistaId]);
+        const exigir2fa = politica.rows.length > 0 && politica.rows[0].exigir_2fa_usuarios === true;
         
-        res.json({ success: true, usuarios });
+        res.json({ success: true, usuarios, exigir2fa });
     } catch (error) {
         console.error('Erro listar usuarios:', error);
         res.status(500).json({ success: false, erro: 'Erro ao listar usuários' });
@@ -1778,16 +4309,12 @@ app.post('/api/usuarios', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, erro: 'Apenas o dentista pode criar usuários' });
         }
         
-        const dentistaId = req.user.id;
-        const { nome, email, senha, cargo, permissoes } = req.body;
+        const dentistaId = req.dentistaId;
+        const { nome, email, cargo, permissoes } = req.body;
         
-        // Validações
-        if (!nome || !email || !senha) {
-            return res.status(400).json({ success: false, erro: 'Nome, email e senha são obrigatórios' });
-        }
-        
-        if (senha.length < 6) {
-            return res.status(400).json({ success: false, erro: 'Senha deve ter no mínimo 6 caracteres' });
+        // Validações (a senha é definida pelo próprio usuário ao aceitar o convite)
+        if (!nome || !email) {
+            return res.status(400).json({ success: false, erro: 'Nome e email são obrigatórios' });
         }
         
         const emailLower = email.toLowerCase();
@@ -1806,22 +4333,30 @@ app.post('/api/usuarios', authMiddleware, async (req, res) => {
             return res.status(400).json({ success: false, erro: 'Este email já está em uso' });
         }
         
-        // Hash da senha
-        const senhaHash = await bcrypt.hash(senha, 10);
-        
         // Permissões padrão se não informadas
-        const permsArray = permissoes || ['agenda', 'pacientes_visualizar'];
+        const permsArray = permissoes ? filtrarPermissoes(permissoes) : ['agenda', 'pacientes_visualizar'];
         
         const result = await pool.query(`
-            INSERT INTO usuarios_vinculados (dentista_id, nome, email, senha, cargo, permissoes)
-            VALUES ($1, $2, $3, $4, $5, $6)
+            INSERT INTO usuarios_vinculados (dentista_id, nome, email, senha, cargo, permissoes, status_convite)
+            VALUES ($1, $2, $3, NULL, $4, $5, 'pendente')
             RETURNING id, nome, email, cargo, ativo, permissoes, criado_em
-        `, [dentistaId, nome, emailLower, senhaHash, cargo || 'Secretária', JSON.stringify(permsArray)]);
+        `, [dentistaId, nome, emailLower, cargo || 'Secretária', JSON.stringify(permsArray)]);
         
         const usuario = result.rows[0];
         usuario.permissoes = permsArray;
+
+        const convite = await enviarConviteUsuario(usuario.id, dentistaId);
+        usuario.status_convite = 'pendente';
+        usuario.convite_expira = convite.expira;
         
-        res.json({ success: true, message: 'Usuário criado com sucesso!', usuario });
+        res.json({
+            success: true,
+            message: convite.enviado
+                ? 'Convite enviado para ' + emailLower
+                : 'Usuário criado, mas o email de convite não pôde ser enviado. Tente reenviar.',
+            conviteEnviado: convite.enviado,
+            usuario
+        });
     } catch (error) {
         console.error('Erro criar usuario:', error);
         if (error.code === '23505') {
@@ -1831,6 +4366,40 @@ app.post('/api/usuarios', authMiddleware, async (req, res) => {
     }
 });
 
+// Política da clínica: exigir 2FA de todos os usuários vinculados
+app.put('/api/usuarios/politica-2fa', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar usuários' });
+        }
+
+        const exigir = req.body.exigir === true;
+        await pool.query('UPDATE dentistas SET exigir_2fa_usuarios = $1 WHERE id = $2', [exigir, req.dentistaId]);
+
+        // Quem ainda não configurou perde as sessões e passa pela configuração no próximo login
+        let sessoesRevogadas = 0;
+        if (exigir) {
+            const semTotp = await pool.query(
+                'SELECT id FROM usuarios_vinculados WHERE dentista_id = $1 AND totp_ativo IS NOT TRUE',
+                [req.dentistaId]
+            );
+            for (const usuario of semTotp.rows) {
+                sessoesRevogadas += await revogarSessoes({ usuarioId: usuario.id }, '2fa_obrigatorio');
+            }
+        }
+
+        res.json({
+            success: true,
+            message: exigir ? '2FA passou a ser obrigatório para os usuários da clínica' : '2FA deixou de ser obrigatório',
+            exigir2fa: exigir,
+            sessoesRevogadas
+        });
+    } catch (error) {
+        console.error('Erro política 2FA:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar política de 2FA' });
+    }
+});
+
 // Atualizar usuário vinculado
 app.put('/api/usuarios/:id', authMiddleware, async (req, res) => {
     try {
@@ -1839,14 +4408,19 @@ app.put('/api/usuarios/:id', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, erro: 'Apenas o dentista pode editar usuários' });
         }
         
-        const dentistaId = req.user.id;
+        const dentistaId = req.dentistaId;
         const usuarioId = validarId(req.params.id);
         
         if (!usuarioId) {
             return res.status(400).json({ success: false, erro: 'ID inválido' });
         }
         
-        const { nome, email, senha, cargo, permissoes, ativo } = req.body;
+        const { nome, email, cargo, permissoes, ativo } = req.body;
+
+        // A senha é só do próprio usuário: convite ou "esqueci minha senha"
+        if (req.body.senha !== undefined) {
+            return res.status(400).json({ success: false, erro: 'A senha não pode ser alterada aqui. O usuário deve usar a recuperação de senha.' });
+        }
         
         // Verificar se usuário pertence ao dentista
         const existe = await pool.query(
@@ -1880,16 +4454,12 @@ app.put('/api/usuarios/:id', authMiddleware, async (req, res) => {
             if (existeDentista.rows.length > 0) {
                 return res.status(400).json({ success: false, erro: 'Este email já está em uso' });
             }
-            campos.push(`email = $${idx++}`);
+            const pEmail = idx++;
+            campos.push(`email = $${pEmail}`);
             valores.push(emailLower);
-        }
-        if (senha) {
-            if (senha.length < 6) {
-                return res.status(400).json({ success: false, erro: 'Senha deve ter no mínimo 6 caracteres' });
-            }
-            const senhaHash = await bcrypt.hash(senha, 10);
-            campos.push(`senha = $${idx++}`);
-            valores.push(senhaHash);
+            // Convite enviado ao email antigo deixa de valer; o dentista reenvia para o novo
+            campos.push(`token_convite = CASE WHEN email IS DISTINCT FROM $${pEmail} THEN NULL ELSE token_convite END`);
+            campos.push(`convite_expira = CASE WHEN email IS DISTINCT FROM $${pEmail} THEN NULL ELSE convite_expira END`);
         }
         if (cargo !== undefined) {
             campos.push(`cargo = $${idx++}`);
@@ -1897,7 +4467,7 @@ app.put('/api/usuarios/:id', authMiddleware, async (req, res) => {
         }
         if (permissoes !== undefined) {
             campos.push(`permissoes = $${idx++}`);
-            valores.push(JSON.stringify(permissoes));
+            valores.push(JSON.stringify(filtrarPermissoes(permissoes)));
         }
         if (ativo !== undefined) {
             campos.push(`ativo = $${idx++}`);
@@ -1923,6 +4493,11 @@ app.put('/api/usuarios/:id', authMiddleware, async (req, res) => {
         usuario.permissoes = typeof usuario.permissoes === 'string' 
             ? JSON.parse(usuario.permissoes) 
             : usuario.permissoes;
+
+        // Desativar derruba as sessões abertas do usuário
+        if (ativo === false) {
+            await revogarSessoes({ usuarioId: usuarioId }, 'usuario_desativado');
+        }
         
         res.json({ success: true, message: 'Usuário atualizado!', usuario });
     } catch (error) {
@@ -1939,7 +4514,7 @@ app.delete('/api/usuarios/:id', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, erro: 'Apenas o dentista pode excluir usuários' });
         }
         
-        const dentistaId = req.user.id;
+        const dentistaId = req.dentistaId;
         const usuarioId = validarId(req.params.id);
         
         if (!usuarioId) {
@@ -1962,1116 +4537,6613 @@ app.delete('/api/usuarios/:id', authMiddleware, async (req, res) => {
     }
 });
 
+// Reenviar convite (gera novo link e renova a validade)
+app.post('/api/usuarios/:id/reenviar-convite', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar usuários' });
+        }
+
+        const usuarioId = validarId(req.params.id);
+        if (!usuarioId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const usuario = await pool.query(
+            'SELECT status_convite FROM usuarios_vinculados WHERE id = $1 AND dentista_id = $2',
+            [usuarioId, req.dentistaId]
+        );
+        if (usuario.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Usuário não encontrado' });
+        }
+        if ((usuario.rows[0].status_convite || 'aceito') === 'aceito') {
+            return res.status(400).json({ success: false, erro: 'Este usuário já aceitou o convite' });
+        }
+
+        const convite = await enviarConviteUsuario(usuarioId, req.dentistaId);
+        if (!convite.enviado) {
+            return res.status(502).json({ success: false, erro: 'Não foi possível enviar o email de convite' });
+        }
+
+        res.json({ success: true, message: 'Convite reenviado!', convite_expira: convite.expira });
+    } catch (error) {
+        console.error('Erro reenviar convite:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao reenviar convite' });
+    }
+});
+
+// Revogar convite pendente (o link deixa de funcionar)
+app.delete('/api/usuarios/:id/convite', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar usuários' });
+        }
+
+        const usuarioId = validarId(req.params.id);
+        if (!usuarioId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const result = await pool.query(`
+            UPDATE usuarios_vinculados
+            SET status_convite = 'revogado', token_convite = NULL, convite_expira = NULL, atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = $1 AND dentista_id = $2 AND status_convite = 'pendente'
+            RETURNING id
+        `, [usuarioId, req.dentistaId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Convite pendente não encontrado' });
+        }
+
+        res.json({ success: true, message: 'Convite revogado' });
+    } catch (error) {
+        console.error('Erro revogar convite:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao revogar convite' });
+    }
+});
+
 // ==============================================================================
-// ROTAS DE PACIENTES
+// ROTAS PÚBLICAS DE CONVITE (usuário convidado define a própria senha)
 // ==============================================================================
 
-// Listar pacientes
-app.get('/api/pacientes', authMiddleware, async (req, res) => {
+async function buscarConvitePendente(token) {
+    if (!token) return null;
+    const result = await pool.query(`
+        SELECT u.id, u.nome, u.email, u.cargo, u.convite_expira, d.id as dentista_id
+        FROM usuarios_vinculados u
+        JOIN dentistas d ON u.dentista_id = d.id
+        WHERE u.token_convite = $1 AND u.status_convite = 'pendente'
+    `, [hashToken(token)]);
+    return result.rows[0] || null;
+}
+
+// Dados do convite para a tela de aceite
+app.get('/api/convites/:token', limitarPorIp('recuperacao_ip'), async (req, res) => {
     try {
-        // Paginação: limit e offset (padrão: 50 por página)
-        const limit = parseInt(req.query.limit) || 50;
-        const offset = parseInt(req.query.offset) || 0;
-        const busca = req.query.busca || '';
-        
-        // Query base
-        let query = `SELECT * FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)`;
-        let countQuery = `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)`;
-        let params = [parseInt(req.user.id)];
-        let countParams = [parseInt(req.user.id)];
-        
-        // Se tiver busca, filtrar (ignorando acentos)
-        if (busca) {
-            // Normaliza a busca removendo acentos
-            const buscaNorm = busca.toLowerCase()
-                .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-            query += ` AND (
-                LOWER(TRANSLATE(nome, 'áàãâäéèêëíìîïóòõôöúùûüçñÁÀÃÂÄÉÈÊËÍÌÎÏÓÒÕÔÖÚÙÛÜÇÑ', 'aaaaaeeeeiiiiooooouuuucnAAAAAEEEEIIIIOOOOOUUUUCN')) LIKE $2 
-                OR cpf LIKE $2 
-                OR telefone LIKE $2 
-                OR celular LIKE $2
-            )`;
-            countQuery += ` AND (
-                LOWER(TRANSLATE(nome, 'áàãâäéèêëíìîïóòõôöúùûüçñÁÀÃÂÄÉÈÊËÍÌÎÏÓÒÕÔÖÚÙÛÜÇÑ', 'aaaaaeeeeiiiiooooouuuucnAAAAAEEEEIIIIOOOOOUUUUCN')) LIKE $2 
-                OR cpf LIKE $2 
-                OR telefone LIKE $2 
-                OR celular LIKE $2
-            )`;
-            params.push('%' + buscaNorm + '%');
-            countParams.push('%' + buscaNorm + '%');
+        const convite = await buscarConvitePendente(req.params.token);
+        if (!convite) {
+            const bloqueio = await registrarFalha('recuperacao_ip', obterIp(req), { req });
+            if (bloqueio) {
+                return responderBloqueado(res, bloqueio);
+            }
+            return res.status(404).json({ success: false, erro: 'Convite inválido ou já utilizado' });
+        }
+        if (!convite.convite_expira || new Date() > new Date(convite.convite_expira)) {
+            return res.status(410).json({ success: false, erro: 'Convite expirado. Peça ao dentista para reenviar.', expirado: true });
+        }
+
+        const dentista = await pool.query('SELECT * FROM dentistas WHERE id = $1', [convite.dentista_id]);
+        const d = dentista.rows[0] || {};
+
+        res.json({
+            success: true,
+            convite: {
+                nome: convite.nome,
+                email: convite.email,
+                cargo: convite.cargo,
+                dentista: d.nome || d.name,
+                clinica: d.clinica || d.clinic,
+                expiraEm: convite.convite_expira
+            }
+        });
+    } catch (error) {
+        console.error('Erro buscar convite:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Aceitar convite: define a senha e ativa o acesso
+app.post('/api/convites/aceitar', limitarPorIp('recuperacao_ip'), async (req, res) => {
+    try {
+        const { token, senha } = req.body;
+        if (!token || !senha) {
+            return res.status(400).json({ success: false, erro: 'Token e senha obrigatórios' });
+        }
+        if (senha.length < 6) {
+            return res.status(400).json({ success: false, erro: 'Senha deve ter no mínimo 6 caracteres' });
+        }
+
+        const convite = await buscarConvitePendente(token);
+        if (!convite) {
+            const bloqueio = await registrarFalha('recuperacao_ip', obterIp(req), { req });
+            if (bloqueio) {
+                return responderBloqueado(res, bloqueio);
+            }
+            return res.status(404).json({ success: false, erro: 'Convite inválido ou já utilizado' });
+        }
+        if (!convite.convite_expira || new Date() > new Date(convite.convite_expira)) {
+            return res.status(410).json({ success: false, erro: 'Convite expirado. Peça ao dentista para reenviar.', expirado: true });
+        }
+
+        const senhaHash = await bcrypt.hash(senha, 10);
+
+        // Condicional no token: o mesmo convite não pode ser aceito duas vezes
+        const result = await pool.query(`
+            UPDATE usuarios_vinculados
+            SET senha = $1, status_convite = 'aceito', token_convite = NULL, convite_expira = NULL,
+                convite_aceito_em = CURRENT_TIMESTAMP, atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = $2 AND token_convite = $3 AND status_convite = 'pendente'
+        `, [senhaHash, convite.id, hashToken(token)]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, erro: 'Convite inválido ou já utilizado' });
+        }
+
+        res.json({ success: true, message: 'Acesso ativado! Faça login com seu email e a nova senha.', email: convite.email });
+    } catch (error) {
+        console.error('Erro aceitar convite:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE SESSÕES (listar e revogar acessos)
+// ==============================================================================
+
+// Listar sessões ativas (dentista vê todas da clínica; usuário vinculado só as próprias)
+app.get('/api/sessoes', authMiddleware, async (req, res) => {
+    try {
+        let query = `
+            SELECT s.id, s.tipo_usuario, s.usuario_id, u.nome AS usuario_nome, s.ip, s.user_agent,
+                   s.criado_em, s.ultimo_uso_em, s.expira_em
+            FROM sessoes s
+            LEFT JOIN usuarios_vinculados u ON s.usuario_id = u.id
+            WHERE s.dentista_id = $1 AND s.revogado_em IS NULL AND s.expira_em > NOW()
+        `;
+        const params = [req.dentistaId];
+
+        if (req.tipoUsuario !== 'dentista') {
+            query += ' AND s.usuario_id = $2';
+            params.push(parseInt(req.usuarioId));
+        } else if (req.query.usuario_id === 'dentista') {
+            query += ' AND s.usuario_id IS NULL';
+        } else if (req.query.usuario_id) {
+            const usuarioId = validarId(req.query.usuario_id);
+            if (!usuarioId) {
+                return res.status(400).json({ success: false, erro: 'usuario_id inválido' });
+            }
+            query += ' AND s.usuario_id = $2';
+            params.push(usuarioId);
+        }
+
+        query += ' ORDER BY s.ultimo_uso_em DESC';
+        const result = await pool.query(query, params);
+
+        const sessoes = result.rows.map(s => ({
+            id: s.id,
+            tipoUsuario: s.tipo_usuario,
+            usuarioId: s.usuario_id,
+            usuarioNome: s.usuario_nome || null,
+            ip: s.ip,
+            userAgent: s.user_agent,
+            criadoEm: s.criado_em,
+            ultimoUsoEm: s.ultimo_uso_em,
+            expiraEm: s.expira_em,
+            atual: s.id === req.sessaoId
+        }));
+
+        res.json({ success: true, sessoes });
+    } catch (error) {
+        console.error('Erro listar sessões:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar sessões' });
+    }
+});
+
+// Revogar todas as sessões da própria conta (exceto a atual)
+app.post('/api/sessoes/revogar-todas', authMiddleware, async (req, res) => {
+    try {
+        const filtro = req.tipoUsuario === 'dentista'
+            ? { dentistaId: req.dentistaId, apenasDentista: true }
+            : { usuarioId: req.usuarioId };
+        if (req.sessaoId) {
+            filtro.excetoSessaoId = req.sessaoId;
+        }
+
+        const total = await revogarSessoes(filtro, 'revogada_pelo_titular');
+        res.json({ success: true, message: `${total} sessão(ões) encerrada(s)`, total });
+    } catch (error) {
+        console.error('Erro revogar sessões:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao revogar sessões' });
+    }
+});
+
+// Revogar uma sessão específica
+app.delete('/api/sessoes/:id', authMiddleware, async (req, res) => {
+    try {
+        const sessaoId = validarId(req.params.id);
+        if (!sessaoId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const filtro = { sessaoId, dentistaId: req.dentistaId };
+        if (req.tipoUsuario !== 'dentista') {
+            filtro.usuarioId = req.usuarioId;
+        }
+
+        const total = await revogarSessoes(filtro, req.tipoUsuario === 'dentista' ? 'revogada_pelo_dentista' : 'revogada_pelo_titular');
+        if (total === 0) {
+            return res.status(404).json({ success: false, erro: 'Sessão não encontrada' });
+        }
+
+        res.json({ success: true, message: 'Sessão encerrada!' });
+    } catch (error) {
+        console.error('Erro revogar sessão:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao revogar sessão' });
+    }
+});
+
+// Revogar todas as sessões de um usuário vinculado
+app.post('/api/usuarios/:id/revogar-sessoes', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode revogar sessões de usuários' });
+        }
+
+        const usuarioId = validarId(req.params.id);
+        if (!usuarioId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const existe = await pool.query(
+            'SELECT id FROM usuarios_vinculados WHERE id = $1 AND dentista_id = $2',
+            [usuarioId, req.dentistaId]
+        );
+        if (existe.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Usuário não encontrado' });
+        }
+
+        const total = await revogarSessoes({ usuarioId }, 'revogada_pelo_dentista');
+        res.json({ success: true, message: `${total} sessão(ões) encerrada(s)`, total });
+    } catch (error) {
+        console.error('Erro revogar sessões do usuário:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao revogar sessões' });
+    }
+});
+
+// Remove o 2FA de um usuário vinculado (ex: perdeu o celular); ele configura de novo no próximo login
+app.delete('/api/usuarios/:id/2fa', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar usuários' });
+        }
+
+        const usuarioId = validarId(req.params.id);
+        if (!usuarioId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const result = await pool.query(`
+            UPDATE usuarios_vinculados
+            SET totp_ativo = false, totp_secret = NULL, totp_ultimo_passo = NULL, totp_codigos_recuperacao = '[]', atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = $1 AND dentista_id = $2
+            RETURNING id
+        `, [usuarioId, req.dentistaId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Usuário não encontrado' });
+        }
+
+        await revogarSessoes({ usuarioId }, '2fa_redefinido');
+
+        res.json({ success: true, message: '2FA do usuário redefinido' });
+    } catch (error) {
+        console.error('Erro redefinir 2FA do usuário:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao redefinir 2FA' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE CHAVES DE API (INTEGRAÇÕES)
+// ==============================================================================
+
+function formatarApiKey(k) {
+    const expirada = k.expira_em && new Date(k.expira_em) < new Date();
+    return {
+        id: k.id,
+        nome: k.nome,
+        prefixo: k.prefixo,
+        escopos: parsePermissoes(k.escopos),
+        expiraEm: k.expira_em,
+        ultimoUsoEm: k.ultimo_uso_em,
+        ultimoIp: k.ultimo_ip,
+        totalUsos: k.total_usos || 0,
+        criadoEm: k.criado_em,
+        revogadaEm: k.revogada_em,
+        status: k.revogada_em ? 'revogada' : (expirada ? 'expirada' : 'ativa')
+    };
+}
+
+// Listar chaves da clínica (o segredo nunca é devolvido)
+app.get('/api/api-keys', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar chaves de API' });
+        }
+
+        const result = await pool.query(`
+            SELECT id, nome, prefixo, escopos, expira_em, ultimo_uso_em, ultimo_ip, total_usos, criado_em, revogada_em
+            FROM api_keys
+            WHERE dentista_id = $1
+            ORDER BY revogada_em IS NOT NULL, criado_em DESC
+        `, [req.dentistaId]);
+
+        res.json({
+            success: true,
+            chaves: result.rows.map(formatarApiKey),
+            escoposDisponiveis: PERMISSOES_DISPONIVEIS
+        });
+    } catch (error) {
+        console.error('Erro listar chaves de API:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar chaves de API' });
+    }
+});
+
+// Criar chave: o texto completo só aparece nesta resposta
+app.post('/api/api-keys', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar chaves de API' });
+        }
+
+        const { nome, escopos, expiraEmDias } = req.body;
+        if (!nome || !String(nome).trim()) {
+            return res.status(400).json({ success: false, erro: 'Nome da chave é obrigatório' });
+        }
+
+        const escoposValidos = filtrarPermissoes(escopos);
+        if (escoposValidos.length === 0) {
+            return res.status(400).json({ success: false, erro: 'Informe ao menos um escopo válido' });
+        }
+
+        let expiraEm = null;
+        if (expiraEmDias !== 0 && expiraEmDias !== null) {
+            const dias = expiraEmDias === undefined ? API_KEY_DIAS_PADRAO : parseInt(expiraEmDias);
+            if (!dias || dias < 1 || dias > 3650) {
+                return res.status(400).json({ success: false, erro: 'Validade deve ser entre 1 e 3650 dias (ou 0 para não expirar)' });
+            }
+            expiraEm = new Date(Date.now() + dias * 24 * 60 * 60 * 1000);
+        }
+
+        const { chave, prefixo, hash } = gerarApiKey();
+        const result = await pool.query(`
+            INSERT INTO api_keys (dentista_id, nome, prefixo, chave_hash, escopos, expira_em)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [req.dentistaId, String(nome).trim().substring(0, 100), prefixo, hash, JSON.stringify(escoposValidos), expiraEm]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Chave criada. Copie agora: ela não será exibida novamente.',
+            chave,
+            apiKey: formatarApiKey(result.rows[0])
+        });
+    } catch (error) {
+        console.error('Erro criar chave de API:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao criar chave de API' });
+    }
+});
+
+// Revogar chave (efeito imediato)
+app.delete('/api/api-keys/:id', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar chaves de API' });
+        }
+
+        const chaveId = validarId(req.params.id);
+        if (!chaveId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const result = await pool.query(`
+            UPDATE api_keys SET revogada_em = CURRENT_TIMESTAMP
+            WHERE id = $1 AND dentista_id = $2 AND revogada_em IS NULL
+            RETURNING id
+        `, [chaveId, req.dentistaId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Chave não encontrada ou já revogada' });
+        }
+
+        res.json({ success: true, message: 'Chave revogada' });
+    } catch (error) {
+        console.error('Erro revogar chave de API:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao revogar chave de API' });
+    }
+});
+
+// Chamadas feitas com a chave (mais recentes primeiro)
+app.get('/api/api-keys/:id/uso', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode gerenciar chaves de API' });
+        }
+
+        const chaveId = validarId(req.params.id);
+        if (!chaveId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const chave = await pool.query('SELECT id FROM api_keys WHERE id = $1 AND dentista_id = $2', [chaveId, req.dentistaId]);
+        if (chave.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Chave não encontrada' });
+        }
+
+        const limite = Math.min(Math.max(parseInt(req.query.limite) || 100, 1), 500);
+        const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+
+        const result = await pool.query(`
+            SELECT id, metodo, rota, status_http, ip, user_agent, criado_em
+            FROM api_keys_uso
+            WHERE api_key_id = $1
+            ORDER BY criado_em DESC
+            LIMIT $2 OFFSET $3
+        `, [chaveId, limite, (pagina - 1) * limite]);
+
+        res.json({ success: true, uso: result.rows, pagina, limite });
+    } catch (error) {
+        console.error('Erro listar uso da chave de API:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar uso da chave de API' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE SEGURANÇA (BLOQUEIOS POR EXCESSO DE TENTATIVAS)
+// ==============================================================================
+
+// Bloqueios das contas da clínica (dentista e usuários vinculados)
+app.get('/api/seguranca/bloqueios', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode ver os bloqueios' });
+        }
+
+        const { ativos, usuario_id } = req.query;
+        const limite = Math.min(Math.max(parseInt(req.query.limite) || 100, 1), 500);
+
+        let query = `
+            SELECT e.id, e.escopo, e.identificador, e.ip, e.nivel, e.falhas, e.bloqueado_ate, e.criado_em,
+                   e.usuario_id, u.nome as usuario_nome,
+                   (e.bloqueado_ate > CURRENT_TIMESTAMP) as ativo
+            FROM eventos_bloqueio e
+            LEFT JOIN usuarios_vinculados u ON e.usuario_id = u.id
+            WHERE e.dentista_id = $1
+        `;
+        const params = [req.dentistaId];
+
+        if (ativos === 'true') {
+            query += ' AND e.bloqueado_ate > CURRENT_TIMESTAMP';
+        }
+        if (usuario_id) {
+            if (!validarId(usuario_id)) {
+                return res.status(400).json({ success: false, erro: 'usuario_id inválido' });
+            }
+            params.push(validarId(usuario_id));
+            query += ` AND e.usuario_id = $${params.length}`;
+        }
+
+        params.push(limite);
+        query += ` ORDER BY e.criado_em DESC LIMIT $${params.length}`;
+
+        const result = await pool.query(query, params);
+        res.json({ success: true, bloqueios: result.rows, politica: POLITICA_BLOQUEIO });
+    } catch (error) {
+        console.error('Erro listar bloqueios:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar bloqueios' });
+    }
+});
+
+// Libera antes do prazo um bloqueio de conta da clínica (ex: secretária que errou a senha)
+app.delete('/api/seguranca/bloqueios/:id', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode liberar bloqueios' });
+        }
+
+        const eventoId = validarId(req.params.id);
+        if (!eventoId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const evento = await pool.query(
+            'SELECT escopo, identificador FROM eventos_bloqueio WHERE id = $1 AND dentista_id = $2',
+            [eventoId, req.dentistaId]
+        );
+        if (evento.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Bloqueio não encontrado' });
+        }
+
+        // Bloqueios por IP não são liberados aqui: o IP pode estar atacando outras contas
+        if (evento.rows[0].escopo.endsWith('_ip')) {
+            return res.status(400).json({ success: false, erro: 'Bloqueios por IP expiram automaticamente' });
+        }
+
+        await limparTentativas(evento.rows[0].escopo, evento.rows[0].identificador);
+        await pool.query(
+            'UPDATE eventos_bloqueio SET bloqueado_ate = LEAST(bloqueado_ate, CURRENT_TIMESTAMP) WHERE id = $1',
+            [eventoId]
+        );
+
+        res.json({ success: true, message: 'Bloqueio liberado' });
+    } catch (error) {
+        console.error('Erro liberar bloqueio:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao liberar bloqueio' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE AUDITORIA
+// ==============================================================================
+
+// Consulta da trilha de auditoria com filtros e paginação
+app.get('/api/auditoria', authMiddleware, async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode consultar a auditoria' });
+        }
+
+        const { paciente_id, usuario_id, api_key_id, entidade, acao, inicio, fim } = req.query;
+        const limite = Math.min(Math.max(parseInt(req.query.limite) || 100, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        if ((inicio && !dataValida(inicio)) || (fim && !dataValida(fim))) {
+            return res.status(400).json({ success: false, erro: 'Período inválido (AAAA-MM-DD)' });
+        }
+
+        const condicoes = ['dentista_id = $1'];
+        const params = [req.dentistaId];
+
+        // Filtro numérico inválido vira 400, não erro do banco
+        for (const [nome, valor] of Object.entries({ paciente_id, usuario_id, api_key_id })) {
+            if (valor && !(nome === 'usuario_id' && valor === 'dentista') && !validarId(valor)) {
+                return res.status(400).json({ success: false, erro: `${nome} inválido` });
+            }
+        }
+
+        if (paciente_id) {
+            params.push(parseInt(paciente_id));
+            condicoes.push(`paciente_id = $${params.length}`);
+        }
+        if (usuario_id === 'dentista') {
+            condicoes.push("tipo_usuario = 'dentista'");
+        } else if (usuario_id) {
+            params.push(parseInt(usuario_id));
+            condicoes.push(`usuario_id = $${params.length}`);
+        }
+        if (api_key_id) {
+            params.push(parseInt(api_key_id));
+            condicoes.push(`api_key_id = $${params.length}`);
+        }
+        if (entidade) {
+            params.push(entidade);
+            condicoes.push(`entidade = $${params.length}`);
+        }
+        if (acao) {
+            params.push(acao);
+            condicoes.push(`acao = $${params.length}`);
+        }
+        if (inicio) {
+            params.push(inicio);
+            condicoes.push(`criado_em >= $${params.length}::date`);
+        }
+        if (fim) {
+            params.push(fim);
+            condicoes.push(`criado_em < $${params.length}::date + INTERVAL '1 day'`);
+        }
+
+        const where = condicoes.join(' AND ');
+        const total = await pool.query(`SELECT COUNT(*) FROM auditoria WHERE ${where}`, params);
+        const result = await pool.query(
+            `SELECT * FROM auditoria WHERE ${where} ORDER BY criado_em DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limite, offset]
+        );
+
+        res.json({ success: true, eventos: result.rows, total: parseInt(total.rows[0].count), limite, offset });
+    } catch (error) {
+        console.error('Erro consultar auditoria:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao consultar auditoria' });
+    }
+});
+
+// Relatório de acessos ao prontuário de um paciente (quem viu/alterou, quantas vezes, quando)
+app.get('/api/pacientes/:id/acessos', authMiddleware, verificarPropriedade('paciente', 'id'), async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode consultar a auditoria' });
+        }
+
+        const pacienteId = parseInt(req.params.id);
+
+        const resumo = await pool.query(`
+            SELECT usuario_id, tipo_usuario, api_key_id, MAX(ator_nome) as ator_nome,
+                   COUNT(*) FILTER (WHERE acao = 'visualizar') as visualizacoes,
+                   COUNT(*) FILTER (WHERE acao <> 'visualizar') as alteracoes,
+                   MIN(criado_em) as primeiro_acesso,
+                   MAX(criado_em) as ultimo_acesso
+            FROM auditoria
+            WHERE dentista_id = $1 AND paciente_id = $2
+            GROUP BY usuario_id, tipo_usuario, api_key_id
+            ORDER BY MAX(criado_em) DESC
+        `, [req.dentistaId, pacienteId]);
+
+        const eventos = await pool.query(`
+            SELECT id, usuario_id, tipo_usuario, api_key_id, ator_nome, acao, entidade, entidade_id, ip, criado_em
+            FROM auditoria
+            WHERE dentista_id = $1 AND paciente_id = $2
+            ORDER BY criado_em DESC, id DESC
+            LIMIT 500
+        `, [req.dentistaId, pacienteId]);
+
+        res.json({
+            success: true,
+            pacienteId,
+            acessosPorPessoa: resumo.rows.map(r => ({
+                usuarioId: r.usuario_id,
+                tipoUsuario: r.tipo_usuario,
+                apiKeyId: r.api_key_id,
+                nome: r.ator_nome,
+                visualizacoes: parseInt(r.visualizacoes),
+                alteracoes: parseInt(r.alteracoes),
+                primeiroAcesso: r.primeiro_acesso,
+                ultimoAcesso: r.ultimo_acesso
+            })),
+            eventos: eventos.rows
+        });
+    } catch (error) {
+        console.error('Erro relatório de acessos:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao gerar relatório de acessos' });
+    }
+});
+
+// ==============================================================================
+// ROTAS LGPD (DIREITOS DO TITULAR)
+// ==============================================================================
+
+// Reúne tudo que está ligado ao paciente na clínica (portabilidade / acesso - art. 18 LGPD)
+async function montarExportacaoLgpd(dentistaId, pacienteId) {
+    const porPaciente = async (tabela, ordem) => {
+        const result = await pool.query(
+            `SELECT * FROM ${tabela} WHERE paciente_id = $1 AND dentista_id = $2 ORDER BY ${ordem}`,
+            [pacienteId, dentistaId]
+        );
+        return result.rows;
+    };
+
+    const paciente = await pool.query('SELECT * FROM pacientes WHERE id = $1 AND dentista_id = $2', [pacienteId, dentistaId]);
+    if (paciente.rows.length === 0) return null;
+
+    const dentista = await pool.query('SELECT * FROM dentistas WHERE id = $1', [dentistaId]);
+    const d = dentista.rows[0] || {};
+
+    const planos = await porPaciente('plano_tratamento', 'criado_em');
+    const planoIds = planos.map(p => p.id);
+    const itensPlanos = planoIds.length > 0
+        ? (await pool.query('SELECT * FROM plano_tratamento_itens WHERE plano_id = ANY($1) ORDER BY plano_id, posicao', [planoIds])).rows
+        : [];
+
+    const casos = await porPaciente('casos_proteticos', 'criado_em');
+    const casoIds = casos.map(c => c.id);
+    const historicoCasos = casoIds.length > 0
+        ? (await pool.query('SELECT * FROM casos_status_historico WHERE caso_id = ANY($1) ORDER BY criado_em', [casoIds])).rows
+        : [];
+    const mensagensCasos = casoIds.length > 0
+        ? (await pool.query('SELECT * FROM casos_mensagens WHERE caso_id = ANY($1) ORDER BY criado_em', [casoIds])).rows
+        : [];
+
+    return {
+        formato: 'dental-ultra-lgpd',
+        versao: 1,
+        geradoEm: new Date().toISOString(),
+        controlador: {
+            dentista: d.nome || d.name || null,
+            cro: d.cro || null,
+            clinica: d.clinica || d.clinic || null,
+            email: d.email || null
+        },
+        titular: paciente.rows[0],
+        agendamentos: await porPaciente('agendamentos', 'data, horario'),
+        prontuarios: await porPaciente('prontuarios', 'data'),
+        anamnese: await porPaciente('anamnese', 'criado_em'),
+        odontograma: await porPaciente('odontograma_geral', 'criado_em'),
+        planosTratamento: planos.map(p => ({ ...p, itens: itensPlanos.filter(i => i.plano_id === p.id) })),
+        receitas: await porPaciente('receitas', 'criado_em'),
+        atestados: await porPaciente('atestados', 'criado_em'),
+        orcamentos: await porPaciente('orcamentos', 'criado_em'),
+        orcamentosPendentes: await porPaciente('orcamentos_pendentes', 'criado_em'),
+        retornos: await porPaciente('retornos', 'data_retorno'),
+        financeiro: await porPaciente('financeiro', 'data'),
+        notasFiscais: await porPaciente('notas_fiscais', 'data_emissao'),
+        casosProteticos: casos.map(c => ({
+            ...c,
+            historico: historicoCasos.filter(h => h.caso_id === c.id),
+            mensagens: mensagensCasos.filter(m => m.caso_id === c.id)
+        })),
+        consentimentos: await porPaciente('consentimentos', 'criado_em'),
+        mensagensEnviadas: await porPaciente('mensagens_enviadas', 'criado_em'),
+        conversasWhatsapp: await porPaciente('conversas_whatsapp', 'criado_em')
+    };
+}
+
+// Exporta os dados do paciente em JSON (?download=true força o download do arquivo)
+app.get('/api/pacientes/:id/exportar-lgpd', authMiddleware, verificarPropriedade('paciente', 'id'), async (req, res) => {
+    try {
+        if (req.tipoUsuario !== 'dentista') {
+            return res.status(403).json({ success: false, erro: 'Apenas o dentista pode atender solicitações LGPD' });
+        }
+
+        const pacienteId = parseInt(req.params.id);
+        const exportacao = await montarExportacaoLgpd(req.dentistaId, pacienteId);
+        if (!exportacao) {
+            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+        }
+
+        await registrarAuditoria(req, { acao: 'exportar_lgpd', entidade: 'paciente', entidadeId: pacienteId, pacienteId });
+
+        if (req.query.download === 'true') {
+            const dataArquivo = new Date().toISOString().split('T')[0];
+            res.setHeader('Content-Disposition', `attachment; filename="paciente-${pacienteId}-lgpd-${dataArquivo}.json"`);
+        }
+        res.json({ success: true, exportacao });
+    } catch (error) {
+        console.error('Erro exportar LGPD:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao exportar dados do paciente' });
+    }
+});
+
+// Anonimiza o paciente: remove identificadores e mantém prontuário, receitas, atestados,
+// financeiro e notas fiscais (guarda obrigatória pelo CFO e pela legislação fiscal)
+app.post('/api/pacientes/:id/anonimizar', authMiddleware, verificarPropriedade('paciente', 'id'), async (req, res) => {
+    if (req.tipoUsuario !== 'dentista') {
+        return res.status(403).json({ success: false, erro: 'Apenas o dentista pode atender solicitações LGPD' });
+    }
+    if (req.body.confirmar !== true) {
+        return res.status(400).json({ success: false, erro: 'Confirme a anonimização enviando { "confirmar": true }. A operação é irreversível.' });
+    }
+
+    const pacienteId = parseInt(req.params.id);
+    const nomeAnonimo = `Paciente anonimizado #${pacienteId}`;
+    let client;
+
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const atual = await client.query(
+            'SELECT anonimizado_em FROM pacientes WHERE id = $1 AND dentista_id = $2 FOR UPDATE',
+            [pacienteId, req.dentistaId]
+        );
+        if (atual.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+        }
+        if (atual.rows[0].anonimizado_em) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, erro: 'Paciente já foi anonimizado' });
+        }
+
+        // Data de nascimento vira só o ano (idade continua útil clinicamente); cidade/UF ficam para fins fiscais
+        await client.query(`
+            UPDATE pacientes SET
+                nome = $1, cpf = NULL, rg = NULL,
+                data_nascimento = date_trunc('year', data_nascimento)::date,
+                telefone = NULL, celular = NULL, email = NULL,
+                endereco = NULL, numero = NULL, complemento = NULL, bairro = NULL, cep = NULL,
+                numero_convenio = NULL, observacoes = NULL,
+                responsavel_nome = NULL, responsavel_cpf = NULL, responsavel_rg = NULL,
+                responsavel_telefone = NULL, responsavel_email = NULL, responsavel_parentesco = NULL, responsavel_endereco = NULL,
+                passaporte = NULL, tel_recados = NULL, nome_recado = NULL,
+                ativo = false, cadastro_completo = false,
+                anonimizado_em = CURRENT_TIMESTAMP, atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = $2 AND dentista_id = $3
+        `, [nomeAnonimo, pacienteId, req.dentistaId]);
+
+        // Coluna que só existe em alguns bancos de produção
+        const colunaWhatsapp = await client.query(
+            "SELECT 1 FROM information_schema.columns WHERE table_name = 'pacientes' AND column_name = 'whatsapp'"
+        );
+        if (colunaWhatsapp.rows.length > 0) {
+            await client.query('UPDATE pacientes SET whatsapp = NULL WHERE id = $1', [pacienteId]);
+        }
+
+        // Agenda guarda cópia do nome/telefone; o código público deixa de funcionar
+        const agendamentos = await client.query(`
+            UPDATE agendamentos SET paciente_nome = $1, paciente_telefone = NULL, codigo_confirmacao = NULL, observacoes = NULL
+            WHERE paciente_id = $2 AND dentista_id = $3
+        `, [nomeAnonimo, pacienteId, req.dentistaId]);
+
+        await client.query(
+            'UPDATE orcamentos SET assinatura_ip = NULL WHERE paciente_id = $1 AND dentista_id = $2',
+            [pacienteId, req.dentistaId]
+        );
+
+        // Mensagens: fica só o registro de que houve envio/conversa, sem destino nem conteúdo
+        await client.query(
+            'UPDATE mensagens_enviadas SET destino = NULL, conteudo = NULL WHERE paciente_id = $1 AND dentista_id = $2',
+            [pacienteId, req.dentistaId]
+        );
+        await client.query(
+            `UPDATE conversas_whatsapp SET telefone = 'anonimizado', conteudo = NULL WHERE paciente_id = $1 AND dentista_id = $2`,
+            [pacienteId, req.dentistaId]
+        );
+        // O histórico de consentimento continua como prova, sem IP nem nome de quem registrou
+        await client.query(
+            'UPDATE consentimentos SET ip = NULL, registrado_por = NULL WHERE paciente_id = $1 AND dentista_id = $2',
+            [pacienteId, req.dentistaId]
+        );
+
+        // Snapshots antigos da auditoria (anteriores à redação na gravação): a trigger só libera esta
+        // alteração com app.auditoria_anonimizar ligado nesta transação
+        const redigir = coluna => `CASE WHEN jsonb_typeof(${coluna}) = 'object' THEN (
+            SELECT jsonb_object_agg(k, CASE WHEN k = ANY($3) AND v <> 'null'::jsonb THEN '"[redigido]"'::jsonb ELSE v END)
+            FROM jsonb_each(${coluna}) AS e(k, v)
+        ) ELSE ${coluna} END`;
+        await client.query(`SELECT set_config('app.auditoria_anonimizar', 'on', true)`);
+        await client.query(
+            `UPDATE auditoria SET dados_antes = ${redigir('dados_antes')}, dados_depois = ${redigir('dados_depois')}
+             WHERE paciente_id = $1 AND dentista_id = $2 AND (dados_antes IS NOT NULL OR dados_depois IS NOT NULL)`,
+            [pacienteId, req.dentistaId, CAMPOS_PII_AUDITORIA.concat(CAMPOS_PII_AGENDA)]
+        );
+
+        await client.query('COMMIT');
+
+        // Sem snapshot dos dados: a auditoria não pode guardar de novo o que foi removido
+        await registrarAuditoria(req, {
+            acao: 'anonimizar',
+            entidade: 'paciente',
+            entidadeId: pacienteId,
+            pacienteId,
+            depois: { agendamentosAnonimizados: agendamentos.rowCount }
+        });
+
+        res.json({
+            success: true,
+            message: 'Paciente anonimizado',
+            agendamentosAnonimizados: agendamentos.rowCount,
+            mantidos: ['prontuarios', 'anamnese', 'odontograma', 'planos de tratamento', 'receitas', 'atestados',
+                'orcamentos', 'financeiro', 'notas fiscais', 'casos protéticos', 'consentimentos', 'auditoria']
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro anonimizar paciente:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao anonimizar paciente' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// ==============================================================================
+// ROTAS DE PACIENTES
+// ==============================================================================
+
+// Listar pacientes
+app.get('/api/pacientes', authMiddleware, verificarAcesso('pacientes', 'visualizar'), async (req, res) => {
+    try {
+        // Paginação: limit e offset (padrão: 50 por página)
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+        const busca = req.query.busca || '';
+        
+        // Query base
+        let query = `SELECT * FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)`;
+        let countQuery = `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)`;
+        let params = [req.dentistaId];
+        let countParams = [req.dentistaId];
+        
+        // Se tiver busca, filtrar (ignorando acentos)
+        if (busca) {
+            // Normaliza a busca removendo acentos
+            const buscaNorm = busca.toLowerCase()
+                .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            query += ` AND (
+                LOWER(TRANSLATE(nome, 'áàãâäéèêëíìîïóòõôöúùûüçñÁÀÃÂÄÉÈÊËÍÌÎÏÓÒÕÔÖÚÙÛÜÇÑ', 'aaaaaeeeeiiiiooooouuuucnAAAAAEEEEIIIIOOOOOUUUUCN')) LIKE $2 
+                OR cpf LIKE $2 
+                OR telefone LIKE $2 
+                OR celular LIKE $2
+            )`;
+            countQuery += ` AND (
+                LOWER(TRANSLATE(nome, 'áàãâäéèêëíìîïóòõôöúùûüçñÁÀÃÂÄÉÈÊËÍÌÎÏÓÒÕÔÖÚÙÛÜÇÑ', 'aaaaaeeeeiiiiooooouuuucnAAAAAEEEEIIIIOOOOOUUUUCN')) LIKE $2 
+                OR cpf LIKE $2 
+                OR telefone LIKE $2 
+                OR celular LIKE $2
+            )`;
+            params.push('%' + buscaNorm + '%');
+            countParams.push('%' + buscaNorm + '%');
+        }
+        
+        // Ordenar e paginar
+        query += ` ORDER BY nome ASC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(limit, offset);
+        
+        // Queries de estatísticas (sempre retorna totais reais)
+        const statsQueries = {
+            total: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)`,
+            completos: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL) AND cadastro_completo = true`,
+            incompletos: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL) AND (cadastro_completo = false OR cadastro_completo IS NULL)`,
+            menores: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL) AND menor_idade = true`
+        };
+        
+        // Executar todas as queries em paralelo
+        const [result, countResult, completosResult, incompletosResult, menoresResult] = await Promise.all([
+            pool.query(query, params),
+            pool.query(countQuery, countParams),
+            pool.query(statsQueries.completos, [req.dentistaId]),
+            pool.query(statsQueries.incompletos, [req.dentistaId]),
+            pool.query(statsQueries.menores, [req.dentistaId])
+        ]);
+        
+        const total = parseInt(countResult.rows[0].count);
+        const stats = {
+            total: parseInt(countResult.rows[0].count),
+            completos: parseInt(completosResult.rows[0].count),
+            incompletos: parseInt(incompletosResult.rows[0].count),
+            menores: parseInt(menoresResult.rows[0].count)
+        };
+
+        const pacientes = result.rows.map(p => ({
+            id: p.id.toString(),
+            nome: p.nome,
+            cpf: p.cpf,
+            rg: p.rg,
+            dataNascimento: p.data_nascimento,
+            sexo: p.sexo,
+            telefone: p.telefone,
+            celular: p.celular,
+            email: p.email,
+            endereco: p.endereco,
+            numero: p.numero,
+            complemento: p.complemento,
+            bairro: p.bairro,
+            cidade: p.cidade,
+            estado: p.estado,
+            cep: p.cep,
+            convenio: p.convenio,
+            numeroConvenio: p.numero_convenio,
+            observacoes: p.observacoes,
+            menorIdade: p.menor_idade || false,
+            responsavelNome: p.responsavel_nome,
+            responsavelCpf: p.responsavel_cpf,
+            responsavelRg: p.responsavel_rg,
+            responsavelTelefone: p.responsavel_telefone,
+            responsavelEmail: p.responsavel_email,
+            responsavelParentesco: p.responsavel_parentesco,
+            responsavelEndereco: p.responsavel_endereco,
+            // Campos de estrangeiro
+            estrangeiro: p.estrangeiro || false,
+            passaporte: p.passaporte,
+            pais: p.pais,
+            nacionalidade: p.nacionalidade,
+            tipo_documento: p.tipo_documento || 'cpf',
+            cadastroCompleto: p.cadastro_completo || false,
+            criadoEm: p.criado_em
+        }));
+
+        // Listagem também é acesso a dado pessoal: um evento por página, com os pacientes exibidos
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'paciente', depois: { pacientes: result.rows.map(p => p.id) } });
+
+        res.json({ 
+            success: true, 
+            pacientes, 
+            total,
+            stats,
+            limit,
+            offset,
+            hasMore: offset + pacientes.length < total
+        });
+    } catch (error) {
+        console.error('Erro listar pacientes:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar pacientes' });
+    }
+});
+
+// Buscar aniversariantes de hoje (DEVE FICAR ANTES DA ROTA :id)
+app.get('/api/pacientes/aniversariantes', authMiddleware, verificarAcesso('pacientes', 'visualizar'), async (req, res) => {
+    try {
+        const hoje = new Date();
+        const dia = hoje.getDate();
+        const mes = hoje.getMonth() + 1;
+        
+        const result = await pool.query(
+            `SELECT p.id, p.nome, p.data_nascimento, p.celular,
+                    m.status as mensagem_status, m.canal as mensagem_canal
+             FROM pacientes p
+             LEFT JOIN LATERAL (
+                 SELECT status, canal FROM mensagens_enviadas
+                 WHERE paciente_id = p.id AND tipo = 'aniversario'
+                   AND (criado_em AT TIME ZONE current_setting('TimeZone') AT TIME ZONE '${FUSO_CLINICA}')::date = ${HOJE_CLINICA_SQL}
+                 ORDER BY criado_em DESC LIMIT 1
+             ) m ON true
+             WHERE p.dentista_id = $1 
+               AND EXTRACT(DAY FROM p.data_nascimento) = $2
+               AND EXTRACT(MONTH FROM p.data_nascimento) = $3
+               AND p.ativo = true
+             ORDER BY p.nome`,
+            [req.dentistaId, dia, mes]
+        );
+        
+        const semAniversario = await pacientesSemAniversario(result.rows.map(p => p.id));
+        res.json({
+            success: true,
+            pacientes: result.rows.map(p => ({ ...p, recebe_aniversario: !semAniversario.has(p.id) }))
+        });
+    } catch (error) {
+        console.error('Erro buscar aniversariantes:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar aniversariantes' });
+    }
+});
+
+// Buscar paciente por ID
+app.get('/api/pacientes/:id', authMiddleware, verificarAcesso('pacientes', 'visualizar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        
+        // Validar se ID é um número válido
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID de paciente inválido' });
+        }
+        
+        const result = await pool.query(
+            'SELECT * FROM pacientes WHERE id = $1 AND dentista_id = $2',
+            [id, req.dentistaId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+        }
+
+        const p = result.rows[0];
+        const comparecimento = await estatisticasComparecimento(req.dentistaId, [p.id]);
+        const semAniversario = await pacientesSemAniversario([p.id]);
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'paciente', entidadeId: p.id, pacienteId: p.id });
+
+        res.json({
+            success: true,
+            paciente: {
+                id: p.id.toString(),
+                nome: p.nome,
+                cpf: p.cpf,
+                rg: p.rg,
+                dataNascimento: p.data_nascimento,
+                sexo: p.sexo,
+                telefone: p.telefone,
+                celular: p.celular,
+                email: p.email,
+                endereco: p.endereco,
+                numero: p.numero,
+                complemento: p.complemento,
+                bairro: p.bairro,
+                cidade: p.cidade,
+                estado: p.estado,
+                cep: p.cep,
+                convenio: p.convenio,
+                numeroConvenio: p.numero_convenio,
+                observacoes: p.observacoes,
+                menorIdade: p.menor_idade || false,
+                responsavelNome: p.responsavel_nome,
+                responsavelCpf: p.responsavel_cpf,
+                responsavelRg: p.responsavel_rg,
+                responsavelTelefone: p.responsavel_telefone,
+                responsavelEmail: p.responsavel_email,
+                responsavelParentesco: p.responsavel_parentesco,
+                responsavelEndereco: p.responsavel_endereco,
+                recebeAniversario: !semAniversario.has(p.id),
+                confiabilidade: comparecimento[p.id] || confiabilidadeVazia(),
+                criadoEm: p.criado_em
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao buscar paciente' });
+    }
+});
+
+// Criar paciente
+app.post('/api/pacientes', authMiddleware, verificarAcesso('pacientes', 'editar'), async (req, res) => {
+    try {
+        const {
+            nome, cpf, rg, dataNascimento, sexo, telefone, celular, email,
+            endereco, numero, complemento, bairro, cidade, estado, cep,
+            convenio, numeroConvenio, observacoes,
+            menorIdade, responsavelNome, responsavelCpf, responsavelRg,
+            responsavelTelefone, responsavelEmail, responsavelParentesco, responsavelEndereco,
+            // Campos de estrangeiro
+            estrangeiro, passaporte, pais, nacionalidade, tipo_documento,
+            // Campos de Tel. Recados
+            tel_recados, nome_recado
+        } = req.body;
+
+        // ========== VALIDAÇÃO MÍNIMA ==========
+        
+        // Nome é sempre obrigatório
+        if (!nome || nome.trim().length < 2) {
+            return res.status(400).json({ success: false, erro: 'Nome é obrigatório (mínimo 2 caracteres)' });
+        }
+        
+        // ========== CALCULAR SE CADASTRO ESTÁ COMPLETO ==========
+        // Cadastro completo = Nome + CPF (ou passaporte) + CEP
+        // Sem esses dados, não pode emitir NFS-e
+        
+        let cadastroCompleto = true;
+        
+        // Verificar documento (CPF ou passaporte)
+        if (estrangeiro) {
+            if (!passaporte) cadastroCompleto = false;
+        } else {
+            if (!cpf) cadastroCompleto = false;
+        }
+        
+        // Verificar CEP
+        if (!cep) {
+            cadastroCompleto = false;
+        }
+
+        const result = await pool.query(
+            `INSERT INTO pacientes (
+                dentista_id, nome, cpf, rg, data_nascimento, sexo, telefone, celular, email,
+                endereco, numero, complemento, bairro, cidade, estado, cep,
+                convenio, numero_convenio, observacoes,
+                menor_idade, responsavel_nome, responsavel_cpf, responsavel_rg,
+                responsavel_telefone, responsavel_email, responsavel_parentesco, responsavel_endereco,
+                estrangeiro, passaporte, pais, nacionalidade, tipo_documento,
+                tel_recados, nome_recado, cadastro_completo
+            ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33,$34,$35)
+            RETURNING *`,
+            [
+                req.dentistaId, nome, cpf || null, rg || null,
+                dataNascimento || null, sexo || null, telefone || null, celular || null, email || null,
+                endereco || null, numero || null, complemento || null, bairro || null,
+                cidade || null, estado || null, cep || null,
+                convenio || null, numeroConvenio || null, observacoes || null,
+                menorIdade || false, responsavelNome || null, responsavelCpf || null, responsavelRg || null,
+                responsavelTelefone || null, responsavelEmail || null, responsavelParentesco || null, responsavelEndereco || null,
+                estrangeiro || false, passaporte || null, pais || null, nacionalidade || null, tipo_documento || 'cpf',
+                tel_recados || null, nome_recado || null, cadastroCompleto
+            ]
+        );
+
+        const p = result.rows[0];
+        await registrarAuditoria(req, { acao: 'criar', entidade: 'paciente', entidadeId: p.id, pacienteId: p.id, depois: p });
+
+        res.status(201).json({
+            success: true,
+            message: cadastroCompleto ? 'Paciente cadastrado com sucesso!' : 'Paciente cadastrado (cadastro incompleto - não pode emitir NFS-e)',
+            paciente: {
+                id: p.id.toString(),
+                nome: p.nome,
+                cpf: p.cpf,
+                telefone: p.telefone,
+                celular: p.celular,
+                email: p.email,
+                menorIdade: p.menor_idade || false,
+                responsavelNome: p.responsavel_nome,
+                estrangeiro: p.estrangeiro || false,
+                passaporte: p.passaporte,
+                pais: p.pais,
+                nacionalidade: p.nacionalidade,
+                tipo_documento: p.tipo_documento,
+                cadastroCompleto: p.cadastro_completo || false
+            }
+        });
+    } catch (error) {
+        console.error('Erro criar paciente:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao cadastrar paciente' });
+    }
+});
+
+// Atualizar paciente
+app.put('/api/pacientes/:id', authMiddleware, verificarAcesso('pacientes', 'editar'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            nome, cpf, rg, dataNascimento, sexo, telefone, celular, email,
+            endereco, numero, complemento, bairro, cidade, estado, cep,
+            convenio, numeroConvenio, observacoes,
+            menorIdade, responsavelNome, responsavelCpf, responsavelRg,
+            responsavelTelefone, responsavelEmail, responsavelParentesco, responsavelEndereco,
+            estrangeiro, passaporte, pais, nacionalidade, tipo_documento, recebeAniversario
+        } = req.body;
+
+        // ========== RECALCULAR SE CADASTRO ESTÁ COMPLETO ==========
+        // Cadastro completo = Nome + CPF (ou passaporte) + CEP
+        let cadastroCompleto = true;
+        
+        // Verificar documento (CPF ou passaporte)
+        if (estrangeiro) {
+            if (!passaporte) cadastroCompleto = false;
+        } else {
+            if (!cpf) cadastroCompleto = false;
+        }
+        
+        // Verificar CEP
+        if (!cep) {
+            cadastroCompleto = false;
+        }
+
+        const antes = await registroAtual('pacientes', parseInt(id), req.dentistaId);
+        if (antes && antes.anonimizado_em) {
+            return res.status(409).json({ success: false, erro: 'Paciente anonimizado (LGPD) não pode ser editado' });
+        }
+
+        const result = await pool.query(
+            `UPDATE pacientes SET
+                nome = COALESCE($1, nome), cpf = $2, rg = $3, data_nascimento = $4, sexo = $5,
+                telefone = $6, celular = $7, email = $8, endereco = $9, numero = $10,
+                complemento = $11, bairro = $12, cidade = $13, estado = $14, cep = $15,
+                convenio = $16, numero_convenio = $17, observacoes = $18,
+                menor_idade = $19, responsavel_nome = $20, responsavel_cpf = $21, responsavel_rg = $22,
+                responsavel_telefone = $23, responsavel_email = $24, responsavel_parentesco = $25, responsavel_endereco = $26,
+                estrangeiro = $27, passaporte = $28, pais = $29, nacionalidade = $30, tipo_documento = $31,
+                cadastro_completo = $32,
+                atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = $33 AND dentista_id = $34 RETURNING *`,
+            [
+                nome, cpf || null, rg || null, dataNascimento || null, sexo || null,
+                telefone || null, celular || null, email || null, endereco || null, numero || null,
+                complemento || null, bairro || null, cidade || null, estado || null, cep || null,
+                convenio || null, numeroConvenio || null, observacoes || null,
+                menorIdade || false, responsavelNome || null, responsavelCpf || null, responsavelRg || null,
+                responsavelTelefone || null, responsavelEmail || null, responsavelParentesco || null, responsavelEndereco || null,
+                estrangeiro || false, passaporte || null, pais || null, nacionalidade || null, tipo_documento || 'cpf',
+                cadastroCompleto,
+                parseInt(id), req.dentistaId
+            ]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+        }
+
+        const p = result.rows[0];
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'paciente', entidadeId: p.id, pacienteId: p.id, antes, depois: p });
+
+        // O checkbox de aniversário do cadastro vira registro de consentimento em todos os canais
+        let recebe = !(await pacientesSemAniversario([p.id])).has(p.id);
+        if (recebeAniversario !== undefined && (recebeAniversario !== false) !== recebe) {
+            recebe = recebeAniversario !== false;
+            await registrarConsentimentos(pool, {
+                dentistaId: req.dentistaId,
+                pacienteId: p.id,
+                alteracoes: CANAIS_MENSAGEM.map(canal => ({ canal, finalidade: 'aniversario', consentido: recebe })),
+                origem: 'cadastro',
+                registradoPor: req.nomeUsuario || null,
+                ip: obterIp(req)
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            message: cadastroCompleto ? 'Paciente atualizado!' : 'Paciente atualizado (cadastro incompleto)',
+            paciente: {
+                id: p.id.toString(),
+                nome: p.nome,
+                cpf: p.cpf,
+                rg: p.rg,
+                dataNascimento: p.data_nascimento,
+                sexo: p.sexo,
+                telefone: p.telefone,
+                celular: p.celular,
+                email: p.email,
+                endereco: p.endereco,
+                numero: p.numero,
+                complemento: p.complemento,
+                bairro: p.bairro,
+                cidade: p.cidade,
+                estado: p.estado,
+                cep: p.cep,
+                convenio: p.convenio,
+                numeroConvenio: p.numero_convenio,
+                observacoes: p.observacoes,
+                menorIdade: p.menor_idade || false,
+                responsavelNome: p.responsavel_nome,
+                responsavelCpf: p.responsavel_cpf,
+                responsavelRg: p.responsavel_rg,
+                responsavelTelefone: p.responsavel_telefone,
+                responsavelEmail: p.responsavel_email,
+                responsavelParentesco: p.responsavel_parentesco,
+                responsavelEndereco: p.responsavel_endereco,
+                estrangeiro: p.estrangeiro || false,
+                passaporte: p.passaporte,
+                pais: p.pais,
+                nacionalidade: p.nacionalidade,
+                tipo_documento: p.tipo_documento || 'cpf',
+                recebeAniversario: recebe,
+                cadastroCompleto: p.cadastro_completo || false
+            }
+        });
+    } catch (error) {
+        console.error('Erro atualizar paciente:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar paciente' });
+    }
+});
+
+// Deletar paciente (soft delete)
+app.delete('/api/pacientes/:id', authMiddleware, verificarAcesso('pacientes', 'editar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        
+        const result = await pool.query(
+            'UPDATE pacientes SET ativo = false WHERE id = $1 AND dentista_id = $2 RETURNING *',
+            [id, req.dentistaId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+        }
+
+        await registrarAuditoria(req, { acao: 'excluir', entidade: 'paciente', entidadeId: id, pacienteId: id, depois: result.rows[0] });
+
+        res.json({ success: true, message: 'Paciente removido!' });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao remover paciente' });
+    }
+});
+
+// ==============================================================================
+// REMARCAÇÃO PELO PACIENTE (LINK DO CÓDIGO DE CONFIRMAÇÃO)
+// ==============================================================================
+
+const REMARCACAO_DIAS = parseInt(process.env.REMARCACAO_DIAS) || 14;
+const MAX_REMARCACOES_PACIENTE = parseInt(process.env.MAX_REMARCACOES_PACIENTE) || 3;
+const STATUS_REMARCAVEIS = ['agendado', 'confirmado', 'pendente_aprovacao'];
+
+function podeRemarcarPeloPaciente(agendamento) {
+    const hoje = dataEMinutoLocal(new Date()).data;
+    const data = dataParaTexto(agendamento.data);
+    return !!agendamento.profissional_id &&
+        STATUS_REMARCAVEIS.includes(agendamento.status || 'agendado') &&
+        data >= hoje;
+}
+
+// Sem data/horário: devolve os horários livres do mesmo profissional.
+// Com data/horário: move o agendamento com a agenda do profissional travada e guarda o horário original.
+async function remarcarPeloPaciente(req, res, agendamento) {
+    if (!podeRemarcarPeloPaciente(agendamento)) {
+        return res.status(400).json({ success: false, erro: 'Este agendamento não pode ser remarcado pelo link. Entre em contato com a clínica.' });
+    }
+
+    const anteriores = await pool.query(
+        `SELECT COUNT(*) FROM agendamentos_remarcacoes WHERE agendamento_id = $1 AND origem = 'paciente'`,
+        [agendamento.id]
+    );
+    if (parseInt(anteriores.rows[0].count) >= MAX_REMARCACOES_PACIENTE) {
+        return res.status(400).json({ success: false, erro: 'Limite de remarcações atingido. Entre em contato com a clínica.' });
+    }
+
+    const config = await pool.query('SELECT * FROM config_clinica WHERE dentista_id = $1', [agendamento.dentista_id]);
+    const clinica = Object.assign({ dentista_id: agendamento.dentista_id }, config.rows[0] || {}, { online_dias_maximo: REMARCACAO_DIAS });
+    const duracao = parseInt(agendamento.duracao) || 60;
+    const { novaData, novoHorario } = req.body;
+
+    const opcoes = async (inicio, fim) => {
+        const janela = janelaAgendamentoOnline(clinica);
+        const de = inicio < janela.minimo.data ? janela.minimo.data : inicio;
+        const ate = fim > janela.dataMaxima ? janela.dataMaxima : fim;
+        if (de > ate) return [];
+        const livres = await calcularHorariosLivres(agendamento.dentista_id, {
+            profissionalIds: [agendamento.profissional_id], inicio: de, fim: ate, duracao,
+            diasSemana: [1, 2, 3, 4, 5, 6], ignorarIds: [agendamento.id]
+        });
+        return (livres[0] ? livres[0].dias : []).map(d => ({
+            data: d.data,
+            horarios: d.data === janela.minimo.data ? d.horarios.filter(h => horaParaMinutos(h) > janela.minimo.minuto) : d.horarios
+        })).filter(d => d.horarios.length > 0);
+    };
+
+    if (!novaData || !novoHorario) {
+        const hoje = dataEMinutoLocal(new Date()).data;
+        const limite = dataEMinutoLocal(new Date(Date.now() + REMARCACAO_DIAS * 24 * 60 * 60 * 1000)).data;
+        return res.json({ success: true, duracao, opcoes: await opcoes(hoje, limite) });
+    }
+
+    if (!dataValida(novaData) || !/^\d{2}:\d{2}/.test(novoHorario)) {
+        return res.status(400).json({ success: false, erro: 'Data ou horário inválido' });
+    }
+    const hora = novoHorario.substring(0, 5);
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [agendamento.dentista_id, agendamento.profissional_id]);
+
+        const dia = (await opcoes(novaData, novaData)).find(d => d.data === novaData);
+        if (!dia || !dia.horarios.includes(hora)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, erro: 'Este horário não está mais disponível. Escolha outro.' });
+        }
+
+        // Condicional em data/horário: se o agendamento mudou desde a leitura, nada é alterado
+        const movido = await client.query(`
+            UPDATE agendamentos
+            SET data = $1, horario = $2,
+                status = CASE WHEN status = 'pendente_aprovacao' THEN status ELSE 'confirmado' END,
+                atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = $3 AND data = $4 AND horario = $5
+            RETURNING status
+        `, [novaData, hora, agendamento.id, agendamento.data, agendamento.horario]);
+        if (movido.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, erro: 'O agendamento foi alterado. Recarregue a página.' });
+        }
+
+        await client.query(`
+            INSERT INTO agendamentos_remarcacoes (agendamento_id, dentista_id, data_anterior, horario_anterior, data_nova, horario_novo, profissional_id, origem)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, 'paciente')
+        `, [agendamento.id, agendamento.dentista_id, agendamento.data, agendamento.horario, novaData, hora, agendamento.profissional_id]);
+        if (movido.rows[0].status !== agendamento.status) {
+            await registrarHistoricoStatus(client, {
+                agendamentoId: agendamento.id, dentistaId: agendamento.dentista_id, anterior: agendamento.status,
+                novo: movido.rows[0].status, canal: 'link_paciente', ator: agendamento.paciente_nome, observacao: 'Remarcado pelo paciente'
+            });
+        }
+        await client.query('COMMIT');
+
+        console.log(`Agendamento ${agendamento.id} remarcado pelo paciente para ${novaData} ${hora}`);
+        notificarClinicaRemarcacao(agendamento, novaData, hora);
+
+        res.json({
+            success: true,
+            message: 'Consulta remarcada!',
+            agendamento: {
+                pacienteNome: agendamento.paciente_nome,
+                data: novaData,
+                horario: hora,
+                procedimento: agendamento.procedimento,
+                status: movido.rows[0].status,
+                dentistaNome: agendamento.dentista_nome,
+                clinicaNome: agendamento.clinica_nome,
+                clinicaTelefone: null
+            }
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro remarcar agendamento:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao remarcar' });
+    } finally {
+        if (client) client.release();
+    }
+}
+
+// Email para o dentista (não bloqueia a resposta ao paciente)
+async function notificarClinicaRemarcacao(agendamento, novaData, novoHorario) {
+    try {
+        const dentista = await pool.query('SELECT email FROM dentistas WHERE id = $1', [agendamento.dentista_id]);
+        if (dentista.rows.length === 0 || !dentista.rows[0].email) return;
+
+        const formatar = (data) => dataParaTexto(data).split('-').reverse().join('/');
+        const emailHtml = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <h2 style="color: #333;">Consulta remarcada pelo paciente</h2>
+                <p><strong>${escapeHtml(agendamento.paciente_nome || 'Paciente')}</strong> remarcou ${agendamento.procedimento ? 'a consulta de <strong>' + escapeHtml(agendamento.procedimento) + '</strong>' : 'a consulta'}.</p>
+                <p>De: <strong>${escapeHtml(formatar(agendamento.data))} às ${escapeHtml(String(agendamento.horario).substring(0, 5))}</strong><br>
+                   Para: <strong>${escapeHtml(formatar(novaData))} às ${escapeHtml(novoHorario)}</strong></p>
+                <p style="color: #999; font-size: 12px;">Dental Ultra - Sistema de Gestão Odontológica</p>
+            </div>
+        `;
+        await enviarEmail(dentista.rows[0].email, 'Consulta remarcada pelo paciente', emailHtml);
+    } catch (error) {
+        console.error('Erro notificar remarcação:', error.message);
+    }
+}
+
+// ==============================================================================
+// ROTAS PÚBLICAS DE CONFIRMAÇÃO (SEM AUTENTICAÇÃO)
+// ==============================================================================
+
+// Buscar agendamento pelo código (para mostrar detalhes ao paciente)
+app.get('/api/agendamentos/buscar-codigo/:codigo', limitarPorIp('codigo_ip'), async (req, res) => {
+    try {
+        const { codigo } = req.params;
+        
+        if (!codigo || codigo.length < 6) {
+            return res.status(400).json({ success: false, erro: 'Codigo invalido' });
+        }
+        
+        // Query usando colunas do banco de produção (name, clinic)
+        const result = await pool.query(
+            `SELECT a.*, d.name as dentista_nome, d.clinic as clinica_nome
+             FROM agendamentos a 
+             JOIN dentistas d ON a.dentista_id = d.id
+             WHERE a.codigo_confirmacao = $1`,
+            [codigo.toUpperCase()]
+        );
+        
+        if (result.rows.length === 0) {
+            const bloqueio = await registrarFalha('codigo_ip', obterIp(req), { req });
+            if (bloqueio) {
+                return responderBloqueado(res, bloqueio);
+            }
+            return res.status(404).json({ success: false, erro: 'Agendamento nao encontrado' });
+        }
+        
+        const a = result.rows[0];
+        res.json({
+            success: true,
+            agendamento: {
+                pacienteNome: a.paciente_nome,
+                data: a.data,
+                horario: a.horario,
+                procedimento: a.procedimento,
+                status: a.status,
+                dentistaNome: a.dentista_nome,
+                clinicaNome: a.clinica_nome,
+                clinicaTelefone: null, // Telefone será pego das configurações locais
+                podeRemarcar: podeRemarcarPeloPaciente(a),
+                calendarioUrl: STATUS_LIVRES.includes(a.status) ? null : `/api/agendamentos/buscar-codigo/${a.codigo_confirmacao}/ics`
+            }
+        });
+    } catch (error) {
+        console.error('Erro buscar agendamento por codigo:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar agendamento' });
+    }
+});
+
+// Arquivo .ics da consulta para o paciente adicionar ao calendário do celular
+app.get('/api/agendamentos/buscar-codigo/:codigo/ics', limitarPorIp('codigo_ip'), async (req, res) => {
+    try {
+        const { codigo } = req.params;
+
+        if (!codigo || codigo.length < 6) {
+            return res.status(400).json({ success: false, erro: 'Codigo invalido' });
+        }
+
+        const result = await pool.query(
+            `SELECT a.id, to_char(a.data, 'YYYY-MM-DD') as data_texto, a.horario, a.duracao, a.procedimento, a.status,
+                    a.atualizado_em, d.name as dentista_nome, d.clinic as clinica_nome,
+                    c.nome_clinica, c.endereco, c.telefone as clinica_telefone, pr.nome as profissional_nome
+             FROM agendamentos a
+             JOIN dentistas d ON a.dentista_id = d.id
+             LEFT JOIN config_clinica c ON c.dentista_id = a.dentista_id
+             LEFT JOIN profissionais pr ON pr.id = a.profissional_id
+             WHERE a.codigo_confirmacao = $1`,
+            [codigo.toUpperCase()]
+        );
+
+        if (result.rows.length === 0) {
+            const bloqueio = await registrarFalha('codigo_ip', obterIp(req), { req });
+            if (bloqueio) {
+                return responderBloqueado(res, bloqueio);
+            }
+            return res.status(404).json({ success: false, erro: 'Agendamento nao encontrado' });
+        }
+
+        const a = result.rows[0];
+        if (STATUS_LIVRES.includes(a.status)) {
+            return res.status(410).json({ success: false, erro: 'Este agendamento foi cancelado' });
+        }
+
+        const clinica = a.nome_clinica || a.clinica_nome || 'Clínica';
+        const descricao = [
+            a.procedimento ? `Procedimento: ${a.procedimento}` : null,
+            `Profissional: ${a.profissional_nome || a.dentista_nome}`,
+            a.clinica_telefone ? `Telefone: ${a.clinica_telefone}` : null,
+            `Código: ${codigo.toUpperCase()}`
+        ].filter(Boolean).join('\n');
+
+        const ics = gerarIcs(clinica, [{
+            uid: `agendamento-${a.id}`,
+            data: a.data_texto,
+            horario: a.horario,
+            duracao: a.duracao,
+            titulo: `Consulta - ${clinica}`,
+            descricao,
+            local: a.endereco,
+            status: statusEventoIcs(a.status),
+            atualizadoEm: a.atualizado_em
+        }]);
+        enviarIcs(res, `consulta-${a.data_texto}.ics`, ics, true);
+    } catch (error) {
+        console.error('Erro ICS agendamento:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao gerar calendário' });
+    }
+});
+
+// Confirmar ou cancelar agendamento via código (paciente clica no link)
+app.post('/api/agendamentos/confirmar', limitarPorIp('codigo_ip'), async (req, res) => {
+    try {
+        const { codigo, acao } = req.body;
+        
+        if (!codigo || codigo.length < 6) {
+            return res.status(400).json({ success: false, erro: 'Codigo invalido' });
+        }
+        
+        if (!acao || !['confirmar', 'cancelar', 'remarcar'].includes(acao)) {
+            return res.status(400).json({ success: false, erro: 'Acao invalida' });
+        }
+        
+        // Buscar agendamento - usando colunas do banco de produção
+        const busca = await pool.query(
+            `SELECT a.*, d.name as dentista_nome, d.clinic as clinica_nome
+             FROM agendamentos a 
+             JOIN dentistas d ON a.dentista_id = d.id
+             WHERE a.codigo_confirmacao = $1`,
+            [codigo.toUpperCase()]
+        );
+        
+        if (busca.rows.length === 0) {
+            const bloqueio = await registrarFalha('codigo_ip', obterIp(req), { req });
+            if (bloqueio) {
+                return responderBloqueado(res, bloqueio);
+            }
+            return res.status(404).json({ success: false, erro: 'Agendamento nao encontrado' });
+        }
+        
+        const agendamento = busca.rows[0];
+
+        if (acao === 'remarcar') {
+            return await remarcarPeloPaciente(req, res, agendamento);
+        }
+        
+        // Agendamento online aguardando a clínica: o paciente só pode cancelar
+        if (agendamento.status === 'pendente_aprovacao' && acao === 'confirmar') {
+            return res.status(409).json({ success: false, erro: 'Agendamento aguardando aprovação da clínica', aguardandoAprovacao: true });
+        }
+
+        // Verificar se já foi confirmado/cancelado
+        if (agendamento.status === 'confirmado' && acao === 'confirmar') {
+            return res.json({ 
+                success: true, 
+                message: 'Consulta ja estava confirmada',
+                agendamento: {
+                    pacienteNome: agendamento.paciente_nome,
+                    data: agendamento.data,
+                    horario: agendamento.horario,
+                    procedimento: agendamento.procedimento,
+                    status: 'confirmado',
+                    dentistaNome: agendamento.dentista_nome,
+                    clinicaNome: agendamento.clinica_nome,
+                    clinicaTelefone: null
+                }
+            });
+        }
+        
+        if (STATUS_LIVRES.includes(agendamento.status) && acao === 'cancelar') {
+            return res.json({ success: true, message: 'Consulta ja estava cancelada' });
+        }
+
+        // Atualizar status
+        const mudanca = await alterarStatusAgendamento(pool, agendamento, acao === 'confirmar' ? 'confirmado' : 'cancelado_paciente', {
+            canal: 'link_paciente', ator: agendamento.paciente_nome
+        });
+        if (mudanca.erro) {
+            return res.status(409).json({ success: false, erro: 'Este agendamento não pode mais ser alterado pelo link. Entre em contato com a clínica.' });
+        }
+        const novoStatus = mudanca.agendamento.status;
+        
+        console.log(`Agendamento ${agendamento.id} ${novoStatus} via link pelo paciente`);
+        
+        res.json({
+            success: true,
+            message: acao === 'confirmar' ? 'Consulta confirmada!' : 'Consulta cancelada',
+            agendamento: {
+                pacienteNome: agendamento.paciente_nome,
+                data: agendamento.data,
+                horario: agendamento.horario,
+                procedimento: agendamento.procedimento,
+                status: novoStatus,
+                dentistaNome: agendamento.dentista_nome,
+                clinicaNome: agendamento.clinica_nome,
+                clinicaTelefone: null
+            }
+        });
+    } catch (error) {
+        console.error('Erro confirmar agendamento:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao processar confirmacao' });
+    }
+});
+
+// ==============================================================================
+// CICLO DE VIDA DO AGENDAMENTO (STATUS E HISTÓRICO)
+// ==============================================================================
+
+// Status -> status para os quais pode passar. 'cancelado' é o valor antigo, de antes de separar paciente/clínica.
+const TRANSICOES_STATUS_AGENDAMENTO = {
+    pendente_aprovacao: ['agendado', 'cancelado_paciente', 'cancelado_clinica'],
+    agendado: ['confirmado', 'chegou', 'faltou', 'cancelado_paciente', 'cancelado_clinica'],
+    confirmado: ['chegou', 'faltou', 'cancelado_paciente', 'cancelado_clinica'],
+    chegou: ['em_atendimento', 'atendido'],
+    em_atendimento: ['atendido'],
+    atendido: [],
+    faltou: ['chegou', 'agendado'],
+    cancelado_paciente: ['agendado'],
+    cancelado_clinica: ['agendado'],
+    cancelado: ['agendado']
+};
+// Status aceitos na criação pela recepção
+const STATUS_INICIAIS = ['agendado', 'confirmado'];
+
+// Status de agendamento que não ocupam mais o horário na agenda
+const STATUS_LIVRES = ['cancelado', 'cancelado_paciente', 'cancelado_clinica'];
+
+// Cancelado/faltou voltando para a agenda: o horário pode ter sido ocupado nesse meio tempo
+function reativaAgendamento(anterior, novo) {
+    return STATUS_LIVRES.concat(['faltou']).includes(anterior || 'agendado') && STATUS_INICIAIS.includes(novo);
+}
+
+// Compatibilidade: clientes antigos mandam 'cancelado' sem dizer quem cancelou
+function normalizarStatusAgendamento(status, canal) {
+    if (status === 'cancelado') {
+        return canal === 'link_paciente' ? 'cancelado_paciente' : 'cancelado_clinica';
+    }
+    return status;
+}
+
+function podeTransitarStatus(de, para) {
+    if (!TRANSICOES_STATUS_AGENDAMENTO[para]) return false;
+    const permitidos = TRANSICOES_STATUS_AGENDAMENTO[de || 'agendado'];
+    // Status livre de versões antigas: aceita ir para qualquer status conhecido
+    return permitidos ? permitidos.includes(para) : true;
+}
+
+function canalDaRequisicao(req) {
+    return req.tipoUsuario === 'api_key' ? 'integracao' : 'recepcao';
+}
+
+// canal: recepcao | link_paciente | portal | automacao | integracao | whatsapp.
+// db = pool ou client de uma transação em andamento
+async function registrarHistoricoStatus(db, { agendamentoId, dentistaId, anterior, novo, canal, req, ator, observacao }) {
+    await db.query(`
+        INSERT INTO agendamentos_status_historico (agendamento_id, dentista_id, status_anterior, status_novo, canal,
+                                                   alterado_por, usuario_id, tipo_usuario, observacao)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+        agendamentoId, dentistaId, anterior || null, novo, canal,
+        (ator || (req && req.nomeUsuario) || null),
+        req ? (req.usuarioId || null) : null,
+        req ? req.tipoUsuario : (canal === 'automacao' ? 'sistema' : 'paciente'),
+        observacao || null
+    ]);
+}
+
+// Muda o status validando a transição; grava o histórico e libera a vaga se for cancelamento.
+// Retorna { agendamento } ou { erro }.
+async function alterarStatusAgendamento(db, agendamento, novoStatus, { canal, req, ator, observacao }) {
+    const anterior = agendamento.status || 'agendado';
+    const novo = normalizarStatusAgendamento(novoStatus, canal);
+    if (!podeTransitarStatus(anterior, novo)) {
+        return { erro: `Não é possível mudar o status de "${anterior}" para "${novo}"` };
+    }
+
+    // Condicional no status lido: duas mudanças simultâneas não se sobrescrevem
+    const result = await db.query(`
+        UPDATE agendamentos SET status = $1, atualizado_em = CURRENT_TIMESTAMP
+        WHERE id = $2 AND status IS NOT DISTINCT FROM $3
+        RETURNING *
+    `, [novo, agendamento.id, agendamento.status]);
+    if (result.rows.length === 0) {
+        return { erro: 'O status do agendamento foi alterado por outra pessoa. Atualize a tela.' };
+    }
+
+    await registrarHistoricoStatus(db, {
+        agendamentoId: agendamento.id, dentistaId: agendamento.dentista_id, anterior, novo, canal, req, ator, observacao
+    });
+    // Dentro de uma transação (db = client) a vaga só pode ser anunciada depois do COMMIT: fica com quem chamou
+    let vagaLiberada = null;
+    if (STATUS_LIVRES.includes(novo) && !STATUS_LIVRES.includes(anterior)) {
+        vagaLiberada = novo === 'cancelado_paciente' ? 'cancelado_paciente' : 'cancelado_clinica';
+        if (db === pool) registrarVagaLiberada(agendamento, vagaLiberada);
+    }
+    return { agendamento: result.rows[0], vagaLiberada };
+}
+
+// ==============================================================================
+// COMPARECIMENTO E CONFIABILIDADE DO PACIENTE (FALTAS)
+// ==============================================================================
+
+const CANCELAMENTO_TARDIO_HORAS = parseInt(process.env.CANCELAMENTO_TARDIO_HORAS) || 24;
+const COMPARECIMENTO_DIAS = parseInt(process.env.COMPARECIMENTO_DIAS) || 365;
+const STATUS_COMPARECEU = ['chegou', 'em_atendimento', 'atendido'];
+
+// Estatísticas de comparecimento por paciente nos últimos COMPARECIMENTO_DIAS.
+// pacienteIds = null calcula para todos os pacientes da clínica. Retorna { [pacienteId]: estatisticas }
+async function estatisticasComparecimento(dentistaId, pacienteIds) {
+    const params = [dentistaId, COMPARECIMENTO_DIAS, CANCELAMENTO_TARDIO_HORAS, STATUS_COMPARECEU, STATUS_LIVRES];
+    let filtroPaciente = '';
+    if (pacienteIds) {
+        params.push(pacienteIds);
+        filtroPaciente = ` AND a.paciente_id = ANY($${params.length})`;
+    }
+
+    const result = await pool.query(`
+        WITH ag AS (
+            SELECT a.id, a.paciente_id, a.status, (a.data + a.horario) as inicio
+            FROM agendamentos a
+            WHERE a.dentista_id = $1 AND a.paciente_id IS NOT NULL
+              AND a.data >= ${HOJE_CLINICA_SQL} - make_interval(days => $2)${filtroPaciente}
+        )
+        SELECT ag.paciente_id,
+               COUNT(*) FILTER (WHERE ag.status = 'faltou') as faltas,
+               COUNT(*) FILTER (WHERE ag.status = ANY($4)) as comparecimentos,
+               COUNT(*) FILTER (WHERE ag.status = 'cancelado_paciente') as cancelamentos,
+               COUNT(*) FILTER (WHERE ag.status = 'cancelado_paciente' AND EXISTS (
+                   SELECT 1 FROM agendamentos_status_historico h
+                   WHERE h.agendamento_id = ag.id AND h.status_novo = 'cancelado_paciente'
+                     AND h.criado_em > ag.inicio - make_interval(hours => $3)
+               )) as cancelamentos_tardios,
+               COUNT(*) FILTER (WHERE COALESCE(ag.status, '') <> ALL($5) AND ag.status IS DISTINCT FROM 'pendente_aprovacao') as validos,
+               COUNT(*) FILTER (WHERE COALESCE(ag.status, '') <> ALL($5) AND (ag.status = 'confirmado' OR EXISTS (
+                   SELECT 1 FROM agendamentos_status_historico h
+                   WHERE h.agendamento_id = ag.id AND h.status_novo = 'confirmado'
+               ))) as confirmados,
+               MAX(ag.inicio) FILTER (WHERE ag.status = 'faltou') as ultima_falta
+        FROM ag
+        GROUP BY ag.paciente_id
+    `, params);
+
+    const mapa = {};
+    for (const r of result.rows) {
+        mapa[r.paciente_id] = calcularConfiabilidade(r);
+    }
+    return mapa;
+}
+
+// Nota 0-100: comparecimentos / (comparecimentos + faltas + meio peso para cancelamento em cima da hora).
+// Sem histórico suficiente a nota fica null.
+function calcularConfiabilidade(r) {
+    const faltas = parseInt(r.faltas) || 0;
+    const comparecimentos = parseInt(r.comparecimentos) || 0;
+    const tardios = parseInt(r.cancelamentos_tardios) || 0;
+    const validos = parseInt(r.validos) || 0;
+    const base = comparecimentos + faltas + tardios * 0.5;
+    const score = base > 0 ? Math.round(100 * comparecimentos / base) : null;
+
+    let faixa = 'sem_historico';
+    if (score !== null) {
+        faixa = score >= 85 ? 'confiavel' : (score >= 60 ? 'atencao' : 'risco');
+    }
+
+    return {
+        score,
+        faixa,
+        faltas,
+        comparecimentos,
+        cancelamentos: parseInt(r.cancelamentos) || 0,
+        cancelamentosTardios: tardios,
+        taxaConfirmacao: validos > 0 ? Math.round(100 * (parseInt(r.confirmados) || 0) / validos) : null,
+        ultimaFalta: r.ultima_falta || null
+    };
+}
+
+function confiabilidadeVazia() {
+    return calcularConfiabilidade({});
+}
+
+// ==============================================================================
+// CALENDÁRIO - GERAÇÃO DE ARQUIVOS ICS (RFC 5545)
+// ==============================================================================
+
+const PRIVACIDADES_FEED = ['completo', 'iniciais'];
+const FEED_DIAS_PASSADOS = 30;
+const FEED_DIAS_FUTUROS = 180;
+const FUSO_CALENDARIO = FUSO_CLINICA;
+const DOMINIO_UID_ICS = 'dentalultra.com.br';
+
+// Escapa texto de propriedade ICS (\ ; , e quebras de linha)
+function escaparIcs(texto) {
+    return String(texto || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Linhas ICS têm no máximo 75 octetos; a continuação começa com espaço
+function dobrarLinhaIcs(linha) {
+    const partes = [];
+    let atual = '';
+    for (const caractere of linha) {
+        if (Buffer.byteLength(atual + caractere) > (partes.length === 0 ? 75 : 74)) {
+            partes.push(atual);
+            atual = '';
+        }
+        atual += caractere;
+    }
+    partes.push(atual);
+    return partes.join('\r\n ');
+}
+
+// 'AAAA-MM-DD' + 'HH:MM[:SS]' + minutos -> '20261019T093000' (hora local do fuso da agenda)
+function dataHoraIcs(data, horario, somarMinutos) {
+    const [ano, mes, dia] = data.split('-').map(n => parseInt(n));
+    const d = new Date(Date.UTC(ano, mes - 1, dia, 0, horaParaMinutos(horario) + (somarMinutos || 0)));
+    return d.toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+function instanteUtcIcs(instante) {
+    return new Date(instante).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// "Maria da Silva" -> "M. S." (partículas de/da/dos ficam de fora)
+function iniciaisNome(nome) {
+    const partes = String(nome || '').trim().split(/\s+/)
+        .filter(p => p && !['de', 'da', 'do', 'das', 'dos', 'e'].includes(p.toLowerCase()));
+    if (partes.length === 0) return 'Paciente';
+    return partes.map(p => p[0].toUpperCase() + '.').join(' ');
+}
+
+// eventos: [{ uid, data, horario, duracao, titulo, descricao, local, status, atualizadoEm }]
+function gerarIcs(nomeCalendario, eventos) {
+    const agora = instanteUtcIcs(new Date());
+    const linhas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Dental Ultra//Agenda//PT-BR',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escaparIcs(nomeCalendario)}`,
+        `X-WR-TIMEZONE:${FUSO_CALENDARIO}`,
+        // Brasil sem horário de verão desde 2019: um único STANDARD basta
+        'BEGIN:VTIMEZONE',
+        `TZID:${FUSO_CALENDARIO}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:-0300',
+        'TZOFFSETTO:-0300',
+        'TZNAME:-03',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+
+    for (const e of eventos) {
+        linhas.push(
+            'BEGIN:VEVENT',
+            `UID:${e.uid}@${DOMINIO_UID_ICS}`,
+            `DTSTAMP:${agora}`,
+            `DTSTART;TZID=${FUSO_CALENDARIO}:${dataHoraIcs(e.data, e.horario)}`,
+            `DTEND;TZID=${FUSO_CALENDARIO}:${dataHoraIcs(e.data, e.horario, parseInt(e.duracao) || 60)}`,
+            `SUMMARY:${escaparIcs(e.titulo)}`
+        );
+        if (e.descricao) linhas.push(`DESCRIPTION:${escaparIcs(e.descricao)}`);
+        if (e.local) linhas.push(`LOCATION:${escaparIcs(e.local)}`);
+        if (e.status) linhas.push(`STATUS:${e.status}`);
+        if (e.atualizadoEm) linhas.push(`LAST-MODIFIED:${instanteUtcIcs(e.atualizadoEm)}`);
+        linhas.push('END:VEVENT');
+    }
+
+    linhas.push('END:VCALENDAR');
+    return linhas.map(dobrarLinhaIcs).join('\r\n') + '\r\n';
+}
+
+// Status do agendamento -> STATUS do evento (pendente de aprovação aparece como provisório)
+function statusEventoIcs(status) {
+    if (status === 'pendente_aprovacao' || status === 'agendado' || !status) return 'TENTATIVE';
+    return 'CONFIRMED';
+}
+
+function enviarIcs(res, nomeArquivo, conteudo, anexo) {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `${anexo ? 'attachment' : 'inline'}; filename="${nomeArquivo}"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(conteudo);
+}
+
+// ==============================================================================
+// AGENDA - FERIADOS, FECHAMENTOS E AUSÊNCIAS
+// ==============================================================================
+
+const TIPOS_BLOQUEIO = ['feriado_municipal', 'fechamento', 'ausencia'];
+const MAX_DIAS_CALENDARIO_BLOQUEIOS = 366;
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher) - base dos feriados móveis
+function calcularPascoa(ano) {
+    const a = ano % 19;
+    const b = Math.floor(ano / 100);
+    const c = ano % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const mes = Math.floor((h + l - 7 * m + 114) / 31);
+    const dia = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(ano, mes - 1, dia));
+}
+
+// Feriados nacionais do ano. Carnaval e Corpus Christi são ponto facultativo:
+// só bloqueiam a agenda se a clínica ligar bloquear_pontos_facultativos.
+function feriadosNacionais(ano) {
+    const fixos = [
+        ['01-01', 'Confraternização Universal'],
+        ['04-21', 'Tiradentes'],
+        ['05-01', 'Dia do Trabalho'],
+        ['09-07', 'Independência do Brasil'],
+        ['10-12', 'Nossa Senhora Aparecida'],
+        ['11-02', 'Finados'],
+        ['11-15', 'Proclamação da República'],
+        ['12-25', 'Natal']
+    ];
+    if (ano >= 2024) fixos.push(['11-20', 'Dia Nacional de Zumbi e da Consciência Negra']);
+
+    const pascoa = calcularPascoa(ano);
+    const moveis = (dias) => {
+        const d = new Date(pascoa);
+        d.setUTCDate(d.getUTCDate() + dias);
+        return d.toISOString().split('T')[0];
+    };
+
+    return fixos.map(([diaMes, descricao]) => ({ data: `${ano}-${diaMes}`, descricao, facultativo: false }))
+        .concat([
+            { data: moveis(-48), descricao: 'Carnaval', facultativo: true },
+            { data: moveis(-47), descricao: 'Carnaval', facultativo: true },
+            { data: moveis(-2), descricao: 'Sexta-feira Santa', facultativo: false },
+            { data: moveis(60), descricao: 'Corpus Christi', facultativo: true }
+        ])
+        .sort((x, y) => x.data.localeCompare(y.data));
+}
+
+// DATE do pg chega como Date à meia-noite local; o resto já é 'AAAA-MM-DD'
+function dataParaTexto(valor) {
+    if (valor instanceof Date) {
+        return `${valor.getFullYear()}-${String(valor.getMonth() + 1).padStart(2, '0')}-${String(valor.getDate()).padStart(2, '0')}`;
+    }
+    return String(valor).slice(0, 10);
+}
+
+// Bloqueios da clínica expandidos dia a dia entre inicio e fim (inclusive), já com os feriados nacionais.
+// Cada item: { id, data, profissionalId, inicio, fim, tipo, descricao } - inicio/fim em minutos, null = dia inteiro
+async function buscarBloqueiosAgenda(dentistaId, inicio, fim) {
+    const cadastrados = await pool.query(`
+        SELECT id, profissional_id, tipo, descricao, recorrente_anual, hora_inicio, hora_fim,
+               to_char(data_inicio, 'YYYY-MM-DD') as data_inicio, to_char(data_fim, 'YYYY-MM-DD') as data_fim
+        FROM bloqueios_agenda
+        WHERE dentista_id = $1 AND (recorrente_anual = true OR (data_inicio <= $3 AND data_fim >= $2))
+    `, [dentistaId, inicio, fim]);
+    const config = await pool.query(
+        'SELECT feriados_nacionais, bloquear_pontos_facultativos FROM config_clinica WHERE dentista_id = $1',
+        [dentistaId]
+    );
+    const c = config.rows[0] || {};
+
+    const nacionais = {};
+    if (c.feriados_nacionais !== false) {
+        for (let ano = parseInt(inicio.slice(0, 4)); ano <= parseInt(fim.slice(0, 4)); ano++) {
+            for (const f of feriadosNacionais(ano)) {
+                if (!f.facultativo || c.bloquear_pontos_facultativos) nacionais[f.data] = f.descricao;
+            }
+        }
+    }
+
+    const bloqueios = [];
+    for (let d = new Date(inicio + 'T00:00:00Z'); d <= new Date(fim + 'T00:00:00Z'); d.setUTCDate(d.getUTCDate() + 1)) {
+        const data = d.toISOString().split('T')[0];
+        const diaMes = data.slice(5);
+
+        if (nacionais[data]) {
+            bloqueios.push({ id: null, data, profissionalId: null, inicio: null, fim: null, tipo: 'feriado_nacional', descricao: nacionais[data] });
+        }
+
+        for (const b of cadastrados.rows) {
+            let vale;
+            if (b.recorrente_anual) {
+                const de = b.data_inicio.slice(5);
+                const ate = b.data_fim.slice(5);
+                vale = de <= ate ? (diaMes >= de && diaMes <= ate) : (diaMes >= de || diaMes <= ate);
+            } else {
+                vale = data >= b.data_inicio && data <= b.data_fim;
+            }
+            if (!vale) continue;
+
+            bloqueios.push({
+                id: b.id,
+                data,
+                profissionalId: b.profissional_id,
+                inicio: b.hora_inicio ? horaParaMinutos(b.hora_inicio) : null,
+                fim: b.hora_fim ? horaParaMinutos(b.hora_fim) : null,
+                tipo: b.tipo,
+                descricao: b.descricao
+            });
+        }
+    }
+    return bloqueios;
+}
+
+// Bloqueios que valem para a agenda de um profissional num dia (os da clínica toda valem para todos)
+function bloqueiosDoProfissional(bloqueios, profissionalId, data) {
+    return bloqueios.filter(b =>
+        b.data === data && (b.profissionalId === null || parseInt(b.profissionalId) === parseInt(profissionalId))
+    );
+}
+
+// Agendamentos ativos (de hoje em diante) que caem dentro de um bloqueio cadastrado
+async function buscarAgendamentosAfetados(dentistaId, bloqueio) {
+    const params = [dentistaId];
+    let filtroData;
+    if (bloqueio.recorrente_anual) {
+        params.push(dataParaTexto(bloqueio.data_inicio).slice(5), dataParaTexto(bloqueio.data_fim).slice(5));
+        filtroData = dataParaTexto(bloqueio.data_inicio).slice(5) <= dataParaTexto(bloqueio.data_fim).slice(5)
+            ? `to_char(a.data, 'MM-DD') BETWEEN $2 AND $3`
+            : `(to_char(a.data, 'MM-DD') >= $2 OR to_char(a.data, 'MM-DD') <= $3)`;
+    } else {
+        params.push(bloqueio.data_inicio, bloqueio.data_fim);
+        filtroData = 'a.data BETWEEN $2 AND $3';
+    }
+
+    let query = `
+        SELECT a.id, to_char(a.data, 'YYYY-MM-DD') as data, a.horario, a.duracao, a.procedimento, a.status,
+               a.profissional_id, a.paciente_id, COALESCE(p.nome, a.paciente_nome) as paciente_nome,
+               COALESCE(p.celular, p.telefone, a.paciente_telefone) as paciente_telefone
+        FROM agendamentos a
+        LEFT JOIN pacientes p ON p.id = a.paciente_id
+        WHERE a.dentista_id = $1 AND ${filtroData} AND a.data >= ${HOJE_CLINICA_SQL}
+          AND COALESCE(a.status, 'agendado') IN ('agendado', 'confirmado', 'pendente_aprovacao')
+    `;
+    if (bloqueio.profissional_id) {
+        params.push(bloqueio.profissional_id);
+        query += ` AND a.profissional_id = $${params.length}`;
+    }
+    if (bloqueio.hora_inicio && bloqueio.hora_fim) {
+        params.push(bloqueio.hora_inicio, bloqueio.hora_fim);
+        query += ` AND a.horario < $${params.length} AND a.horario + make_interval(mins => COALESCE(a.duracao, 60)) > $${params.length - 1}`;
+    }
+    const result = await pool.query(query + ' ORDER BY a.data, a.horario', params);
+
+    return result.rows.map(a => ({
+        id: a.id.toString(),
+        data: a.data,
+        horario: a.horario,
+        duracao: a.duracao,
+        procedimento: a.procedimento,
+        status: a.status,
+        profissionalId: a.profissional_id,
+        pacienteId: a.paciente_id ? a.paciente_id.toString() : null,
+        pacienteNome: a.paciente_nome,
+        pacienteTelefone: a.paciente_telefone
+    }));
+}
+
+// ==============================================================================
+// AGENDA - SOBREPOSIÇÃO DE HORÁRIOS E SÉRIES RECORRENTES
+// ==============================================================================
+
+const MAX_OCORRENCIAS_SERIE = 104;
+const FREQUENCIAS_SERIE = ['semanal', 'mensal'];
+const ESCOPOS_SERIE = ['esta', 'seguintes', 'todas'];
+
+// Agendamentos do mesmo profissional que se sobrepõem ao intervalo [horario, horario + duracao)
+async function buscarSobreposicoes(dentistaId, { profissionalId, data, horario, duracao, ignorarIds }, db = pool) {
+    const result = await db.query(`
+        SELECT id, paciente_nome, data, horario, duracao, procedimento, status, encaixe, profissional_id
+        FROM agendamentos
+        WHERE dentista_id = $1
+          AND data = $2
+          AND profissional_id IS NOT DISTINCT FROM $3
+          AND COALESCE(status, '') <> ALL($4)
+          AND horario < $5::time + make_interval(mins => $6)
+          AND horario + make_interval(mins => COALESCE(duracao, 60)) > $5::time
+          AND NOT (id = ANY($7))
+        ORDER BY horario
+    `, [dentistaId, data, profissionalId || null, STATUS_LIVRES, horario, parseInt(duracao) || 60, ignorarIds || []]);
+
+    return result.rows.map(a => ({
+        id: a.id.toString(),
+        paciente_nome: a.paciente_nome,
+        data: a.data,
+        hora: a.horario,
+        duracao: a.duracao,
+        procedimento: a.procedimento,
+        status: a.status,
+        encaixe: a.encaixe || false,
+        profissional_id: a.profissional_id
+    }));
+}
+
+// 'HH:MM' ou 'HH:MM:SS' -> minutos desde 00:00
+function horaParaMinutos(hora) {
+    const [h, m] = String(hora).split(':');
+    return parseInt(h) * 60 + (parseInt(m) || 0);
+}
+
+function minutosParaHora(minutos) {
+    return String(Math.floor(minutos / 60)).padStart(2, '0') + ':' + String(minutos % 60).padStart(2, '0');
+}
+
+// Expediente em minutos: do profissional da coluna da agenda (limitado ao horário da clínica, como em
+// calcularHorariosLivres) ou, sem profissional, o horário da clínica
+async function buscarExpediente(dentistaId, profissionalId) {
+    const config = await pool.query('SELECT hora_abre, hora_fecha, intervalo_padrao FROM config_clinica WHERE dentista_id = $1', [dentistaId]);
+    const c = config.rows[0] || {};
+    const clinicaAbre = horaParaMinutos(c.hora_abre || '08:00');
+    const clinicaFecha = horaParaMinutos(c.hora_fecha || '18:00');
+
+    if (profissionalId) {
+        const prof = await pool.query(
+            'SELECT hora_entrada, hora_saida, almoco_inicio, almoco_fim, intervalo_minutos FROM profissionais WHERE id = $1 AND dentista_id = $2',
+            [profissionalId, dentistaId]
+        );
+        if (prof.rows.length > 0) {
+            const p = prof.rows[0];
+            return {
+                entrada: Math.max(horaParaMinutos(p.hora_entrada || '08:00'), clinicaAbre),
+                saida: Math.min(horaParaMinutos(p.hora_saida || '18:00'), clinicaFecha),
+                almocoInicio: p.almoco_inicio ? horaParaMinutos(p.almoco_inicio) : null,
+                almocoFim: p.almoco_fim ? horaParaMinutos(p.almoco_fim) : null,
+                intervalo: parseInt(p.intervalo_minutos) || 30
+            };
+        }
+    }
+
+    return {
+        entrada: clinicaAbre,
+        saida: clinicaFecha,
+        almocoInicio: null,
+        almocoFim: null,
+        intervalo: parseInt(c.intervalo_padrao) || 30
+    };
+}
+
+// Checa um horário contra a agenda do profissional: outros agendamentos, expediente, almoço e bloqueios.
+// Retorna { ok, conflitos, foraDoExpediente, bloqueios } - encaixe é decidido por quem chama.
+// db = client da transação quando a checagem precisa enxergar o que ela já gravou
+async function validarHorarioAgendamento(dentistaId, { profissionalId, data, horario, duracao, ignorarIds }, db = pool) {
+    const duracaoMin = parseInt(duracao) || 60;
+    const conflitos = await buscarSobreposicoes(dentistaId, { profissionalId, data, horario, duracao: duracaoMin, ignorarIds }, db);
+
+    const expediente = await buscarExpediente(dentistaId, profissionalId);
+    const inicio = horaParaMinutos(horario);
+    const fim = inicio + duracaoMin;
+    const foraDoExpediente = [];
+
+    if (inicio < expediente.entrada || fim > expediente.saida) {
+        foraDoExpediente.push(`Fora do horário de atendimento (${minutosParaHora(expediente.entrada)} às ${minutosParaHora(expediente.saida)})`);
+    }
+    if (expediente.almocoInicio !== null && expediente.almocoFim !== null &&
+        inicio < expediente.almocoFim && fim > expediente.almocoInicio) {
+        foraDoExpediente.push(`Coincide com o almoço (${minutosParaHora(expediente.almocoInicio)} às ${minutosParaHora(expediente.almocoFim)})`);
+    }
+
+    const dia = dataParaTexto(data);
+    const bloqueios = bloqueiosDoProfissional(await buscarBloqueiosAgenda(dentistaId, dia, dia), profissionalId, dia)
+        .filter(b => b.inicio === null || (inicio < b.fim && fim > b.inicio))
+        .map(b => ({ tipo: b.tipo, descricao: b.descricao, profissionalId: b.profissionalId }));
+
+    return {
+        ok: conflitos.length === 0 && foraDoExpediente.length === 0 && bloqueios.length === 0,
+        conflitos,
+        foraDoExpediente,
+        bloqueios
+    };
+}
+
+// Resposta padrão para horário recusado (o front pode oferecer "salvar como encaixe")
+function responderHorarioIndisponivel(res, validacao) {
+    let erro = 'Horário fora do expediente do profissional';
+    if (validacao.bloqueios.length > 0) {
+        erro = `Agenda bloqueada neste horário: ${validacao.bloqueios.map(b => b.descricao).join(', ')}`;
+    } else if (validacao.conflitos.length > 0) {
+        erro = 'Horário já ocupado para este profissional';
+    }
+    return res.status(409).json({
+        success: false,
+        erro,
+        conflitos: validacao.conflitos,
+        foraDoExpediente: validacao.foraDoExpediente,
+        bloqueios: validacao.bloqueios,
+        permiteEncaixe: true
+    });
+}
+
+const MAX_DIAS_HORARIOS_LIVRES = 31;
+
+// Horários livres por profissional e dia. Janela = expediente do profissional dentro do horário da clínica,
+// em passos de intervalo_minutos, sem almoço, sem feriados/ausências e sem sobrepor agendamentos que ocupam a agenda.
+async function calcularHorariosLivres(dentistaId, { profissionalIds, inicio, fim, duracao, diasSemana, ignorarIds }) {
+    let queryProf = 'SELECT * FROM profissionais WHERE dentista_id = $1 AND ativo = true';
+    const paramsProf = [dentistaId];
+    if (profissionalIds && profissionalIds.length > 0) {
+        queryProf += ' AND id = ANY($2)';
+        paramsProf.push(profissionalIds);
+    }
+    const profissionais = await pool.query(queryProf + ' ORDER BY nome', paramsProf);
+
+    const config = await pool.query('SELECT hora_abre, hora_fecha FROM config_clinica WHERE dentista_id = $1', [dentistaId]);
+    const clinicaAbre = horaParaMinutos((config.rows[0] || {}).hora_abre || '08:00');
+    const clinicaFecha = horaParaMinutos((config.rows[0] || {}).hora_fecha || '18:00');
+
+    const ocupados = await pool.query(`
+        SELECT profissional_id, to_char(data, 'YYYY-MM-DD') as data, horario, COALESCE(duracao, 60) as duracao
+        FROM agendamentos
+        WHERE dentista_id = $1 AND data BETWEEN $2 AND $3 AND profissional_id = ANY($4)
+          AND COALESCE(status, '') <> ALL($5)
+          AND NOT (id = ANY($6))
+    `, [dentistaId, inicio, fim, profissionais.rows.map(p => p.id), STATUS_LIVRES, ignorarIds || []]);
+
+    const bloqueiosPeriodo = await buscarBloqueiosAgenda(dentistaId, inicio, fim);
+
+    const ocupacao = {};
+    for (const a of ocupados.rows) {
+        const chave = `${a.profissional_id}|${a.data}`;
+        const ini = horaParaMinutos(a.horario);
+        (ocupacao[chave] = ocupacao[chave] || []).push([ini, ini + parseInt(a.duracao)]);
+    }
+
+    // Datas do período e "agora" no mesmo referencial (AAAA-MM-DD / minutos do dia locais)
+    const datas = [];
+    for (let d = new Date(inicio + 'T00:00:00Z'); d <= new Date(fim + 'T00:00:00Z'); d.setUTCDate(d.getUTCDate() + 1)) {
+        if (diasSemana.includes(d.getUTCDay())) {
+            datas.push(d.toISOString().split('T')[0]);
+        }
+    }
+    const { data: hoje, minuto: minutoAgora } = dataEMinutoLocal(new Date());
+
+    return profissionais.rows.map(p => {
+        const entrada = Math.max(horaParaMinutos(p.hora_entrada || '08:00'), clinicaAbre);
+        const saida = Math.min(horaParaMinutos(p.hora_saida || '18:00'), clinicaFecha);
+        const almoco = p.almoco_inicio && p.almoco_fim
+            ? [horaParaMinutos(p.almoco_inicio), horaParaMinutos(p.almoco_fim)]
+            : null;
+        const passo = parseInt(p.intervalo_minutos) || 30;
+
+        const dias = [];
+        for (const data of datas) {
+            if (data < hoje) continue;
+            const doDia = bloqueiosDoProfissional(bloqueiosPeriodo, p.id, data);
+            if (doDia.some(b => b.inicio === null)) continue;
+            const bloqueios = (ocupacao[`${p.id}|${data}`] || [])
+                .concat(almoco ? [almoco] : [])
+                .concat(doDia.map(b => [b.inicio, b.fim]));
+            const horarios = [];
+            for (let ini = entrada; ini + duracao <= saida; ini += passo) {
+                if (data === hoje && ini <= minutoAgora) continue;
+                const livre = bloqueios.every(([bIni, bFim]) => ini >= bFim || ini + duracao <= bIni);
+                if (livre) horarios.push(minutosParaHora(ini));
+            }
+            if (horarios.length > 0) dias.push({ data, horarios });
+        }
+
+        return { profissional_id: p.id, nome: p.nome, intervalo: passo, dias };
+    });
+}
+
+// Valida a regra de recorrência do body. Retorna { erro } ou { regra }
+function lerRegraSerie(body) {
+    const frequencia = body.frequencia;
+    const intervalo = body.intervalo === undefined ? 1 : parseInt(body.intervalo);
+    const dataInicio = body.dataInicio;
+    const dataFim = body.dataFim || null;
+    const quantidade = body.quantidade ? parseInt(body.quantidade) : null;
+
+    if (!FREQUENCIAS_SERIE.includes(frequencia)) {
+        return { erro: 'Frequência deve ser semanal ou mensal' };
+    }
+    if (!intervalo || intervalo < 1 || intervalo > 12) {
+        return { erro: 'Intervalo deve ser entre 1 e 12' };
+    }
+    if (!dataValida(dataInicio)) {
+        return { erro: 'Data de início obrigatória (AAAA-MM-DD)' };
+    }
+    if (!dataFim && !quantidade) {
+        return { erro: 'Informe a data final ou a quantidade de ocorrências' };
+    }
+    if (dataFim && (!dataValida(dataFim) || dataFim < dataInicio)) {
+        return { erro: 'Data final inválida' };
+    }
+    if (quantidade !== null && (quantidade < 1 || quantidade > MAX_OCORRENCIAS_SERIE)) {
+        return { erro: `Quantidade deve ser entre 1 e ${MAX_OCORRENCIAS_SERIE}` };
+    }
+
+    return { regra: { frequencia, intervalo, dataInicio, dataFim, quantidade } };
+}
+
+// Datas (AAAA-MM-DD) das ocorrências. Mensal mantém o dia do mês (ou o último dia, em meses mais curtos)
+function gerarDatasSerie(regra) {
+    const inicio = new Date(regra.dataInicio + 'T00:00:00Z');
+    const fim = regra.dataFim ? new Date(regra.dataFim + 'T00:00:00Z') : null;
+    const limite = Math.min(regra.quantidade || MAX_OCORRENCIAS_SERIE, MAX_OCORRENCIAS_SERIE);
+    const datas = [];
+
+    for (let i = 0; datas.length < limite; i++) {
+        let data;
+        if (regra.frequencia === 'mensal') {
+            data = new Date(Date.UTC(inicio.getUTCFullYear(), inicio.getUTCMonth() + i * regra.intervalo, 1));
+            const ultimoDia = new Date(Date.UTC(data.getUTCFullYear(), data.getUTCMonth() + 1, 0)).getUTCDate();
+            data.setUTCDate(Math.min(inicio.getUTCDate(), ultimoDia));
+        } else {
+            data = new Date(inicio.getTime() + i * regra.intervalo * 7 * 24 * 60 * 60 * 1000);
+        }
+        if (fim && data > fim) break;
+        datas.push(data.toISOString().split('T')[0]);
+    }
+    return datas;
+}
+
+// Ocorrências atingidas por uma edição/cancelamento: só esta, esta e as seguintes, ou todas as futuras
+async function ocorrenciasDoEscopo(dentistaId, agendamento, escopo, db = pool) {
+    if (escopo === 'esta' || !agendamento.serie_id) {
+        return [agendamento];
+    }
+
+    let query = `
+        SELECT * FROM agendamentos
+        WHERE dentista_id = $1 AND serie_id = $2 AND COALESCE(status, '') <> ALL($3)
+    `;
+    const params = [dentistaId, agendamento.serie_id, STATUS_LIVRES];
+    if (escopo === 'seguintes') {
+        params.push(agendamento.data, agendamento.horario);
+        query += ' AND (data, horario) >= ($4::date, $5::time)';
+    } else {
+        query += ` AND data >= ${HOJE_CLINICA_SQL}`;
+    }
+    query += ' ORDER BY data, horario';
+
+    const result = await db.query(query, params);
+    return result.rows;
+}
+
+// ==============================================================================
+// ROTAS DE AGENDAMENTOS
+// ==============================================================================
+
+app.get('/api/agendamentos', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const { data, inicio, fim, profissional_id } = req.query;
+        let query = `SELECT a.*, COALESCE(p.celular, p.telefone) as paciente_telefone 
+                     FROM agendamentos a 
+                     LEFT JOIN pacientes p ON a.paciente_id = p.id 
+                     WHERE a.dentista_id = $1`;
+        const params = [req.dentistaId];
+        let paramIndex = 2;
+
+        // Filtrar por profissional específico (coluna da agenda)
+        if (profissional_id) {
+            query += ` AND a.profissional_id = $${paramIndex}`;
+            params.push(parseInt(profissional_id));
+            paramIndex++;
+        }
+
+        if (data) {
+            query += ` AND a.data = $${paramIndex}`;
+            params.push(data);
+            paramIndex++;
+        } else if (inicio && fim) {
+            query += ` AND a.data >= $${paramIndex} AND a.data <= $${paramIndex + 1}`;
+            params.push(inicio, fim);
+            paramIndex += 2;
+        }
+
+        query += ' ORDER BY a.data ASC, a.horario ASC';
+        const result = await pool.query(query, params);
+
+        const pacienteIds = [...new Set(result.rows.map(a => a.paciente_id).filter(Boolean))];
+        const confiabilidade = pacienteIds.length > 0 ? await estatisticasComparecimento(req.dentistaId, pacienteIds) : {};
+
+        const agendamentos = result.rows.map(a => ({
+            id: a.id.toString(),
+            pacienteId: a.paciente_id ? a.paciente_id.toString() : null,
+            paciente_nome: a.paciente_nome,
+            paciente_telefone: a.paciente_telefone || null,
+            data: a.data,
+            hora: a.horario,
+            duracao: a.duracao,
+            procedimento: a.procedimento,
+            valor: a.valor,
+            status: a.status,
+            encaixe: a.encaixe || false,
+            observacoes: a.observacoes,
+            codigoConfirmacao: a.codigo_confirmacao,
+            rotulo: a.rotulo,
+            profissional_id: a.profissional_id,
+            serieId: a.serie_id || null,
+            confiabilidade: a.paciente_id ? (confiabilidade[a.paciente_id] || confiabilidadeVazia()) : null,
+            criadoEm: a.criado_em
+        }));
+
+        res.json({ success: true, agendamentos, total: agendamentos.length });
+    } catch (error) {
+        console.error('Erro listar agendamentos:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar agendamentos' });
+    }
+});
+
+// Buscar agendamentos pendentes de confirmação (para envio em lote)
+app.get('/api/agendamentos/pendentes', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const { inicio, fim } = req.query;
+        
+        if (!inicio || !fim) {
+            return res.status(400).json({ success: false, erro: 'Período obrigatório (inicio e fim)' });
+        }
+        
+        // Buscar agendamentos pendentes (status = 'agendado') com dados do paciente e profissional
+        const result = await pool.query(
+            `SELECT a.*, 
+                    COALESCE(p.celular, p.telefone) as paciente_telefone,
+                    prof.nome as profissional_nome,
+                    m.status as lembrete_status, m.canal as lembrete_canal, m.enviado_em as lembrete_enviado_em
+             FROM agendamentos a
+             LEFT JOIN pacientes p ON a.paciente_id = p.id
+             LEFT JOIN profissionais prof ON a.profissional_id = prof.id
+             LEFT JOIN LATERAL (
+                 SELECT status, canal, enviado_em FROM mensagens_enviadas
+                 WHERE agendamento_id = a.id AND tipo = 'lembrete_confirmacao'
+                 ORDER BY criado_em DESC LIMIT 1
+             ) m ON true
+             WHERE a.dentista_id = $1 
+               AND a.data >= $2 
+               AND a.data <= $3
+               AND (a.status = 'agendado' OR a.status IS NULL)
+             ORDER BY a.data ASC, a.horario ASC`,
+            [req.dentistaId, inicio, fim]
+        );
+        
+        const agendamentos = result.rows.map(a => ({
+            id: a.id.toString(),
+            paciente_id: a.paciente_id ? a.paciente_id.toString() : null,
+            paciente_nome: a.paciente_nome,
+            paciente_telefone: a.paciente_telefone || null,
+            data: a.data,
+            hora: a.horario,
+            duracao: a.duracao,
+            procedimento: a.procedimento,
+            status: a.status,
+            codigo_confirmacao: a.codigo_confirmacao,
+            profissional_id: a.profissional_id,
+            profissional_nome: a.profissional_nome || 'Profissional',
+            lembrete: a.lembrete_status
+                ? { status: a.lembrete_status, canal: a.lembrete_canal, enviadoEm: a.lembrete_enviado_em }
+                : null
+        }));
+        
+        res.json({ success: true, agendamentos, total: agendamentos.length });
+    } catch (error) {
+        console.error('Erro buscar pendentes:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar agendamentos pendentes' });
+    }
+});
+
+// Buscar agendamentos com tel. de recados (pacientes que têm tel_recados preenchido)
+app.get('/api/agendamentos/recados', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const { inicio, fim } = req.query;
+        
+        if (!inicio || !fim) {
+            return res.status(400).json({ success: false, erro: 'Período obrigatório' });
+        }
+        
+        const result = await pool.query(
+            `SELECT a.*, 
+                    p.tel_recados,
+                    p.nome_recado,
+                    prof.nome as profissional_nome
+             FROM agendamentos a
+             JOIN pacientes p ON a.paciente_id = p.id
+             LEFT JOIN profissionais prof ON a.profissional_id = prof.id
+             WHERE a.dentista_id = $1 
+               AND a.data >= $2 
+               AND a.data <= $3
+               AND p.tel_recados IS NOT NULL 
+               AND p.tel_recados != ''
+             ORDER BY a.data ASC, a.horario ASC`,
+            [req.dentistaId, inicio, fim]
+        );
+        
+        const agendamentos = result.rows.map(a => ({
+            id: a.id.toString(),
+            paciente_nome: a.paciente_nome,
+            tel_recados: a.tel_recados,
+            nome_recado: a.nome_recado,
+            data: a.data,
+            hora: a.horario,
+            procedimento: a.procedimento,
+            profissional_nome: a.profissional_nome || 'Profissional'
+        }));
+        
+        res.json({ success: true, agendamentos });
+    } catch (error) {
+        console.error('Erro buscar recados:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar recados' });
+    }
+});
+
+app.post('/api/agendamentos', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('paciente', 'pacienteId'), verificarPropriedade('profissional', 'profissional_id'), async (req, res) => {
+    let client;
+    try {
+        const { pacienteId, pacienteNome, data, horario, duracao, procedimento, valor, status, encaixe, observacoes, rotulo, profissional_id, dentista_id } = req.body;
+
+        if (!data || !horario) {
+            return res.status(400).json({ success: false, erro: 'Data e horário obrigatórios' });
+        }
+
+        let nomePaciente = pacienteNome;
+        if (pacienteId && !nomePaciente) {
+            const pacResult = await pool.query('SELECT nome FROM pacientes WHERE id = $1', [parseInt(pacienteId)]);
+            if (pacResult.rows.length > 0) nomePaciente = pacResult.rows[0].nome;
+        }
+
+        // profissional_id = ID do profissional na agenda (coluna)
+        // dentista_id do body = mesmo que profissional_id (compatibilidade)
+        const profId = profissional_id || dentista_id || null;
+
+        if (status && !STATUS_INICIAIS.includes(status)) {
+            return res.status(400).json({ success: false, erro: 'Status inicial deve ser agendado ou confirmado' });
+        }
+
+        // Mesma trava do portal: checagem e INSERT sob o lock da agenda do profissional,
+        // então duas requisições simultâneas não passam as duas pela validação
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [req.dentistaId, validarId(profId) || 0]);
+
+        // Encaixe é o override explícito: grava mesmo com conflito, mas devolve os avisos
+        const validacao = await validarHorarioAgendamento(req.dentistaId, {
+            profissionalId: validarId(profId), data, horario, duracao: duracao || 60
+        });
+        if (!validacao.ok && !encaixe) {
+            await client.query('ROLLBACK');
+            return responderHorarioIndisponivel(res, validacao);
+        }
+
+        // Gerar código único de confirmação
+        const codigoConfirmacao = await gerarCodigoUnico();
+
+        const result = await client.query(
+            `INSERT INTO agendamentos (dentista_id, paciente_id, paciente_nome, data, horario, duracao, procedimento, valor, status, encaixe, observacoes, codigo_confirmacao, rotulo, profissional_id)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14) RETURNING *`,
+            [req.dentistaId, pacienteId ? parseInt(pacienteId) : null, nomePaciente, data, horario, duracao || 60, procedimento, valor, status || 'agendado', encaixe || false, observacoes, codigoConfirmacao, rotulo || null, profId ? parseInt(profId) : null]
+        );
+
+        const a = result.rows[0];
+        await registrarHistoricoStatus(client, {
+            agendamentoId: a.id, dentistaId: req.dentistaId, anterior: null, novo: a.status, canal: canalDaRequisicao(req), req
+        });
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: 'Agendamento criado!',
+            agendamento: { 
+                id: a.id.toString(), 
+                paciente_nome: a.paciente_nome, 
+                data: a.data, 
+                hora: a.horario, 
+                procedimento: a.procedimento, 
+                status: a.status, 
+                encaixe: a.encaixe,
+                codigoConfirmacao: a.codigo_confirmacao,
+                rotulo: a.rotulo,
+                profissional_id: a.profissional_id
+            },
+            conflitos: validacao.conflitos,
+            foraDoExpediente: validacao.foraDoExpediente
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro criar agendamento:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao criar agendamento' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// Horários livres por profissional no período (para a recepção encontrar vaga sem olhar a grade)
+// ?inicio=AAAA-MM-DD&fim=AAAA-MM-DD&duracao=60&profissional_ids=1,2&dias_semana=1,2,3,4,5,6 (0 = domingo)
+app.get('/api/agendamentos/horarios-livres', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const { inicio, profissional_ids, dias_semana } = req.query;
+        const fim = req.query.fim || inicio;
+
+        if (!dataValida(inicio) || !dataValida(fim) || fim < inicio) {
+            return res.status(400).json({ success: false, erro: 'Período inválido (inicio e fim em AAAA-MM-DD)' });
+        }
+        const dias = (new Date(fim) - new Date(inicio)) / (24 * 60 * 60 * 1000) + 1;
+        if (dias > MAX_DIAS_HORARIOS_LIVRES) {
+            return res.status(400).json({ success: false, erro: `Período máximo de ${MAX_DIAS_HORARIOS_LIVRES} dias` });
+        }
+
+        const duracao = parseInt(req.query.duracao) || 60;
+        if (duracao < 5 || duracao > 600) {
+            return res.status(400).json({ success: false, erro: 'Duração deve ser entre 5 e 600 minutos' });
+        }
+
+        const profissionalIds = profissional_ids
+            ? String(profissional_ids).split(',').map(validarId).filter(Boolean)
+            : [];
+        // Filtro informado mas todo inválido não pode virar "todos os profissionais"
+        if (profissional_ids && profissionalIds.length === 0) {
+            return res.status(400).json({ success: false, erro: 'profissional_ids inválido' });
+        }
+        const diasSemana = dias_semana
+            ? String(dias_semana).split(',').map(d => parseInt(d)).filter(d => d >= 0 && d <= 6)
+            : [1, 2, 3, 4, 5, 6];
+
+        const profissionais = await calcularHorariosLivres(req.dentistaId, { profissionalIds, inicio, fim, duracao, diasSemana });
+
+        res.json({
+            success: true,
+            inicio,
+            fim,
+            duracao,
+            profissionais,
+            total: profissionais.reduce((soma, p) => soma + p.dias.reduce((s, d) => s + d.horarios.length, 0), 0)
+        });
+    } catch (error) {
+        console.error('Erro horários livres:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao calcular horários livres' });
+    }
+});
+
+// Buscar agendamento por ID
+app.get('/api/agendamentos/:id', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        
+        const result = await pool.query(
+            `SELECT a.*, COALESCE(p.celular, p.telefone) as paciente_telefone_db
+             FROM agendamentos a
+             LEFT JOIN pacientes p ON a.paciente_id = p.id
+             WHERE a.id = $1 AND a.dentista_id = $2`,
+            [id, req.dentistaId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+
+        const a = result.rows[0];
+        res.json({
+            id: a.id.toString(),
+            paciente_id: a.paciente_id ? a.paciente_id.toString() : null,
+            paciente_nome: a.paciente_nome,
+            paciente_telefone: a.paciente_telefone_db || null,
+            data: a.data,
+            hora: a.horario,
+            duracao: a.duracao,
+            procedimento: a.procedimento,
+            valor: a.valor,
+            status: a.status,
+            encaixe: a.encaixe || false,
+            observacoes: a.observacoes,
+            codigoConfirmacao: a.codigo_confirmacao,
+            rotulo: a.rotulo,
+            profissional_id: a.profissional_id,
+            serieId: a.serie_id || null,
+            criadoEm: a.criado_em
+        });
+    } catch (error) {
+        console.error('Erro buscar agendamento:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar agendamento' });
+    }
+});
+
+app.put('/api/agendamentos/:id', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
+    let client;
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        
+        const { pacienteId, pacienteNome, data, horario, duracao, procedimento, valor, encaixe, observacoes } = req.body;
+        const status = req.body.status ? normalizarStatusAgendamento(req.body.status, canalDaRequisicao(req)) : null;
+
+        const dono = await pool.query('SELECT profissional_id FROM agendamentos WHERE id = $1 AND dentista_id = $2', [id, req.dentistaId]);
+        if (dono.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+
+        // Trava da agenda do profissional (a mesma do portal) antes do FOR UPDATE: o portal trava a agenda
+        // e depois a linha, e a ordem inversa aqui poderia dar deadlock
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [req.dentistaId, dono.rows[0].profissional_id || 0]);
+
+        const atual = await client.query('SELECT * FROM agendamentos WHERE id = $1 AND dentista_id = $2 FOR UPDATE', [id, req.dentistaId]);
+        if (atual.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+        const anterior = atual.rows[0];
+
+        if (status && status !== anterior.status && !podeTransitarStatus(anterior.status, status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                erro: `Não é possível mudar o status de "${anterior.status || 'agendado'}" para "${status}"`,
+                permitidos: TRANSICOES_STATUS_AGENDAMENTO[anterior.status || 'agendado'] || []
+            });
+        }
+
+        // Revalida a agenda quando data, horário ou duração mudam ou quando um cancelado/faltou volta a ocupar o horário
+        let validacao = null;
+        const statusFinal = status || anterior.status;
+        const reativando = status && status !== anterior.status && reativaAgendamento(anterior.status, status);
+        if (((data || horario || duracao) && !STATUS_LIVRES.includes(statusFinal)) || reativando) {
+            validacao = await validarHorarioAgendamento(req.dentistaId, {
+                profissionalId: anterior.profissional_id,
+                data: data || anterior.data,
+                horario: horario || anterior.horario,
+                duracao: duracao || anterior.duracao,
+                ignorarIds: [id]
+            });
+            const ehEncaixe = encaixe !== undefined && encaixe !== null ? encaixe : anterior.encaixe;
+            if (!validacao.ok && !ehEncaixe) {
+                await client.query('ROLLBACK');
+                return responderHorarioIndisponivel(res, validacao);
+            }
+        }
+
+        let nomePaciente = pacienteNome;
+        const pacId = validarId(pacienteId);
+        if (pacId && !nomePaciente) {
+            const pacResult = await pool.query('SELECT nome FROM pacientes WHERE id = $1', [pacId]);
+            if (pacResult.rows.length > 0) nomePaciente = pacResult.rows[0].nome;
+        }
+
+        const result = await client.query(
+            `UPDATE agendamentos SET paciente_id = $1, paciente_nome = $2, data = COALESCE($3, data), horario = COALESCE($4, horario),
+             duracao = COALESCE($5, duracao), procedimento = $6, valor = $7, status = COALESCE($8, status), encaixe = COALESCE($9, encaixe),
+             observacoes = $10, atualizado_em = CURRENT_TIMESTAMP WHERE id = $11 AND dentista_id = $12 RETURNING *`,
+            [pacId, nomePaciente, data, horario, duracao, procedimento, valor, status, encaixe, observacoes, id, req.dentistaId]
+        );
+
+        const atualizado = result.rows[0];
+        if (atualizado.status !== anterior.status) {
+            await registrarHistoricoStatus(client, {
+                agendamentoId: id, dentistaId: req.dentistaId, anterior: anterior.status, novo: atualizado.status,
+                canal: canalDaRequisicao(req), req
+            });
+        }
+
+        // Mudança de dia/horário feita pela clínica entra no mesmo histórico das remarcações do paciente
+        if (new Date(atualizado.data).getTime() !== new Date(anterior.data).getTime() || atualizado.horario !== anterior.horario) {
+            await client.query(`
+                INSERT INTO agendamentos_remarcacoes (agendamento_id, dentista_id, data_anterior, horario_anterior, data_nova, horario_novo, profissional_id, origem)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, 'clinica')
+            `, [id, req.dentistaId, anterior.data, anterior.horario, atualizado.data, atualizado.horario, atualizado.profissional_id]);
+        }
+        await client.query('COMMIT');
+
+        if (STATUS_LIVRES.includes(atualizado.status) && !STATUS_LIVRES.includes(anterior.status)) {
+            registrarVagaLiberada(anterior, 'cancelado_clinica');
+        }
+
+        res.json({
+            success: true,
+            message: 'Agendamento atualizado!',
+            conflitos: validacao ? validacao.conflitos : [],
+            foraDoExpediente: validacao ? validacao.foraDoExpediente : []
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro atualizar agendamento:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar agendamento' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.delete('/api/agendamentos/:id', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        
+        const result = await pool.query(
+            'DELETE FROM agendamentos WHERE id = $1 AND dentista_id = $2 RETURNING *',
+            [id, req.dentistaId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+
+        const removido = result.rows[0];
+        if (!STATUS_LIVRES.includes(removido.status)) {
+            registrarVagaLiberada(removido, 'excluido');
+        }
+
+        res.json({ success: true, message: 'Agendamento removido!' });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao remover agendamento' });
+    }
+});
+
+// Histórico de remarcações do agendamento
+app.get('/api/agendamentos/:id/remarcacoes', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const result = await pool.query(`
+            SELECT id, data_anterior, horario_anterior, data_nova, horario_novo, profissional_id, origem, criado_em
+            FROM agendamentos_remarcacoes
+            WHERE agendamento_id = $1 AND dentista_id = $2
+            ORDER BY criado_em DESC
+        `, [id, req.dentistaId]);
+
+        res.json({ success: true, remarcacoes: result.rows });
+    } catch (error) {
+        console.error('Erro listar remarcações:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar remarcações' });
+    }
+});
+
+// Mudar status pelo ciclo de vida (chegou, em atendimento, atendido, faltou, cancelamentos...)
+app.post('/api/agendamentos/:id/status', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    let client;
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        const { status, observacao } = req.body;
+        if (!status) {
+            return res.status(400).json({ success: false, erro: 'Status obrigatório' });
+        }
+
+        const atual = await pool.query('SELECT * FROM agendamentos WHERE id = $1 AND dentista_id = $2', [id, req.dentistaId]);
+        if (atual.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+
+        const agendamento = atual.rows[0];
+        let db = pool;
+        if (reativaAgendamento(agendamento.status, normalizarStatusAgendamento(status, canalDaRequisicao(req)))) {
+            // Volta para a agenda sob a mesma trava da criação, conferindo se o horário continua livre
+            client = await pool.connect();
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1, $2)', [req.dentistaId, agendamento.profissional_id || 0]);
+            const validacao = await validarHorarioAgendamento(req.dentistaId, {
+                profissionalId: agendamento.profissional_id,
+                data: agendamento.data,
+                horario: agendamento.horario,
+                duracao: agendamento.duracao,
+                ignorarIds: [id]
+            });
+            if (!validacao.ok && !agendamento.encaixe) {
+                await client.query('ROLLBACK');
+                return responderHorarioIndisponivel(res, validacao);
+            }
+            db = client;
+        }
+
+        const mudanca = await alterarStatusAgendamento(db, agendamento, status, { canal: canalDaRequisicao(req), req, observacao });
+        if (client) await client.query(mudanca.erro ? 'ROLLBACK' : 'COMMIT');
+        if (mudanca.erro) {
+            return res.status(409).json({
+                success: false,
+                erro: mudanca.erro,
+                permitidos: TRANSICOES_STATUS_AGENDAMENTO[atual.rows[0].status || 'agendado'] || []
+            });
+        }
+
+        res.json({ success: true, message: 'Status atualizado!', status: mudanca.agendamento.status });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro mudar status do agendamento:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao mudar status' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// Histórico de status do agendamento (quem mudou, por qual canal e quando)
+app.get('/api/agendamentos/:id/historico-status', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const agendamento = await pool.query('SELECT status FROM agendamentos WHERE id = $1 AND dentista_id = $2', [id, req.dentistaId]);
+        if (agendamento.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+
+        const result = await pool.query(`
+            SELECT id, status_anterior, status_novo, canal, alterado_por, usuario_id, tipo_usuario, observacao, criado_em
+            FROM agendamentos_status_historico
+            WHERE agendamento_id = $1 AND dentista_id = $2
+            ORDER BY criado_em, id
+        `, [id, req.dentistaId]);
+
+        const statusAtual = agendamento.rows[0].status || 'agendado';
+        res.json({
+            success: true,
+            statusAtual,
+            proximos: TRANSICOES_STATUS_AGENDAMENTO[statusAtual] || [],
+            historico: result.rows
+        });
+    } catch (error) {
+        console.error('Erro histórico de status:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar histórico de status' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE SÉRIES DE AGENDAMENTOS (RECORRÊNCIA)
+// ==============================================================================
+
+// Criar série: gera uma linha em agendamentos por ocorrência.
+// conflitos = 'pular' (padrão) não cria ocorrências com horário ocupado ou fora do expediente; 'criar' cria mesmo assim.
+app.post('/api/agendamentos/series', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('paciente', 'pacienteId'), verificarPropriedade('profissional', 'profissional_id'), async (req, res) => {
+    const { pacienteId, pacienteNome, horario, duracao, procedimento, valor, observacoes, rotulo, profissional_id } = req.body;
+    const modoConflito = req.body.conflitos === 'criar' ? 'criar' : 'pular';
+
+    if (!horario) {
+        return res.status(400).json({ success: false, erro: 'Horário obrigatório' });
+    }
+    const { erro, regra } = lerRegraSerie(req.body);
+    if (erro) {
+        return res.status(400).json({ success: false, erro });
+    }
+
+    let client;
+    try {
+        let nomePaciente = pacienteNome;
+        const pacId = validarId(pacienteId);
+        if (pacId && !nomePaciente) {
+            const pacResult = await pool.query('SELECT nome FROM pacientes WHERE id = $1', [pacId]);
+            if (pacResult.rows.length > 0) nomePaciente = pacResult.rows[0].nome;
+        }
+        const profId = validarId(profissional_id);
+        const duracaoMin = parseInt(duracao) || 60;
+
+        // Checagem e gravação no mesmo client, sob a trava da agenda do profissional (como na criação avulsa)
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [req.dentistaId, profId || 0]);
+
+        const datas = gerarDatasSerie(regra);
+        const conflitos = [];
+        const datasCriar = [];
+        for (const data of datas) {
+            const validacao = await validarHorarioAgendamento(req.dentistaId, { profissionalId: profId, data, horario, duracao: duracaoMin }, client);
+            if (!validacao.ok) {
+                conflitos.push({
+                    data, horario,
+                    agendamentos: validacao.conflitos,
+                    foraDoExpediente: validacao.foraDoExpediente,
+                    bloqueios: validacao.bloqueios,
+                    criado: modoConflito === 'criar'
+                });
+                if (modoConflito === 'pular') continue;
+            }
+            // Ocorrência gravada apesar do conflito fica marcada como encaixe
+            datasCriar.push({ data, encaixe: !validacao.ok });
+        }
+
+        if (datasCriar.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, erro: 'Todas as ocorrências da série conflitam com outros agendamentos', conflitos });
+        }
+
+        const serie = await client.query(`
+            INSERT INTO series_agendamento (dentista_id, paciente_id, paciente_nome, profissional_id, horario, duracao, procedimento,
+                                            valor, observacoes, rotulo, frequencia, intervalo, data_inicio, data_fim, quantidade)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            RETURNING *
+        `, [req.dentistaId, pacId, nomePaciente, profId, horario, duracaoMin, procedimento, valor, observacoes, rotulo || null,
+            regra.frequencia, regra.intervalo, regra.dataInicio, regra.dataFim, regra.quantidade]);
+        const serieId = serie.rows[0].id;
+
+        const criados = [];
+        for (const { data, encaixe } of datasCriar) {
+            const codigoConfirmacao = await gerarCodigoUnico(client);
+            const result = await client.query(
+                `INSERT INTO agendamentos (dentista_id, paciente_id, paciente_nome, data, horario, duracao, procedimento, valor, status, encaixe, observacoes, codigo_confirmacao, rotulo, profissional_id, serie_id)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'agendado',$9,$10,$11,$12,$13,$14) RETURNING id, data, horario, codigo_confirmacao`,
+                [req.dentistaId, pacId, nomePaciente, data, horario, duracaoMin, procedimento, valor, encaixe, observacoes, codigoConfirmacao, rotulo || null, profId, serieId]
+            );
+            const a = result.rows[0];
+            await registrarHistoricoStatus(client, {
+                agendamentoId: a.id, dentistaId: req.dentistaId, anterior: null, novo: 'agendado',
+                canal: canalDaRequisicao(req), req, observacao: 'Série ' + serieId
+            });
+            criados.push({ id: a.id.toString(), data: a.data, hora: a.horario, codigoConfirmacao: a.codigo_confirmacao });
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: `Série criada com ${criados.length} agendamento(s)`,
+            serie: serie.rows[0],
+            criados,
+            conflitos
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro criar série de agendamentos:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao criar série de agendamentos' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// Série com todas as ocorrências
+app.get('/api/agendamentos/series/:id', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const serieId = validarId(req.params.id);
+        if (!serieId) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const serie = await pool.query('SELECT * FROM series_agendamento WHERE id = $1 AND dentista_id = $2', [serieId, req.dentistaId]);
+        if (serie.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Série não encontrada' });
+        }
+
+        const ocorrencias = await pool.query(
+            'SELECT * FROM agendamentos WHERE serie_id = $1 AND dentista_id = $2 ORDER BY data, horario',
+            [serieId, req.dentistaId]
+        );
+
+        res.json({
+            success: true,
+            serie: serie.rows[0],
+            ocorrencias: ocorrencias.rows.map(a => ({
+                id: a.id.toString(),
+                data: a.data,
+                hora: a.horario,
+                duracao: a.duracao,
+                procedimento: a.procedimento,
+                status: a.status,
+                profissional_id: a.profissional_id,
+                codigoConfirmacao: a.codigo_confirmacao
+            }))
+        });
+    } catch (error) {
+        console.error('Erro buscar série:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar série' });
+    }
+});
+
+// Editar ocorrência da série com escopo: esta | seguintes | todas (futuras).
+// Data só pode mudar no escopo "esta"; nos demais muda horário, duração, profissional e dados do atendimento.
+app.put('/api/agendamentos/:id/serie', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('profissional', 'profissional_id'), async (req, res) => {
+    let client;
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const escopo = req.body.escopo || 'esta';
+        if (!ESCOPOS_SERIE.includes(escopo)) {
+            return res.status(400).json({ success: false, erro: 'Escopo deve ser esta, seguintes ou todas' });
+        }
+        const modoConflito = req.body.conflitos === 'criar' ? 'criar' : 'pular';
+        const { data, horario, duracao, procedimento, valor, observacoes, rotulo, profissional_id } = req.body;
+        if (data && escopo !== 'esta') {
+            return res.status(400).json({ success: false, erro: 'A data só pode ser alterada em uma ocorrência por vez' });
+        }
+
+        const atual = await pool.query('SELECT * FROM agendamentos WHERE id = $1 AND dentista_id = $2', [id, req.dentistaId]);
+        if (atual.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+
+        const mudaHorario = data !== undefined || horario !== undefined || duracao !== undefined || profissional_id !== undefined;
+
+        // Trava a agenda de todos os profissionais envolvidos (em ordem, para não haver deadlock entre séries)
+        // e refaz a leitura das ocorrências já dentro da transação
+        const profissionais = new Set((await ocorrenciasDoEscopo(req.dentistaId, atual.rows[0], escopo)).map(a => a.profissional_id || 0));
+        if (profissional_id !== undefined) profissionais.add(validarId(profissional_id) || 0);
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        for (const profId of [...profissionais].sort((a, b) => a - b)) {
+            await client.query('SELECT pg_advisory_xact_lock($1, $2)', [req.dentistaId, profId]);
+        }
+        const alvos = await ocorrenciasDoEscopo(req.dentistaId, atual.rows[0], escopo, client);
+
+        const atualizados = [];
+        const conflitos = [];
+        for (const a of alvos) {
+            const novo = {
+                data: data || a.data,
+                horario: horario || a.horario,
+                duracao: duracao !== undefined ? (parseInt(duracao) || 60) : a.duracao,
+                profissionalId: profissional_id !== undefined ? validarId(profissional_id) : a.profissional_id
+            };
+
+            if (mudaHorario) {
+                const validacao = await validarHorarioAgendamento(req.dentistaId, { ...novo, ignorarIds: [a.id] }, client);
+                if (!validacao.ok) {
+                    conflitos.push({
+                        id: a.id.toString(), data: novo.data, horario: novo.horario,
+                        agendamentos: validacao.conflitos,
+                        foraDoExpediente: validacao.foraDoExpediente,
+                        bloqueios: validacao.bloqueios,
+                        alterado: modoConflito === 'criar'
+                    });
+                    if (modoConflito === 'pular') continue;
+                }
+            }
+
+            await client.query(`
+                UPDATE agendamentos SET data = $1, horario = $2, duracao = $3, profissional_id = $4,
+                    procedimento = COALESCE($5, procedimento), valor = COALESCE($6, valor),
+                    observacoes = COALESCE($7, observacoes), rotulo = COALESCE($8, rotulo),
+                    atualizado_em = CURRENT_TIMESTAMP
+                WHERE id = $9 AND dentista_id = $10
+            `, [novo.data, novo.horario, novo.duracao, novo.profissionalId, procedimento, valor, observacoes, rotulo, a.id, req.dentistaId]);
+            atualizados.push(a.id.toString());
+        }
+
+        // Nos escopos amplos a regra da série passa a refletir os novos dados
+        if (escopo !== 'esta' && atual.rows[0].serie_id && atualizados.length > 0) {
+            await client.query(`
+                UPDATE series_agendamento SET horario = COALESCE($1, horario), duracao = COALESCE($2, duracao),
+                    profissional_id = CASE WHEN $3::boolean THEN $4 ELSE profissional_id END,
+                    procedimento = COALESCE($5, procedimento), valor = COALESCE($6, valor),
+                    observacoes = COALESCE($7, observacoes), rotulo = COALESCE($8, rotulo),
+                    atualizado_em = CURRENT_TIMESTAMP
+                WHERE id = $9 AND dentista_id = $10
+            `, [horario || null, duracao !== undefined ? (parseInt(duracao) || 60) : null, profissional_id !== undefined,
+                validarId(profissional_id), procedimento, valor, observacoes, rotulo, atual.rows[0].serie_id, req.dentistaId]);
+        }
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: `${atualizados.length} agendamento(s) atualizado(s)`,
+            atualizados,
+            conflitos
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro editar série:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao editar agendamentos da série' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// Cancelar ocorrência da série com escopo: esta | seguintes | todas (futuras)
+app.post('/api/agendamentos/:id/serie/cancelar', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    let client;
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+
+        const escopo = req.body.escopo || 'esta';
+        if (!ESCOPOS_SERIE.includes(escopo)) {
+            return res.status(400).json({ success: false, erro: 'Escopo deve ser esta, seguintes ou todas' });
+        }
+
+        const atual = await pool.query('SELECT * FROM agendamentos WHERE id = $1 AND dentista_id = $2', [id, req.dentistaId]);
+        if (atual.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+        const agendamento = atual.rows[0];
+
+        // Cancelamentos e o fim da série gravam juntos, sob a trava das agendas envolvidas (mesma ordem do PUT /serie)
+        const profissionais = new Set((await ocorrenciasDoEscopo(req.dentistaId, agendamento, escopo)).map(a => a.profissional_id || 0));
+        client = await pool.connect();
+        await client.query('BEGIN');
+        for (const profId of [...profissionais].sort((a, b) => a - b)) {
+            await client.query('SELECT pg_advisory_xact_lock($1, $2)', [req.dentistaId, profId]);
+        }
+        const alvos = await ocorrenciasDoEscopo(req.dentistaId, agendamento, escopo, client);
+
+        const ids = [];
+        const ignorados = [];
+        const vagas = [];
+        for (const alvo of alvos) {
+            const mudanca = await alterarStatusAgendamento(client, alvo, 'cancelado_clinica', {
+                canal: canalDaRequisicao(req), req, observacao: 'Cancelamento da série (' + escopo + ')'
+            });
+            if (mudanca.erro) {
+                ignorados.push({ id: alvo.id.toString(), status: alvo.status, erro: mudanca.erro });
+            } else {
+                ids.push(alvo.id);
+                if (mudanca.vagaLiberada) vagas.push([alvo, mudanca.vagaLiberada]);
+            }
+        }
+
+        // A série deixa de gerar ocorrências a partir do ponto cancelado
+        if (agendamento.serie_id && escopo === 'todas') {
+            await client.query(
+                'UPDATE series_agendamento SET cancelada_em = CURRENT_TIMESTAMP, atualizado_em = CURRENT_TIMESTAMP WHERE id = $1 AND dentista_id = $2',
+                [agendamento.serie_id, req.dentistaId]
+            );
+        } else if (agendamento.serie_id && escopo === 'seguintes') {
+            await client.query(
+                `UPDATE series_agendamento SET data_fim = $1::date - 1, atualizado_em = CURRENT_TIMESTAMP WHERE id = $2 AND dentista_id = $3`,
+                [agendamento.data, agendamento.serie_id, req.dentistaId]
+            );
+        }
+        await client.query('COMMIT');
+
+        for (const [alvo, motivo] of vagas) {
+            registrarVagaLiberada(alvo, motivo);
+        }
+
+        res.json({
+            success: true,
+            message: `${ids.length} agendamento(s) cancelado(s)`,
+            cancelados: ids.map(i => i.toString()),
+            ignorados
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro cancelar série:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao cancelar agendamentos da série' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// ==============================================================================
+// ROTAS DE AGENDAMENTO ONLINE (CONFIGURAÇÃO E APROVAÇÃO PELA CLÍNICA)
+// ==============================================================================
+
+const STATUS_PENDENTE_APROVACAO = 'pendente_aprovacao';
+
+// Configuração do portal + procedimentos e profissionais liberados
+app.get('/api/agendamento-online/config', authMiddleware, verificarAcesso('configuracoes', 'visualizar'), async (req, res) => {
+    try {
+        const config = await pool.query(
+            `SELECT slug, online_ativo, online_exigir_aprovacao, online_antecedencia_horas, online_dias_maximo
+             FROM config_clinica WHERE dentista_id = $1`,
+            [req.dentistaId]
+        );
+        const procedimentos = await pool.query(
+            'SELECT id, procedimento, valor, agendamento_online, duracao_minutos FROM tabela_precos WHERE dentista_id = $1 ORDER BY procedimento',
+            [req.dentistaId]
+        );
+        const profissionais = await pool.query(
+            'SELECT id, nome, especialidade, ativo, agendamento_online FROM profissionais WHERE dentista_id = $1 ORDER BY nome',
+            [req.dentistaId]
+        );
+
+        const c = config.rows[0] || {};
+        res.json({
+            success: true,
+            config: {
+                slug: c.slug || null,
+                ativo: c.online_ativo === true,
+                exigirAprovacao: c.online_exigir_aprovacao !== false,
+                antecedenciaHoras: c.online_antecedencia_horas != null ? c.online_antecedencia_horas : 2,
+                diasMaximo: c.online_dias_maximo || 30
+            },
+            procedimentos: procedimentos.rows,
+            profissionais: profissionais.rows
+        });
+    } catch (error) {
+        console.error('Erro buscar config agendamento online:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar configuração do agendamento online' });
+    }
+});
+
+// Salvar: slug, ativo, exigirAprovacao, antecedenciaHoras, diasMaximo,
+// procedimentos: [{ id, online, duracao }], profissionais: [{ id, online }]
+app.put('/api/agendamento-online/config', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
+    try {
+        const { slug, ativo, exigirAprovacao, antecedenciaHoras, diasMaximo, procedimentos, profissionais } = req.body;
+
+        const slugNormalizado = slug ? String(slug).trim().toLowerCase() : null;
+        if (slugNormalizado && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slugNormalizado)) {
+            return res.status(400).json({ success: false, erro: 'Endereço inválido: use letras minúsculas, números e hífens' });
+        }
+        if (slugNormalizado && (slugNormalizado.length < 3 || slugNormalizado.length > 60)) {
+            return res.status(400).json({ success: false, erro: 'Endereço deve ter entre 3 e 60 caracteres' });
+        }
+        if (ativo && !slugNormalizado) {
+            return res.status(400).json({ success: false, erro: 'Defina o endereço (slug) antes de ativar o agendamento online' });
+        }
+
+        await pool.query(`
+            INSERT INTO config_clinica (dentista_id, slug, online_ativo, online_exigir_aprovacao, online_antecedencia_horas, online_dias_maximo, atualizado_em)
+            VALUES ($1, $2, $3, $4, $5, $6, NOW())
+            ON CONFLICT (dentista_id) DO UPDATE SET
+                slug = EXCLUDED.slug,
+                online_ativo = EXCLUDED.online_ativo,
+                online_exigir_aprovacao = EXCLUDED.online_exigir_aprovacao,
+                online_antecedencia_horas = EXCLUDED.online_antecedencia_horas,
+                online_dias_maximo = EXCLUDED.online_dias_maximo,
+                atualizado_em = NOW()
+        `, [
+            req.dentistaId,
+            slugNormalizado,
+            ativo === true,
+            exigirAprovacao !== false,
+            Math.max(parseInt(antecedenciaHoras) || 0, 0),
+            Math.min(Math.max(parseInt(diasMaximo) || 30, 1), 180)
+        ]);
+
+        for (const p of Array.isArray(procedimentos) ? procedimentos : []) {
+            await pool.query(
+                'UPDATE tabela_precos SET agendamento_online = $1, duracao_minutos = $2 WHERE id = $3 AND dentista_id = $4',
+                [p.online === true, parseInt(p.duracao) || null, validarId(p.id), req.dentistaId]
+            );
+        }
+        for (const p of Array.isArray(profissionais) ? profissionais : []) {
+            await pool.query(
+                'UPDATE profissionais SET agendamento_online = $1 WHERE id = $2 AND dentista_id = $3',
+                [p.online === true, validarId(p.id), req.dentistaId]
+            );
+        }
+
+        res.json({ success: true, message: 'Agendamento online salvo!' });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, erro: 'Este endereço já está em uso por outra clínica' });
+        }
+        console.error('Erro salvar config agendamento online:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao salvar agendamento online' });
+    }
+});
+
+// Agendamentos feitos pelo site aguardando aprovação
+app.get('/api/agendamento-online/pendentes', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT a.*, prof.nome as profissional_nome
+            FROM agendamentos a
+            LEFT JOIN profissionais prof ON a.profissional_id = prof.id
+            WHERE a.dentista_id = $1 AND a.status = $2
+            ORDER BY a.data, a.horario
+        `, [req.dentistaId, STATUS_PENDENTE_APROVACAO]);
+
+        const agendamentos = result.rows.map(a => ({
+            id: a.id.toString(),
+            paciente_nome: a.paciente_nome,
+            paciente_telefone: a.paciente_telefone,
+            data: a.data,
+            hora: a.horario,
+            duracao: a.duracao,
+            procedimento: a.procedimento,
+            observacoes: a.observacoes,
+            profissional_id: a.profissional_id,
+            profissional_nome: a.profissional_nome,
+            criadoEm: a.criado_em
+        }));
+
+        res.json({ success: true, agendamentos, total: agendamentos.length });
+    } catch (error) {
+        console.error('Erro listar pendentes de aprovação:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar agendamentos pendentes' });
+    }
+});
+
+// Aprovar (vira 'agendado' e segue o fluxo normal de confirmação) ou recusar (cancela)
+app.post('/api/agendamento-online/:id/:decisao', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        const decisao = req.params.decisao;
+        if (!['aprovar', 'recusar'].includes(decisao)) {
+            return res.status(404).json({ success: false, erro: 'Ação inválida' });
+        }
+
+        const pendente = await pool.query(
+            'SELECT * FROM agendamentos WHERE id = $1 AND dentista_id = $2 AND status = $3',
+            [id, req.dentistaId, STATUS_PENDENTE_APROVACAO]
+        );
+        if (pendente.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento pendente não encontrado' });
+        }
+
+        const mudanca = await alterarStatusAgendamento(pool, pendente.rows[0], decisao === 'aprovar' ? 'agendado' : 'cancelado_clinica', {
+            canal: canalDaRequisicao(req), req, observacao: decisao === 'aprovar' ? 'Agendamento online aprovado' : 'Agendamento online recusado'
+        });
+        if (mudanca.erro) {
+            return res.status(409).json({ success: false, erro: mudanca.erro });
+        }
+        const novoStatus = mudanca.agendamento.status;
+
+        res.json({ success: true, message: decisao === 'aprovar' ? 'Agendamento aprovado!' : 'Agendamento recusado', status: novoStatus });
+    } catch (error) {
+        console.error('Erro decidir agendamento online:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar agendamento' });
+    }
+});
+
+// ==============================================================================
+// ROTAS PÚBLICAS DE AGENDAMENTO ONLINE (PORTAL DO PACIENTE, SEM AUTENTICAÇÃO)
+// ==============================================================================
+
+async function buscarClinicaPorSlug(slug) {
+    const result = await pool.query(
+        'SELECT * FROM config_clinica WHERE slug = $1 AND online_ativo = true',
+        [String(slug || '').toLowerCase()]
+    );
+    return result.rows[0] || null;
+}
+
+// Janela em que o paciente pode marcar: a partir de agora + antecedência, até hoje + dias máximo
+function janelaAgendamentoOnline(clinica) {
+    const minimo = dataEMinutoLocal(new Date(Date.now() + (clinica.online_antecedencia_horas || 0) * 60 * 60 * 1000));
+    const maximo = dataEMinutoLocal(new Date(Date.now() + (clinica.online_dias_maximo || 30) * 24 * 60 * 60 * 1000));
+    return { minimo, dataMaxima: maximo.data };
+}
+
+// Horários livres já recortados pela janela online
+async function horariosOnline(clinica, profissionalIds, inicio, fim, duracao) {
+    const janela = janelaAgendamentoOnline(clinica);
+    const de = inicio < janela.minimo.data ? janela.minimo.data : inicio;
+    const ate = fim > janela.dataMaxima ? janela.dataMaxima : fim;
+    if (de > ate || profissionalIds.length === 0) return [];
+
+    const profissionais = await calcularHorariosLivres(clinica.dentista_id, {
+        profissionalIds, inicio: de, fim: ate, duracao, diasSemana: [1, 2, 3, 4, 5, 6]
+    });
+    return profissionais.map(p => ({
+        profissional_id: p.profissional_id,
+        nome: p.nome,
+        dias: p.dias.map(d => ({
+            data: d.data,
+            horarios: d.data === janela.minimo.data
+                ? d.horarios.filter(h => horaParaMinutos(h) > janela.minimo.minuto)
+                : d.horarios
+        })).filter(d => d.horarios.length > 0)
+    }));
+}
+
+async function profissionaisOnline(dentistaId) {
+    const result = await pool.query(
+        `SELECT id, nome, especialidade, foto, cor FROM profissionais
+         WHERE dentista_id = $1 AND ativo = true AND agendamento_online IS NOT FALSE ORDER BY nome`,
+        [dentistaId]
+    );
+    return result.rows;
+}
+
+async function procedimentoOnline(dentistaId, procedimentoId) {
+    const result = await pool.query(
+        'SELECT id, procedimento, duracao_minutos FROM tabela_precos WHERE id = $1 AND dentista_id = $2 AND agendamento_online = true',
+        [procedimentoId, dentistaId]
+    );
+    return result.rows[0] || null;
+}
+
+// Dados da clínica, procedimentos e profissionais que aceitam agendamento pelo site
+app.get('/api/publico/:slug', contarRequisicaoPorIp('portal_ip'), async (req, res) => {
+    try {
+        const clinica = await buscarClinicaPorSlug(req.params.slug);
+        if (!clinica) {
+            return res.status(404).json({ success: false, erro: 'Clínica não encontrada' });
+        }
+
+        const procedimentos = await pool.query(
+            `SELECT id, procedimento, COALESCE(duracao_minutos, 60) as duracao FROM tabela_precos
+             WHERE dentista_id = $1 AND agendamento_online = true ORDER BY procedimento`,
+            [clinica.dentista_id]
+        );
+
+        res.json({
+            success: true,
+            clinica: {
+                nome: clinica.nome_clinica,
+                telefone: clinica.telefone,
+                whatsapp: clinica.whatsapp,
+                endereco: clinica.endereco,
+                exigeAprovacao: clinica.online_exigir_aprovacao !== false,
+                antecedenciaHoras: clinica.online_antecedencia_horas,
+                diasMaximo: clinica.online_dias_maximo
+            },
+            procedimentos: procedimentos.rows,
+            profissionais: await profissionaisOnline(clinica.dentista_id)
+        });
+    } catch (error) {
+        console.error('Erro portal clínica:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Horários livres: ?procedimento_id=&profissional_id=&inicio=&fim= (padrão: próximos 7 dias, todos os profissionais)
+app.get('/api/publico/:slug/horarios', contarRequisicaoPorIp('portal_ip'), async (req, res) => {
+    try {
+        const clinica = await buscarClinicaPorSlug(req.params.slug);
+        if (!clinica) {
+            return res.status(404).json({ success: false, erro: 'Clínica não encontrada' });
+        }
+
+        const procedimento = await procedimentoOnline(clinica.dentista_id, validarId(req.query.procedimento_id));
+        if (!procedimento) {
+            return res.status(400).json({ success: false, erro: 'Procedimento não disponível para agendamento online' });
+        }
+
+        if ((req.query.inicio && !dataValida(req.query.inicio)) || (req.query.fim && !dataValida(req.query.fim))) {
+            return res.status(400).json({ success: false, erro: 'Data inválida (AAAA-MM-DD)' });
+        }
+        const hoje = dataEMinutoLocal(new Date()).data;
+        const inicio = req.query.inicio || hoje;
+        let fim = req.query.fim || null;
+        if (!fim || fim < inicio || (new Date(fim) - new Date(inicio)) / (24 * 60 * 60 * 1000) >= MAX_DIAS_HORARIOS_LIVRES) {
+            fim = new Date(new Date(inicio + 'T00:00:00Z').getTime() + 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        }
+
+        const online = (await profissionaisOnline(clinica.dentista_id)).map(p => p.id);
+        const profId = validarId(req.query.profissional_id);
+        const profissionalIds = profId ? online.filter(id => id === profId) : online;
+
+        const profissionais = await horariosOnline(clinica, profissionalIds, inicio, fim, procedimento.duracao_minutos || 60);
+        res.json({ success: true, procedimento: procedimento.procedimento, duracao: procedimento.duracao_minutos || 60, profissionais });
+    } catch (error) {
+        console.error('Erro portal horários:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
+    }
+});
+
+// Paciente marca o horário. Recebe o código de confirmação (mesmo fluxo do link de confirmação)
+app.post('/api/publico/:slug/agendamentos', contarRequisicaoPorIp('portal_ip'), contarRequisicaoPorIp('agendamento_online_ip'), async (req, res) => {
+    const { procedimento_id, profissional_id, data, horario, nome, telefone, email, observacoes } = req.body;
+
+    if (!nome || !String(nome).trim() || !telefone || String(telefone).replace(/\D/g, '').length < 10) {
+        return res.status(400).json({ success: false, erro: 'Nome e telefone com DDD são obrigatórios' });
+    }
+    if (!dataValida(data) || !horario || !/^\d{2}:\d{2}/.test(horario)) {
+        return res.status(400).json({ success: false, erro: 'Data e horário obrigatórios' });
+    }
+
+    let client;
+    try {
+        const clinica = await buscarClinicaPorSlug(req.params.slug);
+        if (!clinica) {
+            return res.status(404).json({ success: false, erro: 'Clínica não encontrada' });
+        }
+
+        const procedimento = await procedimentoOnline(clinica.dentista_id, validarId(procedimento_id));
+        if (!procedimento) {
+            return res.status(400).json({ success: false, erro: 'Procedimento não disponível para agendamento online' });
+        }
+        const profId = validarId(profissional_id);
+        const profissional = (await profissionaisOnline(clinica.dentista_id)).find(p => p.id === profId);
+        if (!profissional) {
+            return res.status(400).json({ success: false, erro: 'Profissional não disponível para agendamento online' });
+        }
+        const duracao = procedimento.duracao_minutos || 60;
+        const hora = horario.substring(0, 5);
+
+        // Trava a agenda do profissional até o INSERT ser gravado: duas pessoas não levam o mesmo horário
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [clinica.dentista_id, profId]);
+
+        const livres = await horariosOnline(clinica, [profId], data, data, duracao);
+        const dia = livres.length > 0 ? livres[0].dias.find(d => d.data === data) : null;
+        if (!dia || !dia.horarios.includes(hora)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, erro: 'Este horário não está mais disponível. Escolha outro.' });
+        }
+
+        const exigeAprovacao = clinica.online_exigir_aprovacao !== false;
+        const notas = ['Agendado pelo site'];
+        if (email) notas.push('Email: ' + String(email).substring(0, 255));
+        if (observacoes) notas.push(String(observacoes).substring(0, 1000));
+
+        const codigoConfirmacao = await gerarCodigoUnico();
+        const result = await client.query(
+            `INSERT INTO agendamentos (dentista_id, paciente_nome, paciente_telefone, data, horario, duracao, procedimento, status,
+                                       encaixe, observacoes, codigo_confirmacao, profissional_id, origem)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, false, $9, $10, $11, 'online') RETURNING *`,
+            [clinica.dentista_id, String(nome).trim().substring(0, 255), String(telefone).substring(0, 30), data, hora, duracao,
+                procedimento.procedimento, exigeAprovacao ? STATUS_PENDENTE_APROVACAO : 'agendado', notas.join('\n'), codigoConfirmacao, profId]
+        );
+        const a = result.rows[0];
+        await registrarHistoricoStatus(client, {
+            agendamentoId: a.id, dentistaId: clinica.dentista_id, anterior: null, novo: a.status, canal: 'portal', ator: a.paciente_nome
+        });
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: exigeAprovacao
+                ? 'Pedido de agendamento recebido! A clínica vai confirmar o horário.'
+                : 'Agendamento realizado!',
+            agendamento: {
+                codigoConfirmacao: a.codigo_confirmacao,
+                data,
+                hora,
+                procedimento: a.procedimento,
+                profissional: profissional.nome,
+                status: a.status,
+                aguardandoAprovacao: exigeAprovacao
+            }
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro portal agendar:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao agendar' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// ==============================================================================
+// ROTAS DE PRONTUÁRIO
+// ==============================================================================
+
+app.get('/api/prontuarios/:pacienteId', authMiddleware, verificarAcesso('prontuario', 'visualizar'), async (req, res) => {
+    try {
+        const pacienteId = validarId(req.params.pacienteId);
+        if (!pacienteId) {
+            return res.status(400).json({ success: false, erro: 'ID de paciente inválido' });
+        }
+        
+        const result = await pool.query(
+            `SELECT * FROM prontuarios WHERE paciente_id = $1 AND dentista_id = $2 ORDER BY data DESC`,
+            [pacienteId, req.dentistaId]
+        );
+
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'prontuario', pacienteId });
+
+        const prontuarios = result.rows.map(p => ({
+            id: p.id.toString(), pacienteId: p.paciente_id.toString(), data: p.data,
+            descricao: p.descricao, procedimento: p.procedimento, dente: p.dente, valor: p.valor, criadoEm: p.criado_em
+        }));
+
+        res.json({ success: true, prontuarios, total: prontuarios.length });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao listar prontuários' });
+    }
+});
+
+app.post('/api/prontuarios', authMiddleware, verificarAcesso('prontuario', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
+    try {
+        const { pacienteId, data, descricao, procedimento, dente, valor } = req.body;
+
+        if (!pacienteId || !descricao) {
+            return res.status(400).json({ success: false, erro: 'Paciente e descrição obrigatórios' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO prontuarios (dentista_id, paciente_id, data, descricao, procedimento, dente, valor)
+             VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+            [req.dentistaId, parseInt(pacienteId), data || new Date().toISOString().split('T')[0], descricao, procedimento, dente, valor]
+        );
+
+        await registrarAuditoria(req, {
+            acao: 'criar', entidade: 'prontuario', entidadeId: result.rows[0].id, pacienteId, depois: result.rows[0]
+        });
+
+        res.status(201).json({ success: true, message: 'Registro adicionado!', prontuario: { id: result.rows[0].id.toString() } });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao adicionar registro' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE FINANCEIRO
+// ==============================================================================
+
+app.get('/api/financeiro', authMiddleware, verificarAcesso('financeiro', 'visualizar'), async (req, res) => {
+    try {
+        const { inicio, fim, tipo } = req.query;
+        let query = 'SELECT f.*, p.nome as paciente_nome FROM financeiro f LEFT JOIN pacientes p ON f.paciente_id = p.id WHERE f.dentista_id = $1';
+        const params = [req.dentistaId];
+
+        if (inicio && fim) {
+            query += ' AND f.data >= $2 AND f.data <= $3';
+            params.push(inicio, fim);
+        }
+        if (tipo) {
+            query += ` AND f.tipo = $${params.length + 1}`;
+            params.push(tipo);
+        }
+
+        query += ' ORDER BY f.data DESC';
+        const result = await pool.query(query, params);
+
+        const movimentacoes = result.rows.map(f => ({
+            id: f.id.toString(), tipo: f.tipo, descricao: f.descricao, valor: parseFloat(f.valor),
+            data: f.data, status: f.status, formaPagamento: f.forma_pagamento, parcelas: f.parcelas,
+            pacienteId: f.paciente_id ? f.paciente_id.toString() : null, pacienteNome: f.paciente_nome,
+            observacoes: f.observacoes, criadoEm: f.criado_em
+        }));
+
+        await registrarAuditoria(req, {
+            acao: 'visualizar', entidade: 'financeiro',
+            depois: { pacientes: [...new Set(result.rows.filter(f => f.paciente_id).map(f => f.paciente_id))] }
+        });
+
+        let totalReceitas = 0, totalDespesas = 0;
+        movimentacoes.forEach(m => {
+            if (m.tipo === 'receita') totalReceitas += m.valor;
+            else if (m.tipo === 'despesa') totalDespesas += m.valor;
+        });
+
+        res.json({
+            success: true, movimentacoes, total: movimentacoes.length,
+            resumo: { receitas: totalReceitas, despesas: totalDespesas, saldo: totalReceitas - totalDespesas }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao listar financeiro' });
+    }
+});
+
+app.post('/api/financeiro', authMiddleware, verificarAcesso('financeiro', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
+    try {
+        const { tipo, descricao, valor, data, status, formaPagamento, parcelas, pacienteId, observacoes } = req.body;
+
+        if (!tipo || !descricao || !valor || !data) {
+            return res.status(400).json({ success: false, erro: 'Tipo, descrição, valor e data obrigatórios' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO financeiro (dentista_id, tipo, descricao, valor, data, status, forma_pagamento, parcelas, paciente_id, observacoes)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
+            [req.dentistaId, tipo, descricao, parseFloat(valor), data, status || 'pendente', formaPagamento, parcelas || 1, pacienteId ? parseInt(pacienteId) : null, observacoes]
+        );
+
+        await registrarAuditoria(req, {
+            acao: 'criar', entidade: 'financeiro', entidadeId: result.rows[0].id,
+            pacienteId: result.rows[0].paciente_id, depois: result.rows[0]
+        });
+
+        res.status(201).json({ success: true, message: 'Movimentação registrada!', movimentacao: { id: result.rows[0].id.toString() } });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao registrar movimentação' });
+    }
+});
+
+app.put('/api/financeiro/:id', authMiddleware, verificarAcesso('financeiro', 'editar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
         }
         
-        // Ordenar e paginar
-        query += ` ORDER BY nome ASC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-        params.push(limit, offset);
-        
-        // Queries de estatísticas (sempre retorna totais reais)
-        const statsQueries = {
-            total: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)`,
-            completos: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL) AND cadastro_completo = true`,
-            incompletos: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL) AND (cadastro_completo = false OR cadastro_completo IS NULL)`,
-            menores: `SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL) AND menor_idade = true`
-        };
+        const { status } = req.body;
+        const antes = await registroAtual('financeiro', id, req.dentistaId);
+        const result = await pool.query(
+            'UPDATE financeiro SET status = $1 WHERE id = $2 AND dentista_id = $3 RETURNING *',
+            [status, id, req.dentistaId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Movimentação não encontrada' });
+        }
+
+        await registrarAuditoria(req, {
+            acao: 'editar', entidade: 'financeiro', entidadeId: id,
+            pacienteId: result.rows[0].paciente_id, antes, depois: result.rows[0]
+        });
+
+        res.json({ success: true, message: 'Movimentação atualizada!' });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar' });
+    }
+});
+
+app.delete('/api/financeiro/:id', authMiddleware, verificarAcesso('financeiro', 'editar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
         
-        // Executar todas as queries em paralelo
-        const [result, countResult, completosResult, incompletosResult, menoresResult] = await Promise.all([
-            pool.query(query, params),
-            pool.query(countQuery, countParams),
-            pool.query(statsQueries.completos, [parseInt(req.user.id)]),
-            pool.query(statsQueries.incompletos, [parseInt(req.user.id)]),
-            pool.query(statsQueries.menores, [parseInt(req.user.id)])
+        const result = await pool.query(
+            'DELETE FROM financeiro WHERE id = $1 AND dentista_id = $2 RETURNING *',
+            [id, req.dentistaId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Movimentação não encontrada' });
+        }
+
+        await registrarAuditoria(req, {
+            acao: 'excluir', entidade: 'financeiro', entidadeId: id,
+            pacienteId: result.rows[0].paciente_id, antes: result.rows[0]
+        });
+
+        res.json({ success: true, message: 'Movimentação removida!' });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao remover' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE NOTAS FISCAIS
+// ==============================================================================
+
+app.get('/api/notas', authMiddleware, verificarAcesso('nfse', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT n.*, p.nome as paciente_nome FROM notas_fiscais n 
+             LEFT JOIN pacientes p ON n.paciente_id = p.id 
+             WHERE n.dentista_id = $1 ORDER BY n.data_emissao DESC`,
+            [req.dentistaId]
+        );
+
+        const notas = result.rows.map(n => ({
+            id: n.id.toString(), numero: n.numero, valor: parseFloat(n.valor),
+            dataEmissao: n.data_emissao, descricaoServico: n.descricao_servico, status: n.status,
+            pacienteId: n.paciente_id ? n.paciente_id.toString() : null, pacienteNome: n.paciente_nome,
+            criadoEm: n.criado_em
+        }));
+
+        res.json({ success: true, notas, total: notas.length });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao listar notas' });
+    }
+});
+
+app.post('/api/notas', authMiddleware, verificarAcesso('nfse', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
+    try {
+        const { pacienteId, valor, descricaoServico } = req.body;
+
+        if (!valor) {
+            return res.status(400).json({ success: false, erro: 'Valor é obrigatório' });
+        }
+
+        // ========== VERIFICAR SE PACIENTE TEM CADASTRO COMPLETO ==========
+        if (pacienteId) {
+            const pacienteResult = await pool.query(
+                'SELECT nome, cadastro_completo FROM pacientes WHERE id = $1 AND dentista_id = $2',
+                [parseInt(pacienteId), req.dentistaId]
+            );
+            
+            if (pacienteResult.rows.length === 0) {
+                return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+            }
+            
+            const paciente = pacienteResult.rows[0];
+            if (!paciente.cadastro_completo) {
+                return res.status(400).json({ 
+                    success: false, 
+                    erro: `Para emitir NFS-e para "${paciente.nome}", é necessário completar o cadastro (CPF e endereço)`,
+                    cadastroIncompleto: true,
+                    pacienteId: pacienteId
+                });
+            }
+        }
+
+        // Gerar número da nota (simplificado)
+        const countResult = await pool.query('SELECT COUNT(*) FROM notas_fiscais WHERE dentista_id = $1', [req.dentistaId]);
+        const numero = 'NF' + String(parseInt(countResult.rows[0].count) + 1).padStart(6, '0');
+
+        const result = await pool.query(
+            `INSERT INTO notas_fiscais (dentista_id, paciente_id, numero, valor, data_emissao, descricao_servico)
+             VALUES ($1,$2,$3,$4,CURRENT_DATE,$5) RETURNING *`,
+            [req.dentistaId, pacienteId ? parseInt(pacienteId) : null, numero, parseFloat(valor), descricaoServico]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Nota fiscal emitida!',
+            nota: { id: result.rows[0].id.toString(), numero: result.rows[0].numero }
+        });
+    } catch (error) {
+        console.error('Erro criar nota:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao emitir nota' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE DASHBOARD
+// ==============================================================================
+
+app.get('/api/dashboard', authMiddleware, verificarAcesso('relatorios', 'visualizar'), async (req, res) => {
+    try {
+        const hoje = new Date().toISOString().split('T')[0];
+        const inicioMes = new Date();
+        inicioMes.setDate(1);
+        const inicioMesStr = inicioMes.toISOString().split('T')[0];
+
+        const [pacientes, hojeAgend, mesAgend, receitas, proximos] = await Promise.all([
+            pool.query('SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)', [req.dentistaId]),
+            pool.query('SELECT COUNT(*) FROM agendamentos WHERE dentista_id = $1 AND data = $2', [req.dentistaId, hoje]),
+            pool.query('SELECT COUNT(*) FROM agendamentos WHERE dentista_id = $1 AND data >= $2', [req.dentistaId, inicioMesStr]),
+            pool.query(`SELECT COALESCE(SUM(valor), 0) as total FROM financeiro WHERE dentista_id = $1 AND tipo = 'receita' AND data >= $2`, [req.dentistaId, inicioMesStr]),
+            pool.query(`SELECT a.*, p.nome as paciente_nome FROM agendamentos a LEFT JOIN pacientes p ON a.paciente_id = p.id WHERE a.dentista_id = $1 AND a.data >= $2 ORDER BY a.data ASC, a.horario ASC LIMIT 5`, [req.dentistaId, hoje])
         ]);
-        
-        const total = parseInt(countResult.rows[0].count);
-        const stats = {
-            total: parseInt(countResult.rows[0].count),
-            completos: parseInt(completosResult.rows[0].count),
-            incompletos: parseInt(incompletosResult.rows[0].count),
-            menores: parseInt(menoresResult.rows[0].count)
+
+        res.json({
+            success: true,
+            dashboard: {
+                totalPacientes: parseInt(pacientes.rows[0].count),
+                agendamentosHoje: parseInt(hojeAgend.rows[0].count),
+                agendamentosMes: parseInt(mesAgend.rows[0].count),
+                receitasMes: parseFloat(receitas.rows[0].total),
+                proximosAgendamentos: proximos.rows.map(a => ({
+                    id: a.id.toString(), pacienteNome: a.paciente_nome || a.paciente_nome, data: a.data, horario: a.horario, procedimento: a.procedimento
+                }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, erro: 'Erro ao carregar dashboard' });
+    }
+});
+
+// ==============================================================================
+// MENSAGENS AO PACIENTE - CANAIS (EMAIL, WHATSAPP, SMS)
+// ==============================================================================
+
+// MENSAGENS_STUB=true troca todos os provedores pelo stub local (desenvolvimento/testes):
+// nada sai do servidor e a mensagem fica registrada só em mensagens_enviadas (sem conteúdo do paciente no log).
+// WHATSAPP_PROVEDOR=mock faz o mesmo só para o WhatsApp.
+const MENSAGENS_STUB = process.env.MENSAGENS_STUB === 'true';
+const WHATSAPP_PROVEDOR = process.env.WHATSAPP_PROVEDOR || 'cloud';
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN || null;
+const WHATSAPP_PHONE_ID = process.env.WHATSAPP_PHONE_ID || null;
+const WHATSAPP_API_VERSAO = process.env.WHATSAPP_API_VERSAO || 'v19.0';
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET || null;
+const WHATSAPP_VERIFY_TOKEN = process.env.WHATSAPP_VERIFY_TOKEN || null;
+// Modelos aprovados na Meta (nome + idioma). Os parâmetros do corpo seguem a ordem de cada chamada.
+const WHATSAPP_TEMPLATE_IDIOMA = process.env.WHATSAPP_TEMPLATE_IDIOMA || 'pt_BR';
+const WHATSAPP_TEMPLATE_LEMBRETE = process.env.WHATSAPP_TEMPLATE_LEMBRETE || 'lembrete_consulta';
+const WHATSAPP_TEMPLATE_ANIVERSARIO = process.env.WHATSAPP_TEMPLATE_ANIVERSARIO || 'feliz_aniversario';
+const SMS_API_URL = process.env.SMS_API_URL || null;
+const SMS_API_TOKEN = process.env.SMS_API_TOKEN || null;
+const CANAIS_MENSAGEM = ['email', 'whatsapp', 'sms'];
+
+// Celular brasileiro em E.164 sem o '+': (47) 99999-0000 -> 5547999990000
+function telefoneE164(numero) {
+    const digitos = String(numero || '').replace(/\D/g, '');
+    if (digitos.length === 10 || digitos.length === 11) return '55' + digitos;
+    if (digitos.length >= 12 && digitos.length <= 13 && digitos.startsWith('55')) return digitos;
+    return null;
+}
+
+// Cada provedor recebe { dentistaId, destino, assunto, texto, html, whatsappTemplate } e devolve { provedorId } ou lança erro
+const PROVEDORES_MENSAGEM = {
+    // Sem envio real: o conteúdo fica só em mensagens_enviadas, nada de telefone ou texto no log
+    stub: async (canal, m) => {
+        return { provedorId: `stub-${crypto.randomBytes(8).toString('hex')}` };
+    },
+
+    email: async (canal, m) => {
+        const ok = await enviarEmail(m.destino, m.assunto, m.html || escapeHtml(m.texto).replace(/\n/g, '<br>'));
+        if (!ok) throw new Error('Falha no envio do email');
+        return { provedorId: null };
+    },
+
+    // WhatsApp Cloud API (Meta). Mensagem iniciada pela clínica vai como template aprovado;
+    // texto livre só dentro da janela de 24h após a última mensagem do paciente.
+    whatsapp_cloud: async (canal, m) => {
+        const corpo = { messaging_product: 'whatsapp', to: m.destino };
+        if (m.whatsappTemplate) {
+            corpo.type = 'template';
+            corpo.template = {
+                name: m.whatsappTemplate.nome,
+                language: { code: WHATSAPP_TEMPLATE_IDIOMA },
+                components: [{
+                    type: 'body',
+                    parameters: m.whatsappTemplate.parametros.map(p => ({ type: 'text', text: String(p) }))
+                }]
+            };
+        } else {
+            corpo.type = 'text';
+            corpo.text = { body: m.texto, preview_url: true };
+        }
+
+        const response = await axios.post(`https://graph.facebook.com/${WHATSAPP_API_VERSAO}/${await whatsappPhoneIdDaClinica(m.dentistaId)}/messages`, corpo, {
+            headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
+            timeout: 15000,
+            validateStatus: () => true
+        });
+        const data = response.data || {};
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error((data.error && data.error.message) || `WhatsApp respondeu ${response.status}`);
+        }
+        return { provedorId: data.messages && data.messages[0] ? data.messages[0].id : null };
+    },
+
+    // Gateway de SMS genérico: POST { para, mensagem } com token Bearer
+    sms_http: async (canal, m) => {
+        const response = await axios.post(SMS_API_URL, { para: m.destino, mensagem: m.texto }, {
+            headers: { 'Authorization': `Bearer ${SMS_API_TOKEN}` },
+            timeout: 15000,
+            validateStatus: () => true
+        });
+        const data = response.data || {};
+        if (response.status < 200 || response.status >= 300) throw new Error(data.erro || data.message || `SMS respondeu ${response.status}`);
+        return { provedorId: data.id ? String(data.id) : null };
+    }
+};
+
+// Provedor de cada canal conforme o ambiente; null = canal não configurado
+function provedorDoCanal(canal) {
+    if (MENSAGENS_STUB) return 'stub';
+    if (canal === 'email') return 'email';
+    if (canal === 'whatsapp') {
+        if (WHATSAPP_PROVEDOR === 'mock') return 'stub';
+        return WHATSAPP_TOKEN && WHATSAPP_PHONE_ID ? 'whatsapp_cloud' : null;
+    }
+    if (canal === 'sms') return SMS_API_URL ? 'sms_http' : null;
+    return null;
+}
+
+function destinoDoCanal(canal, destinatario) {
+    if (canal === 'email') return destinatario.email || null;
+    return telefoneE164(destinatario.telefone);
+}
+
+// Número da clínica na Cloud API (config_clinica.whatsapp_phone_id) ou o número padrão da plataforma
+async function whatsappPhoneIdDaClinica(dentistaId) {
+    const result = await pool.query('SELECT whatsapp_phone_id FROM config_clinica WHERE dentista_id = $1', [dentistaId]);
+    return (result.rows[0] && result.rows[0].whatsapp_phone_id) || WHATSAPP_PHONE_ID;
+}
+
+// Tenta os canais na ordem pedida até um funcionar. Cada tentativa fica em mensagens_enviadas
+// e o que sai por WhatsApp entra também na conversa do paciente. variantes[canal] (de um modelo de
+// mensagem) substitui assunto/texto/html/whatsappTemplate só naquele canal.
+// Canais sem consentimento do paciente para a finalidade do tipo são pulados.
+// Retorna { enviado, canal, mensagemId }, { enviado: false, motivo: 'sem_consentimento' } quando o paciente
+// não aceita nenhum dos canais, ou lança erro (o job tenta de novo depois) se nenhum canal entregou.
+async function enviarMensagem({ dentistaId, tipo, canais, destinatario, variantes, agendamentoId, pacienteId, jobId, enviadoPor, ...padrao }) {
+    const falhas = [];
+    const finalidade = FINALIDADE_DA_MENSAGEM[tipo] || null;
+    const bloqueados = await canaisSemConsentimento(pacienteId, finalidade, canais);
+    if (canais.length > 0 && bloqueados.length === canais.length) {
+        return { enviado: false, motivo: 'sem_consentimento', canais: bloqueados };
+    }
+    const descadastro = pacienteId && finalidade ? linkDescadastro(pacienteId, finalidade) : null;
+
+    for (const canal of canais) {
+        if (bloqueados.includes(canal)) {
+            falhas.push(`${canal}: paciente não aceita ${finalidade}`);
+            continue;
+        }
+        const variante = (variantes && variantes[canal]) || {};
+        const assunto = variante.assunto || padrao.assunto;
+        let texto = variante.texto || padrao.texto;
+        let html = variante.html || padrao.html;
+        const whatsappTemplate = variante.whatsappTemplate || padrao.whatsappTemplate;
+        if (descadastro && canal === 'email') {
+            html = (html || escapeHtml(texto).replace(/\n/g, '<br>')) +
+                `<p style="color: #999; font-size: 12px;">Não quer mais receber estas mensagens? <a href="${descadastro}">Descadastrar</a></p>`;
+        }
+        if (canal === 'sms') {
+            // Limite do modelo (ou o teto do provedor) vale para o que sai de fato, com o link de descadastro
+            const sufixo = descadastro && finalidade !== 'lembretes' ? ` Sair: ${descadastro}` : '';
+            texto = truncarSms(String(texto), variante.limite || SMS_LIMITE_MAXIMO, sufixo);
+        }
+
+        const provedor = provedorDoCanal(canal);
+        const destino = destinoDoCanal(canal, destinatario);
+        if (!provedor || !destino) {
+            falhas.push(`${canal}: ${provedor ? 'paciente sem contato' : 'canal não configurado'}`);
+            continue;
+        }
+
+        const registro = await pool.query(`
+            INSERT INTO mensagens_enviadas (dentista_id, agendamento_id, paciente_id, job_id, tipo, canal, destino, provedor, conteudo)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id
+        `, [dentistaId, agendamentoId || null, pacienteId || null, jobId || null, tipo, canal, destino, provedor, texto]);
+        const mensagemId = registro.rows[0].id;
+
+        try {
+            const resultado = await PROVEDORES_MENSAGEM[provedor](canal, { dentistaId, destino, assunto, texto, html, whatsappTemplate });
+            await pool.query(
+                `UPDATE mensagens_enviadas SET status = 'enviada', provedor_id = $1, enviado_em = NOW(), atualizado_em = NOW() WHERE id = $2`,
+                [resultado.provedorId, mensagemId]
+            );
+            if (canal === 'whatsapp') {
+                await registrarConversaWhatsapp({
+                    dentistaId, pacienteId, agendamentoId, telefone: destino, direcao: 'saida',
+                    tipo: whatsappTemplate ? 'template' : 'texto', conteudo: texto,
+                    provedorId: resultado.provedorId, status: 'enviada', enviadoPor
+                });
+            }
+            return { enviado: true, canal, mensagemId };
+        } catch (error) {
+            await pool.query(
+                `UPDATE mensagens_enviadas SET status = 'falhou', erro = $1, atualizado_em = NOW() WHERE id = $2`,
+                [String(error.message).substring(0, 1000), mensagemId]
+            );
+            falhas.push(`${canal}: ${error.message}`);
+        }
+    }
+
+    throw new Error(falhas.length > 0 ? falhas.join('; ') : 'Nenhum canal informado');
+}
+
+// ==============================================================================
+// MODELOS DE MENSAGEM (MARCADORES E VARIANTES POR CANAL)
+// ==============================================================================
+
+// Marcadores disponíveis, por grupo. tipo orienta a formatação e o editor do front.
+const MARCADORES_MODELO = {
+    paciente: {
+        paciente_nome: { tipo: 'texto', descricao: 'Nome completo do paciente' },
+        paciente_primeiro_nome: { tipo: 'texto', descricao: 'Primeiro nome do paciente' },
+        paciente_telefone: { tipo: 'telefone', descricao: 'Celular do paciente' }
+    },
+    agendamento: {
+        data: { tipo: 'data', descricao: 'Data da consulta (dd/mm/aaaa)' },
+        hora: { tipo: 'hora', descricao: 'Horário da consulta (hh:mm)' },
+        procedimento: { tipo: 'texto', descricao: 'Procedimento agendado' },
+        codigo_confirmacao: { tipo: 'texto', descricao: 'Código de confirmação' },
+        link_confirmacao: { tipo: 'link', descricao: 'Link para confirmar ou cancelar' }
+    },
+    profissional: {
+        profissional_nome: { tipo: 'texto', descricao: 'Nome do profissional' }
+    },
+    clinica: {
+        clinica_nome: { tipo: 'texto', descricao: 'Nome da clínica' },
+        clinica_telefone: { tipo: 'telefone', descricao: 'Telefone da clínica' },
+        clinica_endereco: { tipo: 'texto', descricao: 'Endereço da clínica' },
+        dentista_nome: { tipo: 'texto', descricao: 'Nome do dentista responsável' }
+    },
+    orcamento: {
+        orcamento_total: { tipo: 'moeda', descricao: 'Valor total do orçamento' },
+        orcamento_validade: { tipo: 'data', descricao: 'Data de validade do orçamento' },
+        orcamento_status: { tipo: 'texto', descricao: 'Situação do orçamento' }
+    },
+    caso_protetico: {
+        caso_codigo: { tipo: 'texto', descricao: 'Código do caso protético' },
+        caso_trabalho: { tipo: 'texto', descricao: 'Tipo de trabalho' },
+        caso_status: { tipo: 'texto', descricao: 'Status do caso' },
+        caso_data_prometida: { tipo: 'data', descricao: 'Data prometida pelo laboratório' },
+        laboratorio_nome: { tipo: 'texto', descricao: 'Nome do laboratório' }
+    }
+};
+
+// Contexto do modelo = registro usado para preencher: define quais grupos de marcadores valem
+const CONTEXTOS_MODELO = {
+    paciente: ['paciente', 'clinica'],
+    agendamento: ['paciente', 'agendamento', 'profissional', 'clinica'],
+    orcamento: ['paciente', 'orcamento', 'clinica'],
+    caso_protetico: ['paciente', 'caso_protetico', 'profissional', 'clinica']
+};
+
+// Chaves usadas pelas automações: se a clínica tiver o modelo ativo, ele substitui o texto padrão
+const MODELOS_AUTOMACAO = {
+    lembrete_confirmacao: 'agendamento',
+    aniversario: 'paciente'
+};
+
+const SMS_LIMITE_PADRAO = 160;
+const SMS_LIMITE_MAXIMO = 1600;
+// Alfabeto GSM 7 bits: fora dele (acentos como ã, ç, á) o SMS vira UCS-2 e cabe bem menos por segmento
+const ALFABETO_GSM = /^[@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&'()*+,\-./0-9:;<=>?¡A-ZÄÖÑÜ§¿a-zäöñüà^{}\\[~\]|€]*$/;
+
+function marcadoresDoTexto(texto) {
+    const encontrados = new Set();
+    String(texto || '').replace(/\{\s*(\w+)\s*\}/g, (m, chave) => encontrados.add(chave.toLowerCase()));
+    return [...encontrados];
+}
+
+function marcadoresPermitidos(contexto) {
+    return (CONTEXTOS_MODELO[contexto] || []).reduce((todos, grupo) => todos.concat(Object.keys(MARCADORES_MODELO[grupo])), []);
+}
+
+// Corta o texto para caber no limite sem perder o sufixo (link de descadastro). "..." em vez de "…" para não virar UCS-2
+function truncarSms(texto, limite, sufixo = '') {
+    const caracteres = [...texto];
+    const espaco = limite - [...sufixo].length;
+    if (caracteres.length <= espaco) return texto + sufixo;
+    return caracteres.slice(0, Math.max(espaco - 3, 0)).join('').trimEnd() + '...' + sufixo;
+}
+
+function contarSegmentosSms(texto) {
+    const gsm = ALFABETO_GSM.test(texto);
+    const limiteUnico = gsm ? 160 : 70;
+    const porSegmento = gsm ? 153 : 67;
+    const caracteres = [...texto].length;
+    return {
+        caracteres,
+        codificacao: gsm ? 'GSM-7' : 'UCS-2',
+        segmentos: caracteres <= limiteUnico ? 1 : Math.ceil(caracteres / porSegmento)
+    };
+}
+
+// Todos os textos de uma variante (onde pode haver marcador)
+function textosDaVariante(variante) {
+    return [variante.assunto, variante.corpo]
+        .concat(variante.template && Array.isArray(variante.template.parametros) ? variante.template.parametros : []);
+}
+
+// Valida e normaliza as variantes do body. Retorna { erro } ou { variantes }
+function validarVariantesModelo(contexto, variantes) {
+    if (!variantes || typeof variantes !== 'object' || Object.keys(variantes).length === 0) {
+        return { erro: 'Informe ao menos uma variante (email, whatsapp ou sms)' };
+    }
+    const permitidos = marcadoresPermitidos(contexto);
+    const normalizadas = {};
+
+    for (const canal of Object.keys(variantes)) {
+        if (!CANAIS_MENSAGEM.includes(canal)) {
+            return { erro: `Canal inválido: ${canal}` };
+        }
+        const v = variantes[canal] || {};
+        if (!v.corpo || !String(v.corpo).trim()) {
+            return { erro: `Texto da variante ${canal} é obrigatório` };
+        }
+
+        const variante = { corpo: String(v.corpo) };
+        if (canal === 'email') {
+            if (!v.assunto || !String(v.assunto).trim()) return { erro: 'Assunto do email é obrigatório' };
+            variante.assunto = String(v.assunto).substring(0, 255);
+        }
+        if (canal === 'whatsapp' && v.template) {
+            if (!v.template.nome || !/^[a-z0-9_]+$/.test(v.template.nome)) {
+                return { erro: 'Nome do template do WhatsApp inválido (minúsculas, números e _)' };
+            }
+            variante.template = {
+                nome: v.template.nome,
+                parametros: Array.isArray(v.template.parametros) ? v.template.parametros.map(String) : []
+            };
+        }
+        if (canal === 'sms') {
+            const limite = v.limite === undefined ? SMS_LIMITE_PADRAO : parseInt(v.limite);
+            if (!limite || limite < 70 || limite > SMS_LIMITE_MAXIMO) {
+                return { erro: `Limite do SMS deve ser entre 70 e ${SMS_LIMITE_MAXIMO} caracteres` };
+            }
+            variante.limite = limite;
+        }
+
+        const desconhecidos = textosDaVariante(variante)
+            .reduce((todos, t) => todos.concat(marcadoresDoTexto(t)), [])
+            .filter(m => !permitidos.includes(m));
+        if (desconhecidos.length > 0) {
+            return { erro: `Marcadores não disponíveis para ${contexto} (${canal}): ${[...new Set(desconhecidos)].map(m => `{${m}}`).join(', ')}` };
+        }
+        normalizadas[canal] = variante;
+    }
+    return { variantes: normalizadas };
+}
+
+function formatarMoeda(valor) {
+    return Number(valor || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+function dataBrasileira(valor) {
+    return valor ? dataParaTexto(valor).split('-').reverse().join('/') : null;
+}
+
+async function variaveisClinica(dentistaId) {
+    const result = await pool.query(`
+        SELECT d.name as dentista_nome_conta, d.clinic, c.nome_clinica, c.nome_dentista, c.telefone, c.endereco
+        FROM dentistas d LEFT JOIN config_clinica c ON c.dentista_id = d.id
+        WHERE d.id = $1
+    `, [dentistaId]);
+    const c = result.rows[0] || {};
+    return {
+        clinica_nome: c.nome_clinica || c.clinic || null,
+        clinica_telefone: c.telefone || null,
+        clinica_endereco: c.endereco || null,
+        dentista_nome: c.nome_dentista || c.dentista_nome_conta || null
+    };
+}
+
+function variaveisPaciente(nome, telefone) {
+    return {
+        paciente_nome: nome || null,
+        paciente_primeiro_nome: nome ? String(nome).split(' ')[0] : null,
+        paciente_telefone: telefone || null
+    };
+}
+
+// Valores dos marcadores a partir de um registro real da clínica. null = registro não encontrado
+async function variaveisDoRegistro(dentistaId, contexto, registroId) {
+    const id = validarId(registroId);
+    if (!id) return null;
+    let variaveis;
+
+    if (contexto === 'paciente') {
+        const r = await pool.query('SELECT nome, celular, telefone FROM pacientes WHERE id = $1 AND dentista_id = $2', [id, dentistaId]);
+        if (r.rows.length === 0) return null;
+        variaveis = variaveisPaciente(r.rows[0].nome, r.rows[0].celular || r.rows[0].telefone);
+    } else if (contexto === 'agendamento') {
+        const r = await pool.query(`
+            SELECT a.*, COALESCE(p.nome, a.paciente_nome) as nome_paciente,
+                   COALESCE(p.celular, p.telefone, a.paciente_telefone) as telefone_paciente, pr.nome as profissional_nome
+            FROM agendamentos a
+            LEFT JOIN pacientes p ON p.id = a.paciente_id
+            LEFT JOIN profissionais pr ON pr.id = a.profissional_id
+            WHERE a.id = $1 AND a.dentista_id = $2
+        `, [id, dentistaId]);
+        if (r.rows.length === 0) return null;
+        const a = r.rows[0];
+        variaveis = {
+            ...variaveisPaciente(a.nome_paciente, a.telefone_paciente),
+            data: dataBrasileira(a.data),
+            hora: a.horario ? String(a.horario).substring(0, 5) : null,
+            procedimento: a.procedimento || null,
+            codigo_confirmacao: a.codigo_confirmacao || null,
+            link_confirmacao: a.codigo_confirmacao ? linkConfirmacao(a.codigo_confirmacao) : null,
+            profissional_nome: a.profissional_nome || null
+        };
+    } else if (contexto === 'orcamento') {
+        const r = await pool.query(`
+            SELECT o.*, p.nome as nome_paciente, COALESCE(p.celular, p.telefone) as telefone_paciente,
+                   (o.criado_em::date + COALESCE(o.validade_dias, 30)) as validade
+            FROM orcamentos o
+            LEFT JOIN pacientes p ON p.id = o.paciente_id
+            WHERE o.id = $1 AND o.dentista_id = $2
+        `, [id, dentistaId]);
+        if (r.rows.length === 0) return null;
+        const o = r.rows[0];
+        variaveis = {
+            ...variaveisPaciente(o.nome_paciente, o.telefone_paciente),
+            orcamento_total: formatarMoeda(o.total),
+            orcamento_validade: dataBrasileira(o.validade),
+            orcamento_status: o.status || null
+        };
+    } else if (contexto === 'caso_protetico') {
+        const r = await pool.query(`
+            SELECT c.*, p.nome as nome_paciente, COALESCE(p.celular, p.telefone) as telefone_paciente,
+                   l.nome as laboratorio_nome, pr.nome as profissional_nome
+            FROM casos_proteticos c
+            LEFT JOIN pacientes p ON p.id = c.paciente_id
+            LEFT JOIN laboratorios l ON l.id = c.laboratorio_id
+            LEFT JOIN profissionais pr ON pr.id = c.profissional_id
+            WHERE c.id = $1 AND c.dentista_id = $2
+        `, [id, dentistaId]);
+        if (r.rows.length === 0) return null;
+        const c = r.rows[0];
+        variaveis = {
+            ...variaveisPaciente(c.nome_paciente, c.telefone_paciente),
+            caso_codigo: c.codigo,
+            caso_trabalho: c.tipo_trabalho_detalhe || c.tipo_trabalho,
+            caso_status: c.status || null,
+            caso_data_prometida: dataBrasileira(c.data_prometida),
+            laboratorio_nome: c.laboratorio_nome || null,
+            profissional_nome: c.profissional_nome || null
         };
+    } else {
+        return null;
+    }
 
-        const pacientes = result.rows.map(p => ({
-            id: p.id.toString(),
-            nome: p.nome,
-            cpf: p.cpf,
-            rg: p.rg,
-            dataNascimento: p.data_nascimento,
-            sexo: p.sexo,
-            telefone: p.telefone,
-            celular: p.celular,
-            email: p.email,
-            endereco: p.endereco,
-            numero: p.numero,
-            complemento: p.complemento,
-            bairro: p.bairro,
-            cidade: p.cidade,
-            estado: p.estado,
-            cep: p.cep,
-            convenio: p.convenio,
-            numeroConvenio: p.numero_convenio,
-            observacoes: p.observacoes,
-            menorIdade: p.menor_idade || false,
-            responsavelNome: p.responsavel_nome,
-            responsavelCpf: p.responsavel_cpf,
-            responsavelRg: p.responsavel_rg,
-            responsavelTelefone: p.responsavel_telefone,
-            responsavelEmail: p.responsavel_email,
-            responsavelParentesco: p.responsavel_parentesco,
-            responsavelEndereco: p.responsavel_endereco,
-            // Campos de estrangeiro
-            estrangeiro: p.estrangeiro || false,
-            passaporte: p.passaporte,
-            pais: p.pais,
-            nacionalidade: p.nacionalidade,
-            tipo_documento: p.tipo_documento || 'cpf',
-            cadastroCompleto: p.cadastro_completo || false,
-            criadoEm: p.criado_em
-        }));
+    return { ...variaveis, ...(await variaveisClinica(dentistaId)) };
+}
 
-        res.json({ 
-            success: true, 
-            pacientes, 
-            total,
-            stats,
-            limit,
-            offset,
-            hasMore: offset + pacientes.length < total
+// Renderiza cada variante e aponta marcadores sem valor no registro (e SMS acima do limite)
+function renderizarVariantesModelo(variantes, variaveis) {
+    const resultado = {};
+    for (const canal of Object.keys(variantes)) {
+        const v = variantes[canal];
+        const faltando = [...new Set(textosDaVariante(v).reduce((todos, t) => todos.concat(marcadoresDoTexto(t)), []))]
+            .filter(m => variaveis[m] === undefined || variaveis[m] === null || variaveis[m] === '');
+
+        const r = { corpo: renderizarMensagem(v.corpo, variaveis, { html: canal === 'email' }), faltando };
+        if (v.assunto) r.assunto = renderizarMensagem(v.assunto, variaveis);
+        if (v.template) {
+            r.template = { nome: v.template.nome, parametros: v.template.parametros.map(p => renderizarMensagem(p, variaveis)) };
+        }
+        if (canal === 'sms') {
+            Object.assign(r, contarSegmentosSms(r.corpo), { limite: v.limite || SMS_LIMITE_PADRAO });
+            r.excedeLimite = r.caracteres > r.limite;
+        }
+        resultado[canal] = r;
+    }
+    return resultado;
+}
+
+// Modelo ativo da clínica para uma automação, já no formato de variantes do enviarMensagem. null = usa o texto padrão
+async function variantesDoModeloAutomacao(dentistaId, chave, registroId) {
+    const modelo = await pool.query(
+        'SELECT * FROM modelos_mensagem WHERE dentista_id = $1 AND chave = $2 AND ativo = true',
+        [dentistaId, chave]
+    );
+    if (modelo.rows.length === 0) return null;
+
+    const variaveis = await variaveisDoRegistro(dentistaId, MODELOS_AUTOMACAO[chave], registroId);
+    if (!variaveis) return null;
+
+    // No envio real marcador sem valor sai vazio: o paciente nunca deve ver "{procedimento}"
+    const preenchidas = {};
+    for (const m of marcadoresPermitidos(MODELOS_AUTOMACAO[chave])) {
+        preenchidas[m] = variaveis[m] || '';
+    }
+    const originais = modelo.rows[0].variantes || {};
+    const renderizadas = renderizarVariantesModelo(originais, preenchidas);
+    const variantes = {};
+    for (const canal of Object.keys(renderizadas)) {
+        const r = renderizadas[canal];
+        variantes[canal] = {
+            assunto: r.assunto,
+            // Texto puro do email: tira as tags do modelo antes de preencher, sem escapar os valores
+            texto: canal === 'email' ? renderizarMensagem(String(originais.email.corpo).replace(/<[^>]+>/g, ''), preenchidas) : r.corpo,
+            html: canal === 'email' ? r.corpo.replace(/\n/g, '<br>') : undefined,
+            whatsappTemplate: r.template || undefined,
+            limite: canal === 'sms' ? r.limite : undefined
+        };
+    }
+    return variantes;
+}
+
+// ==============================================================================
+// CONSENTIMENTOS DE COMUNICAÇÃO (OPT-IN / OPT-OUT POR CANAL E FINALIDADE)
+// ==============================================================================
+
+// padrao = situação sem nenhum registro: lembrete e aniversário fazem parte do atendimento
+// (o paciente pode sair a qualquer momento); marketing e pesquisa de satisfação exigem opt-in
+const FINALIDADES_CONSENTIMENTO = {
+    lembretes: { padrao: true, descricao: 'Lembretes e confirmações de consulta' },
+    aniversario: { padrao: true, descricao: 'Mensagem de aniversário' },
+    marketing: { padrao: false, descricao: 'Promoções e novidades da clínica' },
+    nps: { padrao: false, descricao: 'Pesquisa de satisfação' }
+};
+const ORIGENS_CONSENTIMENTO = ['recepcao', 'cadastro', 'termo_assinado', 'portal', 'link_descadastro', 'whatsapp'];
+// Tipo de mensagem -> finalidade. 'conversa' e 'resposta_automatica' respondem a quem acabou de escrever
+// para a clínica, então não passam por consentimento
+const FINALIDADE_DA_MENSAGEM = {
+    lembrete_confirmacao: 'lembretes',
+    aniversario: 'aniversario'
+};
+
+// Situação atual { canal: { finalidade: { consentido, origem, em } } } de um paciente
+async function consentimentosAtuais(pacienteId) {
+    const result = await pool.query(`
+        SELECT DISTINCT ON (canal, finalidade) canal, finalidade, consentido, origem, criado_em
+        FROM consentimentos
+        WHERE paciente_id = $1
+        ORDER BY canal, finalidade, criado_em DESC, id DESC
+    `, [pacienteId]);
+
+    const atual = {};
+    for (const canal of CANAIS_MENSAGEM) {
+        atual[canal] = {};
+        for (const finalidade of Object.keys(FINALIDADES_CONSENTIMENTO)) {
+            const r = result.rows.find(x => x.canal === canal && x.finalidade === finalidade);
+            atual[canal][finalidade] = r
+                ? { consentido: r.consentido, origem: r.origem, em: r.criado_em }
+                : { consentido: FINALIDADES_CONSENTIMENTO[finalidade].padrao, origem: 'padrao', em: null };
+        }
+    }
+    return atual;
+}
+
+// Pacientes (da lista) que saíram da mensagem de aniversário em todos os canais. O checkbox
+// "recebe aniversário" do cadastro é lido daqui: os consentimentos são a única fonte
+async function pacientesSemAniversario(pacienteIds) {
+    if (pacienteIds.length === 0) return new Set();
+    const result = await pool.query(`
+        SELECT paciente_id FROM (
+            SELECT DISTINCT ON (paciente_id, canal) paciente_id, consentido
+            FROM consentimentos
+            WHERE paciente_id = ANY($1::int[]) AND finalidade = 'aniversario' AND canal = ANY($2::text[])
+            ORDER BY paciente_id, canal, criado_em DESC, id DESC
+        ) ultimos
+        GROUP BY paciente_id
+        HAVING COUNT(*) = $3 AND bool_and(NOT consentido)
+    `, [pacienteIds, CANAIS_MENSAGEM, CANAIS_MENSAGEM.length]);
+    return new Set(result.rows.map(r => r.paciente_id));
+}
+
+// Canais (da lista) em que o paciente não aceita mensagens desta finalidade
+async function canaisSemConsentimento(pacienteId, finalidade, canais) {
+    if (!pacienteId || !FINALIDADES_CONSENTIMENTO[finalidade]) return [];
+    const atual = await consentimentosAtuais(pacienteId);
+    return canais.filter(c => atual[c] && !atual[c][finalidade].consentido);
+}
+
+// alteracoes: [{ canal, finalidade, consentido }]. db = pool ou client de transação
+async function registrarConsentimentos(db, { dentistaId, pacienteId, alteracoes, origem, registradoPor, ip, observacao }) {
+    for (const a of alteracoes) {
+        await db.query(`
+            INSERT INTO consentimentos (dentista_id, paciente_id, canal, finalidade, consentido, origem, registrado_por, ip, observacao)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [dentistaId, pacienteId, a.canal, a.finalidade, a.consentido, origem, registradoPor || null, ip || null, observacao || null]);
+    }
+}
+
+// Link de descadastro assinado (HMAC): não precisa guardar token e não dá para forjar outro paciente
+function tokenDescadastro(pacienteId, finalidade) {
+    const dados = Buffer.from(`${pacienteId}.${finalidade}`).toString('base64url');
+    const assinatura = crypto.createHmac('sha256', JWT_SECRET).update(`descadastro.${dados}`).digest('base64url').substring(0, 32);
+    return `${dados}.${assinatura}`;
+}
+
+function lerTokenDescadastro(token) {
+    const [dados, assinatura] = String(token || '').split('.');
+    if (!dados || !assinatura) return null;
+    const esperada = crypto.createHmac('sha256', JWT_SECRET).update(`descadastro.${dados}`).digest('base64url').substring(0, 32);
+    if (assinatura.length !== esperada.length || !crypto.timingSafeEqual(Buffer.from(assinatura), Buffer.from(esperada))) {
+        return null;
+    }
+    const [pacienteId, finalidade] = Buffer.from(dados, 'base64url').toString().split('.');
+    if (!validarId(pacienteId) || !FINALIDADES_CONSENTIMENTO[finalidade]) return null;
+    return { pacienteId: parseInt(pacienteId), finalidade };
+}
+
+function linkDescadastro(pacienteId, finalidade) {
+    return `${FRONTEND_URL}/descadastro.html?token=${tokenDescadastro(pacienteId, finalidade)}`;
+}
+
+// ==============================================================================
+// FILA DE JOBS (TAREFAS EM SEGUNDO PLANO)
+// ==============================================================================
+
+// Jobs ficam no banco: sobrevivem a restart e, com FOR UPDATE SKIP LOCKED, várias instâncias
+// podem rodar o worker sem pegar o mesmo job. JOBS_ATIVOS=false desliga o worker nesta instância.
+const JOBS_ATIVOS = process.env.JOBS_ATIVOS !== 'false';
+const JOBS_INTERVALO_SEGUNDOS = parseInt(process.env.JOBS_INTERVALO_SEGUNDOS) || 60;
+const JOBS_LOTE = parseInt(process.env.JOBS_LOTE) || 20;
+const JOB_TRAVA_MINUTOS = 10;
+const JOB_WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Enfileira um job. Com chaveUnica repetida não faz nada (retorna null).
+async function enfileirarJob(db, tipo, { dentistaId, payload, executarEm, chaveUnica, maxTentativas }) {
+    const result = await db.query(`
+        INSERT INTO jobs (tipo, dentista_id, payload, executar_em, chave_unica, max_tentativas)
+        VALUES ($1, $2, $3, COALESCE($4, NOW()), $5, $6)
+        ON CONFLICT (chave_unica) DO NOTHING
+        RETURNING id
+    `, [tipo, dentistaId || null, JSON.stringify(payload || {}), executarEm || null, chaveUnica || null, maxTentativas || 5]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Espera entre tentativas: 2, 4, 8... minutos, no máximo 6h
+function atrasoNovaTentativa(tentativas) {
+    return Math.min(Math.pow(2, tentativas), 360);
+}
+
+// Próximo fim do horário de silêncio, ou null se agora pode enviar. Horários 'HH:MM' no fuso da clínica;
+// início > fim é a janela que atravessa a meia-noite (ex: 21:00 às 08:00).
+function fimDoSilencio(agora, silencioInicio, silencioFim) {
+    if (!silencioInicio || !silencioFim) return null;
+    const inicio = horaParaMinutos(silencioInicio);
+    const fim = horaParaMinutos(silencioFim);
+    if (inicio === fim) return null;
+
+    const { minuto } = dataEMinutoLocal(agora);
+    const emSilencio = inicio < fim ? (minuto >= inicio && minuto < fim) : (minuto >= inicio || minuto < fim);
+    if (!emSilencio) return null;
+
+    const retomada = new Date(agora.getTime() + ((fim - minuto + 1440) % 1440) * 60 * 1000);
+    retomada.setSeconds(0, 0);
+    return retomada;
+}
+
+// Processador de cada tipo: recebe o job e pode devolver { reagendarPara } (não conta como tentativa)
+// ou { resultado }. Erro lançado = nova tentativa com espera crescente.
+const PROCESSADORES_JOB = {
+    lembrete_confirmacao: processarLembreteConfirmacao,
+    mensagem_aniversario: processarMensagemAniversario
+};
+
+async function executarJob(job) {
+    try {
+        const processador = PROCESSADORES_JOB[job.tipo];
+        if (!processador) throw new Error(`Tipo de job desconhecido: ${job.tipo}`);
+
+        const retorno = (await processador(job)) || {};
+        if (retorno.reagendarPara) {
+            await pool.query(
+                `UPDATE jobs SET status = 'pendente', tentativas = tentativas - 1, executar_em = $1, travado_em = NULL, travado_por = NULL WHERE id = $2`,
+                [retorno.reagendarPara, job.id]
+            );
+            return;
+        }
+        await pool.query(
+            `UPDATE jobs SET status = 'concluido', concluido_em = NOW(), ultimo_erro = $1, travado_em = NULL, travado_por = NULL WHERE id = $2`,
+            [retorno.resultado || null, job.id]
+        );
+    } catch (error) {
+        const esgotou = job.tentativas >= job.max_tentativas;
+        await pool.query(`
+            UPDATE jobs SET status = $1, ultimo_erro = $2, travado_em = NULL, travado_por = NULL,
+                   executar_em = NOW() + make_interval(mins => $3)
+            WHERE id = $4
+        `, [esgotou ? 'falhou' : 'pendente', String(error.message).substring(0, 1000), atrasoNovaTentativa(job.tentativas), job.id])
+            .catch(e => console.error('Erro atualizar job:', e.message));
+        if (esgotou) console.error(`Job ${job.id} (${job.tipo}) falhou após ${job.tentativas} tentativas:`, error.message);
+    }
+}
+
+// Reserva um lote de jobs vencidos para este worker
+async function reservarJobs() {
+    const result = await pool.query(`
+        UPDATE jobs SET status = 'executando', tentativas = tentativas + 1, travado_em = NOW(), travado_por = $1
+        WHERE id IN (
+            SELECT id FROM jobs
+            WHERE status = 'pendente' AND executar_em <= NOW()
+            ORDER BY executar_em
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [JOB_WORKER_ID, JOBS_LOTE]);
+    return result.rows;
+}
+
+let cicloJobsRodando = false;
+
+async function cicloJobs() {
+    if (cicloJobsRodando) return;
+    cicloJobsRodando = true;
+    try {
+        // Worker que morreu no meio deixa job travado: devolve para a fila
+        await pool.query(`
+            UPDATE jobs SET status = 'pendente', travado_em = NULL, travado_por = NULL
+            WHERE status = 'executando' AND travado_em < NOW() - make_interval(mins => $1)
+        `, [JOB_TRAVA_MINUTOS]);
+
+        await agendarLembretesConfirmacao();
+        await agendarMensagensAniversario();
+
+        let lote = await reservarJobs();
+        while (lote.length > 0) {
+            for (const job of lote) {
+                await executarJob(job);
+            }
+            lote = lote.length < JOBS_LOTE ? [] : await reservarJobs();
+        }
+    } catch (error) {
+        console.error('Erro ciclo de jobs:', error.message);
+    } finally {
+        cicloJobsRodando = false;
+    }
+}
+
+function iniciarJobs() {
+    if (!JOBS_ATIVOS) {
+        console.log('   Jobs: desativados (JOBS_ATIVOS=false)');
+        return;
+    }
+    setInterval(cicloJobs, JOBS_INTERVALO_SEGUNDOS * 1000);
+    setTimeout(cicloJobs, 5000);
+    console.log(`   Jobs: a cada ${JOBS_INTERVALO_SEGUNDOS}s (${JOB_WORKER_ID})`);
+}
+
+// ==============================================================================
+// LEMBRETES AUTOMÁTICOS DE CONFIRMAÇÃO
+// ==============================================================================
+
+// Intervalo mínimo entre dois lembretes manuais do mesmo agendamento
+const LEMBRETE_MANUAL_MINUTOS = 10;
+
+function linkConfirmacao(codigo) {
+    return `${FRONTEND_URL}/confirmar.html?codigo=${codigo}`;
+}
+
+// Enfileira um lembrete para cada consulta ainda não confirmada que entrou na antecedência
+// configurada (config_clinica.periodo_confirmacao, em horas). A chave inclui data e hora:
+// consulta remarcada ganha lembrete novo.
+async function agendarLembretesConfirmacao() {
+    await pool.query(`
+        INSERT INTO jobs (tipo, dentista_id, payload, chave_unica, max_tentativas)
+        SELECT 'lembrete_confirmacao', a.dentista_id, jsonb_build_object('agendamentoId', a.id),
+               'lembrete:' || a.id || ':' || to_char(a.data, 'YYYY-MM-DD') || ':' || to_char(a.horario, 'HH24:MI'), 5
+        FROM agendamentos a
+        JOIN config_clinica c ON c.dentista_id = a.dentista_id
+        WHERE c.lembretes_ativos = true
+          AND COALESCE(a.status, 'agendado') = 'agendado'
+          AND a.codigo_confirmacao IS NOT NULL
+          AND (a.data + a.horario) > ${AGORA_CLINICA_SQL}
+          AND (a.data + a.horario) <= ${AGORA_CLINICA_SQL} + make_interval(hours => COALESCE(c.periodo_confirmacao, 48))
+        ON CONFLICT (chave_unica) DO NOTHING
+    `);
+}
+
+async function processarLembreteConfirmacao(job) {
+    const result = await pool.query(`
+        SELECT a.*, to_char(a.data, 'YYYY-MM-DD') as data_texto,
+               COALESCE(p.nome, a.paciente_nome) as nome_paciente,
+               COALESCE(p.celular, p.telefone, a.paciente_telefone) as telefone_paciente, p.email as email_paciente,
+               pr.nome as profissional_nome, c.nome_clinica, c.lembrete_canais, c.silencio_inicio, c.silencio_fim,
+               c.lembretes_ativos, d.clinic as clinica_nome
+        FROM agendamentos a
+        JOIN dentistas d ON d.id = a.dentista_id
+        LEFT JOIN pacientes p ON p.id = a.paciente_id
+        LEFT JOIN profissionais pr ON pr.id = a.profissional_id
+        LEFT JOIN config_clinica c ON c.dentista_id = a.dentista_id
+        WHERE a.id = $1
+    `, [job.payload.agendamentoId]);
+    const a = result.rows[0];
+
+    // A situação pode ter mudado desde que o lembrete entrou na fila
+    if (!a) return { resultado: 'Agendamento excluído' };
+    if (!a.lembretes_ativos) return { resultado: 'Lembretes desativados pela clínica' };
+    if ((a.status || 'agendado') !== 'agendado') return { resultado: `Agendamento já está ${a.status}` };
+    const inicio = instanteLocalClinica(a.data_texto, a.horario);
+    if (inicio <= new Date()) return { resultado: 'Horário da consulta já passou' };
+
+    const retomada = fimDoSilencio(new Date(), a.silencio_inicio, a.silencio_fim);
+    if (retomada) {
+        // Se o silêncio só acaba depois da consulta, envia agora: lembrete fora de hora é melhor que nenhum
+        if (retomada < inicio) return { reagendarPara: retomada };
+    }
+
+    const clinica = a.nome_clinica || a.clinica_nome || 'sua clínica';
+    const dataBr = a.data_texto.split('-').reverse().join('/');
+    const hora = String(a.horario).substring(0, 5);
+    const link = linkConfirmacao(a.codigo_confirmacao);
+    const primeiroNome = String(a.nome_paciente || '').split(' ')[0];
+    const texto = `Olá${primeiroNome ? ' ' + primeiroNome : ''}! Lembrete da sua consulta na ${clinica} ` +
+        `em ${dataBr} às ${hora}${a.profissional_nome ? ' com ' + a.profissional_nome : ''}. ` +
+        `Confirme ou cancele pelo link: ${link}`;
+
+    const canais = (Array.isArray(a.lembrete_canais) ? a.lembrete_canais : ['whatsapp', 'email'])
+        .filter(c => CANAIS_MENSAGEM.includes(c));
+    const envio = await enviarMensagem({
+        dentistaId: a.dentista_id,
+        tipo: 'lembrete_confirmacao',
+        canais,
+        variantes: await variantesDoModeloAutomacao(a.dentista_id, 'lembrete_confirmacao', a.id),
+        destinatario: { email: a.email_paciente, telefone: a.telefone_paciente },
+        assunto: `Lembrete de consulta - ${dataBr} às ${hora}`,
+        texto,
+        // Template com botões de resposta rápida "Confirmar" / "Cancelar" (ou 1 / 2 digitado)
+        whatsappTemplate: { nome: WHATSAPP_TEMPLATE_LEMBRETE, parametros: [primeiroNome || 'paciente', clinica, dataBr, hora, link] },
+        agendamentoId: a.id,
+        pacienteId: a.paciente_id,
+        jobId: job.id
+    });
+    if (!envio.enviado) return { resultado: 'Paciente não aceita lembretes nos canais configurados' };
+    return { resultado: `Enviado por ${envio.canal}` };
+}
+
+// ==============================================================================
+// MENSAGENS DE ANIVERSÁRIO
+// ==============================================================================
+
+// Troca {nome}, {primeiro_nome}, {clinica} e {dentista} no modelo; marcador desconhecido fica como está.
+// html = modelo vai para o corpo de um email: os valores (nome do paciente etc.) entram escapados
+function renderizarMensagem(modelo, variaveis, { html = false } = {}) {
+    return String(modelo || '').replace(/\{\s*(\w+)\s*\}/g, (marcador, chave) => {
+        const valor = variaveis[chave.toLowerCase()];
+        if (valor === undefined || valor === null) return marcador;
+        return html ? escapeHtml(valor) : String(valor);
+    });
+}
+
+// Um job por aniversariante ativo, no horário configurado do dia. Nascido em 29/02 recebe em 28/02
+// nos anos não bissextos. A chave por ano impede mensagem repetida se o ciclo rodar de novo.
+async function agendarMensagensAniversario() {
+    await pool.query(`
+        INSERT INTO jobs (tipo, dentista_id, payload, chave_unica, executar_em, max_tentativas)
+        SELECT 'mensagem_aniversario', p.dentista_id, jsonb_build_object('pacienteId', p.id),
+               'aniversario:' || p.id || ':' || EXTRACT(YEAR FROM ${HOJE_CLINICA_SQL}),
+               (${HOJE_CLINICA_SQL} + COALESCE(c.aniversario_hora, '09:00'::time)) AT TIME ZONE '${FUSO_CLINICA}', 3
+        FROM pacientes p
+        JOIN config_clinica c ON c.dentista_id = p.dentista_id
+        WHERE c.aniversario_ativo = true
+          AND (COALESCE(TRIM(c.msg_aniversario), '') <> '' OR EXISTS (
+              SELECT 1 FROM modelos_mensagem m WHERE m.dentista_id = c.dentista_id AND m.chave = 'aniversario' AND m.ativo = true
+          ))
+          AND p.ativo = true
+          AND p.anonimizado_em IS NULL
+          AND p.data_nascimento IS NOT NULL
+          AND (
+              to_char(p.data_nascimento, 'MM-DD') = to_char(${HOJE_CLINICA_SQL}, 'MM-DD')
+              OR (to_char(p.data_nascimento, 'MM-DD') = '02-29' AND to_char(${HOJE_CLINICA_SQL}, 'MM-DD') = '02-28'
+                  AND to_char(${HOJE_CLINICA_SQL} + 1, 'MM-DD') = '03-01')
+          )
+        ON CONFLICT (chave_unica) DO NOTHING
+    `);
+}
+
+async function processarMensagemAniversario(job) {
+    const result = await pool.query(`
+        SELECT p.id, p.nome, p.email, COALESCE(p.celular, p.telefone) as telefone, p.ativo, p.anonimizado_em,
+               p.dentista_id,
+               c.msg_aniversario, c.aniversario_ativo, c.lembrete_canais, c.silencio_inicio, c.silencio_fim,
+               c.nome_clinica, c.nome_dentista, d.clinic as clinica_nome, d.name as dentista_nome
+        FROM pacientes p
+        JOIN dentistas d ON d.id = p.dentista_id
+        LEFT JOIN config_clinica c ON c.dentista_id = p.dentista_id
+        WHERE p.id = $1
+    `, [job.payload.pacienteId]);
+    const p = result.rows[0];
+
+    if (!p) return { resultado: 'Paciente excluído' };
+    const variantes = await variantesDoModeloAutomacao(p.dentista_id, 'aniversario', p.id);
+    if (!p.aniversario_ativo || (!p.msg_aniversario && !variantes)) return { resultado: 'Mensagem de aniversário desativada pela clínica' };
+    if (!p.ativo || p.anonimizado_em) return { resultado: 'Paciente inativo' };
+
+    const retomada = fimDoSilencio(new Date(), p.silencio_inicio, p.silencio_fim);
+    if (retomada) {
+        // Passou do dia: não manda parabéns atrasado
+        if (dataEMinutoLocal(retomada).data !== dataEMinutoLocal(new Date()).data) return { resultado: 'Horário de silêncio até o fim do dia' };
+        return { reagendarPara: retomada };
+    }
+
+    const texto = renderizarMensagem(p.msg_aniversario, {
+        nome: p.nome,
+        primeiro_nome: String(p.nome || '').split(' ')[0],
+        clinica: p.nome_clinica || p.clinica_nome || '',
+        dentista: p.nome_dentista || p.dentista_nome || ''
+    });
+
+    // Mesmos canais configurados para os lembretes, na mesma ordem de preferência.
+    // Sem msg_aniversario, só os canais que o modelo cobre
+    const canais = (Array.isArray(p.lembrete_canais) ? p.lembrete_canais : ['whatsapp', 'email'])
+        .filter(c => CANAIS_MENSAGEM.includes(c) && (p.msg_aniversario || variantes[c]));
+    const envio = await enviarMensagem({
+        dentistaId: p.dentista_id,
+        tipo: 'aniversario',
+        canais,
+        variantes,
+        destinatario: { email: p.email, telefone: p.telefone },
+        assunto: `Feliz aniversário, ${String(p.nome || '').split(' ')[0]}!`,
+        texto,
+        whatsappTemplate: { nome: WHATSAPP_TEMPLATE_ANIVERSARIO, parametros: [texto.replace(/\s*\n\s*/g, ' ')] },
+        pacienteId: p.id,
+        jobId: job.id
+    });
+    if (!envio.enviado) return { resultado: 'Paciente não aceita mensagem de aniversário nos canais configurados' };
+    return { resultado: `Enviado por ${envio.canal}` };
+}
+
+// ==============================================================================
+// WHATSAPP - CONVERSAS E RESPOSTAS DOS PACIENTES
+// ==============================================================================
+
+const WHATSAPP_JANELA_HORAS = 24;
+// "1"/"2" sem citar a mensagem só valem se um lembrete foi para o número nesse intervalo
+const WHATSAPP_RESPOSTA_LEMBRETE_HORAS = 48;
+// Ordem do status de entrega: webhook atrasado de "entregue" não desfaz um "lida"
+const ORDEM_STATUS_ENTREGA = ['pendente', 'enviada', 'entregue', 'lida'];
+const STATUS_WEBHOOK_WHATSAPP = { sent: 'enviada', delivered: 'entregue', read: 'lida', failed: 'falhou' };
+
+// Grava uma linha da conversa. Retorna o id, ou null se o provedor_id já existia (webhook repetido).
+async function registrarConversaWhatsapp({ dentistaId, pacienteId, agendamentoId, telefone, direcao, tipo, conteudo, provedorId, status, enviadoPor }) {
+    const result = await pool.query(`
+        INSERT INTO conversas_whatsapp (dentista_id, paciente_id, agendamento_id, telefone, direcao, tipo, conteudo,
+                                        provedor_id, status, enviado_por)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (provedor_id) DO NOTHING
+        RETURNING id
+    `, [
+        dentistaId, pacienteId || null, agendamentoId || null, telefone, direcao, tipo || 'texto',
+        conteudo || null, provedorId || null, status || null, enviadoPor || null
+    ]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Compara telefones pelo DDD + 8 últimos dígitos: o WhatsApp às vezes entrega o celular sem o nono dígito
+function mesmoTelefone(a, b) {
+    const da = telefoneE164(a);
+    const db = telefoneE164(b);
+    if (!da || !db) return false;
+    return da.substring(2, 4) === db.substring(2, 4) && da.slice(-8) === db.slice(-8);
+}
+
+async function buscarPacientePorTelefone(dentistaId, telefone) {
+    const result = await pool.query(`
+        SELECT id, nome, celular, telefone, tel_recados FROM pacientes
+        WHERE dentista_id = $1 AND anonimizado_em IS NULL
+          AND $2 IN (right(regexp_replace(COALESCE(celular, ''), '\\D', '', 'g'), 8),
+                     right(regexp_replace(COALESCE(telefone, ''), '\\D', '', 'g'), 8),
+                     right(regexp_replace(COALESCE(tel_recados, ''), '\\D', '', 'g'), 8))
+        ORDER BY ativo DESC, id DESC
+    `, [dentistaId, String(telefone).slice(-8)]);
+    return result.rows.find(p => [p.celular, p.telefone, p.tel_recados].some(t => mesmoTelefone(t, telefone))) || null;
+}
+
+// Clínica dona de uma mensagem recebida: pelo número da clínica na Meta ou, no número compartilhado
+// da plataforma, pela última mensagem que saiu para esse telefone.
+async function clinicaDaMensagemWhatsapp(phoneId, telefone) {
+    const propria = await pool.query('SELECT dentista_id FROM config_clinica WHERE whatsapp_phone_id = $1', [phoneId]);
+    if (propria.rows.length === 1) return propria.rows[0].dentista_id;
+
+    const ultima = await pool.query(`
+        SELECT dentista_id FROM conversas_whatsapp
+        WHERE telefone = $1 AND direcao = 'saida'
+        ORDER BY criado_em DESC LIMIT 1
+    `, [telefone]);
+    return ultima.rows.length > 0 ? ultima.rows[0].dentista_id : null;
+}
+
+// Texto (ou botão) da mensagem recebida
+function textoMensagemWhatsapp(mensagem) {
+    if (mensagem.type === 'text') return mensagem.text ? mensagem.text.body : '';
+    if (mensagem.type === 'button') return mensagem.button ? (mensagem.button.payload || mensagem.button.text) : '';
+    if (mensagem.type === 'interactive' && mensagem.interactive) {
+        const r = mensagem.interactive.button_reply || mensagem.interactive.list_reply || {};
+        return r.id || r.title || '';
+    }
+    return `[${mensagem.type}]`;
+}
+
+// Só mexe na agenda com resposta inequívoca: botão Confirmar/Cancelar do modelo ou "1"/"2" exatos.
+// "sim", "ok", "não" soltos podem ser conversa com a recepção e ficam só no histórico.
+function interpretarRespostaPaciente(mensagem) {
+    const t = String(textoMensagemWhatsapp(mensagem) || '').trim().toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[.!]+$/, '');
+    if (mensagem.type === 'button' || mensagem.type === 'interactive') {
+        if (/^(1|sim|confirmar|confirmo|confirmado)$/.test(t)) return 'confirmar';
+        if (/^(2|nao|cancelar|cancelo|desmarcar)$/.test(t)) return 'cancelar';
+        return null;
+    }
+    if (t === '1') return 'confirmar';
+    if (t === '2') return 'cancelar';
+    if (/^(sair|parar|pare|stop|descadastrar)$/.test(t)) return 'descadastrar';
+    return null;
+}
+
+// Agendamento a que a resposta se refere: o citado (reply no lembrete) ou o do último lembrete
+// enviado para o número nas últimas WHATSAPP_RESPOSTA_LEMBRETE_HORAS. Sem lembrete, nenhum.
+async function agendamentoDaResposta(dentistaId, telefone, contextoId) {
+    const pendentes = `COALESCE(a.status, 'agendado') IN ('agendado', 'confirmado') AND (a.data + a.horario) > ${AGORA_CLINICA_SQL}`;
+
+    if (contextoId) {
+        const citado = await pool.query(`
+            SELECT a.* FROM agendamentos a
+            JOIN mensagens_enviadas m ON m.agendamento_id = a.id
+            WHERE m.provedor_id = $1 AND a.dentista_id = $2 AND ${pendentes}
+        `, [contextoId, dentistaId]);
+        if (citado.rows.length > 0) return citado.rows[0];
+    }
+
+    const lembrete = await pool.query(`
+        SELECT a.* FROM agendamentos a
+        JOIN mensagens_enviadas m ON m.agendamento_id = a.id
+        WHERE m.dentista_id = $1 AND m.canal = 'whatsapp' AND m.tipo = 'lembrete_confirmacao' AND m.destino = $2
+          AND m.criado_em > NOW() - make_interval(hours => $3) AND ${pendentes}
+        ORDER BY m.criado_em DESC LIMIT 1
+    `, [dentistaId, telefone, WHATSAPP_RESPOSTA_LEMBRETE_HORAS]);
+    return lembrete.rows[0] || null;
+}
+
+// O wa_id de celulares antigos chega sem o nono dígito (55 47 9999-0000); devolve no formato com 9,
+// igual ao que usamos para enviar, para a conversa não se dividir em dois números
+function telefoneWhatsappRecebido(waId) {
+    const digitos = String(waId || '').replace(/\D/g, '');
+    if (digitos.length === 12 && digitos.startsWith('55') && /[6-9]/.test(digitos[4])) {
+        return digitos.substring(0, 4) + '9' + digitos.substring(4);
+    }
+    return telefoneE164(digitos) || digitos;
+}
+
+// Processa uma mensagem recebida: guarda na conversa e, se for resposta de confirmação, muda o status.
+// processado_em só é gravado no fim: se algo falhar, o reenvio da Meta (mesmo wamid) processa de novo.
+async function processarMensagemRecebidaWhatsapp(phoneId, mensagem, contato) {
+    const telefone = telefoneWhatsappRecebido(mensagem.from);
+    const dentistaId = await clinicaDaMensagemWhatsapp(phoneId, telefone);
+    if (!dentistaId) {
+        console.log(`WhatsApp: mensagem de ${telefone} sem clínica identificada`);
+        return;
+    }
+
+    const paciente = await buscarPacientePorTelefone(dentistaId, telefone);
+    const texto = textoMensagemWhatsapp(mensagem);
+    let conversaId = await registrarConversaWhatsapp({
+        dentistaId,
+        pacienteId: paciente ? paciente.id : null,
+        telefone,
+        direcao: 'entrada',
+        tipo: mensagem.type === 'text' ? 'texto' : mensagem.type,
+        conteudo: texto,
+        provedorId: mensagem.id,
+        status: 'recebida',
+        enviadoPor: contato && contato.profile ? contato.profile.name : null
+    });
+    if (!conversaId) {
+        const existente = await pool.query('SELECT id, processado_em FROM conversas_whatsapp WHERE provedor_id = $1', [mensagem.id]);
+        if (existente.rows.length === 0 || existente.rows[0].processado_em) return; // já processada
+        conversaId = existente.rows[0].id;
+    }
+
+    await responderMensagemWhatsapp({ dentistaId, paciente, telefone, mensagem, texto, conversaId });
+    await pool.query('UPDATE conversas_whatsapp SET processado_em = NOW() WHERE id = $1', [conversaId]);
+}
+
+async function responderMensagemWhatsapp({ dentistaId, paciente, telefone, mensagem, texto, conversaId }) {
+    const acao = interpretarRespostaPaciente(mensagem);
+    if (!acao) return;
+
+    // SAIR: opt-out do WhatsApp em todas as finalidades, registrado com a mensagem do paciente como origem
+    if (acao === 'descadastrar') {
+        if (!paciente) return;
+        await registrarConsentimentos(pool, {
+            dentistaId,
+            pacienteId: paciente.id,
+            alteracoes: Object.keys(FINALIDADES_CONSENTIMENTO).map(finalidade => ({ canal: 'whatsapp', finalidade, consentido: false })),
+            origem: 'whatsapp',
+            registradoPor: paciente.nome,
+            observacao: `Resposta pelo WhatsApp: "${String(texto).substring(0, 100)}"`
+        });
+        try {
+            await enviarMensagem({
+                dentistaId,
+                tipo: 'resposta_automatica',
+                canais: ['whatsapp'],
+                destinatario: { telefone },
+                texto: 'Pronto, você não vai mais receber mensagens automáticas da clínica por aqui. Se mudar de ideia, é só avisar na recepção.',
+                pacienteId: paciente.id,
+                enviadoPor: 'automacao'
+            });
+        } catch (error) {
+            console.error('Erro resposta automática WhatsApp:', error.message);
+        }
+        return;
+    }
+
+    const agendamento = await agendamentoDaResposta(dentistaId, telefone, mensagem.context ? mensagem.context.id : null);
+    if (!agendamento) return;
+
+    await pool.query('UPDATE conversas_whatsapp SET agendamento_id = $1 WHERE id = $2', [agendamento.id, conversaId]);
+
+    const dataBr = dataParaTexto(agendamento.data).split('-').reverse().join('/');
+    const hora = String(agendamento.horario).substring(0, 5);
+    let resposta;
+    if (acao === 'confirmar' && agendamento.status === 'confirmado') {
+        resposta = `Sua consulta de ${dataBr} às ${hora} já está confirmada. Até lá!`;
+    } else {
+        const mudanca = await alterarStatusAgendamento(pool, agendamento, acao === 'confirmar' ? 'confirmado' : 'cancelado_paciente', {
+            canal: 'whatsapp',
+            ator: paciente ? paciente.nome : telefone,
+            observacao: `Resposta pelo WhatsApp: "${String(texto).substring(0, 100)}"`
+        });
+        if (mudanca.erro) {
+            console.log(`WhatsApp: resposta "${texto}" não aplicada ao agendamento ${agendamento.id}: ${mudanca.erro}`);
+            return;
+        }
+        resposta = acao === 'confirmar'
+            ? `Consulta de ${dataBr} às ${hora} confirmada! Até lá.`
+            : `Consulta de ${dataBr} às ${hora} cancelada. Se quiser remarcar, é só responder esta mensagem.`;
+    }
+
+    // Resposta automática: o paciente acabou de escrever, então texto livre está dentro da janela de 24h
+    try {
+        await enviarMensagem({
+            dentistaId,
+            tipo: 'resposta_automatica',
+            canais: ['whatsapp'],
+            destinatario: { telefone },
+            texto: resposta,
+            agendamentoId: agendamento.id,
+            pacienteId: paciente ? paciente.id : null,
+            enviadoPor: 'automacao'
+        });
+    } catch (error) {
+        console.error('Erro resposta automática WhatsApp:', error.message);
+    }
+}
+
+// Atualiza o status de entrega (enviada -> entregue -> lida, ou falhou) pelo wamid
+async function atualizarStatusWhatsapp(status) {
+    const novo = STATUS_WEBHOOK_WHATSAPP[status.status];
+    if (!novo) return;
+    const erro = status.errors && status.errors[0] ? (status.errors[0].title || status.errors[0].message) : null;
+
+    for (const tabela of ['mensagens_enviadas', 'conversas_whatsapp']) {
+        await pool.query(`
+            UPDATE ${tabela} SET status = $1, atualizado_em = NOW()${tabela === 'mensagens_enviadas' ? ', erro = COALESCE($4, erro)' : ''}
+            WHERE provedor_id = $2
+              AND ($1 = 'falhou' OR COALESCE(array_position($3::text[], status), 0) < array_position($3::text[], $1))
+        `, tabela === 'mensagens_enviadas' ? [novo, status.id, ORDEM_STATUS_ENTREGA, erro] : [novo, status.id, ORDEM_STATUS_ENTREGA]);
+    }
+}
+
+// ==============================================================================
+// ROTAS DE LEMBRETES AUTOMÁTICOS E MENSAGENS
+// ==============================================================================
+
+function formatarMensagem(m) {
+    return {
+        id: m.id.toString(),
+        tipo: m.tipo,
+        canal: m.canal,
+        destino: m.destino,
+        provedor: m.provedor,
+        status: m.status,
+        erro: m.erro,
+        conteudo: m.conteudo,
+        criadoEm: m.criado_em,
+        enviadoEm: m.enviado_em,
+        atualizadoEm: m.atualizado_em
+    };
+}
+
+app.get('/api/lembretes/config', authMiddleware, verificarAcesso('configuracoes', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT lembretes_ativos, lembrete_canais, silencio_inicio, silencio_fim, periodo_confirmacao
+             FROM config_clinica WHERE dentista_id = $1`,
+            [req.dentistaId]
+        );
+        const c = result.rows[0] || {};
+        res.json({
+            success: true,
+            config: {
+                ativo: c.lembretes_ativos || false,
+                canais: Array.isArray(c.lembrete_canais) ? c.lembrete_canais : ['whatsapp', 'email'],
+                silencioInicio: c.silencio_inicio ? String(c.silencio_inicio).substring(0, 5) : '21:00',
+                silencioFim: c.silencio_fim ? String(c.silencio_fim).substring(0, 5) : '08:00',
+                periodoConfirmacao: c.periodo_confirmacao || 48
+            },
+            // Canais que este servidor consegue usar (credenciais no ambiente)
+            canaisDisponiveis: CANAIS_MENSAGEM.filter(canal => provedorDoCanal(canal) !== null)
+        });
+    } catch (error) {
+        console.error('Erro config lembretes:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar configuração de lembretes' });
+    }
+});
+
+app.put('/api/lembretes/config', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
+    try {
+        const { ativo, canais, silencioInicio, silencioFim } = req.body;
+        const formatoHora = /^\d{2}:\d{2}$/;
+
+        if (!Array.isArray(canais) || canais.length === 0 || canais.some(c => !CANAIS_MENSAGEM.includes(c))) {
+            return res.status(400).json({ success: false, erro: `Canais devem ser uma lista de: ${CANAIS_MENSAGEM.join(', ')}` });
+        }
+        if ((silencioInicio || silencioFim) && (!formatoHora.test(silencioInicio || '') || !formatoHora.test(silencioFim || ''))) {
+            return res.status(400).json({ success: false, erro: 'Horário de silêncio inválido (HH:MM)' });
+        }
+
+        await pool.query(`
+            INSERT INTO config_clinica (dentista_id, lembretes_ativos, lembrete_canais, silencio_inicio, silencio_fim, atualizado_em)
+            VALUES ($1, $2, $3, $4, $5, NOW())
+            ON CONFLICT (dentista_id) DO UPDATE SET
+                lembretes_ativos = EXCLUDED.lembretes_ativos,
+                lembrete_canais = EXCLUDED.lembrete_canais,
+                silencio_inicio = EXCLUDED.silencio_inicio,
+                silencio_fim = EXCLUDED.silencio_fim,
+                atualizado_em = NOW()
+        `, [req.dentistaId, ativo === true, JSON.stringify([...new Set(canais)]), silencioInicio || null, silencioFim || null]);
+
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'config_clinica', depois: { lembretes_ativos: ativo === true, canais, silencioInicio, silencioFim } });
+
+        res.json({ success: true, message: 'Lembretes configurados!' });
+    } catch (error) {
+        console.error('Erro salvar config lembretes:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao salvar configuração de lembretes' });
+    }
+});
+
+// Envia o lembrete agora (reenvio manual pela recepção); respeita o horário de silêncio
+app.post('/api/agendamentos/:id/lembrete', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
+    try {
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
+        const result = await pool.query(
+            'SELECT id, status, codigo_confirmacao FROM agendamentos WHERE id = $1 AND dentista_id = $2',
+            [id, req.dentistaId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+        }
+        const a = result.rows[0];
+        if ((a.status || 'agendado') !== 'agendado' || !a.codigo_confirmacao) {
+            return res.status(400).json({ success: false, erro: 'Só é possível lembrar agendamentos ainda não confirmados' });
+        }
+
+        const naFila = await pool.query(`
+            SELECT id FROM jobs
+            WHERE tipo = 'lembrete_confirmacao' AND dentista_id = $1 AND payload->>'agendamentoId' = $2
+              AND status IN ('pendente', 'executando')
+        `, [req.dentistaId, String(a.id)]);
+        if (naFila.rows.length > 0) {
+            return res.status(409).json({ success: false, erro: 'Já existe um lembrete na fila para este agendamento', jobId: naFila.rows[0].id });
+        }
+
+        // Chave por janela de LEMBRETE_MANUAL_MINUTOS: cliques repetidos não mandam a mesma mensagem de novo
+        const janela = Math.floor(Date.now() / (LEMBRETE_MANUAL_MINUTOS * 60 * 1000));
+        const jobId = await enfileirarJob(pool, 'lembrete_confirmacao', {
+            dentistaId: req.dentistaId,
+            payload: { agendamentoId: a.id, manual: true },
+            chaveUnica: `lembrete_manual:${a.id}:${janela}`
         });
+        if (!jobId) {
+            return res.status(409).json({ success: false, erro: `Um lembrete para este agendamento foi enviado há menos de ${LEMBRETE_MANUAL_MINUTOS} minutos` });
+        }
+        if (JOBS_ATIVOS) setImmediate(cicloJobs);
+
+        res.status(202).json({ success: true, message: 'Lembrete na fila de envio', jobId });
     } catch (error) {
-        console.error('Erro listar pacientes:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao listar pacientes' });
+        console.error('Erro enfileirar lembrete:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao enviar lembrete' });
     }
 });
 
-// Buscar aniversariantes de hoje (DEVE FICAR ANTES DA ROTA :id)
-app.get('/api/pacientes/aniversariantes', authMiddleware, async (req, res) => {
+// Status de entrega das mensagens de um agendamento
+app.get('/api/agendamentos/:id/mensagens', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
     try {
-        const hoje = new Date();
-        const dia = hoje.getDate();
-        const mes = hoje.getMonth() + 1;
-        
+        const id = validarId(req.params.id);
+        if (!id) {
+            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        }
         const result = await pool.query(
-            `SELECT id, nome, data_nascimento, celular
-             FROM pacientes 
-             WHERE dentista_id = $1 
-               AND EXTRACT(DAY FROM data_nascimento) = $2
-               AND EXTRACT(MONTH FROM data_nascimento) = $3
-               AND ativo = true
-             ORDER BY nome`,
-            [parseInt(req.user.id), dia, mes]
+            'SELECT * FROM mensagens_enviadas WHERE agendamento_id = $1 AND dentista_id = $2 ORDER BY criado_em DESC',
+            [id, req.dentistaId]
         );
-        
-        res.json({ success: true, pacientes: result.rows });
+        res.json({ success: true, mensagens: result.rows.map(formatarMensagem) });
     } catch (error) {
-        console.error('Erro buscar aniversariantes:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao buscar aniversariantes' });
+        console.error('Erro listar mensagens:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar mensagens' });
     }
 });
 
-// Buscar paciente por ID
-app.get('/api/pacientes/:id', authMiddleware, async (req, res) => {
+// Jobs da clínica (acompanhamento de falhas)
+app.get('/api/jobs', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
     try {
-        const id = validarId(req.params.id);
-        
-        // Validar se ID é um número válido
-        if (!id) {
-            return res.status(400).json({ success: false, erro: 'ID de paciente inválido' });
+        const { status, tipo } = req.query;
+        let query = 'SELECT * FROM jobs WHERE dentista_id = $1';
+        const params = [req.dentistaId];
+        if (status) {
+            params.push(status);
+            query += ` AND status = $${params.length}`;
         }
-        
-        const result = await pool.query(
-            'SELECT * FROM pacientes WHERE id = $1 AND dentista_id = $2',
-            [id, parseInt(req.user.id)]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+        if (tipo) {
+            params.push(tipo);
+            query += ` AND tipo = $${params.length}`;
         }
+        const result = await pool.query(query + ' ORDER BY criado_em DESC LIMIT 200', params);
 
-        const p = result.rows[0];
         res.json({
             success: true,
-            paciente: {
-                id: p.id.toString(),
-                nome: p.nome,
-                cpf: p.cpf,
-                rg: p.rg,
-                dataNascimento: p.data_nascimento,
-                sexo: p.sexo,
-                telefone: p.telefone,
-                celular: p.celular,
-                email: p.email,
-                endereco: p.endereco,
-                numero: p.numero,
-                complemento: p.complemento,
-                bairro: p.bairro,
-                cidade: p.cidade,
-                estado: p.estado,
-                cep: p.cep,
-                convenio: p.convenio,
-                numeroConvenio: p.numero_convenio,
-                observacoes: p.observacoes,
-                menorIdade: p.menor_idade || false,
-                responsavelNome: p.responsavel_nome,
-                responsavelCpf: p.responsavel_cpf,
-                responsavelRg: p.responsavel_rg,
-                responsavelTelefone: p.responsavel_telefone,
-                responsavelEmail: p.responsavel_email,
-                responsavelParentesco: p.responsavel_parentesco,
-                responsavelEndereco: p.responsavel_endereco,
-                criadoEm: p.criado_em
-            }
+            jobs: result.rows.map(j => ({
+                id: j.id.toString(),
+                tipo: j.tipo,
+                status: j.status,
+                payload: j.payload,
+                tentativas: j.tentativas,
+                maxTentativas: j.max_tentativas,
+                executarEm: j.executar_em,
+                ultimoErro: j.ultimo_erro,
+                criadoEm: j.criado_em,
+                concluidoEm: j.concluido_em
+            }))
         });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao buscar paciente' });
+        console.error('Erro listar jobs:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar jobs' });
     }
 });
 
-// Criar paciente
-app.post('/api/pacientes', authMiddleware, async (req, res) => {
+// Devolve para a fila um job que esgotou as tentativas
+app.post('/api/jobs/:id/reprocessar', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
     try {
-        const {
-            nome, cpf, rg, dataNascimento, sexo, telefone, celular, email,
-            endereco, numero, complemento, bairro, cidade, estado, cep,
-            convenio, numeroConvenio, observacoes,
-            menorIdade, responsavelNome, responsavelCpf, responsavelRg,
-            responsavelTelefone, responsavelEmail, responsavelParentesco, responsavelEndereco,
-            // Campos de estrangeiro
-            estrangeiro, passaporte, pais, nacionalidade, tipo_documento,
-            // Campos de Tel. Recados
-            tel_recados, nome_recado
-        } = req.body;
-
-        // ========== VALIDAÇÃO MÍNIMA ==========
-        
-        // Nome é sempre obrigatório
-        if (!nome || nome.trim().length < 2) {
-            return res.status(400).json({ success: false, erro: 'Nome é obrigatório (mínimo 2 caracteres)' });
-        }
-        
-        // ========== CALCULAR SE CADASTRO ESTÁ COMPLETO ==========
-        // Cadastro completo = Nome + CPF (ou passaporte) + CEP
-        // Sem esses dados, não pode emitir NFS-e
-        
-        let cadastroCompleto = true;
-        
-        // Verificar documento (CPF ou passaporte)
-        if (estrangeiro) {
-            if (!passaporte) cadastroCompleto = false;
-        } else {
-            if (!cpf) cadastroCompleto = false;
-        }
-        
-        // Verificar CEP
-        if (!cep) {
-            cadastroCompleto = false;
+        const result = await pool.query(`
+            UPDATE jobs SET status = 'pendente', tentativas = 0, executar_em = NOW(), ultimo_erro = NULL
+            WHERE id = $1 AND dentista_id = $2 AND status = 'falhou'
+            RETURNING id
+        `, [validarId(req.params.id), req.dentistaId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Job não encontrado ou não está com falha' });
         }
+        if (JOBS_ATIVOS) setImmediate(cicloJobs);
+
+        res.json({ success: true, message: 'Job devolvido para a fila' });
+    } catch (error) {
+        console.error('Erro reprocessar job:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao reprocessar job' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE MENSAGENS DE ANIVERSÁRIO
+// ==============================================================================
 
+// O texto continua em config_clinica.msg_aniversario (rota de configurações); aqui liga o envio e o horário
+app.get('/api/aniversarios/config', authMiddleware, verificarAcesso('configuracoes', 'visualizar'), async (req, res) => {
+    try {
         const result = await pool.query(
-            `INSERT INTO pacientes (
-                dentista_id, nome, cpf, rg, data_nascimento, sexo, telefone, celular, email,
-                endereco, numero, complemento, bairro, cidade, estado, cep,
-                convenio, numero_convenio, observacoes,
-                menor_idade, responsavel_nome, responsavel_cpf, responsavel_rg,
-                responsavel_telefone, responsavel_email, responsavel_parentesco, responsavel_endereco,
-                estrangeiro, passaporte, pais, nacionalidade, tipo_documento,
-                tel_recados, nome_recado, cadastro_completo
-            ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33,$34,$35)
-            RETURNING *`,
-            [
-                parseInt(req.user.id), nome, cpf || null, rg || null,
-                dataNascimento || null, sexo || null, telefone || null, celular || null, email || null,
-                endereco || null, numero || null, complemento || null, bairro || null,
-                cidade || null, estado || null, cep || null,
-                convenio || null, numeroConvenio || null, observacoes || null,
-                menorIdade || false, responsavelNome || null, responsavelCpf || null, responsavelRg || null,
-                responsavelTelefone || null, responsavelEmail || null, responsavelParentesco || null, responsavelEndereco || null,
-                estrangeiro || false, passaporte || null, pais || null, nacionalidade || null, tipo_documento || 'cpf',
-                tel_recados || null, nome_recado || null, cadastroCompleto
-            ]
+            'SELECT aniversario_ativo, aniversario_hora, msg_aniversario FROM config_clinica WHERE dentista_id = $1',
+            [req.dentistaId]
         );
-
-        const p = result.rows[0];
-        res.status(201).json({
+        const c = result.rows[0] || {};
+        res.json({
             success: true,
-            message: cadastroCompleto ? 'Paciente cadastrado com sucesso!' : 'Paciente cadastrado (cadastro incompleto - não pode emitir NFS-e)',
-            paciente: {
-                id: p.id.toString(),
-                nome: p.nome,
-                cpf: p.cpf,
-                telefone: p.telefone,
-                celular: p.celular,
-                email: p.email,
-                menorIdade: p.menor_idade || false,
-                responsavelNome: p.responsavel_nome,
-                estrangeiro: p.estrangeiro || false,
-                passaporte: p.passaporte,
-                pais: p.pais,
-                nacionalidade: p.nacionalidade,
-                tipo_documento: p.tipo_documento,
-                cadastroCompleto: p.cadastro_completo || false
-            }
+            config: {
+                ativo: c.aniversario_ativo || false,
+                hora: c.aniversario_hora ? String(c.aniversario_hora).substring(0, 5) : '09:00',
+                mensagem: c.msg_aniversario || ''
+            },
+            marcadores: ['{nome}', '{primeiro_nome}', '{clinica}', '{dentista}']
         });
     } catch (error) {
-        console.error('Erro criar paciente:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao cadastrar paciente' });
+        console.error('Erro config aniversários:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar configuração' });
     }
 });
 
-// Atualizar paciente
-app.put('/api/pacientes/:id', authMiddleware, async (req, res) => {
+app.put('/api/aniversarios/config', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const {
-            nome, cpf, rg, dataNascimento, sexo, telefone, celular, email,
-            endereco, numero, complemento, bairro, cidade, estado, cep,
-            convenio, numeroConvenio, observacoes,
-            menorIdade, responsavelNome, responsavelCpf, responsavelRg,
-            responsavelTelefone, responsavelEmail, responsavelParentesco, responsavelEndereco,
-            estrangeiro, passaporte, pais, nacionalidade, tipo_documento
-        } = req.body;
-
-        // ========== RECALCULAR SE CADASTRO ESTÁ COMPLETO ==========
-        // Cadastro completo = Nome + CPF (ou passaporte) + CEP
-        let cadastroCompleto = true;
-        
-        // Verificar documento (CPF ou passaporte)
-        if (estrangeiro) {
-            if (!passaporte) cadastroCompleto = false;
-        } else {
-            if (!cpf) cadastroCompleto = false;
+        const { ativo, hora } = req.body;
+        if (hora && !/^\d{2}:\d{2}$/.test(hora)) {
+            return res.status(400).json({ success: false, erro: 'Horário inválido (HH:MM)' });
         }
-        
-        // Verificar CEP
-        if (!cep) {
-            cadastroCompleto = false;
+
+        const result = await pool.query(`
+            INSERT INTO config_clinica (dentista_id, aniversario_ativo, aniversario_hora, atualizado_em)
+            VALUES ($1, $2, COALESCE($3, '09:00'), NOW())
+            ON CONFLICT (dentista_id) DO UPDATE SET
+                aniversario_ativo = EXCLUDED.aniversario_ativo,
+                aniversario_hora = COALESCE($3, config_clinica.aniversario_hora),
+                atualizado_em = NOW()
+            RETURNING msg_aniversario
+        `, [req.dentistaId, ativo === true, hora || null]);
+
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'config_clinica', depois: { aniversario_ativo: ativo === true, aniversario_hora: hora } });
+
+        res.json({
+            success: true,
+            message: ativo === true && !result.rows[0].msg_aniversario
+                ? 'Envio ativado, mas defina a mensagem de aniversário nas configurações'
+                : 'Configuração salva!'
+        });
+    } catch (error) {
+        console.error('Erro salvar config aniversários:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao salvar configuração' });
+    }
+});
+
+// Log das mensagens de aniversário (?data=AAAA-MM-DD, padrão hoje)
+app.get('/api/aniversarios/envios', authMiddleware, verificarAcesso('pacientes', 'visualizar'), async (req, res) => {
+    try {
+        const data = req.query.data || dataEMinutoLocal(new Date()).data;
+        if (!dataValida(data)) {
+            return res.status(400).json({ success: false, erro: 'Data inválida (AAAA-MM-DD)' });
         }
 
-        const result = await pool.query(
-            `UPDATE pacientes SET
-                nome = COALESCE($1, nome), cpf = $2, rg = $3, data_nascimento = $4, sexo = $5,
-                telefone = $6, celular = $7, email = $8, endereco = $9, numero = $10,
-                complemento = $11, bairro = $12, cidade = $13, estado = $14, cep = $15,
-                convenio = $16, numero_convenio = $17, observacoes = $18,
-                menor_idade = $19, responsavel_nome = $20, responsavel_cpf = $21, responsavel_rg = $22,
-                responsavel_telefone = $23, responsavel_email = $24, responsavel_parentesco = $25, responsavel_endereco = $26,
-                estrangeiro = $27, passaporte = $28, pais = $29, nacionalidade = $30, tipo_documento = $31,
-                cadastro_completo = $32,
-                atualizado_em = CURRENT_TIMESTAMP
-            WHERE id = $33 AND dentista_id = $34 RETURNING *`,
-            [
-                nome, cpf || null, rg || null, dataNascimento || null, sexo || null,
-                telefone || null, celular || null, email || null, endereco || null, numero || null,
-                complemento || null, bairro || null, cidade || null, estado || null, cep || null,
-                convenio || null, numeroConvenio || null, observacoes || null,
-                menorIdade || false, responsavelNome || null, responsavelCpf || null, responsavelRg || null,
-                responsavelTelefone || null, responsavelEmail || null, responsavelParentesco || null, responsavelEndereco || null,
-                estrangeiro || false, passaporte || null, pais || null, nacionalidade || null, tipo_documento || 'cpf',
-                cadastroCompleto,
-                parseInt(id), parseInt(req.user.id)
-            ]
-        );
+        const result = await pool.query(`
+            SELECT m.*, p.nome as paciente_nome
+            FROM mensagens_enviadas m
+            LEFT JOIN pacientes p ON p.id = m.paciente_id
+            WHERE m.dentista_id = $1 AND m.tipo = 'aniversario' AND m.criado_em::date = $2
+            ORDER BY m.criado_em DESC
+        `, [req.dentistaId, data]);
+
+        res.json({
+            success: true,
+            envios: result.rows.map(m => ({ ...formatarMensagem(m), pacienteId: m.paciente_id, pacienteNome: m.paciente_nome }))
+        });
+    } catch (error) {
+        console.error('Erro envios aniversário:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar envios' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE MODELOS DE MENSAGEM
+// ==============================================================================
+
+function formatarModelo(m) {
+    return {
+        id: m.id.toString(),
+        chave: m.chave,
+        nome: m.nome,
+        contexto: m.contexto,
+        variantes: m.variantes || {},
+        ativo: m.ativo !== false,
+        automacao: MODELOS_AUTOMACAO[m.chave] ? true : false,
+        criadoPor: m.criado_por,
+        criadoEm: m.criado_em,
+        atualizadoEm: m.atualizado_em
+    };
+}
+
+// Valida chave/contexto/variantes do body. Retorna { erro } ou { dados }
+function lerModeloMensagem(body) {
+    const chave = String(body.chave || '').trim().toLowerCase();
+    const nome = String(body.nome || '').trim();
+    const contexto = body.contexto;
+
+    if (!/^[a-z0-9_]{3,50}$/.test(chave)) {
+        return { erro: 'Chave obrigatória (3 a 50 letras minúsculas, números ou _)' };
+    }
+    if (!nome) {
+        return { erro: 'Nome obrigatório' };
+    }
+    if (!CONTEXTOS_MODELO[contexto]) {
+        return { erro: `Contexto deve ser: ${Object.keys(CONTEXTOS_MODELO).join(', ')}` };
+    }
+    if (MODELOS_AUTOMACAO[chave] && MODELOS_AUTOMACAO[chave] !== contexto) {
+        return { erro: `O modelo "${chave}" é usado pela automação e precisa do contexto ${MODELOS_AUTOMACAO[chave]}` };
+    }
+
+    const validacao = validarVariantesModelo(contexto, body.variantes);
+    if (validacao.erro) return { erro: validacao.erro };
+
+    return { dados: { chave, nome: nome.substring(0, 255), contexto, variantes: validacao.variantes, ativo: body.ativo !== false } };
+}
+
+// Catálogo de marcadores por contexto (para o editor)
+app.get('/api/modelos-mensagem/marcadores', authMiddleware, verificarAcesso('configuracoes', 'visualizar'), (req, res) => {
+    const contextos = {};
+    for (const contexto of Object.keys(CONTEXTOS_MODELO)) {
+        contextos[contexto] = CONTEXTOS_MODELO[contexto].map(grupo => ({
+            grupo,
+            marcadores: Object.keys(MARCADORES_MODELO[grupo]).map(nome => ({ nome: `{${nome}}`, ...MARCADORES_MODELO[grupo][nome] }))
+        }));
+    }
+    res.json({ success: true, contextos, automacoes: MODELOS_AUTOMACAO, canais: CANAIS_MENSAGEM, smsLimitePadrao: SMS_LIMITE_PADRAO });
+});
+
+app.get('/api/modelos-mensagem', authMiddleware, verificarAcesso('configuracoes', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM modelos_mensagem WHERE dentista_id = $1 ORDER BY nome', [req.dentistaId]);
+        res.json({ success: true, modelos: result.rows.map(formatarModelo) });
+    } catch (error) {
+        console.error('Erro listar modelos:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar modelos de mensagem' });
+    }
+});
+
+app.post('/api/modelos-mensagem', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
+    try {
+        const leitura = lerModeloMensagem(req.body);
+        if (leitura.erro) {
+            return res.status(400).json({ success: false, erro: leitura.erro });
+        }
+        const d = leitura.dados;
 
+        const result = await pool.query(`
+            INSERT INTO modelos_mensagem (dentista_id, chave, nome, contexto, variantes, ativo, criado_por)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (dentista_id, chave) DO NOTHING
+            RETURNING *
+        `, [req.dentistaId, d.chave, d.nome, d.contexto, JSON.stringify(d.variantes), d.ativo, req.nomeUsuario || null]);
         if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+            return res.status(409).json({ success: false, erro: 'Já existe um modelo com esta chave' });
         }
 
-        const p = result.rows[0];
-        res.json({ 
-            success: true, 
-            message: cadastroCompleto ? 'Paciente atualizado!' : 'Paciente atualizado (cadastro incompleto)',
-            paciente: {
-                id: p.id.toString(),
-                nome: p.nome,
-                cpf: p.cpf,
-                rg: p.rg,
-                dataNascimento: p.data_nascimento,
-                sexo: p.sexo,
-                telefone: p.telefone,
-                celular: p.celular,
-                email: p.email,
-                endereco: p.endereco,
-                numero: p.numero,
-                complemento: p.complemento,
-                bairro: p.bairro,
-                cidade: p.cidade,
-                estado: p.estado,
-                cep: p.cep,
-                convenio: p.convenio,
-                numeroConvenio: p.numero_convenio,
-                observacoes: p.observacoes,
-                menorIdade: p.menor_idade || false,
-                responsavelNome: p.responsavel_nome,
-                responsavelCpf: p.responsavel_cpf,
-                responsavelRg: p.responsavel_rg,
-                responsavelTelefone: p.responsavel_telefone,
-                responsavelEmail: p.responsavel_email,
-                responsavelParentesco: p.responsavel_parentesco,
-                responsavelEndereco: p.responsavel_endereco,
-                estrangeiro: p.estrangeiro || false,
-                passaporte: p.passaporte,
-                pais: p.pais,
-                nacionalidade: p.nacionalidade,
-                tipo_documento: p.tipo_documento || 'cpf',
-                cadastroCompleto: p.cadastro_completo || false
-            }
-        });
+        await registrarAuditoria(req, { acao: 'criar', entidade: 'modelo_mensagem', entidadeId: result.rows[0].id, depois: result.rows[0] });
+
+        res.status(201).json({ success: true, message: 'Modelo criado!', modelo: formatarModelo(result.rows[0]) });
     } catch (error) {
-        console.error('Erro atualizar paciente:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao atualizar paciente' });
+        console.error('Erro criar modelo:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao criar modelo de mensagem' });
     }
 });
 
-// Deletar paciente (soft delete)
-app.delete('/api/pacientes/:id', authMiddleware, async (req, res) => {
+app.put('/api/modelos-mensagem/:id', authMiddleware, verificarAcesso('configuracoes', 'editar'), verificarPropriedade('modelo_mensagem', 'id'), async (req, res) => {
     try {
-        const id = validarId(req.params.id);
-        if (!id) {
-            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        const leitura = lerModeloMensagem(req.body);
+        if (leitura.erro) {
+            return res.status(400).json({ success: false, erro: leitura.erro });
         }
-        
-        const result = await pool.query(
-            'UPDATE pacientes SET ativo = false WHERE id = $1 AND dentista_id = $2 RETURNING id',
-            [id, parseInt(req.user.id)]
+        const d = leitura.dados;
+
+        const antes = await pool.query('SELECT * FROM modelos_mensagem WHERE id = $1 AND dentista_id = $2', [req.params.id, req.dentistaId]);
+        if (antes.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Modelo não encontrado' });
+        }
+        const duplicada = await pool.query(
+            'SELECT 1 FROM modelos_mensagem WHERE dentista_id = $1 AND chave = $2 AND id <> $3',
+            [req.dentistaId, d.chave, req.params.id]
         );
+        if (duplicada.rows.length > 0) {
+            return res.status(409).json({ success: false, erro: 'Já existe um modelo com esta chave' });
+        }
+
+        const result = await pool.query(`
+            UPDATE modelos_mensagem SET chave = $1, nome = $2, contexto = $3, variantes = $4, ativo = $5, atualizado_em = NOW()
+            WHERE id = $6 AND dentista_id = $7
+            RETURNING *
+        `, [d.chave, d.nome, d.contexto, JSON.stringify(d.variantes), d.ativo, req.params.id, req.dentistaId]);
+
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'modelo_mensagem', entidadeId: req.params.id, antes: antes.rows[0], depois: result.rows[0] });
+
+        res.json({ success: true, message: 'Modelo atualizado!', modelo: formatarModelo(result.rows[0]) });
+    } catch (error) {
+        console.error('Erro atualizar modelo:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar modelo de mensagem' });
+    }
+});
 
+app.delete('/api/modelos-mensagem/:id', authMiddleware, verificarAcesso('configuracoes', 'editar'), verificarPropriedade('modelo_mensagem', 'id'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM modelos_mensagem WHERE id = $1 AND dentista_id = $2 RETURNING *',
+            [req.params.id, req.dentistaId]
+        );
         if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+            return res.status(404).json({ success: false, erro: 'Modelo não encontrado' });
         }
 
-        res.json({ success: true, message: 'Paciente removido!' });
+        await registrarAuditoria(req, { acao: 'excluir', entidade: 'modelo_mensagem', entidadeId: req.params.id, antes: result.rows[0] });
+
+        res.json({ success: true, message: 'Modelo excluído!' });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao remover paciente' });
+        console.error('Erro excluir modelo:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao excluir modelo de mensagem' });
     }
 });
 
-// ==============================================================================
-// ROTAS PÚBLICAS DE CONFIRMAÇÃO (SEM AUTENTICAÇÃO)
-// ==============================================================================
+// Pré-visualização contra um registro real (agendamento, orçamento, caso protético ou paciente).
+// Sem :id usa o modelo do body (rascunho ainda não salvo). valido = nenhum marcador sem valor e SMS no limite
+async function responderPreviaModelo(req, res, contexto, variantes) {
+    const variaveis = await variaveisDoRegistro(req.dentistaId, contexto, req.body.registro_id);
+    if (!variaveis) {
+        return res.status(404).json({ success: false, erro: `Registro de ${contexto} não encontrado` });
+    }
 
-// Buscar agendamento pelo código (para mostrar detalhes ao paciente)
-app.get('/api/agendamentos/buscar-codigo/:codigo', async (req, res) => {
+    const previa = renderizarVariantesModelo(variantes, variaveis);
+    const faltando = [...new Set(Object.values(previa).reduce((todos, v) => todos.concat(v.faltando), []))];
+    const smsExcede = previa.sms ? previa.sms.excedeLimite : false;
+
+    res.json({
+        success: true,
+        contexto,
+        previa,
+        faltando: faltando.map(m => `{${m}}`),
+        valido: faltando.length === 0 && !smsExcede
+    });
+}
+
+app.post('/api/modelos-mensagem/previa', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
     try {
-        const { codigo } = req.params;
-        
-        if (!codigo || codigo.length < 6) {
-            return res.status(400).json({ success: false, erro: 'Codigo invalido' });
+        const contexto = req.body.contexto;
+        if (!CONTEXTOS_MODELO[contexto]) {
+            return res.status(400).json({ success: false, erro: `Contexto deve ser: ${Object.keys(CONTEXTOS_MODELO).join(', ')}` });
         }
-        
-        // Query usando colunas do banco de produção (name, clinic)
-        const result = await pool.query(
-            `SELECT a.*, d.name as dentista_nome, d.clinic as clinica_nome
-             FROM agendamentos a 
-             JOIN dentistas d ON a.dentista_id = d.id
-             WHERE a.codigo_confirmacao = $1`,
-            [codigo.toUpperCase()]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Agendamento nao encontrado' });
+        const validacao = validarVariantesModelo(contexto, req.body.variantes);
+        if (validacao.erro) {
+            return res.status(400).json({ success: false, erro: validacao.erro });
         }
-        
-        const a = result.rows[0];
+        await responderPreviaModelo(req, res, contexto, validacao.variantes);
+    } catch (error) {
+        console.error('Erro prévia modelo:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao gerar prévia' });
+    }
+});
+
+app.post('/api/modelos-mensagem/:id/previa', authMiddleware, verificarAcesso('configuracoes', 'editar'), verificarPropriedade('modelo_mensagem', 'id'), async (req, res) => {
+    try {
+        const modelo = await pool.query('SELECT * FROM modelos_mensagem WHERE id = $1 AND dentista_id = $2', [req.params.id, req.dentistaId]);
+        if (modelo.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Modelo não encontrado' });
+        }
+        await responderPreviaModelo(req, res, modelo.rows[0].contexto, modelo.rows[0].variantes || {});
+    } catch (error) {
+        console.error('Erro prévia modelo:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao gerar prévia' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE WHATSAPP (CONVERSAS E WEBHOOK DA CLOUD API)
+// ==============================================================================
+
+function formatarConversa(c) {
+    return {
+        id: c.id.toString(),
+        pacienteId: c.paciente_id,
+        agendamentoId: c.agendamento_id,
+        telefone: c.telefone,
+        direcao: c.direcao,
+        tipo: c.tipo,
+        conteudo: c.conteudo,
+        status: c.status,
+        enviadoPor: c.enviado_por,
+        lidaEm: c.lida_em,
+        criadoEm: c.criado_em
+    };
+}
+
+// Mensagens de um telefone na clínica; abrir a conversa marca as recebidas como lidas
+async function conversaDoTelefone(dentistaId, telefone, pacienteId) {
+    const result = await pool.query(`
+        SELECT * FROM conversas_whatsapp
+        WHERE dentista_id = $1 AND (telefone = $2 OR ($3::int IS NOT NULL AND paciente_id = $3))
+        ORDER BY criado_em
+    `, [dentistaId, telefone, pacienteId || null]);
+    await pool.query(`
+        UPDATE conversas_whatsapp SET lida_em = NOW()
+        WHERE dentista_id = $1 AND (telefone = $2 OR ($3::int IS NOT NULL AND paciente_id = $3))
+          AND direcao = 'entrada' AND lida_em IS NULL
+    `, [dentistaId, telefone, pacienteId || null]);
+    return result.rows.map(formatarConversa);
+}
+
+app.get('/api/whatsapp/config', authMiddleware, verificarAcesso('configuracoes', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT whatsapp, whatsapp_phone_id FROM config_clinica WHERE dentista_id = $1', [req.dentistaId]);
+        const c = result.rows[0] || {};
         res.json({
             success: true,
-            agendamento: {
-                pacienteNome: a.paciente_nome,
-                data: a.data,
-                horario: a.horario,
-                procedimento: a.procedimento,
-                status: a.status,
-                dentistaNome: a.dentista_nome,
-                clinicaNome: a.clinica_nome,
-                clinicaTelefone: null // Telefone será pego das configurações locais
+            config: {
+                whatsapp: c.whatsapp || null,
+                phoneId: c.whatsapp_phone_id || null,
+                // Sem número próprio a clínica usa o número padrão da plataforma
+                usaNumeroPadrao: !c.whatsapp_phone_id,
+                disponivel: provedorDoCanal('whatsapp') !== null
             }
         });
     } catch (error) {
-        console.error('Erro buscar agendamento por codigo:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao buscar agendamento' });
+        console.error('Erro config WhatsApp:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar configuração do WhatsApp' });
     }
 });
 
-// Confirmar ou cancelar agendamento via código (paciente clica no link)
-app.post('/api/agendamentos/confirmar', async (req, res) => {
+app.put('/api/whatsapp/config', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
     try {
-        const { codigo, acao } = req.body;
-        
-        if (!codigo || codigo.length < 6) {
-            return res.status(400).json({ success: false, erro: 'Codigo invalido' });
+        const phoneId = req.body.phoneId ? String(req.body.phoneId).trim() : null;
+        if (phoneId && !/^\d{5,30}$/.test(phoneId)) {
+            return res.status(400).json({ success: false, erro: 'Phone number ID inválido' });
+        }
+        if (phoneId) {
+            const outra = await pool.query(
+                'SELECT 1 FROM config_clinica WHERE whatsapp_phone_id = $1 AND dentista_id <> $2',
+                [phoneId, req.dentistaId]
+            );
+            if (outra.rows.length > 0) {
+                return res.status(409).json({ success: false, erro: 'Este número já está vinculado a outra clínica' });
+            }
         }
-        
-        if (!acao || !['confirmar', 'cancelar'].includes(acao)) {
-            return res.status(400).json({ success: false, erro: 'Acao invalida' });
+
+        await pool.query(`
+            INSERT INTO config_clinica (dentista_id, whatsapp_phone_id, atualizado_em)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (dentista_id) DO UPDATE SET whatsapp_phone_id = EXCLUDED.whatsapp_phone_id, atualizado_em = NOW()
+        `, [req.dentistaId, phoneId]);
+
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'config_clinica', depois: { whatsapp_phone_id: phoneId } });
+
+        res.json({ success: true, message: 'WhatsApp configurado!' });
+    } catch (error) {
+        console.error('Erro salvar config WhatsApp:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao salvar configuração do WhatsApp' });
+    }
+});
+
+// Caixa de entrada: última mensagem de cada telefone e quantas recebidas ainda não foram lidas
+app.get('/api/whatsapp/conversas', authMiddleware, verificarAcesso('pacientes', 'visualizar'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT DISTINCT ON (c.telefone) c.*, p.nome as paciente_nome,
+                   (SELECT COUNT(*) FROM conversas_whatsapp n
+                    WHERE n.dentista_id = c.dentista_id AND n.telefone = c.telefone
+                      AND n.direcao = 'entrada' AND n.lida_em IS NULL) as nao_lidas
+            FROM conversas_whatsapp c
+            LEFT JOIN pacientes p ON p.id = c.paciente_id
+            WHERE c.dentista_id = $1
+            ORDER BY c.telefone, c.criado_em DESC
+        `, [req.dentistaId]);
+
+        const conversas = result.rows
+            .map(c => ({ ...formatarConversa(c), pacienteNome: c.paciente_nome || null, naoLidas: parseInt(c.nao_lidas) || 0 }))
+            .sort((a, b) => new Date(b.criadoEm) - new Date(a.criadoEm));
+
+        res.json({ success: true, conversas });
+    } catch (error) {
+        console.error('Erro listar conversas WhatsApp:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar conversas' });
+    }
+});
+
+app.get('/api/whatsapp/conversas/:telefone', authMiddleware, verificarAcesso('pacientes', 'visualizar'), async (req, res) => {
+    try {
+        const telefone = telefoneE164(req.params.telefone);
+        if (!telefone) {
+            return res.status(400).json({ success: false, erro: 'Telefone inválido' });
         }
-        
-        // Buscar agendamento - usando colunas do banco de produção
-        const busca = await pool.query(
-            `SELECT a.*, d.name as dentista_nome, d.clinic as clinica_nome
-             FROM agendamentos a 
-             JOIN dentistas d ON a.dentista_id = d.id
-             WHERE a.codigo_confirmacao = $1`,
-            [codigo.toUpperCase()]
-        );
-        
-        if (busca.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Agendamento nao encontrado' });
+        res.json({ success: true, telefone, mensagens: await conversaDoTelefone(req.dentistaId, telefone, null) });
+    } catch (error) {
+        console.error('Erro conversa WhatsApp:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar conversa' });
+    }
+});
+
+// Conversa completa com o paciente (todas as mensagens ligadas a ele ou ao celular dele)
+app.get('/api/pacientes/:id/whatsapp', authMiddleware, verificarAcesso('pacientes', 'visualizar'), verificarPropriedade('paciente', 'id'), async (req, res) => {
+    try {
+        const paciente = await pool.query('SELECT id, celular, telefone FROM pacientes WHERE id = $1 AND dentista_id = $2', [req.params.id, req.dentistaId]);
+        if (paciente.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
         }
-        
-        const agendamento = busca.rows[0];
-        
-        // Verificar se já foi confirmado/cancelado
-        if (agendamento.status === 'confirmado' && acao === 'confirmar') {
-            return res.json({ 
-                success: true, 
-                message: 'Consulta ja estava confirmada',
-                agendamento: {
-                    pacienteNome: agendamento.paciente_nome,
-                    data: agendamento.data,
-                    horario: agendamento.horario,
-                    procedimento: agendamento.procedimento,
-                    status: 'confirmado',
-                    dentistaNome: agendamento.dentista_nome,
-                    clinicaNome: agendamento.clinica_nome,
-                    clinicaTelefone: null
-                }
+        const p = paciente.rows[0];
+        const telefone = telefoneE164(p.celular) || telefoneE164(p.telefone);
+
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'conversa_whatsapp', entidadeId: p.id, pacienteId: p.id });
+
+        res.json({ success: true, telefone, mensagens: await conversaDoTelefone(req.dentistaId, telefone || '', p.id) });
+    } catch (error) {
+        console.error('Erro conversa WhatsApp paciente:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar conversa' });
+    }
+});
+
+// Resposta manual da recepção. Texto livre só vale até 24h depois da última mensagem do paciente.
+app.post('/api/pacientes/:id/whatsapp', authMiddleware, verificarAcesso('pacientes', 'editar'), verificarPropriedade('paciente', 'id'), async (req, res) => {
+    try {
+        const texto = String(req.body.texto || '').trim();
+        if (!texto) {
+            return res.status(400).json({ success: false, erro: 'Mensagem obrigatória' });
+        }
+
+        const paciente = await pool.query('SELECT id, celular, telefone FROM pacientes WHERE id = $1 AND dentista_id = $2', [req.params.id, req.dentistaId]);
+        if (paciente.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
+        }
+        const p = paciente.rows[0];
+        const telefone = telefoneE164(p.celular) || telefoneE164(p.telefone);
+        if (!telefone) {
+            return res.status(400).json({ success: false, erro: 'Paciente sem celular cadastrado' });
+        }
+
+        const janela = await pool.query(`
+            SELECT 1 FROM conversas_whatsapp
+            WHERE dentista_id = $1 AND (telefone = $2 OR paciente_id = $3) AND direcao = 'entrada'
+              AND criado_em > NOW() - make_interval(hours => $4)
+            LIMIT 1
+        `, [req.dentistaId, telefone, p.id, WHATSAPP_JANELA_HORAS]);
+        if (janela.rows.length === 0) {
+            return res.status(409).json({
+                success: false,
+                erro: 'O paciente não escreve há mais de 24h: o WhatsApp só permite iniciar conversa com modelo aprovado'
             });
         }
-        
-        // Atualizar status
-        const novoStatus = acao === 'confirmar' ? 'confirmado' : 'cancelado';
-        await pool.query(
-            'UPDATE agendamentos SET status = $1 WHERE id = $2',
-            [novoStatus, agendamento.id]
-        );
-        
-        console.log(`Agendamento ${agendamento.id} ${novoStatus} via link pelo paciente`);
-        
+
+        const envio = await enviarMensagem({
+            dentistaId: req.dentistaId,
+            tipo: 'conversa',
+            canais: ['whatsapp'],
+            destinatario: { telefone },
+            texto,
+            pacienteId: p.id,
+            enviadoPor: req.nomeUsuario || null
+        });
+
+        res.status(201).json({ success: true, message: 'Mensagem enviada!', mensagemId: envio.mensagemId });
+    } catch (error) {
+        console.error('Erro enviar WhatsApp:', error);
+        res.status(500).json({ success: false, erro: 'Não foi possível enviar a mensagem pelo WhatsApp' });
+    }
+});
+
+// Verificação do webhook pela Meta (hub.challenge)
+app.get('/api/webhooks/whatsapp', (req, res) => {
+    if (WHATSAPP_VERIFY_TOKEN && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === WHATSAPP_VERIFY_TOKEN) {
+        return res.status(200).send(String(req.query['hub.challenge'] || ''));
+    }
+    res.status(403).json({ success: false, erro: 'Token de verificação inválido' });
+});
+
+// Mensagens recebidas e status de entrega. Assinado com X-Hub-Signature-256 (HMAC do app secret);
+// sem WHATSAPP_APP_SECRET nada é aceito, nem com o provedor mock (para testar, configure um secret local).
+app.post('/api/webhooks/whatsapp', async (req, res) => {
+    try {
+        if (!WHATSAPP_APP_SECRET) {
+            return res.status(503).json({ success: false, erro: 'Webhook do WhatsApp não configurado' });
+        }
+        const assinatura = String(req.headers['x-hub-signature-256'] || '');
+        const esperada = 'sha256=' + crypto.createHmac('sha256', WHATSAPP_APP_SECRET).update(req.rawBody || '').digest('hex');
+        if (assinatura.length !== esperada.length || !crypto.timingSafeEqual(Buffer.from(assinatura), Buffer.from(esperada))) {
+            return res.status(401).json({ success: false, erro: 'Assinatura inválida' });
+        }
+
+        for (const entrada of (req.body && req.body.entry) || []) {
+            for (const mudanca of entrada.changes || []) {
+                const valor = mudanca.value || {};
+                const phoneId = valor.metadata ? valor.metadata.phone_number_id : null;
+                for (const mensagem of valor.messages || []) {
+                    const contato = (valor.contacts || []).find(c => c.wa_id === mensagem.from);
+                    await processarMensagemRecebidaWhatsapp(phoneId, mensagem, contato);
+                }
+                for (const status of valor.statuses || []) {
+                    await atualizarStatusWhatsapp(status);
+                }
+            }
+        }
+
+        res.sendStatus(200);
+    } catch (error) {
+        // 500 faz a Meta reenviar; mensagem já com processado_em não é processada de novo
+        console.error('Erro webhook WhatsApp:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao processar webhook' });
+    }
+});
+
+// ==============================================================================
+// ROTAS DE CONSENTIMENTOS DE COMUNICAÇÃO (LGPD)
+// ==============================================================================
+
+app.get('/api/pacientes/:id/consentimentos', authMiddleware, verificarAcesso('pacientes', 'visualizar'), verificarPropriedade('paciente', 'id'), async (req, res) => {
+    try {
+        const pacienteId = parseInt(req.params.id);
+        const historico = await pool.query(`
+            SELECT id, canal, finalidade, consentido, origem, registrado_por, ip, observacao, criado_em
+            FROM consentimentos
+            WHERE paciente_id = $1 AND dentista_id = $2
+            ORDER BY criado_em DESC, id DESC
+            LIMIT 200
+        `, [pacienteId, req.dentistaId]);
+
         res.json({
             success: true,
-            message: acao === 'confirmar' ? 'Consulta confirmada!' : 'Consulta cancelada',
-            agendamento: {
-                pacienteNome: agendamento.paciente_nome,
-                data: agendamento.data,
-                horario: agendamento.horario,
-                procedimento: agendamento.procedimento,
-                status: novoStatus,
-                dentistaNome: agendamento.dentista_nome,
-                clinicaNome: agendamento.clinica_nome,
-                clinicaTelefone: null
-            }
+            finalidades: FINALIDADES_CONSENTIMENTO,
+            canais: CANAIS_MENSAGEM,
+            atual: await consentimentosAtuais(pacienteId),
+            historico: historico.rows.map(h => ({
+                id: h.id,
+                canal: h.canal,
+                finalidade: h.finalidade,
+                consentido: h.consentido,
+                origem: h.origem,
+                registradoPor: h.registrado_por,
+                ip: h.ip,
+                observacao: h.observacao,
+                criadoEm: h.criado_em
+            }))
         });
     } catch (error) {
-        console.error('Erro confirmar agendamento:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao processar confirmacao' });
+        console.error('Erro listar consentimentos:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar consentimentos' });
     }
 });
 
-// ==============================================================================
-// ROTAS DE AGENDAMENTOS
-// ==============================================================================
-
-app.get('/api/agendamentos', authMiddleware, async (req, res) => {
+// Body: { alteracoes: [{ canal, finalidade, consentido }], origem, observacao }
+app.put('/api/pacientes/:id/consentimentos', authMiddleware, verificarAcesso('pacientes', 'editar'), verificarPropriedade('paciente', 'id'), async (req, res) => {
+    let client;
     try {
-        const { data, inicio, fim, profissional_id } = req.query;
-        let query = `SELECT a.*, COALESCE(p.celular, p.telefone) as paciente_telefone 
-                     FROM agendamentos a 
-                     LEFT JOIN pacientes p ON a.paciente_id = p.id 
-                     WHERE a.dentista_id = $1`;
-        const params = [parseInt(req.user.id)];
-        let paramIndex = 2;
+        const pacienteId = parseInt(req.params.id);
+        const { alteracoes, observacao } = req.body;
+        const origem = req.body.origem || 'recepcao';
 
-        // Filtrar por profissional específico (coluna da agenda)
-        if (profissional_id) {
-            query += ` AND a.profissional_id = $${paramIndex}`;
-            params.push(parseInt(profissional_id));
-            paramIndex++;
+        if (!Array.isArray(alteracoes) || alteracoes.length === 0) {
+            return res.status(400).json({ success: false, erro: 'Informe as alterações de consentimento' });
         }
-
-        if (data) {
-            query += ` AND a.data = $${paramIndex}`;
-            params.push(data);
-            paramIndex++;
-        } else if (inicio && fim) {
-            query += ` AND a.data >= $${paramIndex} AND a.data <= $${paramIndex + 1}`;
-            params.push(inicio, fim);
-            paramIndex += 2;
+        // link_descadastro e whatsapp só são registrados pelo próprio paciente
+        if (!ORIGENS_CONSENTIMENTO.includes(origem) || ['link_descadastro', 'whatsapp'].includes(origem)) {
+            return res.status(400).json({ success: false, erro: 'Origem inválida' });
+        }
+        for (const a of alteracoes) {
+            if (!a || !CANAIS_MENSAGEM.includes(a.canal)) {
+                return res.status(400).json({ success: false, erro: `Canal inválido. Use: ${CANAIS_MENSAGEM.join(', ')}` });
+            }
+            if (!FINALIDADES_CONSENTIMENTO[a.finalidade]) {
+                return res.status(400).json({ success: false, erro: `Finalidade inválida. Use: ${Object.keys(FINALIDADES_CONSENTIMENTO).join(', ')}` });
+            }
+            if (typeof a.consentido !== 'boolean') {
+                return res.status(400).json({ success: false, erro: 'Informe consentido (true ou false) em cada alteração' });
+            }
         }
 
-        query += ' ORDER BY a.data ASC, a.horario ASC';
-        const result = await pool.query(query, params);
+        const antes = await consentimentosAtuais(pacienteId);
 
-        const agendamentos = result.rows.map(a => ({
-            id: a.id.toString(),
-            pacienteId: a.paciente_id ? a.paciente_id.toString() : null,
-            paciente_nome: a.paciente_nome,
-            paciente_telefone: a.paciente_telefone || null,
-            data: a.data,
-            hora: a.horario,
-            duracao: a.duracao,
-            procedimento: a.procedimento,
-            valor: a.valor,
-            status: a.status,
-            encaixe: a.encaixe || false,
-            observacoes: a.observacoes,
-            codigoConfirmacao: a.codigo_confirmacao,
-            rotulo: a.rotulo,
-            profissional_id: a.profissional_id,
-            criadoEm: a.criado_em
-        }));
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await registrarConsentimentos(client, {
+            dentistaId: req.dentistaId,
+            pacienteId,
+            alteracoes: alteracoes.map(a => ({ canal: a.canal, finalidade: a.finalidade, consentido: a.consentido })),
+            origem,
+            registradoPor: req.nomeUsuario || null,
+            ip: obterIp(req),
+            observacao: observacao ? String(observacao).substring(0, 500) : null
+        });
+        await client.query('COMMIT');
 
-        res.json({ success: true, agendamentos, total: agendamentos.length });
+        const depois = await consentimentosAtuais(pacienteId);
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'consentimento', entidadeId: pacienteId, pacienteId, antes, depois });
+
+        res.json({ success: true, message: 'Consentimentos atualizados!', atual: depois });
     } catch (error) {
-        console.error('Erro listar agendamentos:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao listar agendamentos' });
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro atualizar consentimentos:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar consentimentos' });
+    } finally {
+        if (client) client.release();
     }
 });
 
-// Buscar agendamentos pendentes de confirmação (para envio em lote)
-app.get('/api/agendamentos/pendentes', authMiddleware, async (req, res) => {
+// ============ PÚBLICAS: LINK DE DESCADASTRO (SEM AUTENTICAÇÃO) ============
+
+async function pacienteDoDescadastro(req, res) {
+    const dados = lerTokenDescadastro(req.params.token);
+    const paciente = dados
+        ? await pool.query(`
+            SELECT p.id, p.nome, p.dentista_id, c.nome_clinica
+            FROM pacientes p
+            LEFT JOIN config_clinica c ON c.dentista_id = p.dentista_id
+            WHERE p.id = $1
+        `, [dados.pacienteId])
+        : { rows: [] };
+    if (paciente.rows.length === 0) {
+        res.status(404).json({ success: false, erro: 'Link inválido' });
+        return null;
+    }
+    return { ...paciente.rows[0], finalidade: dados.finalidade };
+}
+
+app.get('/api/descadastro/:token', contarRequisicaoPorIp('descadastro_ip'), async (req, res) => {
     try {
-        const { inicio, fim } = req.query;
-        
-        if (!inicio || !fim) {
-            return res.status(400).json({ success: false, erro: 'Período obrigatório (inicio e fim)' });
-        }
-        
-        // Buscar agendamentos pendentes (status = 'agendado') com dados do paciente e profissional
-        const result = await pool.query(
-            `SELECT a.*, 
-                    COALESCE(p.celular, p.telefone) as paciente_telefone,
-                    prof.nome as profissional_nome
-             FROM agendamentos a
-             LEFT JOIN pacientes p ON a.paciente_id = p.id
-             LEFT JOIN profissionais prof ON a.profissional_id = prof.id
-             WHERE a.dentista_id = $1 
-               AND a.data >= $2 
-               AND a.data <= $3
-               AND (a.status = 'agendado' OR a.status IS NULL)
-             ORDER BY a.data ASC, a.horario ASC`,
-            [parseInt(req.user.id), inicio, fim]
-        );
-        
-        const agendamentos = result.rows.map(a => ({
-            id: a.id.toString(),
-            paciente_id: a.paciente_id ? a.paciente_id.toString() : null,
-            paciente_nome: a.paciente_nome,
-            paciente_telefone: a.paciente_telefone || null,
-            data: a.data,
-            hora: a.horario,
-            duracao: a.duracao,
-            procedimento: a.procedimento,
-            status: a.status,
-            codigo_confirmacao: a.codigo_confirmacao,
-            profissional_id: a.profissional_id,
-            profissional_nome: a.profissional_nome || 'Profissional'
-        }));
-        
-        res.json({ success: true, agendamentos, total: agendamentos.length });
+        const p = await pacienteDoDescadastro(req, res);
+        if (!p) return;
+
+        const atual = await consentimentosAtuais(p.id);
+        res.json({
+            success: true,
+            nome: String(p.nome || '').split(' ')[0],
+            clinica: p.nome_clinica || null,
+            finalidade: p.finalidade,
+            descricao: FINALIDADES_CONSENTIMENTO[p.finalidade].descricao,
+            canais: CANAIS_MENSAGEM.reduce((acc, canal) => {
+                acc[canal] = atual[canal][p.finalidade].consentido;
+                return acc;
+            }, {})
+        });
     } catch (error) {
-        console.error('Erro buscar pendentes:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao buscar agendamentos pendentes' });
+        console.error('Erro buscar descadastro:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
     }
 });
 
-// Buscar agendamentos com tel. de recados (pacientes que têm tel_recados preenchido)
-app.get('/api/agendamentos/recados', authMiddleware, async (req, res) => {
+// Body: { canal } para sair só de um canal, { todos: true } para sair de todas as mensagens.
+// Sem body sai da finalidade do link em todos os canais.
+app.post('/api/descadastro/:token', contarRequisicaoPorIp('descadastro_ip'), async (req, res) => {
     try {
-        const { inicio, fim } = req.query;
-        
-        if (!inicio || !fim) {
-            return res.status(400).json({ success: false, erro: 'Período obrigatório' });
-        }
-        
-        const result = await pool.query(
-            `SELECT a.*, 
-                    p.tel_recados,
-                    p.nome_recado,
-                    prof.nome as profissional_nome
-             FROM agendamentos a
-             JOIN pacientes p ON a.paciente_id = p.id
-             LEFT JOIN profissionais prof ON a.profissional_id = prof.id
-             WHERE a.dentista_id = $1 
-               AND a.data >= $2 
-               AND a.data <= $3
-               AND p.tel_recados IS NOT NULL 
-               AND p.tel_recados != ''
-             ORDER BY a.data ASC, a.horario ASC`,
-            [parseInt(req.user.id), inicio, fim]
-        );
-        
-        const agendamentos = result.rows.map(a => ({
-            id: a.id.toString(),
-            paciente_nome: a.paciente_nome,
-            tel_recados: a.tel_recados,
-            nome_recado: a.nome_recado,
-            data: a.data,
-            hora: a.horario,
-            procedimento: a.procedimento,
-            profissional_nome: a.profissional_nome || 'Profissional'
-        }));
-        
-        res.json({ success: true, agendamentos });
+        const p = await pacienteDoDescadastro(req, res);
+        if (!p) return;
+
+        const { canal, todos } = req.body || {};
+        if (canal && !CANAIS_MENSAGEM.includes(canal)) {
+            return res.status(400).json({ success: false, erro: 'Canal inválido' });
+        }
+        const finalidades = todos ? Object.keys(FINALIDADES_CONSENTIMENTO) : [p.finalidade];
+        const canais = canal ? [canal] : CANAIS_MENSAGEM;
+
+        const alteracoes = [];
+        for (const finalidade of finalidades) {
+            for (const c of canais) alteracoes.push({ canal: c, finalidade, consentido: false });
+        }
+        await registrarConsentimentos(pool, {
+            dentistaId: p.dentista_id,
+            pacienteId: p.id,
+            alteracoes,
+            origem: 'link_descadastro',
+            registradoPor: p.nome,
+            ip: obterIp(req)
+        });
+
+        res.json({
+            success: true,
+            message: todos
+                ? 'Pronto! Você não vai mais receber mensagens automáticas da clínica.'
+                : `Pronto! Você não vai mais receber: ${FINALIDADES_CONSENTIMENTO[p.finalidade].descricao.toLowerCase()}.`
+        });
     } catch (error) {
-        console.error('Erro buscar recados:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao buscar recados' });
+        console.error('Erro descadastro:', error);
+        res.status(500).json({ success: false, erro: 'Erro interno' });
     }
 });
 
-app.post('/api/agendamentos', authMiddleware, async (req, res) => {
+// ==============================================================================
+// ROTAS DE CALENDÁRIO (FEEDS ICS)
+// ==============================================================================
+
+function formatarFeed(f, req, token) {
+    return {
+        id: f.id.toString(),
+        profissionalId: f.profissional_id,
+        profissionalNome: f.profissional_nome || null,
+        privacidade: f.privacidade,
+        criadoPor: f.criado_por,
+        criadoEm: f.criado_em,
+        ultimoAcessoEm: f.ultimo_acesso_em,
+        // A URL completa só existe na criação: depois disso guardamos apenas o hash do token
+        url: token ? `${req.protocol}://${req.get('host')}/api/calendario/feed/${token}.ics` : null
+    };
+}
+
+app.get('/api/calendario/feeds', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
     try {
-        const { pacienteId, pacienteNome, data, horario, duracao, procedimento, valor, status, encaixe, observacoes, rotulo, profissional_id, dentista_id } = req.body;
+        const result = await pool.query(`
+            SELECT f.*, p.nome as profissional_nome
+            FROM feeds_calendario f
+            LEFT JOIN profissionais p ON p.id = f.profissional_id
+            WHERE f.dentista_id = $1 AND f.revogado_em IS NULL
+            ORDER BY f.profissional_id NULLS FIRST, f.criado_em
+        `, [req.dentistaId]);
 
-        if (!data || !horario) {
-            return res.status(400).json({ success: false, erro: 'Data e horário obrigatórios' });
-        }
+        res.json({ success: true, feeds: result.rows.map(f => formatarFeed(f, req)) });
+    } catch (error) {
+        console.error('Erro listar feeds:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar calendários' });
+    }
+});
 
-        let nomePaciente = pacienteNome;
-        if (pacienteId && !nomePaciente) {
-            const pacResult = await pool.query('SELECT nome FROM pacientes WHERE id = $1', [parseInt(pacienteId)]);
-            if (pacResult.rows.length > 0) nomePaciente = pacResult.rows[0].nome;
+// Cria (ou gera de novo) o feed da clínica ou de um profissional. Um feed ativo por agenda:
+// o anterior é revogado, então gerar de novo também serve para invalidar um link vazado.
+app.post('/api/calendario/feeds', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('profissional', 'profissional_id'), async (req, res) => {
+    let client;
+    try {
+        const profissionalId = req.body.profissional_id ? validarId(req.body.profissional_id) : null;
+        const privacidade = req.body.privacidade || 'iniciais';
+        if (!PRIVACIDADES_FEED.includes(privacidade)) {
+            return res.status(400).json({ success: false, erro: `Privacidade deve ser: ${PRIVACIDADES_FEED.join(', ')}` });
         }
 
-        // Gerar código único de confirmação
-        const codigoConfirmacao = await gerarCodigoUnico();
-
-        // profissional_id = ID do profissional na agenda (coluna)
-        // dentista_id do body = mesmo que profissional_id (compatibilidade)
-        const profId = profissional_id || dentista_id || null;
+        const token = crypto.randomBytes(32).toString('hex');
 
-        const result = await pool.query(
-            `INSERT INTO agendamentos (dentista_id, paciente_id, paciente_nome, data, horario, duracao, procedimento, valor, status, encaixe, observacoes, codigo_confirmacao, rotulo, profissional_id)
-             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14) RETURNING *`,
-            [parseInt(req.user.id), pacienteId ? parseInt(pacienteId) : null, nomePaciente, data, horario, duracao || 60, procedimento, valor, status || 'agendado', encaixe || false, observacoes, codigoConfirmacao, rotulo || null, profId ? parseInt(profId) : null]
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query(
+            `UPDATE feeds_calendario SET revogado_em = NOW()
+             WHERE dentista_id = $1 AND profissional_id IS NOT DISTINCT FROM $2 AND revogado_em IS NULL`,
+            [req.dentistaId, profissionalId]
         );
+        const result = await client.query(`
+            INSERT INTO feeds_calendario (dentista_id, profissional_id, token_hash, privacidade, criado_por)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [req.dentistaId, profissionalId, hashToken(token), privacidade, req.nomeUsuario || null]);
+        await client.query('COMMIT');
+
+        await registrarAuditoria(req, { acao: 'criar', entidade: 'feed_calendario', entidadeId: result.rows[0].id, depois: { profissional_id: profissionalId, privacidade } });
 
-        const a = result.rows[0];
         res.status(201).json({
             success: true,
-            message: 'Agendamento criado!',
-            agendamento: { 
-                id: a.id.toString(), 
-                paciente_nome: a.paciente_nome, 
-                data: a.data, 
-                hora: a.horario, 
-                procedimento: a.procedimento, 
-                status: a.status, 
-                encaixe: a.encaixe,
-                codigoConfirmacao: a.codigo_confirmacao,
-                rotulo: a.rotulo,
-                profissional_id: a.profissional_id
-            }
+            message: 'Calendário criado! Copie o link agora, ele não será exibido novamente',
+            feed: formatarFeed(result.rows[0], req, token)
         });
     } catch (error) {
-        console.error('Erro criar agendamento:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao criar agendamento' });
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Erro criar feed:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao criar calendário' });
+    } finally {
+        if (client) client.release();
     }
 });
 
-// Buscar agendamento por ID
-app.get('/api/agendamentos/:id', authMiddleware, async (req, res) => {
+app.put('/api/calendario/feeds/:id', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('feed_calendario', 'id'), async (req, res) => {
     try {
-        const id = validarId(req.params.id);
-        if (!id) {
-            return res.status(400).json({ success: false, erro: 'ID inválido' });
+        const { privacidade } = req.body;
+        if (!PRIVACIDADES_FEED.includes(privacidade)) {
+            return res.status(400).json({ success: false, erro: `Privacidade deve ser: ${PRIVACIDADES_FEED.join(', ')}` });
         }
-        
+
         const result = await pool.query(
-            `SELECT a.*, COALESCE(p.celular, p.telefone) as paciente_telefone_db
-             FROM agendamentos a
-             LEFT JOIN pacientes p ON a.paciente_id = p.id
-             WHERE a.id = $1 AND a.dentista_id = $2`,
-            [id, parseInt(req.user.id)]
+            `UPDATE feeds_calendario SET privacidade = $1
+             WHERE id = $2 AND dentista_id = $3 AND revogado_em IS NULL RETURNING *`,
+            [privacidade, req.params.id, req.dentistaId]
         );
-
         if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+            return res.status(404).json({ success: false, erro: 'Calendário não encontrado' });
         }
 
-        const a = result.rows[0];
-        res.json({
-            id: a.id.toString(),
-            paciente_id: a.paciente_id ? a.paciente_id.toString() : null,
-            paciente_nome: a.paciente_nome,
-            paciente_telefone: a.paciente_telefone_db || null,
-            data: a.data,
-            hora: a.horario,
-            duracao: a.duracao,
-            procedimento: a.procedimento,
-            valor: a.valor,
-            status: a.status,
-            encaixe: a.encaixe || false,
-            observacoes: a.observacoes,
-            codigoConfirmacao: a.codigo_confirmacao,
-            rotulo: a.rotulo,
-            profissional_id: a.profissional_id,
-            criadoEm: a.criado_em
-        });
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'feed_calendario', entidadeId: req.params.id, depois: { privacidade } });
+
+        res.json({ success: true, message: 'Calendário atualizado!', feed: formatarFeed(result.rows[0], req) });
     } catch (error) {
-        console.error('Erro buscar agendamento:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao buscar agendamento' });
+        console.error('Erro atualizar feed:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao atualizar calendário' });
     }
 });
 
-app.put('/api/agendamentos/:id', authMiddleware, async (req, res) => {
+app.delete('/api/calendario/feeds/:id', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('feed_calendario', 'id'), async (req, res) => {
     try {
-        const id = validarId(req.params.id);
-        if (!id) {
-            return res.status(400).json({ success: false, erro: 'ID inválido' });
-        }
-        
-        const { pacienteId, pacienteNome, data, horario, duracao, procedimento, valor, status, encaixe, observacoes } = req.body;
-
-        let nomePaciente = pacienteNome;
-        const pacId = validarId(pacienteId);
-        if (pacId && !nomePaciente) {
-            const pacResult = await pool.query('SELECT nome FROM pacientes WHERE id = $1', [pacId]);
-            if (pacResult.rows.length > 0) nomePaciente = pacResult.rows[0].nome;
-        }
-
         const result = await pool.query(
-            `UPDATE agendamentos SET paciente_id = $1, paciente_nome = $2, data = COALESCE($3, data), horario = COALESCE($4, horario),
-             duracao = COALESCE($5, duracao), procedimento = $6, valor = $7, status = COALESCE($8, status), encaixe = COALESCE($9, encaixe),
-             observacoes = $10, atualizado_em = CURRENT_TIMESTAMP WHERE id = $11 AND dentista_id = $12 RETURNING *`,
-            [pacId, nomePaciente, data, horario, duracao, procedimento, valor, status, encaixe, observacoes, id, parseInt(req.user.id)]
+            'UPDATE feeds_calendario SET revogado_em = NOW() WHERE id = $1 AND dentista_id = $2 AND revogado_em IS NULL RETURNING id',
+            [req.params.id, req.dentistaId]
         );
-
         if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
+            return res.status(404).json({ success: false, erro: 'Calendário não encontrado' });
         }
 
-        res.json({ success: true, message: 'Agendamento atualizado!' });
+        await registrarAuditoria(req, { acao: 'revogar', entidade: 'feed_calendario', entidadeId: req.params.id });
+
+        res.json({ success: true, message: 'Link do calendário desativado!' });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao atualizar agendamento' });
+        console.error('Erro revogar feed:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao desativar calendário' });
     }
 });
 
-app.delete('/api/agendamentos/:id', authMiddleware, async (req, res) => {
+// Feed público assinado pelo app de calendário (Google, Apple, Outlook). O token (256 bits) é a credencial.
+// Sem limite por IP: Google e Outlook buscam os feeds de todas as clínicas a partir dos mesmos poucos IPs.
+app.get('/api/calendario/feed/:token', async (req, res) => {
     try {
-        const id = validarId(req.params.id);
-        if (!id) {
-            return res.status(400).json({ success: false, erro: 'ID inválido' });
-        }
-        
-        const result = await pool.query(
-            'DELETE FROM agendamentos WHERE id = $1 AND dentista_id = $2 RETURNING id',
-            [id, parseInt(req.user.id)]
-        );
+        const token = String(req.params.token).replace(/\.ics$/i, '');
+        const feed = await pool.query(`
+            SELECT f.*, p.nome as profissional_nome, c.nome_clinica, d.clinic as clinica_nome
+            FROM feeds_calendario f
+            JOIN dentistas d ON d.id = f.dentista_id
+            LEFT JOIN profissionais p ON p.id = f.profissional_id
+            LEFT JOIN config_clinica c ON c.dentista_id = f.dentista_id
+            WHERE f.token_hash = $1 AND f.revogado_em IS NULL
+        `, [hashToken(token)]);
+        if (feed.rows.length === 0) {
+            return res.status(404).json({ success: false, erro: 'Calendário não encontrado' });
+        }
+        const f = feed.rows[0];
+
+        let query = `
+            SELECT a.id, to_char(a.data, 'YYYY-MM-DD') as data_texto, a.horario, a.duracao, a.procedimento,
+                   a.status, a.encaixe, a.atualizado_em, a.criado_em,
+                   COALESCE(pc.nome, a.paciente_nome) as paciente_nome, pr.nome as profissional_nome
+            FROM agendamentos a
+            LEFT JOIN pacientes pc ON pc.id = a.paciente_id
+            LEFT JOIN profissionais pr ON pr.id = a.profissional_id
+            WHERE a.dentista_id = $1
+              AND a.data BETWEEN ${HOJE_CLINICA_SQL} - make_interval(days => $2) AND ${HOJE_CLINICA_SQL} + make_interval(days => $3)
+              AND COALESCE(a.status, '') <> ALL($4)
+        `;
+        const params = [f.dentista_id, FEED_DIAS_PASSADOS, FEED_DIAS_FUTUROS, STATUS_LIVRES];
+        if (f.profissional_id) {
+            params.push(f.profissional_id);
+            query += ` AND a.profissional_id = $${params.length}`;
+        }
+        const agendamentos = await pool.query(query + ' ORDER BY a.data, a.horario', params);
+
+        const clinica = f.nome_clinica || f.clinica_nome || 'Clínica';
+        const eventos = agendamentos.rows.map(a => {
+            const paciente = f.privacidade === 'completo' ? (a.paciente_nome || 'Paciente') : iniciaisNome(a.paciente_nome);
+            const descricao = [
+                a.procedimento ? `Procedimento: ${a.procedimento}` : null,
+                !f.profissional_id && a.profissional_nome ? `Profissional: ${a.profissional_nome}` : null,
+                a.encaixe ? 'Encaixe' : null,
+                a.status ? `Status: ${a.status}` : null
+            ].filter(Boolean).join('\n');
+
+            return {
+                uid: `agendamento-${a.id}`,
+                data: a.data_texto,
+                horario: a.horario,
+                duracao: a.duracao,
+                titulo: a.procedimento ? `${paciente} - ${a.procedimento}` : paciente,
+                descricao,
+                status: statusEventoIcs(a.status),
+                atualizadoEm: a.atualizado_em || a.criado_em
+            };
+        });
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Agendamento não encontrado' });
-        }
+        pool.query('UPDATE feeds_calendario SET ultimo_acesso_em = NOW() WHERE id = $1', [f.id]).catch(() => {});
 
-        res.json({ success: true, message: 'Agendamento removido!' });
+        const nome = f.profissional_id ? `${clinica} - ${f.profissional_nome}` : clinica;
+        enviarIcs(res, 'agenda.ics', gerarIcs(nome, eventos), false);
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao remover agendamento' });
+        console.error('Erro feed calendário:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao gerar calendário' });
     }
 });
 
 // ==============================================================================
-// ROTAS DE PRONTUÁRIO
+// ROTAS DE FERIADOS, FECHAMENTOS E AUSÊNCIAS
 // ==============================================================================
 
-app.get('/api/prontuarios/:pacienteId', authMiddleware, async (req, res) => {
+function formatarBloqueio(b) {
+    return {
+        id: b.id.toString(),
+        profissionalId: b.profissional_id,
+        tipo: b.tipo,
+        descricao: b.descricao,
+        dataInicio: dataParaTexto(b.data_inicio),
+        dataFim: dataParaTexto(b.data_fim),
+        horaInicio: b.hora_inicio,
+        horaFim: b.hora_fim,
+        recorrenteAnual: b.recorrente_anual || false,
+        criadoPor: b.criado_por,
+        criadoEm: b.criado_em
+    };
+}
+
+// Feriados nacionais ligados/desligados para a clínica
+app.get('/api/bloqueios-agenda/config', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
     try {
-        const pacienteId = validarId(req.params.pacienteId);
-        if (!pacienteId) {
-            return res.status(400).json({ success: false, erro: 'ID de paciente inválido' });
-        }
-        
         const result = await pool.query(
-            `SELECT * FROM prontuarios WHERE paciente_id = $1 AND dentista_id = $2 ORDER BY data DESC`,
-            [pacienteId, parseInt(req.user.id)]
+            'SELECT feriados_nacionais, bloquear_pontos_facultativos FROM config_clinica WHERE dentista_id = $1',
+            [req.dentistaId]
         );
-
-        const prontuarios = result.rows.map(p => ({
-            id: p.id.toString(), pacienteId: p.paciente_id.toString(), data: p.data,
-            descricao: p.descricao, procedimento: p.procedimento, dente: p.dente, valor: p.valor, criadoEm: p.criado_em
-        }));
-
-        res.json({ success: true, prontuarios, total: prontuarios.length });
+        const c = result.rows[0] || {};
+        res.json({
+            success: true,
+            config: {
+                feriadosNacionais: c.feriados_nacionais !== false,
+                bloquearPontosFacultativos: c.bloquear_pontos_facultativos || false
+            }
+        });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao listar prontuários' });
+        console.error('Erro config bloqueios:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar configuração' });
     }
 });
 
-app.post('/api/prontuarios', authMiddleware, async (req, res) => {
+app.put('/api/bloqueios-agenda/config', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
     try {
-        const { pacienteId, data, descricao, procedimento, dente, valor } = req.body;
+        const { feriados_nacionais, bloquear_pontos_facultativos } = req.body;
 
-        if (!pacienteId || !descricao) {
-            return res.status(400).json({ success: false, erro: 'Paciente e descrição obrigatórios' });
-        }
+        const result = await pool.query(`
+            INSERT INTO config_clinica (dentista_id, feriados_nacionais, bloquear_pontos_facultativos)
+            VALUES ($1, COALESCE($2, true), COALESCE($3, false))
+            ON CONFLICT (dentista_id) DO UPDATE SET
+                feriados_nacionais = COALESCE($2, config_clinica.feriados_nacionais),
+                bloquear_pontos_facultativos = COALESCE($3, config_clinica.bloquear_pontos_facultativos),
+                atualizado_em = NOW()
+            RETURNING feriados_nacionais, bloquear_pontos_facultativos
+        `, [
+            req.dentistaId,
+            feriados_nacionais === undefined ? null : !!feriados_nacionais,
+            bloquear_pontos_facultativos === undefined ? null : !!bloquear_pontos_facultativos
+        ]);
 
-        const result = await pool.query(
-            `INSERT INTO prontuarios (dentista_id, paciente_id, data, descricao, procedimento, dente, valor)
-             VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
-            [parseInt(req.user.id), parseInt(pacienteId), data || new Date().toISOString().split('T')[0], descricao, procedimento, dente, valor]
-        );
+        await registrarAuditoria(req, { acao: 'editar', entidade: 'config_clinica', depois: result.rows[0] });
 
-        res.status(201).json({ success: true, message: 'Registro adicionado!', prontuario: { id: result.rows[0].id.toString() } });
+        res.json({
+            success: true,
+            message: 'Configuração salva!',
+            config: {
+                feriadosNacionais: result.rows[0].feriados_nacionais !== false,
+                bloquearPontosFacultativos: result.rows[0].bloquear_pontos_facultativos || false
+            }
+        });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao adicionar registro' });
+        console.error('Erro salvar config bloqueios:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao salvar configuração' });
     }
 });
 
-// ==============================================================================
-// ROTAS DE FINANCEIRO
-// ==============================================================================
+// Feriados nacionais pré-carregados (?ano=2026)
+app.get('/api/bloqueios-agenda/feriados-nacionais', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
+    const ano = parseInt(req.query.ano) || new Date().getFullYear();
+    if (ano < 1900 || ano > 2200) {
+        return res.status(400).json({ success: false, erro: 'Ano inválido' });
+    }
+    res.json({ success: true, ano, feriados: feriadosNacionais(ano) });
+});
 
-app.get('/api/financeiro', authMiddleware, async (req, res) => {
+// Bloqueios cadastrados + calendário expandido dia a dia (?inicio=&fim=&profissional_id=)
+app.get('/api/bloqueios-agenda', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
     try {
-        const { inicio, fim, tipo } = req.query;
-        let query = 'SELECT f.*, p.nome as paciente_nome FROM financeiro f LEFT JOIN pacientes p ON f.paciente_id = p.id WHERE f.dentista_id = $1';
-        const params = [parseInt(req.user.id)];
-
-        if (inicio && fim) {
-            query += ' AND f.data >= $2 AND f.data <= $3';
-            params.push(inicio, fim);
+        const hoje = dataEMinutoLocal(new Date()).data;
+        const inicio = req.query.inicio || hoje;
+        const fim = req.query.fim || `${String(inicio).slice(0, 4)}-12-31`;
+        if (!dataValida(inicio) || !dataValida(fim) || fim < inicio) {
+            return res.status(400).json({ success: false, erro: 'Período inválido (AAAA-MM-DD)' });
         }
-        if (tipo) {
-            query += ` AND f.tipo = $${params.length + 1}`;
-            params.push(tipo);
+        if ((new Date(fim) - new Date(inicio)) / 86400000 >= MAX_DIAS_CALENDARIO_BLOQUEIOS) {
+            return res.status(400).json({ success: false, erro: `Período máximo de ${MAX_DIAS_CALENDARIO_BLOQUEIOS} dias` });
+        }
+        const profissionalId = req.query.profissional_id ? validarId(req.query.profissional_id) : null;
+        if (req.query.profissional_id && !profissionalId) {
+            return res.status(400).json({ success: false, erro: 'profissional_id inválido' });
         }
 
-        query += ' ORDER BY f.data DESC';
-        const result = await pool.query(query, params);
-
-        const movimentacoes = result.rows.map(f => ({
-            id: f.id.toString(), tipo: f.tipo, descricao: f.descricao, valor: parseFloat(f.valor),
-            data: f.data, status: f.status, formaPagamento: f.forma_pagamento, parcelas: f.parcelas,
-            pacienteId: f.paciente_id ? f.paciente_id.toString() : null, pacienteNome: f.paciente_nome,
-            observacoes: f.observacoes, criadoEm: f.criado_em
-        }));
+        let query = `
+            SELECT * FROM bloqueios_agenda
+            WHERE dentista_id = $1 AND (recorrente_anual = true OR (data_inicio <= $3 AND data_fim >= $2))
+        `;
+        const params = [req.dentistaId, inicio, fim];
+        if (profissionalId) {
+            params.push(profissionalId);
+            query += ` AND (profissional_id IS NULL OR profissional_id = $${params.length})`;
+        }
+        const cadastrados = await pool.query(query + ' ORDER BY data_inicio', params);
 
-        let totalReceitas = 0, totalDespesas = 0;
-        movimentacoes.forEach(m => {
-            if (m.tipo === 'receita') totalReceitas += m.valor;
-            else if (m.tipo === 'despesa') totalDespesas += m.valor;
-        });
+        let calendario = await buscarBloqueiosAgenda(req.dentistaId, inicio, fim);
+        if (profissionalId) {
+            calendario = calendario.filter(b => b.profissionalId === null || parseInt(b.profissionalId) === profissionalId);
+        }
 
         res.json({
-            success: true, movimentacoes, total: movimentacoes.length,
-            resumo: { receitas: totalReceitas, despesas: totalDespesas, saldo: totalReceitas - totalDespesas }
+            success: true,
+            bloqueios: cadastrados.rows.map(formatarBloqueio),
+            calendario: calendario.map(b => ({
+                data: b.data,
+                bloqueioId: b.id ? b.id.toString() : null,
+                profissionalId: b.profissionalId,
+                tipo: b.tipo,
+                descricao: b.descricao,
+                horaInicio: b.inicio !== null ? minutosParaHora(b.inicio) : null,
+                horaFim: b.fim !== null ? minutosParaHora(b.fim) : null,
+                diaInteiro: b.inicio === null
+            }))
         });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao listar financeiro' });
+        console.error('Erro listar bloqueios:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao listar bloqueios da agenda' });
     }
 });
 
-app.post('/api/financeiro', authMiddleware, async (req, res) => {
+// Cadastra feriado municipal, fechamento da clínica ou ausência de um profissional.
+// Devolve os agendamentos que caem no período para a recepção remarcar em lote.
+app.post('/api/bloqueios-agenda', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('profissional', 'profissional_id'), async (req, res) => {
     try {
-        const { tipo, descricao, valor, data, status, formaPagamento, parcelas, pacienteId, observacoes } = req.body;
+        const { tipo, descricao, profissional_id, data_inicio, hora_inicio, hora_fim, recorrente_anual } = req.body;
+        const dataFim = req.body.data_fim || data_inicio;
+        const formatoHora = /^\d{2}:\d{2}(:\d{2})?$/;
 
-        if (!tipo || !descricao || !valor || !data) {
-            return res.status(400).json({ success: false, erro: 'Tipo, descrição, valor e data obrigatórios' });
+        if (!TIPOS_BLOQUEIO.includes(tipo)) {
+            return res.status(400).json({ success: false, erro: `Tipo deve ser: ${TIPOS_BLOQUEIO.join(', ')}` });
+        }
+        if (!String(descricao || '').trim()) {
+            return res.status(400).json({ success: false, erro: 'Descrição obrigatória' });
+        }
+        if (!dataValida(data_inicio) || !dataValida(dataFim) || dataFim < data_inicio) {
+            return res.status(400).json({ success: false, erro: 'Período inválido (AAAA-MM-DD)' });
+        }
+        if ((hora_inicio || hora_fim) && (!formatoHora.test(hora_inicio || '') || !formatoHora.test(hora_fim || '') ||
+            horaParaMinutos(hora_fim) <= horaParaMinutos(hora_inicio))) {
+            return res.status(400).json({ success: false, erro: 'Informe hora de início e fim válidas, ou nenhuma para o dia inteiro' });
+        }
+        if (profissional_id && !validarId(profissional_id)) {
+            return res.status(400).json({ success: false, erro: 'profissional_id inválido' });
+        }
+        if (tipo === 'ausencia' && !profissional_id) {
+            return res.status(400).json({ success: false, erro: 'Ausência precisa do profissional' });
+        }
+        if (tipo === 'feriado_municipal' && profissional_id) {
+            return res.status(400).json({ success: false, erro: 'Feriado vale para a clínica toda' });
         }
 
-        const result = await pool.query(
-            `INSERT INTO financeiro (dentista_id, tipo, descricao, valor, data, status, forma_pagamento, parcelas, paciente_id, observacoes)
-             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
-            [parseInt(req.user.id), tipo, descricao, parseFloat(valor), data, status || 'pendente', formaPagamento, parcelas || 1, pacienteId ? parseInt(pacienteId) : null, observacoes]
-        );
+        const result = await pool.query(`
+            INSERT INTO bloqueios_agenda (dentista_id, profissional_id, tipo, descricao, data_inicio, data_fim,
+                hora_inicio, hora_fim, recorrente_anual, criado_por)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [
+            req.dentistaId, validarId(profissional_id), tipo, String(descricao).trim(), data_inicio, dataFim,
+            hora_inicio || null, hora_fim || null, !!recorrente_anual, req.nomeUsuario || null
+        ]);
+        const bloqueio = result.rows[0];
 
-        res.status(201).json({ success: true, message: 'Movimentação registrada!', movimentacao: { id: result.rows[0].id.toString() } });
+        await registrarAuditoria(req, { acao: 'criar', entidade: 'bloqueio_agenda', entidadeId: bloqueio.id, depois: bloqueio });
+
+        const afetados = await buscarAgendamentosAfetados(req.dentistaId, bloqueio);
+
+        res.status(201).json({
+            success: true,
+            message: afetados.length > 0
+                ? `Bloqueio cadastrado. ${afetados.length} agendamento(s) precisam ser remarcados`
+                : 'Bloqueio cadastrado!',
+            bloqueio: formatarBloqueio(bloqueio),
+            afetados
+        });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao registrar movimentação' });
+        console.error('Erro criar bloqueio:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao cadastrar bloqueio' });
     }
 });
 
-app.put('/api/financeiro/:id', authMiddleware, async (req, res) => {
+// Agendamentos que ainda caem dentro de um bloqueio (para acompanhar a remarcação)
+app.get('/api/bloqueios-agenda/:id/afetados', authMiddleware, verificarAcesso('agenda', 'visualizar'), verificarPropriedade('bloqueio_agenda', 'id'), async (req, res) => {
     try {
-        const id = validarId(req.params.id);
-        if (!id) {
-            return res.status(400).json({ success: false, erro: 'ID inválido' });
-        }
-        
-        const { status } = req.body;
-        const result = await pool.query(
-            'UPDATE financeiro SET status = $1 WHERE id = $2 AND dentista_id = $3 RETURNING *',
-            [status, id, parseInt(req.user.id)]
-        );
-
+        const result = await pool.query('SELECT * FROM bloqueios_agenda WHERE id = $1 AND dentista_id = $2', [req.params.id, req.dentistaId]);
         if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Movimentação não encontrada' });
+            return res.status(404).json({ success: false, erro: 'Bloqueio não encontrado' });
         }
 
-        res.json({ success: true, message: 'Movimentação atualizada!' });
+        const afetados = await buscarAgendamentosAfetados(req.dentistaId, result.rows[0]);
+        res.json({ success: true, bloqueio: formatarBloqueio(result.rows[0]), afetados, total: afetados.length });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao atualizar' });
+        console.error('Erro afetados bloqueio:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao buscar agendamentos afetados' });
     }
 });
 
-app.delete('/api/financeiro/:id', authMiddleware, async (req, res) => {
+app.delete('/api/bloqueios-agenda/:id', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('bloqueio_agenda', 'id'), async (req, res) => {
     try {
-        const id = validarId(req.params.id);
-        if (!id) {
-            return res.status(400).json({ success: false, erro: 'ID inválido' });
-        }
-        
         const result = await pool.query(
-            'DELETE FROM financeiro WHERE id = $1 AND dentista_id = $2 RETURNING id',
-            [id, parseInt(req.user.id)]
+            'DELETE FROM bloqueios_agenda WHERE id = $1 AND dentista_id = $2 RETURNING *',
+            [req.params.id, req.dentistaId]
         );
-
         if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, erro: 'Movimentação não encontrada' });
+            return res.status(404).json({ success: false, erro: 'Bloqueio não encontrado' });
         }
 
-        res.json({ success: true, message: 'Movimentação removida!' });
+        await registrarAuditoria(req, { acao: 'excluir', entidade: 'bloqueio_agenda', entidadeId: req.params.id, antes: result.rows[0] });
+
+        res.json({ success: true, message: 'Bloqueio removido!' });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao remover' });
+        console.error('Erro remover bloqueio:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao remover bloqueio' });
     }
 });
 
 // ==============================================================================
-// ROTAS DE NOTAS FISCAIS
+// ROTAS DE RELATÓRIOS DE COMPARECIMENTO (FALTAS)
 // ==============================================================================
 
-app.get('/api/notas', authMiddleware, async (req, res) => {
+// Marca como falta os agendamentos de um dia que ficaram sem chegada (fechamento do dia pela recepção)
+app.post('/api/agendamentos/marcar-faltas', authMiddleware, verificarAcesso('agenda', 'editar'), async (req, res) => {
     try {
-        const result = await pool.query(
-            `SELECT n.*, p.nome as paciente_nome FROM notas_fiscais n 
-             LEFT JOIN pacientes p ON n.paciente_id = p.id 
-             WHERE n.dentista_id = $1 ORDER BY n.data_emissao DESC`,
-            [parseInt(req.user.id)]
-        );
+        const { data, profissional_id } = req.body;
+        if (!dataValida(data)) {
+            return res.status(400).json({ success: false, erro: 'Data obrigatória (AAAA-MM-DD)' });
+        }
+        if (profissional_id && !validarId(profissional_id)) {
+            return res.status(400).json({ success: false, erro: 'profissional_id inválido' });
+        }
 
-        const notas = result.rows.map(n => ({
-            id: n.id.toString(), numero: n.numero, valor: parseFloat(n.valor),
-            dataEmissao: n.data_emissao, descricaoServico: n.descricao_servico, status: n.status,
-            pacienteId: n.paciente_id ? n.paciente_id.toString() : null, pacienteNome: n.paciente_nome,
-            criadoEm: n.criado_em
-        }));
+        // Só horários que já passaram
+        let query = `
+            SELECT * FROM agendamentos
+            WHERE dentista_id = $1 AND data = $2 AND COALESCE(status, 'agendado') IN ('agendado', 'confirmado')
+              AND (data + horario) < ${AGORA_CLINICA_SQL}
+        `;
+        const params = [req.dentistaId, data];
+        if (profissional_id) {
+            params.push(validarId(profissional_id));
+            query += ` AND profissional_id = $${params.length}`;
+        }
+        const pendentes = await pool.query(query, params);
 
-        res.json({ success: true, notas, total: notas.length });
+        const marcados = [];
+        for (const a of pendentes.rows) {
+            const mudanca = await alterarStatusAgendamento(pool, a, 'faltou', {
+                canal: canalDaRequisicao(req), req, observacao: 'Fechamento do dia'
+            });
+            if (!mudanca.erro) marcados.push(a.id.toString());
+        }
+
+        res.json({ success: true, message: `${marcados.length} falta(s) registrada(s)`, marcados });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao listar notas' });
+        console.error('Erro marcar faltas:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao marcar faltas' });
     }
 });
 
-app.post('/api/notas', authMiddleware, async (req, res) => {
+// Estatísticas de comparecimento de um paciente
+app.get('/api/pacientes/:id/comparecimento', authMiddleware, verificarAcesso('pacientes', 'visualizar'), verificarPropriedade('paciente', 'id'), async (req, res) => {
     try {
-        const { pacienteId, valor, descricaoServico } = req.body;
-
-        if (!valor) {
-            return res.status(400).json({ success: false, erro: 'Valor é obrigatório' });
-        }
-
-        // ========== VERIFICAR SE PACIENTE TEM CADASTRO COMPLETO ==========
-        if (pacienteId) {
-            const pacienteResult = await pool.query(
-                'SELECT nome, cadastro_completo FROM pacientes WHERE id = $1 AND dentista_id = $2',
-                [parseInt(pacienteId), parseInt(req.user.id)]
-            );
-            
-            if (pacienteResult.rows.length === 0) {
-                return res.status(404).json({ success: false, erro: 'Paciente não encontrado' });
-            }
-            
-            const paciente = pacienteResult.rows[0];
-            if (!paciente.cadastro_completo) {
-                return res.status(400).json({ 
-                    success: false, 
-                    erro: `Para emitir NFS-e para "${paciente.nome}", é necessário completar o cadastro (CPF e endereço)`,
-                    cadastroIncompleto: true,
-                    pacienteId: pacienteId
-                });
-            }
-        }
-
-        // Gerar número da nota (simplificado)
-        const countResult = await pool.query('SELECT COUNT(*) FROM notas_fiscais WHERE dentista_id = $1', [parseInt(req.user.id)]);
-        const numero = 'NF' + String(parseInt(countResult.rows[0].count) + 1).padStart(6, '0');
-
-        const result = await pool.query(
-            `INSERT INTO notas_fiscais (dentista_id, paciente_id, numero, valor, data_emissao, descricao_servico)
-             VALUES ($1,$2,$3,$4,CURRENT_DATE,$5) RETURNING *`,
-            [parseInt(req.user.id), pacienteId ? parseInt(pacienteId) : null, numero, parseFloat(valor), descricaoServico]
-        );
-
-        res.status(201).json({
+        const pacienteId = parseInt(req.params.id);
+        const estatisticas = await estatisticasComparecimento(req.dentistaId, [pacienteId]);
+        res.json({
             success: true,
-            message: 'Nota fiscal emitida!',
-            nota: { id: result.rows[0].id.toString(), numero: result.rows[0].numero }
+            periodoDias: COMPARECIMENTO_DIAS,
+            cancelamentoTardioHoras: CANCELAMENTO_TARDIO_HORAS,
+            comparecimento: estatisticas[pacienteId] || confiabilidadeVazia()
         });
     } catch (error) {
-        console.error('Erro criar nota:', error);
-        res.status(500).json({ success: false, erro: 'Erro ao emitir nota' });
+        console.error('Erro comparecimento paciente:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao calcular comparecimento' });
     }
 });
 
-// ==============================================================================
-// ROTAS DE DASHBOARD
-// ==============================================================================
-
-app.get('/api/dashboard', authMiddleware, async (req, res) => {
+// Pacientes reincidentes: faltas ou cancelamentos em cima da hora acima do mínimo.
+// ?min_faltas=2&min_tardios=2 - recomendação: risco = pedir sinal, atenção = exigir confirmação
+app.get('/api/relatorios/faltas', authMiddleware, verificarAcesso('relatorios', 'visualizar'), async (req, res) => {
     try {
-        const hoje = new Date().toISOString().split('T')[0];
-        const inicioMes = new Date();
-        inicioMes.setDate(1);
-        const inicioMesStr = inicioMes.toISOString().split('T')[0];
+        const minFaltas = Math.max(parseInt(req.query.min_faltas) || 2, 1);
+        const minTardios = Math.max(parseInt(req.query.min_tardios) || 2, 1);
+
+        const estatisticas = await estatisticasComparecimento(req.dentistaId, null);
+        const ids = Object.keys(estatisticas)
+            .filter(id => estatisticas[id].faltas >= minFaltas || estatisticas[id].cancelamentosTardios >= minTardios)
+            .map(id => parseInt(id));
+
+        const pacientes = ids.length > 0
+            ? await pool.query(
+                'SELECT id, nome, telefone, celular FROM pacientes WHERE dentista_id = $1 AND id = ANY($2) AND anonimizado_em IS NULL',
+                [req.dentistaId, ids]
+            )
+            : { rows: [] };
 
-        const [pacientes, hojeAgend, mesAgend, receitas, proximos] = await Promise.all([
-            pool.query('SELECT COUNT(*) FROM pacientes WHERE dentista_id = $1 AND (ativo = true OR ativo IS NULL)', [parseInt(req.user.id)]),
-            pool.query('SELECT COUNT(*) FROM agendamentos WHERE dentista_id = $1 AND data = $2', [parseInt(req.user.id), hoje]),
-            pool.query('SELECT COUNT(*) FROM agendamentos WHERE dentista_id = $1 AND data >= $2', [parseInt(req.user.id), inicioMesStr]),
-            pool.query(`SELECT COALESCE(SUM(valor), 0) as total FROM financeiro WHERE dentista_id = $1 AND tipo = 'receita' AND data >= $2`, [parseInt(req.user.id), inicioMesStr]),
-            pool.query(`SELECT a.*, p.nome as paciente_nome FROM agendamentos a LEFT JOIN pacientes p ON a.paciente_id = p.id WHERE a.dentista_id = $1 AND a.data >= $2 ORDER BY a.data ASC, a.horario ASC LIMIT 5`, [parseInt(req.user.id), hoje])
-        ]);
+        const reincidentes = pacientes.rows.map(p => {
+            const e = estatisticas[p.id];
+            return {
+                pacienteId: p.id,
+                nome: p.nome,
+                telefone: p.celular || p.telefone,
+                ...e,
+                recomendacao: e.faixa === 'risco' ? 'exigir_sinal' : (e.faixa === 'atencao' ? 'exigir_confirmacao' : null)
+            };
+        }).sort((a, b) => (b.faltas - a.faltas) || (b.cancelamentosTardios - a.cancelamentosTardios) || ((a.score || 0) - (b.score || 0)));
+
+        // Totais da clínica no período
+        const todos = Object.values(estatisticas);
+        const totalFaltas = todos.reduce((s, e) => s + e.faltas, 0);
+        const totalComparecimentos = todos.reduce((s, e) => s + e.comparecimentos, 0);
 
         res.json({
             success: true,
-            dashboard: {
-                totalPacientes: parseInt(pacientes.rows[0].count),
-                agendamentosHoje: parseInt(hojeAgend.rows[0].count),
-                agendamentosMes: parseInt(mesAgend.rows[0].count),
-                receitasMes: parseFloat(receitas.rows[0].total),
-                proximosAgendamentos: proximos.rows.map(a => ({
-                    id: a.id.toString(), pacienteNome: a.paciente_nome || a.paciente_nome, data: a.data, horario: a.horario, procedimento: a.procedimento
-                }))
-            }
+            periodoDias: COMPARECIMENTO_DIAS,
+            resumo: {
+                faltas: totalFaltas,
+                comparecimentos: totalComparecimentos,
+                taxaFaltas: totalFaltas + totalComparecimentos > 0
+                    ? Math.round(100 * totalFaltas / (totalFaltas + totalComparecimentos))
+                    : null,
+                cancelamentosTardios: todos.reduce((s, e) => s + e.cancelamentosTardios, 0)
+            },
+            reincidentes
         });
     } catch (error) {
-        res.status(500).json({ success: false, erro: 'Erro ao carregar dashboard' });
+        console.error('Erro relatório de faltas:', error);
+        res.status(500).json({ success: false, erro: 'Erro ao gerar relatório de faltas' });
     }
 });
 
@@ -3080,7 +11152,7 @@ app.get('/api/dashboard', authMiddleware, async (req, res) => {
 // ==============================================================================
 
 // Listar laboratórios
-app.get('/api/laboratorios', authMiddleware, async (req, res) => {
+app.get('/api/laboratorios', authMiddleware, verificarAcesso('laboratorio', 'visualizar'), async (req, res) => {
     try {
         const result = await pool.query(
             `SELECT l.*,
@@ -3090,7 +11162,7 @@ app.get('/api/laboratorios', authMiddleware, async (req, res) => {
             FROM laboratorios l
             WHERE l.dentista_id = $1 AND l.ativo = true
             ORDER BY l.nome ASC`,
-            [parseInt(req.user.id)]
+            [req.dentistaId]
         );
 
         const laboratorios = result.rows.map(l => ({
@@ -3119,7 +11191,7 @@ app.get('/api/laboratorios', authMiddleware, async (req, res) => {
 });
 
 // Criar laboratório
-app.post('/api/laboratorios', authMiddleware, async (req, res) => {
+app.post('/api/laboratorios', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const { nome, cnpj, telefone, whatsapp, email, endereco, cidade, estado, cep, responsavelTecnico, croResponsavel, especialidades, observacoes } = req.body;
 
@@ -3130,7 +11202,7 @@ app.post('/api/laboratorios', authMiddleware, async (req, res) => {
         const result = await pool.query(
             `INSERT INTO laboratorios (dentista_id, nome, cnpj, telefone, whatsapp, email, endereco, cidade, estado, cep, responsavel_tecnico, cro_responsavel, especialidades, observacoes)
              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
-            [parseInt(req.user.id), nome, cnpj || null, telefone || null, whatsapp || null, email || null, endereco || null, cidade || null, estado || null, cep || null, responsavelTecnico || null, croResponsavel || null, especialidades || [], observacoes || null]
+            [req.dentistaId, nome, cnpj || null, telefone || null, whatsapp || null, email || null, endereco || null, cidade || null, estado || null, cep || null, responsavelTecnico || null, croResponsavel || null, especialidades || [], observacoes || null]
         );
 
         res.json({ success: true, laboratorio: { id: result.rows[0].id.toString(), nome } });
@@ -3141,7 +11213,7 @@ app.post('/api/laboratorios', authMiddleware, async (req, res) => {
 });
 
 // Atualizar laboratório
-app.put('/api/laboratorios/:id', authMiddleware, async (req, res) => {
+app.put('/api/laboratorios/:id', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { nome, cnpj, telefone, whatsapp, email, endereco, cidade, estado, cep, responsavelTecnico, croResponsavel, especialidades, observacoes } = req.body;
@@ -3149,7 +11221,7 @@ app.put('/api/laboratorios/:id', authMiddleware, async (req, res) => {
         const result = await pool.query(
             `UPDATE laboratorios SET nome = COALESCE($1, nome), cnpj = $2, telefone = $3, whatsapp = $4, email = $5, endereco = $6, cidade = $7, estado = $8, cep = $9, responsavel_tecnico = $10, cro_responsavel = $11, especialidades = $12, observacoes = $13, atualizado_em = CURRENT_TIMESTAMP
              WHERE id = $14 AND dentista_id = $15 RETURNING *`,
-            [nome, cnpj || null, telefone || null, whatsapp || null, email || null, endereco || null, cidade || null, estado || null, cep || null, responsavelTecnico || null, croResponsavel || null, especialidades || [], observacoes || null, parseInt(id), parseInt(req.user.id)]
+            [nome, cnpj || null, telefone || null, whatsapp || null, email || null, endereco || null, cidade || null, estado || null, cep || null, responsavelTecnico || null, croResponsavel || null, especialidades || [], observacoes || null, parseInt(id), req.dentistaId]
         );
 
         if (result.rows.length === 0) {
@@ -3164,9 +11236,9 @@ app.put('/api/laboratorios/:id', authMiddleware, async (req, res) => {
 });
 
 // Excluir laboratório (soft delete)
-app.delete('/api/laboratorios/:id', authMiddleware, async (req, res) => {
+app.delete('/api/laboratorios/:id', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
-        await pool.query('UPDATE laboratorios SET ativo = false WHERE id = $1 AND dentista_id = $2', [parseInt(req.params.id), parseInt(req.user.id)]);
+        await pool.query('UPDATE laboratorios SET ativo = false WHERE id = $1 AND dentista_id = $2', [parseInt(req.params.id), req.dentistaId]);
         res.json({ success: true, message: 'Laboratório removido!' });
     } catch (error) {
         console.error('Erro ao excluir laboratório:', error);
@@ -3179,14 +11251,14 @@ app.delete('/api/laboratorios/:id', authMiddleware, async (req, res) => {
 // ==============================================================================
 
 // Listar preços de um laboratório
-app.get('/api/laboratorios/:id/precos', authMiddleware, async (req, res) => {
+app.get('/api/laboratorios/:id/precos', authMiddleware, verificarAcesso('laboratorio', 'visualizar'), async (req, res) => {
     try {
         const labId = parseInt(req.params.id);
         
         // Verificar se o laboratório pertence ao dentista
         const labCheck = await pool.query(
             'SELECT id FROM laboratorios WHERE id = $1 AND dentista_id = $2',
-            [labId, parseInt(req.user.id)]
+            [labId, req.dentistaId]
         );
         if (labCheck.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Laboratório não encontrado' });
@@ -3224,7 +11296,7 @@ app.get('/api/laboratorios/:id/precos', authMiddleware, async (req, res) => {
 });
 
 // Adicionar preço ao laboratório
-app.post('/api/laboratorios/:id/precos', authMiddleware, async (req, res) => {
+app.post('/api/laboratorios/:id/precos', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const labId = parseInt(req.params.id);
         const { material, procedimento, valor, observacao } = req.body;
@@ -3236,7 +11308,7 @@ app.post('/api/laboratorios/:id/precos', authMiddleware, async (req, res) => {
         // Verificar se o laboratório pertence ao dentista
         const labCheck = await pool.query(
             'SELECT id FROM laboratorios WHERE id = $1 AND dentista_id = $2',
-            [labId, parseInt(req.user.id)]
+            [labId, req.dentistaId]
         );
         if (labCheck.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Laboratório não encontrado' });
@@ -3265,7 +11337,7 @@ app.post('/api/laboratorios/:id/precos', authMiddleware, async (req, res) => {
 });
 
 // Adicionar múltiplos preços ao laboratório
-app.post('/api/laboratorios/:id/precos/lote', authMiddleware, async (req, res) => {
+app.post('/api/laboratorios/:id/precos/lote', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const labId = parseInt(req.params.id);
         const { precos } = req.body;
@@ -3277,7 +11349,7 @@ app.post('/api/laboratorios/:id/precos/lote', authMiddleware, async (req, res) =
         // Verificar se o laboratório pertence ao dentista
         const labCheck = await pool.query(
             'SELECT id FROM laboratorios WHERE id = $1 AND dentista_id = $2',
-            [labId, parseInt(req.user.id)]
+            [labId, req.dentistaId]
         );
         if (labCheck.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Laboratório não encontrado' });
@@ -3308,7 +11380,7 @@ app.post('/api/laboratorios/:id/precos/lote', authMiddleware, async (req, res) =
 });
 
 // Atualizar preço
-app.put('/api/laboratorios-precos/:id', authMiddleware, async (req, res) => {
+app.put('/api/laboratorios-precos/:id', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const precoId = parseInt(req.params.id);
         const { material, procedimento, valor, observacao } = req.body;
@@ -3318,7 +11390,7 @@ app.put('/api/laboratorios-precos/:id', authMiddleware, async (req, res) => {
             `SELECT lp.id FROM laboratorios_precos lp
              JOIN laboratorios l ON l.id = lp.laboratorio_id
              WHERE lp.id = $1 AND l.dentista_id = $2`,
-            [precoId, parseInt(req.user.id)]
+            [precoId, req.dentistaId]
         );
         if (check.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Preço não encontrado' });
@@ -3343,7 +11415,7 @@ app.put('/api/laboratorios-precos/:id', authMiddleware, async (req, res) => {
 });
 
 // Excluir preço (soft delete)
-app.delete('/api/laboratorios-precos/:id', authMiddleware, async (req, res) => {
+app.delete('/api/laboratorios-precos/:id', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const precoId = parseInt(req.params.id);
 
@@ -3352,7 +11424,7 @@ app.delete('/api/laboratorios-precos/:id', authMiddleware, async (req, res) => {
             `SELECT lp.id FROM laboratorios_precos lp
              JOIN laboratorios l ON l.id = lp.laboratorio_id
              WHERE lp.id = $1 AND l.dentista_id = $2`,
-            [precoId, parseInt(req.user.id)]
+            [precoId, req.dentistaId]
         );
         if (check.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Preço não encontrado' });
@@ -3371,7 +11443,7 @@ app.delete('/api/laboratorios-precos/:id', authMiddleware, async (req, res) => {
 // ==============================================================================
 
 // Listar finanças (casos finalizados com custos)
-app.get('/api/financas', authMiddleware, async (req, res) => {
+app.get('/api/financas', authMiddleware, verificarAcesso('financeiro', 'visualizar'), async (req, res) => {
     try {
         const { dataInicio, dataFim, laboratorioId, profissionalId } = req.query;
 
@@ -3387,7 +11459,7 @@ app.get('/api/financas', authMiddleware, async (req, res) => {
             LEFT JOIN profissionais prof ON prof.id = cp.profissional_id
             WHERE cp.dentista_id = $1 AND cp.status = 'finalizado'
         `;
-        const params = [parseInt(req.user.id)];
+        const params = [req.dentistaId];
         let paramCount = 1;
 
         // Filtro por data de finalização (convertendo para timezone local)
@@ -3518,7 +11590,7 @@ async function gerarCodigoCaso(dentistaId) {
 }
 
 // Listar casos
-app.get('/api/casos-proteticos', authMiddleware, async (req, res) => {
+app.get('/api/casos-proteticos', authMiddleware, verificarAcesso('laboratorio', 'visualizar'), async (req, res) => {
     try {
         const { status, laboratorio_id, paciente_id, profissional_id, urgencia, limit = 50, offset = 0 } = req.query;
 
@@ -3533,7 +11605,7 @@ app.get('/api/casos-proteticos', authMiddleware, async (req, res) => {
             LEFT JOIN profissionais prof ON prof.id = cp.profissional_id
             WHERE cp.dentista_id = $1
         `;
-        let params = [parseInt(req.user.id)];
+        let params = [req.dentistaId];
         let paramIndex = 2;
 
         if (status) { query += ` AND cp.status = $${paramIndex}`; params.push(status); paramIndex++; }
@@ -3555,7 +11627,7 @@ app.get('/api/casos-proteticos', authMiddleware, async (req, res) => {
                 COUNT(CASE WHEN data_prometida < CURRENT_DATE AND status NOT IN ('finalizado', 'cancelado') THEN 1 END) as atrasados,
                 COUNT(CASE WHEN urgencia IN ('urgente', 'emergencial') AND status NOT IN ('finalizado', 'cancelado') THEN 1 END) as urgentes
             FROM casos_proteticos WHERE dentista_id = $1
-        `, [parseInt(req.user.id)]);
+        `, [req.dentistaId]);
 
         const casos = result.rows.map(c => ({
             id: c.id.toString(),
@@ -3612,7 +11684,7 @@ app.get('/api/casos-proteticos', authMiddleware, async (req, res) => {
 });
 
 // Obter caso específico
-app.get('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
+app.get('/api/casos-proteticos/:id', authMiddleware, verificarAcesso('laboratorio', 'visualizar'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -3623,7 +11695,7 @@ app.get('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
             LEFT JOIN pacientes p ON p.id = cp.paciente_id
             LEFT JOIN laboratorios l ON l.id = cp.laboratorio_id
             WHERE cp.id = $1 AND cp.dentista_id = $2
-        `, [parseInt(id), parseInt(req.user.id)]);
+        `, [parseInt(id), req.dentistaId]);
 
         if (casoResult.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Caso não encontrado' });
@@ -3689,7 +11761,7 @@ app.get('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
 });
 
 // Criar caso
-app.post('/api/casos-proteticos', authMiddleware, async (req, res) => {
+app.post('/api/casos-proteticos', authMiddleware, verificarAcesso('laboratorio', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, laboratorioId, profissionalId, tipoTrabalho, tipoTrabalhoDetalhe, tipoPeca, dentes, material, materialDetalhe, tecnica, corShade, escalaCor, urgencia, dataEnvio, dataPrometida, observacoesClinics, observacoesTecnicas, urlArquivos, valorCombinado, valorCusto, grupoId } = req.body;
 
@@ -3697,12 +11769,12 @@ app.post('/api/casos-proteticos', authMiddleware, async (req, res) => {
             return res.status(400).json({ success: false, erro: 'Paciente e tipo de trabalho são obrigatórios' });
         }
 
-        const codigo = await gerarCodigoCaso(parseInt(req.user.id));
+        const codigo = await gerarCodigoCaso(req.dentistaId);
 
         const result = await pool.query(`
             INSERT INTO casos_proteticos (dentista_id, profissional_id, paciente_id, laboratorio_id, codigo, tipo_trabalho, tipo_trabalho_detalhe, tipo_peca, dentes, material, material_detalhe, tecnica, cor_shade, escala_cor, urgencia, data_envio, data_prometida, observacoes_clinicas, observacoes_tecnicas, url_arquivos, valor_combinado, valor_custo, grupo_id, status)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, 'criado') RETURNING *
-        `, [parseInt(req.user.id), profissionalId ? parseInt(profissionalId) : null, parseInt(pacienteId), laboratorioId ? parseInt(laboratorioId) : null, codigo, tipoTrabalho, tipoTrabalhoDetalhe || null, tipoPeca || 'definitiva', dentes || [], material || null, materialDetalhe || null, tecnica || 'convencional', corShade || null, escalaCor || null, urgencia || 'normal', dataEnvio || null, dataPrometida || null, observacoesClinics || null, observacoesTecnicas || null, urlArquivos || null, valorCombinado || null, valorCusto || null, grupoId || null]);
+        `, [req.dentistaId, profissionalId ? parseInt(profissionalId) : null, parseInt(pacienteId), laboratorioId ? parseInt(laboratorioId) : null, codigo, tipoTrabalho, tipoTrabalhoDetalhe || null, tipoPeca || 'definitiva', dentes || [], material || null, materialDetalhe || null, tecnica || 'convencional', corShade || null, escalaCor || null, urgencia || 'normal', dataEnvio || null, dataPrometida || null, observacoesClinics || null, observacoesTecnicas || null, urlArquivos || null, valorCombinado || null, valorCusto || null, grupoId || null]);
 
         // Registrar no histórico
         await pool.query(`INSERT INTO casos_status_historico (caso_id, status_novo, alterado_por, tipo_usuario, observacao) VALUES ($1, 'criado', $2, 'dentista', 'Caso criado')`, [result.rows[0].id, req.user.nome || 'Dentista']);
@@ -3715,7 +11787,7 @@ app.post('/api/casos-proteticos', authMiddleware, async (req, res) => {
 });
 
 // Buscar casos protéticos de um paciente específico (para Prontuário)
-app.get('/api/pacientes/:pacienteId/casos-proteticos', authMiddleware, async (req, res) => {
+app.get('/api/pacientes/:pacienteId/casos-proteticos', authMiddleware, verificarAcesso('laboratorio', 'visualizar'), async (req, res) => {
     try {
         const { pacienteId } = req.params;
         const { status } = req.query; // opcional: filtrar por status
@@ -3729,7 +11801,7 @@ app.get('/api/pacientes/:pacienteId/casos-proteticos', authMiddleware, async (re
             LEFT JOIN profissionais prof ON prof.id = cp.profissional_id
             WHERE cp.dentista_id = $1 AND cp.paciente_id = $2
         `;
-        let params = [parseInt(req.user.id), parseInt(pacienteId)];
+        let params = [req.dentistaId, parseInt(pacienteId)];
         
         if (status) {
             query += ` AND cp.status = $3`;
@@ -3777,7 +11849,7 @@ app.get('/api/pacientes/:pacienteId/casos-proteticos', authMiddleware, async (re
 });
 
 // Atualizar caso
-app.put('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
+app.put('/api/casos-proteticos/:id', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { laboratorioId, tipoTrabalho, tipoTrabalhoDetalhe, tipoPeca, dentes, material, materialDetalhe, tecnica, corShade, escalaCor, urgencia, dataEnvio, dataPrometida, dataRetornoReal, observacoesClinics, observacoesTecnicas, urlArquivos, valorCombinado, valorPago } = req.body;
@@ -3785,7 +11857,7 @@ app.put('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
         const result = await pool.query(`
             UPDATE casos_proteticos SET laboratorio_id = $1, tipo_trabalho = COALESCE($2, tipo_trabalho), tipo_trabalho_detalhe = $3, tipo_peca = COALESCE($4, tipo_peca), dentes = $5, material = $6, material_detalhe = $7, tecnica = $8, cor_shade = $9, escala_cor = $10, urgencia = $11, data_envio = $12, data_prometida = $13, data_retorno_real = $14, observacoes_clinicas = $15, observacoes_tecnicas = $16, url_arquivos = $17, valor_combinado = $18, valor_pago = $19, atualizado_em = CURRENT_TIMESTAMP
             WHERE id = $20 AND dentista_id = $21 RETURNING *
-        `, [laboratorioId ? parseInt(laboratorioId) : null, tipoTrabalho, tipoTrabalhoDetalhe || null, tipoPeca || null, dentes || [], material || null, materialDetalhe || null, tecnica || 'convencional', corShade || null, escalaCor || null, urgencia || 'normal', dataEnvio || null, dataPrometida || null, dataRetornoReal || null, observacoesClinics || null, observacoesTecnicas || null, urlArquivos || null, valorCombinado || null, valorPago || null, parseInt(id), parseInt(req.user.id)]);
+        `, [laboratorioId ? parseInt(laboratorioId) : null, tipoTrabalho, tipoTrabalhoDetalhe || null, tipoPeca || null, dentes || [], material || null, materialDetalhe || null, tecnica || 'convencional', corShade || null, escalaCor || null, urgencia || 'normal', dataEnvio || null, dataPrometida || null, dataRetornoReal || null, observacoesClinics || null, observacoesTecnicas || null, urlArquivos || null, valorCombinado || null, valorPago || null, parseInt(id), req.dentistaId]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Caso não encontrado' });
@@ -3799,7 +11871,7 @@ app.put('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
 });
 
 // Atualizar status do caso
-app.put('/api/casos-proteticos/:id/status', authMiddleware, async (req, res) => {
+app.put('/api/casos-proteticos/:id/status', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { status, observacao, valorCusto } = req.body;
@@ -3810,7 +11882,7 @@ app.put('/api/casos-proteticos/:id/status', authMiddleware, async (req, res) =>
             return res.status(400).json({ success: false, erro: 'Status inválido' });
         }
 
-        const casoAtual = await pool.query('SELECT status FROM casos_proteticos WHERE id = $1 AND dentista_id = $2', [parseInt(id), parseInt(req.user.id)]);
+        const casoAtual = await pool.query('SELECT status FROM casos_proteticos WHERE id = $1 AND dentista_id = $2', [parseInt(id), req.dentistaId]);
         if (casoAtual.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Caso não encontrado' });
         }
@@ -3840,7 +11912,7 @@ app.put('/api/casos-proteticos/:id/status', authMiddleware, async (req, res) =>
         
         paramCount++;
         updateQuery += ` AND dentista_id = $${paramCount}`;
-        params.push(parseInt(req.user.id));
+        params.push(req.dentistaId);
 
         await pool.query(updateQuery, params);
         await pool.query(`INSERT INTO casos_status_historico (caso_id, status_anterior, status_novo, alterado_por, tipo_usuario, observacao) VALUES ($1, $2, $3, $4, 'dentista', $5)`, [parseInt(id), statusAnterior, status, req.user.nome || 'Dentista', observacao || null]);
@@ -3853,7 +11925,7 @@ app.put('/api/casos-proteticos/:id/status', authMiddleware, async (req, res) =>
 });
 
 // Atualizar custo do caso
-app.put('/api/casos-proteticos/:id/custo', authMiddleware, async (req, res) => {
+app.put('/api/casos-proteticos/:id/custo', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { valorCusto } = req.body;
@@ -3865,7 +11937,7 @@ app.put('/api/casos-proteticos/:id/custo', authMiddleware, async (req, res) => {
         const result = await pool.query(
             `UPDATE casos_proteticos SET valor_custo = $1, atualizado_em = CURRENT_TIMESTAMP 
              WHERE id = $2 AND dentista_id = $3 RETURNING *`,
-            [parseFloat(valorCusto), parseInt(id), parseInt(req.user.id)]
+            [parseFloat(valorCusto), parseInt(id), req.dentistaId]
         );
 
         if (result.rows.length === 0) {
@@ -3880,10 +11952,10 @@ app.put('/api/casos-proteticos/:id/custo', authMiddleware, async (req, res) => {
 });
 
 // Cancelar caso
-app.delete('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
+app.delete('/api/casos-proteticos/:id', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
-        await pool.query(`UPDATE casos_proteticos SET status = 'cancelado', atualizado_em = CURRENT_TIMESTAMP WHERE id = $1 AND dentista_id = $2`, [parseInt(id), parseInt(req.user.id)]);
+        await pool.query(`UPDATE casos_proteticos SET status = 'cancelado', atualizado_em = CURRENT_TIMESTAMP WHERE id = $1 AND dentista_id = $2`, [parseInt(id), req.dentistaId]);
         await pool.query(`INSERT INTO casos_status_historico (caso_id, status_novo, alterado_por, tipo_usuario, observacao) VALUES ($1, 'cancelado', $2, 'dentista', 'Caso cancelado')`, [parseInt(id), req.user.nome || 'Dentista']);
         res.json({ success: true, message: 'Caso cancelado!' });
     } catch (error) {
@@ -3893,7 +11965,7 @@ app.delete('/api/casos-proteticos/:id', authMiddleware, async (req, res) => {
 });
 
 // Enviar mensagem no caso
-app.post('/api/casos-proteticos/:id/mensagens', authMiddleware, async (req, res) => {
+app.post('/api/casos-proteticos/:id/mensagens', authMiddleware, verificarAcesso('laboratorio', 'editar'), async (req, res) => {
     try {
         const { id } = req.params;
         const { mensagem } = req.body;
@@ -3902,7 +11974,7 @@ app.post('/api/casos-proteticos/:id/mensagens', authMiddleware, async (req, res)
             return res.status(400).json({ success: false, erro: 'Mensagem é obrigatória' });
         }
 
-        const casoCheck = await pool.query('SELECT id FROM casos_proteticos WHERE id = $1 AND dentista_id = $2', [parseInt(id), parseInt(req.user.id)]);
+        const casoCheck = await pool.query('SELECT id FROM casos_proteticos WHERE id = $1 AND dentista_id = $2', [parseInt(id), req.dentistaId]);
         if (casoCheck.rows.length === 0) {
             return res.status(404).json({ success: false, erro: 'Caso não encontrado' });
         }
@@ -4112,7 +12184,7 @@ app.get('/api/prefeituras/templates/:id', (req, res) => {
 });
 
 // GET - Listar prefeituras configuradas do dentista
-app.get('/api/prefeituras', authMiddleware, async (req, res) => {
+app.get('/api/prefeituras', authMiddleware, verificarAcesso('nfse', 'visualizar'), async (req, res) => {
     try {
         const result = await pool.query(`
             SELECT id, cidade, uf, codigo_tom, sistema, url_webservice, cpf_cnpj_prestador,
@@ -4134,7 +12206,7 @@ app.get('/api/prefeituras', authMiddleware, async (req, res) => {
 });
 
 // GET - Obter prefeitura específica
-app.get('/api/prefeituras/:id', authMiddleware, async (req, res) => {
+app.get('/api/prefeituras/:id', authMiddleware, verificarAcesso('nfse', 'visualizar'), async (req, res) => {
     try {
         const result = await pool.query(`
             SELECT * FROM config_prefeituras 
@@ -4153,7 +12225,7 @@ app.get('/api/prefeituras/:id', authMiddleware, async (req, res) => {
 });
 
 // POST - Salvar nova prefeitura
-app.post('/api/prefeituras', authMiddleware, async (req, res) => {
+app.post('/api/prefeituras', authMiddleware, verificarAcesso('nfse', 'editar'), async (req, res) => {
     try {
         const {
             cidade, uf, codigo_tom, sistema, url_webservice, cpf_cnpj_prestador,
@@ -4195,7 +12267,7 @@ app.post('/api/prefeituras', authMiddleware, async (req, res) => {
 });
 
 // PUT - Atualizar prefeitura
-app.put('/api/prefeituras/:id', authMiddleware, async (req, res) => {
+app.put('/api/prefeituras/:id', authMiddleware, verificarAcesso('nfse', 'editar'), async (req, res) => {
     try {
         const {
             cidade, uf, codigo_tom, sistema, url_webservice, cpf_cnpj_prestador,
@@ -4251,7 +12323,7 @@ app.put('/api/prefeituras/:id', authMiddleware, async (req, res) => {
 });
 
 // DELETE - Excluir prefeitura
-app.delete('/api/prefeituras/:id', authMiddleware, async (req, res) => {
+app.delete('/api/prefeituras/:id', authMiddleware, verificarAcesso('nfse', 'editar'), async (req, res) => {
     try {
         const result = await pool.query(`
             DELETE FROM config_prefeituras WHERE id = $1 AND dentista_id = $2
@@ -4272,7 +12344,7 @@ app.delete('/api/prefeituras/:id', authMiddleware, async (req, res) => {
 // TESTE DE CONEXÃO NFS-e (IPM/Atende.Net)
 // ==============================================================================
 
-app.post('/api/nfse/testar-conexao', authMiddleware, async (req, res) => {
+app.post('/api/nfse/testar-conexao', authMiddleware, verificarAcesso('nfse', 'editar'), async (req, res) => {
     const { url_webservice, cpf_cnpj_prestador, senha_webservice } = req.body;
     
     if (!url_webservice || !cpf_cnpj_prestador || !senha_webservice) {
@@ -4397,12 +12469,14 @@ app.post('/api/nfse/testar-conexao', authMiddleware, async (req, res) => {
 // ==============================================================================
 
 // GET - Buscar anamnese do paciente
-app.get('/api/anamnese/:pacienteId', authMiddleware, async (req, res) => {
+app.get('/api/anamnese/:pacienteId', authMiddleware, verificarAcesso('prontuario', 'visualizar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT * FROM anamnese WHERE paciente_id = $1',
             [req.params.pacienteId]
         );
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'anamnese', pacienteId: req.params.pacienteId });
+
         if (result.rows.length > 0) {
             const row = result.rows[0];
             const dados = row.dados || {};
@@ -4419,12 +12493,14 @@ app.get('/api/anamnese/:pacienteId', authMiddleware, async (req, res) => {
 });
 
 // GET - Alertas da anamnese
-app.get('/api/anamnese/:pacienteId/alertas', authMiddleware, async (req, res) => {
+app.get('/api/anamnese/:pacienteId/alertas', authMiddleware, verificarAcesso('prontuario', 'visualizar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT dados, odontofobia FROM anamnese WHERE paciente_id = $1',
             [req.params.pacienteId]
         );
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'anamnese_alertas', pacienteId: req.params.pacienteId });
+
         if (result.rows.length > 0) {
             const dados = result.rows[0].dados || {};
             dados.odontofobia = result.rows[0].odontofobia || false;
@@ -4438,7 +12514,7 @@ app.get('/api/anamnese/:pacienteId/alertas', authMiddleware, async (req, res) =>
 });
 
 // POST - Salvar anamnese
-app.post('/api/anamnese', authMiddleware, async (req, res) => {
+app.post('/api/anamnese', authMiddleware, verificarAcesso('prontuario', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, ...dados } = req.body;
         if (!pacienteId) return res.status(400).json({ success: false, erro: 'pacienteId obrigatório' });
@@ -4446,13 +12522,24 @@ app.post('/api/anamnese', authMiddleware, async (req, res) => {
         delete dados.odontofobia;
         delete dados.pacienteId;
 
+        const antes = await pool.query('SELECT * FROM anamnese WHERE paciente_id = $1', [pacienteId]);
+
         const result = await pool.query(`
             INSERT INTO anamnese (paciente_id, dentista_id, dados, odontofobia, atualizado_em)
             VALUES ($1, $2, $3, $4, NOW())
             ON CONFLICT (paciente_id) DO UPDATE SET dados = $3, odontofobia = $4, atualizado_em = NOW()
-            RETURNING id
+            RETURNING *
         `, [pacienteId, req.dentistaId, JSON.stringify(dados), odontofobia]);
 
+        await registrarAuditoria(req, {
+            acao: antes.rows.length > 0 ? 'editar' : 'criar',
+            entidade: 'anamnese',
+            entidadeId: result.rows[0].id,
+            pacienteId,
+            antes: antes.rows[0] || null,
+            depois: result.rows[0]
+        });
+
         res.json({ success: true, id: result.rows[0].id });
     } catch (error) {
         console.error('Erro anamnese POST:', error);
@@ -4464,12 +12551,14 @@ app.post('/api/anamnese', authMiddleware, async (req, res) => {
 // ODONTOGRAMA GERAL
 // ==============================================================================
 
-app.get('/api/odontograma-geral/:pacienteId', authMiddleware, async (req, res) => {
+app.get('/api/odontograma-geral/:pacienteId', authMiddleware, verificarAcesso('odontograma', 'visualizar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT * FROM odontograma_geral WHERE paciente_id = $1',
             [req.params.pacienteId]
         );
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'odontograma', pacienteId: req.params.pacienteId });
+
         if (result.rows.length > 0) {
             res.json({ success: true, odontograma: result.rows[0] });
         } else {
@@ -4480,17 +12569,28 @@ app.get('/api/odontograma-geral/:pacienteId', authMiddleware, async (req, res) =
     }
 });
 
-app.post('/api/odontograma-geral', authMiddleware, async (req, res) => {
+app.post('/api/odontograma-geral', authMiddleware, verificarAcesso('odontograma', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, dados } = req.body;
         if (!pacienteId) return res.status(400).json({ success: false, erro: 'pacienteId obrigatório' });
 
+        const antes = await pool.query('SELECT * FROM odontograma_geral WHERE paciente_id = $1', [pacienteId]);
+
         const result = await pool.query(`
-            INSERT INTO odontograma_geral (paciente_id, dados, atualizado_em)
-            VALUES ($1, $2, NOW())
-            ON CONFLICT (paciente_id) DO UPDATE SET dados = $2, atualizado_em = NOW()
-            RETURNING id
-        `, [pacienteId, JSON.stringify(dados)]);
+            INSERT INTO odontograma_geral (paciente_id, dentista_id, dados, atualizado_em)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT (paciente_id) DO UPDATE SET dados = $3, dentista_id = $2, atualizado_em = NOW()
+            RETURNING *
+        `, [pacienteId, req.dentistaId, JSON.stringify(dados)]);
+
+        await registrarAuditoria(req, {
+            acao: antes.rows.length > 0 ? 'editar' : 'criar',
+            entidade: 'odontograma',
+            entidadeId: result.rows[0].id,
+            pacienteId,
+            antes: antes.rows[0] || null,
+            depois: result.rows[0]
+        });
 
         res.json({ success: true, id: result.rows[0].id });
     } catch (error) {
@@ -4504,7 +12604,7 @@ app.post('/api/odontograma-geral', authMiddleware, async (req, res) => {
 // ==============================================================================
 
 // GET - Buscar plano do paciente
-app.get('/api/plano-tratamento/:pacienteId', authMiddleware, async (req, res) => {
+app.get('/api/plano-tratamento/:pacienteId', authMiddleware, verificarAcesso('plano_tratamento', 'visualizar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const plano = await pool.query(
             'SELECT * FROM plano_tratamento WHERE paciente_id = $1 ORDER BY criado_em DESC LIMIT 1',
@@ -4525,7 +12625,7 @@ app.get('/api/plano-tratamento/:pacienteId', authMiddleware, async (req, res) =>
 });
 
 // POST - Criar plano
-app.post('/api/plano-tratamento', authMiddleware, async (req, res) => {
+app.post('/api/plano-tratamento', authMiddleware, verificarAcesso('plano_tratamento', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, itens } = req.body;
         if (!pacienteId) return res.status(400).json({ success: false, erro: 'pacienteId obrigatório' });
@@ -4555,7 +12655,7 @@ app.post('/api/plano-tratamento', authMiddleware, async (req, res) => {
 });
 
 // POST - Adicionar item ao plano
-app.post('/api/plano-tratamento/:planoId/itens', authMiddleware, async (req, res) => {
+app.post('/api/plano-tratamento/:planoId/itens', authMiddleware, verificarAcesso('plano_tratamento', 'editar'), verificarPropriedade('plano', 'planoId'), async (req, res) => {
     try {
         const { dente, face, procedimento, posicao, origem } = req.body;
         const result = await pool.query(`
@@ -4571,7 +12671,7 @@ app.post('/api/plano-tratamento/:planoId/itens', authMiddleware, async (req, res
 });
 
 // PUT - Reordenar itens do plano
-app.put('/api/plano-tratamento/:planoId/reordenar', authMiddleware, async (req, res) => {
+app.put('/api/plano-tratamento/:planoId/reordenar', authMiddleware, verificarAcesso('plano_tratamento', 'editar'), verificarPropriedade('plano', 'planoId'), async (req, res) => {
     try {
         const { itens } = req.body;
         for (const item of itens) {
@@ -4588,7 +12688,7 @@ app.put('/api/plano-tratamento/:planoId/reordenar', authMiddleware, async (req,
 });
 
 // PUT - Marcar item como realizado
-app.put('/api/plano-tratamento/itens/:itemId/realizar', authMiddleware, async (req, res) => {
+app.put('/api/plano-tratamento/itens/:itemId/realizar', authMiddleware, verificarAcesso('plano_tratamento', 'editar'), verificarPropriedade('plano_item', 'itemId'), async (req, res) => {
     try {
         const { realizado } = req.body;
         await pool.query(
@@ -4606,29 +12706,33 @@ app.put('/api/plano-tratamento/itens/:itemId/realizar', authMiddleware, async (r
 // RECEITAS
 // ==============================================================================
 
-app.get('/api/receitas/:pacienteId', authMiddleware, async (req, res) => {
+app.get('/api/receitas/:pacienteId', authMiddleware, verificarAcesso('prontuario', 'visualizar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT * FROM receitas WHERE paciente_id = $1 ORDER BY criado_em DESC',
             [req.params.pacienteId]
         );
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'receita', pacienteId: req.params.pacienteId });
         res.json({ success: true, receitas: result.rows });
     } catch (error) {
         res.status(500).json({ success: false, erro: error.message });
     }
 });
 
-app.get('/api/receitas/detalhe/:id', authMiddleware, async (req, res) => {
+app.get('/api/receitas/detalhe/:id', authMiddleware, verificarAcesso('prontuario', 'visualizar'), verificarPropriedade('receita', 'id'), async (req, res) => {
     try {
         const result = await pool.query('SELECT * FROM receitas WHERE id = $1', [req.params.id]);
         if (result.rows.length === 0) return res.status(404).json({ success: false, erro: 'Não encontrada' });
+        await registrarAuditoria(req, {
+            acao: 'visualizar', entidade: 'receita', entidadeId: result.rows[0].id, pacienteId: result.rows[0].paciente_id
+        });
         res.json({ success: true, receita: result.rows[0] });
     } catch (error) {
         res.status(500).json({ success: false, erro: error.message });
     }
 });
 
-app.post('/api/receitas', authMiddleware, async (req, res) => {
+app.post('/api/receitas', authMiddleware, verificarAcesso('prontuario', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, medicamento, posologia, observacoes } = req.body;
         if (!pacienteId || !medicamento) return res.status(400).json({ success: false, erro: 'Campos obrigatórios' });
@@ -4638,6 +12742,10 @@ app.post('/api/receitas', authMiddleware, async (req, res) => {
             VALUES ($1, $2, $3, $4, $5) RETURNING *
         `, [pacienteId, req.dentistaId, medicamento, posologia || null, observacoes || null]);
 
+        await registrarAuditoria(req, {
+            acao: 'criar', entidade: 'receita', entidadeId: result.rows[0].id, pacienteId, depois: result.rows[0]
+        });
+
         res.json({ success: true, receita: result.rows[0] });
     } catch (error) {
         console.error('Erro receita POST:', error);
@@ -4649,29 +12757,33 @@ app.post('/api/receitas', authMiddleware, async (req, res) => {
 // ATESTADOS
 // ==============================================================================
 
-app.get('/api/atestados/:pacienteId', authMiddleware, async (req, res) => {
+app.get('/api/atestados/:pacienteId', authMiddleware, verificarAcesso('prontuario', 'visualizar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT * FROM atestados WHERE paciente_id = $1 ORDER BY criado_em DESC',
             [req.params.pacienteId]
         );
+        await registrarAuditoria(req, { acao: 'visualizar', entidade: 'atestado', pacienteId: req.params.pacienteId });
         res.json({ success: true, atestados: result.rows });
     } catch (error) {
         res.status(500).json({ success: false, erro: error.message });
     }
 });
 
-app.get('/api/atestados/detalhe/:id', authMiddleware, async (req, res) => {
+app.get('/api/atestados/detalhe/:id', authMiddleware, verificarAcesso('prontuario', 'visualizar'), verificarPropriedade('atestado', 'id'), async (req, res) => {
     try {
         const result = await pool.query('SELECT * FROM atestados WHERE id = $1', [req.params.id]);
         if (result.rows.length === 0) return res.status(404).json({ success: false, erro: 'Não encontrado' });
+        await registrarAuditoria(req, {
+            acao: 'visualizar', entidade: 'atestado', entidadeId: result.rows[0].id, pacienteId: result.rows[0].paciente_id
+        });
         res.json({ success: true, atestado: result.rows[0] });
     } catch (error) {
         res.status(500).json({ success: false, erro: error.message });
     }
 });
 
-app.post('/api/atestados', authMiddleware, async (req, res) => {
+app.post('/api/atestados', authMiddleware, verificarAcesso('prontuario', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, tipo, dias, cid, motivo, observacoes } = req.body;
         if (!pacienteId) return res.status(400).json({ success: false, erro: 'pacienteId obrigatório' });
@@ -4681,6 +12793,10 @@ app.post('/api/atestados', authMiddleware, async (req, res) => {
             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
         `, [pacienteId, req.dentistaId, tipo || 'atestado', dias || 1, cid || null, motivo || null, observacoes || null]);
 
+        await registrarAuditoria(req, {
+            acao: 'criar', entidade: 'atestado', entidadeId: result.rows[0].id, pacienteId, depois: result.rows[0]
+        });
+
         res.json({ success: true, atestado: result.rows[0] });
     } catch (error) {
         console.error('Erro atestado POST:', error);
@@ -4692,7 +12808,7 @@ app.post('/api/atestados', authMiddleware, async (req, res) => {
 // TABELA DE PREÇOS
 // ==============================================================================
 
-app.get('/api/tabela-precos', authMiddleware, async (req, res) => {
+app.get('/api/tabela-precos', authMiddleware, verificarAcesso('tabela_precos', 'visualizar'), async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT * FROM tabela_precos WHERE dentista_id = $1 ORDER BY procedimento ASC',
@@ -4704,7 +12820,7 @@ app.get('/api/tabela-precos', authMiddleware, async (req, res) => {
     }
 });
 
-app.post('/api/tabela-precos', authMiddleware, async (req, res) => {
+app.post('/api/tabela-precos', authMiddleware, verificarAcesso('tabela_precos', 'editar'), async (req, res) => {
     try {
         const { procedimento, valor } = req.body;
         if (!procedimento) return res.status(400).json({ success: false, erro: 'Procedimento obrigatório' });
@@ -4723,7 +12839,7 @@ app.post('/api/tabela-precos', authMiddleware, async (req, res) => {
     }
 });
 
-app.put('/api/tabela-precos/:id', authMiddleware, async (req, res) => {
+app.put('/api/tabela-precos/:id', authMiddleware, verificarAcesso('tabela_precos', 'editar'), async (req, res) => {
     try {
         const { procedimento, valor } = req.body;
         const result = await pool.query(
@@ -4737,7 +12853,7 @@ app.put('/api/tabela-precos/:id', authMiddleware, async (req, res) => {
     }
 });
 
-app.delete('/api/tabela-precos/:id', authMiddleware, async (req, res) => {
+app.delete('/api/tabela-precos/:id', authMiddleware, verificarAcesso('tabela_precos', 'editar'), async (req, res) => {
     try {
         const result = await pool.query(
             'DELETE FROM tabela_precos WHERE id = $1 AND dentista_id = $2 RETURNING id',
@@ -4751,7 +12867,7 @@ app.delete('/api/tabela-precos/:id', authMiddleware, async (req, res) => {
 });
 
 // POST - Popular tabela com procedimentos padrão
-app.post('/api/tabela-precos/popular-padrao', authMiddleware, async (req, res) => {
+app.post('/api/tabela-precos/popular-padrao', authMiddleware, verificarAcesso('tabela_precos', 'editar'), async (req, res) => {
     try {
         const padrao = [
             ['Consulta / Avaliação', 150], ['Restauração Simples', 200], ['Restauração Composta', 300],
@@ -4784,7 +12900,7 @@ app.post('/api/tabela-precos/popular-padrao', authMiddleware, async (req, res) =
 // ORÇAMENTOS
 // ==============================================================================
 
-app.get('/api/orcamentos', authMiddleware, async (req, res) => {
+app.get('/api/orcamentos', authMiddleware, verificarAcesso('orcamentos', 'visualizar'), async (req, res) => {
     try {
         const { pacienteId } = req.query;
         let query = `
@@ -4800,13 +12916,17 @@ app.get('/api/orcamentos', authMiddleware, async (req, res) => {
         }
         query += ' ORDER BY o.criado_em DESC';
         const result = await pool.query(query, params);
+        await registrarAuditoria(req, {
+            acao: 'visualizar', entidade: 'orcamento', pacienteId: validarId(pacienteId),
+            depois: { pacientes: [...new Set(result.rows.filter(o => o.paciente_id).map(o => o.paciente_id))] }
+        });
         res.json({ success: true, orcamentos: result.rows });
     } catch (error) {
         res.status(500).json({ success: false, erro: error.message });
     }
 });
 
-app.get('/api/orcamentos/:id', authMiddleware, async (req, res) => {
+app.get('/api/orcamentos/:id', authMiddleware, verificarAcesso('orcamentos', 'visualizar'), verificarPropriedade('orcamento', 'id'), async (req, res) => {
     try {
         const result = await pool.query(`
             SELECT o.*, p.nome as paciente_nome, p.cpf as paciente_cpf
@@ -4815,13 +12935,16 @@ app.get('/api/orcamentos/:id', authMiddleware, async (req, res) => {
             WHERE o.id = $1
         `, [req.params.id]);
         if (result.rows.length === 0) return res.status(404).json({ success: false, erro: 'Não encontrado' });
+        await registrarAuditoria(req, {
+            acao: 'visualizar', entidade: 'orcamento', entidadeId: result.rows[0].id, pacienteId: result.rows[0].paciente_id
+        });
         res.json({ success: true, orcamento: result.rows[0] });
     } catch (error) {
         res.status(500).json({ success: false, erro: error.message });
     }
 });
 
-app.post('/api/orcamentos', authMiddleware, async (req, res) => {
+app.post('/api/orcamentos', authMiddleware, verificarAcesso('orcamentos', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, itens, validadeDias, formaPagamento, observacoes, status } = req.body;
         if (!pacienteId || !itens || itens.length === 0) {
@@ -4831,9 +12954,13 @@ app.post('/api/orcamentos', authMiddleware, async (req, res) => {
 
         const result = await pool.query(`
             INSERT INTO orcamentos (paciente_id, dentista_id, itens, total, status, validade_dias, forma_pagamento, observacoes)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
         `, [pacienteId, req.dentistaId, JSON.stringify(itens), total, status || 'aberto', validadeDias || 30, formaPagamento || null, observacoes || null]);
 
+        await registrarAuditoria(req, {
+            acao: 'criar', entidade: 'orcamento', entidadeId: result.rows[0].id, pacienteId, depois: result.rows[0]
+        });
+
         res.json({ success: true, orcamentoId: result.rows[0].id });
     } catch (error) {
         console.error('Erro orçamento POST:', error);
@@ -4841,7 +12968,7 @@ app.post('/api/orcamentos', authMiddleware, async (req, res) => {
     }
 });
 
-app.put('/api/orcamentos/:id', authMiddleware, async (req, res) => {
+app.put('/api/orcamentos/:id', authMiddleware, verificarAcesso('orcamentos', 'editar'), verificarPropriedade('orcamento', 'id'), async (req, res) => {
     try {
         const { status, assinaturaUrl, assinaturaIp } = req.body;
         const updates = [];
@@ -4857,11 +12984,17 @@ app.put('/api/orcamentos/:id', authMiddleware, async (req, res) => {
         updates.push(`atualizado_em = NOW()`);
         params.push(req.params.id);
 
+        const antes = await registroAtual('orcamentos', parseInt(req.params.id), req.dentistaId);
+
         const result = await pool.query(
             `UPDATE orcamentos SET ${updates.join(', ')} WHERE id = $${idx} RETURNING *`,
             params
         );
         if (result.rows.length === 0) return res.status(404).json({ success: false });
+        await registrarAuditoria(req, {
+            acao: 'editar', entidade: 'orcamento', entidadeId: result.rows[0].id,
+            pacienteId: result.rows[0].paciente_id, antes, depois: result.rows[0]
+        });
         res.json({ success: true, orcamento: result.rows[0] });
     } catch (error) {
         res.status(500).json({ success: false, erro: error.message });
@@ -4872,7 +13005,7 @@ app.put('/api/orcamentos/:id', authMiddleware, async (req, res) => {
 // ORÇAMENTOS PENDENTES (lembrete 90 dias)
 // ==============================================================================
 
-app.post('/api/orcamentos-pendentes', authMiddleware, async (req, res) => {
+app.post('/api/orcamentos-pendentes', authMiddleware, verificarAcesso('orcamentos', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, itens, proximoLembrete } = req.body;
         if (!pacienteId || !itens) return res.status(400).json({ success: false, erro: 'Dados obrigatórios' });
@@ -4890,7 +13023,7 @@ app.post('/api/orcamentos-pendentes', authMiddleware, async (req, res) => {
 });
 
 // GET - Lembretes para a agenda (orçamentos não autorizados vencidos)
-app.get('/api/orcamentos-pendentes/lembretes', authMiddleware, async (req, res) => {
+app.get('/api/orcamentos-pendentes/lembretes', authMiddleware, verificarAcesso('orcamentos', 'visualizar'), async (req, res) => {
     try {
         const result = await pool.query(`
             SELECT op.*, p.nome as paciente_nome, p.celular, p.whatsapp
@@ -4908,7 +13041,7 @@ app.get('/api/orcamentos-pendentes/lembretes', authMiddleware, async (req, res)
 });
 
 // PUT - Adiar ou descartar lembrete
-app.put('/api/orcamentos-pendentes/:id', authMiddleware, async (req, res) => {
+app.put('/api/orcamentos-pendentes/:id', authMiddleware, verificarAcesso('orcamentos', 'editar'), verificarPropriedade('orcamento_pendente', 'id'), async (req, res) => {
     try {
         const { descartado, proximoLembrete } = req.body;
         if (descartado) {
@@ -4926,7 +13059,7 @@ app.put('/api/orcamentos-pendentes/:id', authMiddleware, async (req, res) => {
 // RETORNOS
 // ==============================================================================
 
-app.post('/api/retornos', authMiddleware, async (req, res) => {
+app.post('/api/retornos', authMiddleware, verificarAcesso('agenda', 'editar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     try {
         const { pacienteId, dataRetorno, motivo } = req.body;
         if (!pacienteId || !dataRetorno) return res.status(400).json({ success: false, erro: 'Dados obrigatórios' });
@@ -4943,7 +13076,7 @@ app.post('/api/retornos', authMiddleware, async (req, res) => {
     }
 });
 
-app.get('/api/retornos', authMiddleware, async (req, res) => {
+app.get('/api/retornos', authMiddleware, verificarAcesso('agenda', 'visualizar'), async (req, res) => {
     try {
         const result = await pool.query(`
             SELECT r.*, p.nome as paciente_nome
@@ -4966,16 +13099,16 @@ app.get('/api/storage/status', authMiddleware, async (req, res) => {
     res.json({ success: true, connected: true, provider: 'local' });
 });
 
-app.post('/api/storage/disconnect', authMiddleware, async (req, res) => {
+app.post('/api/storage/disconnect', authMiddleware, verificarAcesso('configuracoes', 'editar'), async (req, res) => {
     res.json({ success: true });
 });
 
-app.get('/api/storage/files/:pacienteId', authMiddleware, async (req, res) => {
+app.get('/api/storage/files/:pacienteId', authMiddleware, verificarAcesso('prontuario', 'visualizar'), verificarPropriedade('paciente', 'pacienteId'), async (req, res) => {
     // Placeholder - retorna lista vazia por enquanto
     res.json({ success: true, files: [] });
 });
 
-app.delete('/api/storage/files/:id', authMiddleware, async (req, res) => {
+app.delete('/api/storage/files/:id', authMiddleware, verificarAcesso('prontuario', 'editar'), async (req, res) => {
     res.json({ success: true });
 });
 
@@ -5019,6 +13152,8 @@ initDatabase().then(() => {
         console.log('   Servidor: http://localhost:' + PORT);
         console.log('   Banco: PostgreSQL');
         console.log('   Status: Online');
+        iniciarLimpezaTentativas();
+        iniciarJobs();
         console.log('==============================================');
         console.log('');
     });